@@ -65,3 +65,13 @@ struct AttachmentInfo: Codable, Hashable, Sendable {
         }
     }
 }
+
+/// A file the user uploaded into a running task's inbox
+/// Kept apart from the task's attachments, so it is not handed to reruns as a startup input
+struct TaskInboxUpload: Codable, Hashable, Sendable {
+    /// Name the file was delivered under in the guest inbox (unique within that inbox)
+    let name: String
+    
+    /// Path to the host copy in the API uploads directory
+    let path: String
+}
@@ -18,6 +18,7 @@ enum LocalAccessGrantOrigin: String, Codable, Sendable {
 }
 
 enum LocalAccessGrantMode: String, Codable, Sendable {
+    case readOnly = "read_only"
     case readWrite = "read_write"
 }
 
@@ -53,12 +54,23 @@ struct LocalAccessGrant: Codable, Hashable, Identifiable, Sendable {
     }
 
     var normalizedRootPath: String {
-        rootURL.standardizedFileURL.path
+        Self.resolvedPath(rootPath)
+    }
+
+    /// Read-only grants can be listed and imported from, but never written back to
+    var allowsWrites: Bool {
+        accessMode == .readWrite
+    }
+
+    /// Short label used when listing grants to the agent, e.g. "folder, read-only"
+    var promptLabel: String {
+        let kind = scopeKind == .folder ? "folder" : "file"
+        return allowsWrites ? kind : "\(kind), read-only"
     }
 
     func allowsAccess(to destinationPath: String) -> Bool {
-        let candidateURL = URL(fileURLWithPath: destinationPath).standardizedFileURL
-        let candidatePath = candidateURL.path
+        // Resolve symlinks so a link inside the grant cannot point writes outside it
+        let candidatePath = Self.resolvedPath(destinationPath)
 
         switch scopeKind {
         case .file:
@@ -69,31 +81,55 @@ struct LocalAccessGrant: Codable, Hashable, Identifiable, Sendable {
         }
     }
 
-    static func make(from url: URL, origin: LocalAccessGrantOrigin) -> LocalAccessGrant {
-        let standardizedURL = url.standardizedFileURL
+    static func make(
+        from url: URL,
+        origin: LocalAccessGrantOrigin,
+        accessMode: LocalAccessGrantMode = .readWrite
+    ) -> LocalAccessGrant {
+        let resolvedURL = URL(fileURLWithPath: resolvedPath(url.path), isDirectory: url.hasDirectoryPath)
         let bookmarkData: Data?
-        if standardizedURL.startAccessingSecurityScopedResource() {
-            bookmarkData = try? standardizedURL.bookmarkData(
+        if resolvedURL.startAccessingSecurityScopedResource() {
+            bookmarkData = try? resolvedURL.bookmarkData(
                 options: [.withSecurityScope],
                 includingResourceValuesForKeys: nil,
                 relativeTo: nil
             )
-            standardizedURL.stopAccessingSecurityScopedResource()
+            resolvedURL.stopAccessingSecurityScopedResource()
         } else {
-            bookmarkData = try? standardizedURL.bookmarkData(
+            bookmarkData = try? resolvedURL.bookmarkData(
                 options: [.withSecurityScope],
                 includingResourceValuesForKeys: nil,
                 relativeTo: nil
             )
         }
 
-        let scopeKind: LocalAccessScopeKind = standardizedURL.hasDirectoryPath ? .folder : .file
+        let scopeKind: LocalAccessScopeKind = resolvedURL.hasDirectoryPath ? .folder : .file
         return LocalAccessGrant(
             scopeKind: scopeKind,
-            displayName: standardizedURL.lastPathComponent,
-            rootPath: standardizedURL.path,
+            displayName: resolvedURL.lastPathComponent,
+            rootPath: resolvedURL.path,
             bookmarkData: bookmarkData,
-            origin: origin
+            origin: origin,
+            accessMode: accessMode
         )
     }
+
+    /// Standardized path with symlinks resolved. Trailing components that do not exist yet,
+    /// such as a file about to be written, are kept as given under their resolved parent.
+    static func resolvedPath(_ path: String) -> String {
+        var existingURL = URL(fileURLWithPath: path).standardizedFileURL
+        var missingComponents: [String] = []
+        // attributesOfItem does not follow a final symlink, so dangling links count as existing
+        while existingURL.path != "/",
+              (try? FileManager.default.attributesOfItem(atPath: existingURL.path)) == nil {
+            missingComponents.insert(existingURL.lastPathComponent, at: 0)
+            existingURL.deleteLastPathComponent()
+        }
+
+        var resolvedURL = existingURL.resolvingSymlinksInPath()
+        for component in missingComponents {
+            resolvedURL.appendPathComponent(component)
+        }
+        return resolvedURL.path
+    }
 }
@@ -133,6 +133,9 @@ final class ScheduledTask {
 
     /// Optional service tier persisted for providers that expose serving tiers.
     var serviceTier: LLMServiceTier?
+
+    /// VM template to run on (nil uses the default template)
+    var templateId: String?
     
     /// Paths to files attached to this task
     var attachedFilePaths: [String]
@@ -143,6 +146,13 @@ final class ScheduledTask {
     /// Names of skills explicitly mentioned by the user
     var mentionedSkillNames: [String]?
     
+    /// Stored credentials each run may use (nil gives none unless allowsAllCredentials is set)
+    var credentialIds: [String]?
+    
+    /// Whether runs without credentialIds may use every stored credential.
+    /// False for schedules made through the API; nil on schedules from before credential scoping, which allowed every credential.
+    var allowsAllCredentials: Bool?
+    
     // MARK: - Schedule Configuration
     
     /// Type of schedule (one-time or recurring)
@@ -179,9 +189,12 @@ final class ScheduledTask {
         reasoningEnabled: Bool? = nil,
         reasoningEffort: String? = nil,
         serviceTier: LLMServiceTier? = nil,
+        templateId: String? = nil,
         attachedFilePaths: [String] = [],
         outputDirectory: String? = nil,
         mentionedSkillNames: [String]? = nil,
+        credentialIds: [String]? = nil,
+        allowsAllCredentials: Bool = false,
         scheduleType: ScheduleType = .oneTime,
         scheduledDate: Date? = nil,
         recurrenceRule: RecurrenceRule? = nil,
@@ -196,9 +209,12 @@ final class ScheduledTask {
         self.reasoningEnabled = reasoningEnabled
         self.reasoningEffort = reasoningEffort
         self.serviceTier = serviceTier
+        self.templateId = templateId
         self.attachedFilePaths = attachedFilePaths
         self.outputDirectory = outputDirectory
         self.mentionedSkillNames = mentionedSkillNames
+        self.credentialIds = credentialIds
+        self.allowsAllCredentials = allowsAllCredentials
         self.scheduleTypeRaw = scheduleType.rawValue
         self.scheduledDate = scheduledDate
         self.recurrenceRuleData = recurrenceRule.flatMap { try? JSONEncoder().encode($0) }
@@ -66,6 +66,13 @@ enum TaskStatus: Int, Codable, CaseIterable {
     }
 }
 
+/// Scheduling priority for queued tasks (higher starts first)
+enum TaskPriority: Int, Codable, CaseIterable {
+    case low = -1
+    case normal = 0
+    case high = 1
+}
+
 /// SwiftData model for persisting task records
 @Model
 final class TaskRecord {
@@ -113,6 +120,38 @@ final class TaskRecord {
 
     /// Optional service tier persisted for providers that expose serving tiers.
     var serviceTier: LLMServiceTier?
+
+    /// VM template to boot this task from (nil uses the default template)
+    var templateId: String?
+
+    /// Shared ID for tasks fanned out from one prompt across models or copies (nil for single tasks)
+    var batchId: String?
+
+    /// Whether the user marked this run as the best result of its batch
+    var isBatchWinner: Bool?
+
+    /// Queue priority (nil is normal)
+    var priorityRaw: Int?
+
+    /// Position from a manual queue reorder; ranked tasks start before unranked ones of the same priority
+    var queueRank: Int?
+
+    /// Hidden from the default API task list (set through bulk archive)
+    var isArchived: Bool?
+
+    /// MCP servers whose tools this task may use (nil allows every enabled server)
+    var mcpServerIds: [String]?
+
+    /// JSON-encoded changes to the global VM provisioning for this task.
+    /// Environment values are kept in the Keychain; only the variable names are stored here.
+    private var provisioningOverridesData: Data?
+
+    /// Stored credentials this task may use (nil gives none unless allowsAllCredentials is set)
+    var credentialIds: [String]?
+    
+    /// Lets a task without credentialIds use every stored credential (Mac app tasks, which have no credential picker).
+    /// False for tasks made through the API; nil on tasks from before credential scoping, which allowed every credential.
+    var allowsAllCredentials: Bool?
     
     /// Summary of the task result (on completion)
     var resultSummary: String?
@@ -129,6 +168,9 @@ final class TaskRecord {
     /// Stores both original and copied paths for each attachment
     private var attachmentInfosData: Data?
     
+    /// JSON-encoded files uploaded into the inbox while the task was running
+    private var inboxUploadsData: Data?
+    
     /// Paths to output files produced by this task (copied from VM's outbox)
     /// Optional to support migration from older database versions
     var outputFilePaths: [String]?
@@ -259,6 +301,29 @@ final class TaskRecord {
     var hasPendingWriteback: Bool {
         !pendingWritebackOperations.isEmpty
     }
+
+    // MARK: - Provisioning Properties
+
+    /// Per-task provisioning changes, without environment values; see `resolvedProvisioningOverrides()`
+    var provisioningOverrides: TaskProvisioningOverrides? {
+        get {
+            guard let provisioningOverridesData else { return nil }
+            return try? JSONDecoder().decode(TaskProvisioningOverrides.self, from: provisioningOverridesData)
+        }
+        set {
+            provisioningOverridesData = newValue.flatMap { try? JSONEncoder().encode($0.withoutEnvironmentValues) }
+            if let newValue {
+                newValue.storeEnvironmentValues(taskId: id)
+            } else {
+                TaskProvisioningOverrides.deleteEnvironmentValues(taskId: id)
+            }
+        }
+    }
+    
+    /// Provisioning changes with the environment values read from the Keychain, for setting up the VM
+    func resolvedProvisioningOverrides() -> TaskProvisioningOverrides? {
+        provisioningOverrides?.withEnvironmentValues(taskId: id)
+    }
     
     // MARK: - Attachment Properties
     
@@ -297,6 +362,22 @@ final class TaskRecord {
         }
     }
     
+    /// Files uploaded into the inbox while the task was running, in upload order
+    var inboxUploads: [TaskInboxUpload] {
+        get {
+            guard
+                let inboxUploadsData,
+                let decoded = try? JSONDecoder().decode([TaskInboxUpload].self, from: inboxUploadsData)
+            else {
+                return []
+            }
+            return decoded
+        }
+        set {
+            inboxUploadsData = newValue.isEmpty ? nil : try? JSONEncoder().encode(newValue)
+        }
+    }
+    
     init(
         id: String = UUID().uuidString,
         title: String,
@@ -313,6 +394,13 @@ final class TaskRecord {
         reasoningEnabled: Bool? = nil,
         reasoningEffort: String? = nil,
         serviceTier: LLMServiceTier? = nil,
+        templateId: String? = nil,
+        batchId: String? = nil,
+        priority: TaskPriority = .normal,
+        mcpServerIds: [String]? = nil,
+        provisioningOverrides: TaskProvisioningOverrides? = nil,
+        credentialIds: [String]? = nil,
+        allowsAllCredentials: Bool = false,
         resultSummary: String? = nil,
         errorMessage: String? = nil,
         attachedFilePaths: [String] = [],
@@ -349,6 +437,14 @@ final class TaskRecord {
         self.reasoningEnabled = reasoningEnabled
         self.reasoningEffort = reasoningEffort
         self.serviceTier = serviceTier
+        self.templateId = templateId
+        self.batchId = batchId
+        self.priorityRaw = priority == .normal ? nil : priority.rawValue
+        self.mcpServerIds = mcpServerIds
+        self.provisioningOverridesData = provisioningOverrides.flatMap { try? JSONEncoder().encode($0.withoutEnvironmentValues) }
+        provisioningOverrides?.storeEnvironmentValues(taskId: id)
+        self.credentialIds = credentialIds
+        self.allowsAllCredentials = allowsAllCredentials
         self.resultSummary = resultSummary
         self.errorMessage = errorMessage
         self.outputFilePaths = outputFilePaths
@@ -387,6 +483,12 @@ final class TaskRecord {
         get { TaskStatus(rawValue: statusRaw) ?? .queued }
         set { statusRaw = newValue.rawValue }
     }
+
+    /// Computed priority property
+    var priority: TaskPriority {
+        get { priorityRaw.flatMap(TaskPriority.init(rawValue:)) ?? .normal }
+        set { priorityRaw = newValue == .normal ? nil : newValue.rawValue }
+    }
     
     /// Duration from creation to completion (or now if still running)
     var duration: TimeInterval {
@@ -104,3 +104,104 @@ extension VMProvisioningConfig {
         }
     }
 }
+
+// MARK: - Task Overrides
+
+/// Per-task changes applied on top of the global provisioning configuration
+struct TaskProvisioningOverrides: Codable, Equatable {
+    /// Variables added for this task; a key that is already configured gets this value instead
+    var environment: [String: String]
+    
+    /// Setup commands run instead of the global ones (nil keeps the global commands)
+    var setupCommands: [String]?
+    
+    /// IDs of the configured file injections to copy (nil copies every file)
+    var fileInjectionIds: [String]?
+    
+    init(environment: [String: String] = [:], setupCommands: [String]? = nil, fileInjectionIds: [String]? = nil) {
+        self.environment = environment
+        self.setupCommands = setupCommands
+        self.fileInjectionIds = fileInjectionIds
+    }
+    
+    /// Whether these overrides leave the global configuration unchanged
+    var isEmpty: Bool {
+        environment.isEmpty && setupCommands == nil && fileInjectionIds == nil
+    }
+}
+
+// MARK: - Override Secrets
+
+extension TaskProvisioningOverrides {
+    
+    /// A copy with only the variable names, for storing with the task
+    var withoutEnvironmentValues: TaskProvisioningOverrides {
+        var copy = self
+        copy.environment = environment.mapValues { _ in "" }
+        return copy
+    }
+    
+    /// Save the environment values to the Keychain under the task's ID, or remove them when there are none
+    func storeEnvironmentValues(taskId: String) {
+        guard !environment.isEmpty,
+              let data = try? JSONEncoder().encode(environment),
+              let json = String(data: data, encoding: .utf8) else {
+            Self.deleteEnvironmentValues(taskId: taskId)
+            return
+        }
+        _ = KeychainHelper.save(key: Self.keychainKey(taskId: taskId), value: json)
+    }
+    
+    /// These overrides with the environment values read back from the Keychain.
+    /// Tasks saved before values moved to the Keychain still carry them inline and are returned as is.
+    func withEnvironmentValues(taskId: String) -> TaskProvisioningOverrides {
+        guard !environment.isEmpty,
+              let json = KeychainHelper.retrieve(key: Self.keychainKey(taskId: taskId)),
+              let values = try? JSONDecoder().decode([String: String].self, from: Data(json.utf8)) else {
+            return self
+        }
+        var copy = self
+        for key in environment.keys {
+            if let value = values[key] {
+                copy.environment[key] = value
+            }
+        }
+        return copy
+    }
+    
+    static func deleteEnvironmentValues(taskId: String) {
+        KeychainHelper.delete(key: keychainKey(taskId: taskId))
+    }
+    
+    private static func keychainKey(taskId: String) -> String {
+        "task-provisioning-environment-\(taskId)"
+    }
+}
+
+extension VMProvisioningConfig {
+    
+    /// This configuration with a task's overrides applied
+    func applying(_ overrides: TaskProvisioningOverrides?) -> VMProvisioningConfig {
+        guard let overrides else { return self }
+        
+        var result = self
+        var remaining = overrides.environment
+        for index in result.environmentVariables.indices {
+            if let value = remaining.removeValue(forKey: result.environmentVariables[index].key) {
+                result.environmentVariables[index].value = value
+            }
+        }
+        result.environmentVariables += remaining.keys.sorted().map { key in
+            EnvironmentVariable(key: key, value: remaining[key] ?? "")
+        }
+        
+        if let setupCommands = overrides.setupCommands {
+            result.setupCommands = setupCommands
+        }
+        if let fileInjectionIds = overrides.fileInjectionIds {
+            let allowedIds = Set(fileInjectionIds)
+            result.fileInjections.removeAll { !allowedIds.contains($0.id.uuidString) }
+        }
+        return result
+    }
+}
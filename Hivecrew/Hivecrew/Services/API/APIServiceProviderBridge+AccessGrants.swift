@@ -0,0 +1,102 @@
+//
+//  APIServiceProviderBridge+AccessGrants.swift
+//  Hivecrew
+//
+//  Local access grant management for APIServiceProviderBridge
+//
+
+import Foundation
+import HivecrewAPI
+
+// MARK: - Access Grants
+
+extension APIServiceProviderBridge {
+
+    func getAccessGrants() async throws -> APIAccessGrantListResponse {
+        let grants = LocalAccessGrantStore.shared.allGrants()
+        return APIAccessGrantListResponse(grants: grants.map(convertToAPIAccessGrant))
+    }
+
+    func createAccessGrant(request: APICreateAccessGrantRequest) async throws -> APIAccessGrant {
+        let trimmedPath = request.path.trimmingCharacters(in: .whitespacesAndNewlines)
+        let path = (trimmedPath as NSString).expandingTildeInPath
+        guard path.hasPrefix("/") else {
+            throw APIError.badRequest("path must be an absolute path on the host")
+        }
+
+        var isDirectory: ObjCBool = false
+        guard FileManager.default.fileExists(atPath: path, isDirectory: &isDirectory) else {
+            throw APIError.badRequest("No file or folder exists at '\(path)'")
+        }
+
+        let url = URL(fileURLWithPath: path, isDirectory: isDirectory.boolValue)
+        let accessMode: LocalAccessGrantMode = request.accessMode == .readOnly ? .readOnly : .readWrite
+        let grant: LocalAccessGrant
+        do {
+            grant = try LocalAccessGrantStore.shared.add(url: url, accessMode: accessMode)
+        } catch LocalAccessGrantStoreError.protectedLocation(let resolvedPath) {
+            throw APIError.badRequest("'\(resolvedPath)' cannot be granted: the disk root, your home folder and system locations are protected")
+        }
+
+        // Re-granting an existing path changes its mode, which must reach tasks that already hold a copy
+        let affectedTasks = unfinishedTasks(holdingGrant: grant.id.uuidString)
+        for task in affectedTasks {
+            task.localAccessGrants = task.localAccessGrants.map { taskGrant in
+                var taskGrant = taskGrant
+                if taskGrant.id == grant.id {
+                    taskGrant.accessMode = grant.accessMode
+                }
+                return taskGrant
+            }
+        }
+        if !affectedTasks.isEmpty {
+            try modelContext.save()
+        }
+        return convertToAPIAccessGrant(grant)
+    }
+
+    func deleteAccessGrant(id: String) async throws {
+        guard try LocalAccessGrantStore.shared.revoke(id: id) else {
+            throw APIError.notFound("Access grant with ID '\(id)' not found")
+        }
+
+        // Tasks keep their own copy of a grant, so take it back from any that can still write
+        for task in unfinishedTasks(holdingGrant: id) {
+            task.localAccessGrants.removeAll { $0.id.uuidString == id }
+        }
+        try modelContext.save()
+    }
+
+    // MARK: - Helpers
+
+    /// Tasks that can still use or write back through the grant
+    private func unfinishedTasks(holdingGrant id: String) -> [TaskRecord] {
+        taskService.tasks.filter { task in
+            (task.status.isActive || task.status == .writebackReview)
+                && task.localAccessGrants.contains { $0.id.uuidString == id }
+        }
+    }
+
+    /// Looks up the grants given to a task, dropping duplicates
+    func resolvedAccessGrants(_ ids: [String]?) throws -> [LocalAccessGrant] {
+        guard let ids else { return [] }
+        var seen = Set<String>()
+        return try ids.compactMap { id in
+            guard let grant = LocalAccessGrantStore.shared.grant(id: id) else {
+                throw APIError.notFound("Access grant with ID '\(id)' not found")
+            }
+            return seen.insert(id).inserted ? grant : nil
+        }
+    }
+
+    func convertToAPIAccessGrant(_ grant: LocalAccessGrant) -> APIAccessGrant {
+        APIAccessGrant(
+            id: grant.id.uuidString,
+            displayName: grant.displayName,
+            path: grant.rootPath,
+            scopeKind: grant.scopeKind == .folder ? .folder : .file,
+            accessMode: grant.allowsWrites ? .readWrite : .readOnly,
+            exists: FileManager.default.fileExists(atPath: grant.rootPath)
+        )
+    }
+}
@@ -52,6 +52,27 @@ extension APIServiceProviderBridge {
     }
 }
 
+// MARK: - Priority Conversions
+
+extension APIServiceProviderBridge {
+    
+    func convertFromAPIPriority(_ priority: APITaskPriority) -> TaskPriority {
+        switch priority {
+        case .low: return .low
+        case .normal: return .normal
+        case .high: return .high
+        }
+    }
+    
+    func convertToAPIPriority(_ priority: TaskPriority) -> APITaskPriority {
+        switch priority {
+        case .low: return .low
+        case .normal: return .normal
+        case .high: return .high
+        }
+    }
+}
+
 // MARK: - Task Conversions
 
 extension APIServiceProviderBridge {
@@ -84,10 +105,12 @@ extension APIServiceProviderBridge {
             convertToAPIPermissionRequest($0)
         }
 
-        let writebackReview = taskService.writebackReview(for: task)
         let pendingWriteback: APIPendingWriteback? = task.pendingWritebackOperations.isEmpty
             ? nil
-            : APIPendingWriteback(count: task.pendingWritebackOperations.count, hasConflicts: writebackReview.hasConflicts)
+            : APIPendingWriteback(
+                count: task.pendingWritebackOperations.count,
+                hasConflicts: taskService.writebackHasConflicts(for: task)
+            )
         
         return APITask(
             id: task.id,
@@ -98,6 +121,22 @@ extension APIServiceProviderBridge {
             modelId: task.modelId,
             reasoningEnabled: task.reasoningEnabled,
             reasoningEffort: task.reasoningEffort,
+            templateId: task.templateId,
+            mcpServerIds: task.mcpServerIds,
+            provisioning: task.provisioningOverrides.map { overrides in
+                APITaskProvisioning(
+                    environmentVariableNames: overrides.environment.keys.sorted(),
+                    setupCommands: overrides.setupCommands,
+                    injectedFileIds: overrides.fileInjectionIds
+                )
+            },
+            credentialIds: task.credentialIds ?? (task.allowsAllCredentials != false ? nil : []),
+            accessGrants: task.localAccessGrants.map(convertToAPIAccessGrant),
+            priority: convertToAPIPriority(task.priority),
+            outputDirectory: task.outputDirectory,
+            batchId: task.batchId,
+            isBatchWinner: task.isBatchWinner,
+            isArchived: task.isArchived,
             createdAt: task.createdAt,
             startedAt: task.startedAt,
             completedAt: task.completedAt,
@@ -125,7 +164,7 @@ extension APIServiceProviderBridge {
         )
     }
     
-    func convertToAPITaskSummary(_ task: TaskRecord) -> APITaskSummary {
+    func convertToAPITaskSummary(_ task: TaskRecord, searchMatches: [APITaskSearchMatch]? = nil) -> APITaskSummary {
         let providerName = getProviderName(for: task.providerId)
         
         return APITaskSummary(
@@ -137,8 +176,13 @@ extension APIServiceProviderBridge {
             createdAt: task.createdAt,
             startedAt: task.startedAt,
             completedAt: task.completedAt,
-            inputFileCount: task.attachedFilePaths.count,
-            outputFileCount: task.outputFilePaths?.count ?? 0
+            inputFileCount: task.attachedFilePaths.count + task.inboxUploads.count,
+            outputFileCount: task.outputFilePaths?.count ?? 0,
+            priority: convertToAPIPriority(task.priority),
+            batchId: task.batchId,
+            isBatchWinner: task.isBatchWinner,
+            isArchived: task.isArchived,
+            searchMatches: searchMatches
         )
     }
     
@@ -153,13 +197,14 @@ extension APIServiceProviderBridge {
     }
     
     func getInputFiles(for task: TaskRecord) -> [APIFile] {
-        return task.attachedFilePaths.map { path in
-            let url = URL(fileURLWithPath: path)
-            let size = (try? FileManager.default.attributesOfItem(atPath: path)[.size] as? Int64) ?? 0
+        let attachments = task.attachedFilePaths.map { (name: URL(fileURLWithPath: $0).lastPathComponent, path: $0) }
+        let uploads = task.inboxUploads.map { (name: $0.name, path: $0.path) }
+        return (attachments + uploads).map { file in
+            let size = (try? FileManager.default.attributesOfItem(atPath: file.path)[.size] as? Int64) ?? 0
             return APIFile(
-                name: url.lastPathComponent,
+                name: file.name,
                 size: size,
-                mimeType: APIFile.mimeType(for: url.lastPathComponent)
+                mimeType: APIFile.mimeType(for: file.name)
             )
         }
     }
@@ -224,6 +269,14 @@ extension APIServiceProviderBridge {
         )
     }
 
+    func convertFromAPIConflictResolution(_ resolution: APIWritebackConflictResolution) -> WritebackConflictResolution {
+        switch resolution {
+        case .overwrite: return .overwrite
+        case .keepLocal: return .keepLocal
+        case .saveAlongside: return .saveAlongside
+        }
+    }
+
     func convertToAPIWritebackReview(taskId: String, review: WritebackReviewPayload) -> APIWritebackReview {
         APIWritebackReview(
             taskId: taskId,
@@ -237,7 +290,9 @@ extension APIServiceProviderBridge {
                     hasConflict: item.hasConflict,
                     conflictReason: item.conflictReason,
                     diffPreview: item.diffPreview,
-                    stagedPreview: item.stagedPreview
+                    diffIsTruncated: item.diffIsTruncated,
+                    stagedPreview: item.stagedPreview,
+                    stagedPreviewIsTruncated: item.stagedPreviewIsTruncated
                 )
             },
             hasConflicts: review.hasConflicts
@@ -349,10 +404,10 @@ extension APIServiceProviderBridge {
             name: template.name,
             description: template.description,
             isDefault: template.id == defaultId,
-            createdAt: nil,
-            diskSizeGB: nil,
+            createdAt: template.createdAt,
+            diskSizeGB: gigabytes(template.diskSize),
             cpuCount: template.cpuCount,
-            memoryGB: nil
+            memoryGB: gigabytes(template.memorySize)
         )
     }
     
@@ -365,14 +420,203 @@ extension APIServiceProviderBridge {
             name: template.name,
             description: template.description,
             isDefault: template.id == defaultId,
-            createdAt: nil,
-            diskSizeGB: nil,
+            createdAt: template.createdAt,
+            diskSizeGB: gigabytes(template.diskSize),
             cpuCount: template.cpuCount,
-            memoryGB: nil,
-            macOSVersion: nil,
+            memoryGB: gigabytes(template.memorySize),
+            macOSVersion: template.macOSVersion,
             path: bundlePath.path
         )
     }
+    
+    /// Convert a byte count to whole gigabytes, treating 0 as unknown
+    private func gigabytes(_ bytes: UInt64) -> Int? {
+        guard bytes > 0 else { return nil }
+        return Int((Double(bytes) / 1_073_741_824).rounded())
+    }
+}
+
+// MARK: - Skill Conversions
+
+extension APIServiceProviderBridge {
+    
+    func convertToAPISkillDetail(_ skill: Skill) -> APISkillDetail {
+        return APISkillDetail(
+            name: skill.name,
+            description: skill.description,
+            license: skill.license,
+            compatibility: skill.compatibility,
+            allowedTools: skill.allowedTools,
+            metadata: skill.metadata,
+            instructions: skill.instructions,
+            isEnabled: skill.isEnabled,
+            isImported: skill.isImported,
+            sourceTaskId: skill.sourceTaskId,
+            createdAt: skill.createdAt,
+            content: SkillParser.serialize(skill)
+        )
+    }
+    
+    /// Map skill manager errors onto API status codes
+    func convertSkillError(_ error: SkillError) -> APIError {
+        let message = error.localizedDescription
+        switch error {
+        case .skillNotFound, .githubSkillNotFound:
+            return .notFound(message)
+        case .skillAlreadyExists:
+            return .conflict(message)
+        case .missingSkillFile, .invalidFormat, .invalidName, .missingDescription,
+             .invalidFile, .yamlParseError, .invalidGitHubURL:
+            return .badRequest(message)
+        case .networkError:
+            return .badGateway(message)
+        case .fileSystemError, .extractionError, .matchingError:
+            return .internalError(message)
+        }
+    }
+}
+
+// MARK: - Trace Conversions
+
+extension APIServiceProviderBridge {
+    
+    /// Group raw trace events into per-step records, pairing tool calls with their results
+    func convertToAPISessionTrace(taskId: String, sessionId: String, events: [TraceEvent]) -> APISessionTrace {
+        var model: String?
+        var status: String?
+        var summary: String?
+        var startedAt: Date?
+        var endedAt: Date?
+        
+        var stepOrder: [Int] = []
+        var stepTimestamps: [Int: Date] = [:]
+        var screenshots: [Int: String] = [:]
+        var responseTexts: [Int: String] = [:]
+        var reasonings: [Int: String] = [:]
+        var usage: [Int: (prompt: Int, completion: Int, total: Int)] = [:]
+        var toolCalls: [Int: [APITraceToolCall]] = [:]
+        var errors: [Int: [APITraceError]] = [:]
+        var interventions: [Int: [String]] = [:]
+        
+        func touch(_ event: TraceEvent) {
+            if stepTimestamps[event.step] == nil {
+                stepOrder.append(event.step)
+                stepTimestamps[event.step] = event.timestamp
+            }
+        }
+        
+        for event in events {
+            switch event.data {
+            case .sessionStart(let data):
+                model = data.model
+                startedAt = event.timestamp
+                
+            case .sessionEnd(let data):
+                status = data.status
+                summary = data.summary
+                endedAt = event.timestamp
+                
+            case .observation(let data):
+                touch(event)
+                if let path = data.screenshotPath {
+                    screenshots[event.step] = URL(fileURLWithPath: path).lastPathComponent
+                }
+                
+            case .llmRequest:
+                break
+                
+            case .llmResponse(let data):
+                touch(event)
+                if let text = data.responseText ?? data.contentPreview, !text.isEmpty {
+                    responseTexts[event.step] = text
+                }
+                if let reasoning = data.reasoning, !reasoning.isEmpty {
+                    reasonings[event.step] = reasoning
+                }
+                let current = usage[event.step] ?? (0, 0, 0)
+                usage[event.step] = (
+                    current.prompt + data.promptTokens,
+                    current.completion + data.completionTokens,
+                    current.total + data.totalTokens
+                )
+                
+            case .toolCall(let data):
+                touch(event)
+                toolCalls[event.step, default: []].append(
+                    APITraceToolCall(id: data.toolCallId, toolName: data.toolName, arguments: data.arguments)
+                )
+                
+            case .toolResult(let data):
+                touch(event)
+                let result = { (call: APITraceToolCall) in
+                    APITraceToolCall(
+                        id: call.id,
+                        toolName: call.toolName,
+                        arguments: call.arguments,
+                        success: data.success,
+                        result: data.resultPreview,
+                        errorMessage: data.errorMessage,
+                        durationMs: event.durationMs
+                    )
+                }
+                // Results usually land in the same step as their call, but search all steps to be safe
+                if let step = toolCalls.first(where: { $0.value.contains { $0.id == data.toolCallId } })?.key,
+                   let index = toolCalls[step]?.firstIndex(where: { $0.id == data.toolCallId }),
+                   let call = toolCalls[step]?[index] {
+                    toolCalls[step]?[index] = result(call)
+                } else {
+                    toolCalls[event.step, default: []].append(
+                        result(APITraceToolCall(id: data.toolCallId, toolName: data.toolName, arguments: "{}"))
+                    )
+                }
+                
+            case .userIntervention(let data):
+                touch(event)
+                let description = data.message.map { "\(data.interventionType): \($0)" } ?? data.interventionType
+                interventions[event.step, default: []].append(description)
+                
+            case .error(let data):
+                touch(event)
+                errors[event.step, default: []].append(
+                    APITraceError(errorType: data.errorType, message: data.message, recoverable: data.recoverable)
+                )
+                
+            case .custom:
+                break
+            }
+        }
+        
+        let steps = stepOrder.sorted().map { step in
+            let stepUsage = usage[step] ?? (0, 0, 0)
+            return APITraceStep(
+                step: step,
+                timestamp: stepTimestamps[step] ?? Date(),
+                screenshot: screenshots[step],
+                responseText: responseTexts[step],
+                reasoning: reasonings[step],
+                promptTokens: stepUsage.prompt,
+                completionTokens: stepUsage.completion,
+                totalTokens: stepUsage.total > 0 ? stepUsage.total : stepUsage.prompt + stepUsage.completion,
+                toolCalls: toolCalls[step] ?? [],
+                errors: errors[step] ?? [],
+                interventions: interventions[step] ?? []
+            )
+        }
+        
+        return APISessionTrace(
+            taskId: taskId,
+            sessionId: sessionId,
+            model: model,
+            status: status,
+            summary: summary,
+            startedAt: startedAt,
+            endedAt: endedAt,
+            promptTokens: steps.reduce(0) { $0 + $1.promptTokens },
+            completionTokens: steps.reduce(0) { $0 + $1.completionTokens },
+            totalTokens: steps.reduce(0) { $0 + $1.totalTokens },
+            steps: steps
+        )
+    }
 }
 
 // MARK: - Schedule Conversions
@@ -400,6 +644,8 @@ extension APIServiceProviderBridge {
             modelId: schedule.modelId,
             reasoningEnabled: schedule.reasoningEnabled,
             reasoningEffort: schedule.reasoningEffort,
+            templateId: schedule.templateId,
+            credentialIds: schedule.credentialIds ?? (schedule.allowsAllCredentials != false ? nil : []),
             isEnabled: schedule.isEnabled,
             scheduleType: schedule.scheduleType.displayName.lowercased(),
             scheduledAt: schedule.scheduledDate,
@@ -497,3 +743,88 @@ extension APIServiceProviderBridge {
         }
     }
 }
+
+// MARK: - Batch Conversions
+
+extension APIServiceProviderBridge {
+    
+    /// Build the comparison payload for a batch's runs (oldest first, matching creation order)
+    func convertToAPITaskBatch(batchId: String, tasks: [TaskRecord]) -> APITaskBatch {
+        let runs = tasks
+            .sorted { $0.sortOrder < $1.sortOrder }
+            .map(convertToAPIBatchRun)
+        
+        return APITaskBatch(
+            batchId: batchId,
+            description: tasks.first?.taskDescription ?? "",
+            createdAt: tasks.map(\.createdAt).min() ?? Date(),
+            winnerTaskId: tasks.first(where: { $0.isBatchWinner == true })?.id,
+            runs: runs
+        )
+    }
+    
+    func convertToAPIBatchRun(_ task: TaskRecord) -> APIBatchRun {
+        var stepCount: Int?
+        var tokenUsage: APITokenUsage?
+        
+        // Live runs report from their publisher; finished runs fall back to the stored trace
+        if let publisher = taskService.statePublishers[task.id] {
+            stepCount = publisher.currentStep
+            tokenUsage = APITokenUsage(
+                prompt: publisher.promptTokens,
+                completion: publisher.completionTokens,
+                total: publisher.totalTokens
+            )
+        } else if let sessionId = task.sessionId {
+            let tracePath = AppPaths.sessionDirectory(id: sessionId).appendingPathComponent("trace.jsonl")
+            if let events = try? AgentTracer.parseTraceFile(at: tracePath) {
+                let trace = convertToAPISessionTrace(taskId: task.id, sessionId: sessionId, events: events)
+                stepCount = trace.steps.map(\.step).max() ?? 0
+                tokenUsage = APITokenUsage(
+                    prompt: trace.promptTokens,
+                    completion: trace.completionTokens,
+                    total: trace.totalTokens
+                )
+            }
+        }
+        
+        return APIBatchRun(
+            taskId: task.id,
+            title: task.title,
+            status: convertToAPIStatus(task.status),
+            providerName: getProviderName(for: task.providerId),
+            modelId: task.modelId,
+            reasoningEffort: task.reasoningEffort,
+            wasSuccessful: task.wasSuccessful,
+            isWinner: task.isBatchWinner == true,
+            startedAt: task.startedAt,
+            completedAt: task.completedAt,
+            duration: task.startedAt.map { _ in Int(task.duration) },
+            stepCount: stepCount,
+            tokenUsage: tokenUsage,
+            resultSummary: task.resultSummary,
+            errorMessage: task.errorMessage,
+            outputFiles: getOutputFiles(for: task)
+        )
+    }
+}
+
+// MARK: - Context Conversions
+
+extension APIServiceProviderBridge {
+    
+    func convertToAPIContextSuggestion(_ suggestion: PromptContextSuggestion) -> APIContextSuggestion {
+        let defaultMode = PromptContextSuggestionProvider.defaultMode(forSourceType: suggestion.sourceType)
+        return APIContextSuggestion(
+            id: suggestion.id,
+            sourceType: suggestion.sourceType,
+            title: suggestion.title,
+            snippet: suggestion.snippet,
+            sourcePathOrHandle: suggestion.sourcePathOrHandle,
+            relevanceScore: suggestion.relevanceScore,
+            risk: suggestion.risk,
+            reasons: suggestion.reasons,
+            defaultMode: APIContextMode(rawValue: defaultMode.rawValue) ?? .structuredSummary
+        )
+    }
+}
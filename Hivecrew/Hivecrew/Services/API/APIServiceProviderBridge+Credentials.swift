@@ -0,0 +1,90 @@
+//
+//  APIServiceProviderBridge+Credentials.swift
+//  Hivecrew
+//
+//  Stored credential management for APIServiceProviderBridge
+//
+
+import Foundation
+import HivecrewAPI
+
+// MARK: - Credentials
+
+extension APIServiceProviderBridge {
+
+    func getCredentials() async throws -> APICredentialListResponse {
+        let credentials = CredentialManager.shared.allCredentials()
+            .sorted { $0.displayName.localizedCaseInsensitiveCompare($1.displayName) == .orderedAscending }
+        return APICredentialListResponse(credentials: credentials.map(convertToAPICredential))
+    }
+
+    func createCredential(request: APICreateCredentialRequest) async throws -> APICredential {
+        let displayName = request.displayName.trimmingCharacters(in: .whitespacesAndNewlines)
+        guard !displayName.isEmpty else {
+            throw APIError.badRequest("displayName is required")
+        }
+        guard !request.password.isEmpty else {
+            throw APIError.badRequest("password is required")
+        }
+
+        do {
+            let credential = try CredentialManager.shared.addCredential(
+                displayName: displayName,
+                username: request.username?.trimmingCharacters(in: .whitespacesAndNewlines),
+                password: request.password
+            )
+            return convertToAPICredential(credential)
+        } catch CredentialManagerError.duplicateCredential(let name) {
+            throw APIError.conflict("Credential '\(name)' already exists")
+        }
+    }
+
+    func importCredentials(csv: String) async throws -> APICredentialImportResponse {
+        let entries = CredentialManager.parseCSV(csv)
+        guard !entries.isEmpty else {
+            throw APIError.badRequest("No valid credentials found in CSV file")
+        }
+
+        let result = CredentialManager.shared.importCredentials(entries)
+        return APICredentialImportResponse(
+            imported: result.imported,
+            skipped: result.skipped,
+            errors: result.errors
+        )
+    }
+
+    func deleteCredential(id: String) async throws {
+        guard let credential = credential(id: id) else {
+            throw APIError.notFound("Credential with ID '\(id)' not found")
+        }
+        try CredentialManager.shared.deleteCredential(id: credential.id)
+    }
+
+    // MARK: - Helpers
+
+    /// Checks that every credential given to a task exists, dropping duplicates
+    /// API tasks only get the credentials they list, so nil gives none
+    func validatedCredentialIds(_ ids: [String]?) throws -> [String] {
+        guard let ids else { return [] }
+        var seen = Set<String>()
+        return try ids.filter { id in
+            guard credential(id: id) != nil else {
+                throw APIError.notFound("Credential with ID '\(id)' not found")
+            }
+            return seen.insert(id).inserted
+        }
+    }
+
+    private func credential(id: String) -> StoredCredential? {
+        CredentialManager.shared.allCredentials().first { $0.id.uuidString == id }
+    }
+
+    /// Built from metadata only, so listing credentials never reads the Keychain
+    private func convertToAPICredential(_ credential: StoredCredential) -> APICredential {
+        APICredential(
+            id: credential.id.uuidString,
+            displayName: credential.displayName,
+            username: credential.username
+        )
+    }
+}
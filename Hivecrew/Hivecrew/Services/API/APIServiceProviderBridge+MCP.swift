@@ -0,0 +1,235 @@
+//
+//  APIServiceProviderBridge+MCP.swift
+//  Hivecrew
+//
+//  MCP server management for APIServiceProviderBridge
+//
+
+import Foundation
+import SwiftData
+import HivecrewAPI
+import HivecrewMCP
+
+// MARK: - MCP Servers
+
+extension APIServiceProviderBridge {
+
+    func getMCPServers() async throws -> APIMCPServerListResponse {
+        let descriptor = FetchDescriptor<MCPServerRecord>(sortBy: [SortDescriptor(\.sortOrder)])
+        let servers = try modelContext.fetch(descriptor)
+
+        var apiServers: [APIMCPServer] = []
+        for server in servers {
+            apiServers.append(await convertToAPIMCPServer(server))
+        }
+        return APIMCPServerListResponse(servers: apiServers)
+    }
+
+    func createMCPServer(request: APICreateMCPServerRequest) async throws -> APIMCPServer {
+        let displayName = request.displayName.trimmingCharacters(in: .whitespacesAndNewlines)
+        guard !displayName.isEmpty else {
+            throw APIError.badRequest("displayName is required")
+        }
+
+        let isStdio = request.transportType == .stdio
+        let environment = request.environment ?? [:]
+        let server = MCPServerRecord(
+            displayName: displayName,
+            isEnabled: request.isEnabled ?? true,
+            transportType: isStdio ? .stdio : .http,
+            command: isStdio ? Self.trimmedOrNil(request.command) : nil,
+            arguments: isStdio ? request.arguments : nil,
+            workingDirectory: isStdio ? Self.trimmedOrNil(request.workingDirectory) : nil,
+            environment: isStdio && !environment.isEmpty ? environment : nil,
+            serverURL: isStdio ? nil : Self.trimmedOrNil(request.serverURL),
+            sortOrder: try modelContext.fetchCount(FetchDescriptor<MCPServerRecord>())
+        )
+        guard server.isValid else {
+            throw APIError.badRequest(isStdio ? "command is required for stdio servers" : "A valid serverURL is required for HTTP servers")
+        }
+
+        modelContext.insert(server)
+        try modelContext.save()
+
+        if server.isEnabled {
+            await MCPServerManager.shared.reconnect(serverId: server.id)
+        }
+        return await convertToAPIMCPServer(server)
+    }
+
+    func updateMCPServer(id: String, request: APIUpdateMCPServerRequest) async throws -> APIMCPServer {
+        let server = try fetchMCPServer(id: id)
+        let wasEnabled = server.isEnabled
+
+        if let displayName = request.displayName?.trimmingCharacters(in: .whitespacesAndNewlines), !displayName.isEmpty {
+            server.displayName = displayName
+        }
+        if let isEnabled = request.isEnabled {
+            server.isEnabled = isEnabled
+        }
+        if let transportType = request.transportType {
+            server.transportType = transportType == .stdio ? .stdio : .http
+        }
+        if let command = request.command {
+            server.command = Self.trimmedOrNil(command)
+        }
+        if let arguments = request.arguments {
+            server.arguments = arguments
+        }
+        if let workingDirectory = request.workingDirectory {
+            server.workingDirectory = Self.trimmedOrNil(workingDirectory)
+        }
+        if request.environment != nil || request.removeEnvironment != nil {
+            var environment = server.environment
+            environment.merge(request.environment ?? [:]) { _, new in new }
+            for key in request.removeEnvironment ?? [] {
+                environment.removeValue(forKey: key)
+            }
+            server.environment = environment
+        }
+        if let serverURL = request.serverURL {
+            server.serverURL = Self.trimmedOrNil(serverURL)
+        }
+
+        // Like the settings sheet, keep only the fields the chosen transport uses
+        if server.transportType == .stdio {
+            server.serverURL = nil
+        } else {
+            server.command = nil
+            server.arguments = []
+            server.workingDirectory = nil
+            server.environment = [:]
+        }
+
+        guard server.isValid else {
+            modelContext.rollback()
+            throw APIError.badRequest(server.transportType == .stdio ? "command is required for stdio servers" : "A valid serverURL is required for HTTP servers")
+        }
+        try modelContext.save()
+
+        // Reconnect so configuration changes take effect, or disconnect if just disabled
+        if server.isEnabled {
+            await MCPServerManager.shared.reconnect(serverId: server.id)
+        } else if wasEnabled {
+            await MCPServerManager.shared.disconnect(from: server.id)
+        }
+        return await convertToAPIMCPServer(server)
+    }
+
+    func deleteMCPServer(id: String) async throws {
+        let server = try fetchMCPServer(id: id)
+        await MCPServerManager.shared.disconnect(from: server.id)
+        modelContext.delete(server)
+        try modelContext.save()
+    }
+
+    func reconnectMCPServer(id: String) async throws -> APIMCPServer {
+        let server = try fetchMCPServer(id: id)
+        guard server.isEnabled else {
+            throw APIError.conflict("MCP server '\(server.displayName)' is disabled; enable it before reconnecting")
+        }
+
+        await MCPServerManager.shared.reconnect(serverId: server.id)
+        return await convertToAPIMCPServer(server)
+    }
+
+    func getMCPServerTools(id: String) async throws -> APIMCPToolListResponse {
+        let server = try fetchMCPServer(id: id)
+        guard case .connected = MCPServerManager.shared.getState(for: server.id) else {
+            throw APIError.conflict("MCP server '\(server.displayName)' is not connected")
+        }
+
+        let tools = await MCPServerManager.shared.getTools(for: server.id)
+        return APIMCPToolListResponse(
+            serverId: server.id,
+            tools: tools.map { tool in
+                APIMCPTool(
+                    name: tool.name,
+                    agentToolName: "mcp_\(server.sanitizedName)_\(tool.name)",
+                    description: tool.description,
+                    parameters: Self.toolParameters(tool.inputSchema)
+                )
+            }
+        )
+    }
+
+    // MARK: - Helpers
+
+    /// Checks that every server in a task's MCP restriction exists, dropping duplicates
+    func validatedMCPServerIds(_ ids: [String]?) throws -> [String]? {
+        guard let ids else { return nil }
+        let knownIds = Set(try modelContext.fetch(FetchDescriptor<MCPServerRecord>()).map(\.id))
+        var seen = Set<String>()
+        return try ids.filter { id in
+            guard knownIds.contains(id) else {
+                throw APIError.notFound("MCP server with ID '\(id)' not found")
+            }
+            return seen.insert(id).inserted
+        }
+    }
+
+    private func fetchMCPServer(id: String) throws -> MCPServerRecord {
+        let descriptor = FetchDescriptor<MCPServerRecord>(
+            predicate: #Predicate { $0.id == id }
+        )
+        guard let server = try modelContext.fetch(descriptor).first else {
+            throw APIError.notFound("MCP server with ID '\(id)' not found")
+        }
+        return server
+    }
+
+    private func convertToAPIMCPServer(_ server: MCPServerRecord) async -> APIMCPServer {
+        let connectionState: APIMCPConnectionState
+        var connectionError: String?
+        switch MCPServerManager.shared.getState(for: server.id) {
+        case .disconnected: connectionState = .disconnected
+        case .connecting: connectionState = .connecting
+        case .connected: connectionState = .connected
+        case .error(let message):
+            connectionState = .error
+            connectionError = message
+        }
+
+        return APIMCPServer(
+            id: server.id,
+            displayName: server.displayName,
+            isEnabled: server.isEnabled,
+            transportType: server.transportType == .stdio ? .stdio : .http,
+            command: server.command,
+            arguments: server.arguments,
+            workingDirectory: server.workingDirectory,
+            environmentVariableNames: server.environment.keys.sorted(),
+            serverURL: server.serverURL,
+            connectionState: connectionState,
+            connectionError: connectionError,
+            toolCount: connectionState == .connected ? await MCPServerManager.shared.getToolCount(for: server.id) : 0,
+            createdAt: server.createdAt,
+            lastConnectedAt: server.lastConnectedAt
+        )
+    }
+
+    /// Top-level input parameters from a tool's JSON Schema, required ones first
+    private static func toolParameters(_ schema: MCPToolInputSchema) -> [APIMCPToolParameter] {
+        let required = Set(schema.required ?? [])
+        return (schema.properties ?? [:])
+            .map { name, value in
+                let property = value.toAny() as? [String: Any]
+                return APIMCPToolParameter(
+                    name: name,
+                    type: property?["type"] as? String,
+                    description: property?["description"] as? String,
+                    isRequired: required.contains(name)
+                )
+            }
+            .sorted { lhs, rhs in
+                lhs.isRequired != rhs.isRequired ? lhs.isRequired : lhs.name < rhs.name
+            }
+    }
+
+    private static func trimmedOrNil(_ raw: String?) -> String? {
+        guard let trimmed = raw?.trimmingCharacters(in: .whitespacesAndNewlines), !trimmed.isEmpty else {
+            return nil
+        }
+        return trimmed
+    }
+}
@@ -0,0 +1,150 @@
+//
+//  APIServiceProviderBridge+Provisioning.swift
+//  Hivecrew
+//
+//  VM provisioning settings and per-task overrides for APIServiceProviderBridge
+//
+
+import Foundation
+import HivecrewAPI
+
+// MARK: - Provisioning
+
+extension APIServiceProviderBridge {
+
+    func getProvisioning() async throws -> APIProvisioningResponse {
+        let config = VMProvisioningService.shared.config
+
+        let envVars = config.environmentVariables
+            .filter { !$0.key.isEmpty }
+            .map { APIEnvironmentVariable(key: $0.key, hasValue: !$0.value.isEmpty) }
+
+        return APIProvisioningResponse(
+            environmentVariables: envVars,
+            setupCommands: config.setupCommands,
+            injectedFiles: config.fileInjections.map(convertToAPIInjectedFile)
+        )
+    }
+
+    func updateProvisioning(request: APIUpdateProvisioningRequest) async throws -> APIProvisioningResponse {
+        let service = VMProvisioningService.shared
+        var config = service.config
+
+        for (key, value) in (request.environment ?? [:]).sorted(by: { $0.key < $1.key }) {
+            try Self.validateEnvironmentKey(key)
+            if let index = config.environmentVariables.firstIndex(where: { $0.key == key }) {
+                config.environmentVariables[index].value = value
+            } else {
+                config.environmentVariables.append(.init(key: key, value: value))
+            }
+        }
+        let removedKeys = Set(request.removeEnvironment ?? [])
+        config.environmentVariables.removeAll { removedKeys.contains($0.key) }
+
+        if let setupCommands = request.setupCommands {
+            config.setupCommands = Self.nonEmptyCommands(setupCommands)
+        }
+
+        service.config = config
+        service.save()
+        return try await getProvisioning()
+    }
+
+    func addInjectedFile(fileName: String, data: Data, guestPath: String?) async throws -> APIInjectedFile {
+        let fileName = (fileName as NSString).lastPathComponent.trimmingCharacters(in: .whitespacesAndNewlines)
+        guard !fileName.isEmpty, fileName != ".", fileName != ".." else {
+            throw APIError.badRequest("Invalid file name")
+        }
+        let trimmedGuestPath = guestPath?.trimmingCharacters(in: .whitespacesAndNewlines) ?? ""
+
+        let service = VMProvisioningService.shared
+        let storedName = try service.importFile(named: fileName, contents: data)
+        let injection = VMProvisioningConfig.FileInjection(
+            fileName: storedName,
+            guestPath: trimmedGuestPath.isEmpty ? "~/Desktop/\(fileName)" : trimmedGuestPath
+        )
+
+        service.config.fileInjections.append(injection)
+        service.save()
+        return convertToAPIInjectedFile(injection)
+    }
+
+    func updateInjectedFile(id: String, request: APIUpdateInjectedFileRequest) async throws -> APIInjectedFile {
+        let service = VMProvisioningService.shared
+        let index = try fileInjectionIndex(id: id)
+        let guestPath = request.guestPath.trimmingCharacters(in: .whitespacesAndNewlines)
+        guard !guestPath.isEmpty else {
+            throw APIError.badRequest("guestPath is required")
+        }
+
+        service.config.fileInjections[index].guestPath = guestPath
+        service.save()
+        return convertToAPIInjectedFile(service.config.fileInjections[index])
+    }
+
+    func deleteInjectedFile(id: String) async throws {
+        let service = VMProvisioningService.shared
+        let injection = service.config.fileInjections[try fileInjectionIndex(id: id)]
+
+        // Same as the settings sheet: uploaded and legacy entries own their stored asset copy
+        if !injection.hasLiveSourceReference {
+            service.removeFile(named: injection.fileName)
+        }
+        service.config.fileInjections.removeAll { $0.id == injection.id }
+        service.save()
+    }
+
+    // MARK: - Helpers
+
+    /// Converts a task's provisioning overrides, checking variable names and injected file IDs
+    func validatedProvisioningOverrides(_ overrides: APIProvisioningOverrides?) throws -> TaskProvisioningOverrides? {
+        guard let overrides else { return nil }
+
+        let environment = overrides.environment ?? [:]
+        for key in environment.keys {
+            try Self.validateEnvironmentKey(key)
+        }
+        let knownFileIds = Set(VMProvisioningService.shared.config.fileInjections.map(\.id.uuidString))
+        var seenFileIds = Set<String>()
+        let fileIds = try overrides.injectedFileIds?.filter { id in
+            guard knownFileIds.contains(id) else {
+                throw APIError.notFound("Injected file with ID '\(id)' not found")
+            }
+            return seenFileIds.insert(id).inserted
+        }
+
+        let result = TaskProvisioningOverrides(
+            environment: environment,
+            setupCommands: overrides.setupCommands.map(Self.nonEmptyCommands),
+            fileInjectionIds: fileIds
+        )
+        return result.isEmpty ? nil : result
+    }
+
+    private func fileInjectionIndex(id: String) throws -> Int {
+        guard let index = VMProvisioningService.shared.config.fileInjections.firstIndex(where: { $0.id.uuidString == id }) else {
+            throw APIError.notFound("Injected file with ID '\(id)' not found")
+        }
+        return index
+    }
+
+    private func convertToAPIInjectedFile(_ injection: VMProvisioningConfig.FileInjection) -> APIInjectedFile {
+        APIInjectedFile(
+            id: injection.id.uuidString,
+            fileName: injection.resolvedFileName,
+            guestPath: injection.guestPath,
+            sourceExists: VMProvisioningService.shared.fileInjectionSourceExists(injection)
+        )
+    }
+
+    /// Variables are written as `export KEY="value"`, so names must be plain shell identifiers
+    private static func validateEnvironmentKey(_ key: String) throws {
+        guard key.range(of: "^[A-Za-z_][A-Za-z0-9_]*$", options: .regularExpression) != nil else {
+            throw APIError.badRequest("Invalid environment variable name '\(key)'")
+        }
+    }
+
+    private static func nonEmptyCommands(_ commands: [String]) -> [String] {
+        commands.filter { !$0.trimmingCharacters(in: .whitespacesAndNewlines).isEmpty }
+    }
+}
@@ -0,0 +1,165 @@
+//
+//  APIServiceProviderBridge+System.swift
+//  Hivecrew
+//
+//  Resource history and VM inventory for APIServiceProviderBridge
+//
+
+import Foundation
+import HivecrewAPI
+
+// MARK: - System History & VMs
+
+extension APIServiceProviderBridge {
+
+    func getSystemHistory() async throws -> APISystemHistoryResponse {
+        APISystemHistoryResponse(
+            intervalSeconds: SystemMetricsRecorder.sampleInterval,
+            memoryTotalGB: Double(ProcessInfo.processInfo.physicalMemory) / (1024 * 1024 * 1024),
+            maxConcurrent: VMConcurrencyPolicy.effectiveMaxConcurrentVMs(),
+            samples: metricsRecorder.samples()
+        )
+    }
+
+    func getVMs() async throws -> APIVMListResponse {
+        let vms = try await currentVMs()
+        let templateNames = Dictionary(
+            ((try? await vmServiceClient.listTemplates()) ?? []).map { ($0.id, $0.name) },
+            uniquingKeysWith: { first, _ in first }
+        )
+        let developerVMIds = taskService.getDeveloperVMIds()
+        let defaultTemplateId = UserDefaults.standard.string(forKey: "defaultTemplateId")
+
+        let apiVMs = vms.map { vm -> APIVM in
+            let task = attachedTask(for: vm.id)
+            // Tasks without a template run on whichever template is the default
+            let templateId = task.map { $0.templateId ?? defaultTemplateId } ?? nil
+            let startedAt = taskService.vmRuntime.startTimes[vm.id]
+            return APIVM(
+                id: vm.id,
+                name: vm.configuration.displayName ?? vm.name,
+                state: convertToAPIVMState(vm.status),
+                isRunning: taskService.vmRuntime.getVM(id: vm.id) != nil,
+                isDeveloperVM: developerVMIds.contains(vm.id),
+                isOrphaned: taskService.isVMOrphaned(vm),
+                templateId: templateId,
+                templateName: templateId.flatMap { templateNames[$0] },
+                taskId: task?.id,
+                taskTitle: task?.title,
+                taskStatus: task.map { convertToAPIStatus($0.status) },
+                cpuCount: vm.configuration.cpuCount,
+                memoryGB: vm.configuration.memoryGB,
+                createdAt: vm.createdAt,
+                startedAt: startedAt,
+                uptime: startedAt.map { Int(Date().timeIntervalSince($0)) }
+            )
+        }
+
+        let effectiveMax = VMConcurrencyPolicy.effectiveMaxConcurrentVMs()
+        let taskVMs = taskService.runningAgents.count
+        let developerVMs = taskService.countRunningDeveloperVMs()
+        let pending = taskService.pendingVMCount
+        let tearingDown = taskService.tearingDownVMIds.count
+        return APIVMListResponse(
+            vms: apiVMs,
+            capacity: APIVMCapacity(
+                maxConcurrent: effectiveMax,
+                taskVMs: taskVMs,
+                developerVMs: developerVMs,
+                pending: pending,
+                tearingDown: tearingDown,
+                available: max(0, effectiveMax - taskVMs - developerVMs - pending - tearingDown)
+            )
+        )
+    }
+
+    func stopVM(id: String) async throws {
+        guard taskService.vmRuntime.getVM(id: id) != nil else {
+            guard taskService.vmDirectoryExists(id) else {
+                throw APIError.notFound("VM with ID '\(id)' not found")
+            }
+            throw APIError.conflict("VM '\(id)' is not running")
+        }
+        if let task = attachedTask(for: id), task.status.isActive {
+            throw APIError.conflict("VM is in use by task '\(task.title)'; cancel the task instead")
+        }
+
+        try await taskService.vmRuntime.stopVM(id: id, force: false)
+        await vmServiceClient.refreshVMs()
+    }
+
+    func deleteVM(id: String) async throws {
+        guard let vm = try await currentVMs().first(where: { $0.id == id }) else {
+            throw APIError.notFound("VM with ID '\(id)' not found")
+        }
+        guard taskService.isVMOrphaned(vm) else {
+            if taskService.getDeveloperVMIds().contains(id) {
+                throw APIError.conflict("Developer VMs can only be deleted from the Mac app's settings")
+            }
+            throw APIError.conflict("VM '\(vm.name)' is still in use")
+        }
+        guard await taskService.deleteOrphanedVM(id: id) else {
+            throw APIError.internalError("Failed to delete VM '\(vm.name)'")
+        }
+        await vmServiceClient.refreshVMs()
+    }
+
+    func cleanupOrphanedVMs() async throws -> APIVMCleanupResponse {
+        let orphanedVMs = try await currentVMs().filter { taskService.isVMOrphaned($0) }
+        var deletedVMIds: [String] = []
+        var failedVMIds: [String] = []
+        for vm in orphanedVMs {
+            if await taskService.deleteOrphanedVM(id: vm.id) {
+                deletedVMIds.append(vm.id)
+            } else {
+                failedVMIds.append(vm.id)
+            }
+        }
+        if !orphanedVMs.isEmpty {
+            await vmServiceClient.refreshVMs()
+        }
+        return APIVMCleanupResponse(deletedVMIds: deletedVMIds, failedVMIds: failedVMIds)
+    }
+
+    // MARK: - Helpers
+
+    /// Build the next history sample
+    func makeSystemSample() -> APISystemSample {
+        APISystemSample(
+            timestamp: Date(),
+            cpuUsage: metricsRecorder.measureCPUUsage(),
+            memoryUsedGB: SystemMetricsRecorder.memoryUsedGB(),
+            runningAgents: taskService.runningAgents.count,
+            queuedTasks: taskService.queuedTasks.count,
+            activeVMs: taskService.runningAgents.count + taskService.countRunningDeveloperVMs(),
+            pendingVMs: taskService.pendingVMCount + taskService.tearingDownVMIds.count
+        )
+    }
+
+    /// VM bundles from the VM service, newest first, marked ready when running in the app process
+    private func currentVMs() async throws -> [VMInfo] {
+        var vms = try await vmServiceClient.listVMs()
+        for index in vms.indices where taskService.vmRuntime.getVM(id: vms[index].id) != nil {
+            vms[index].status = .ready
+        }
+        return vms.sorted { $0.createdAt > $1.createdAt }
+    }
+
+    /// The most recent task that ran on a VM
+    private func attachedTask(for vmId: String) -> TaskRecord? {
+        taskService.tasks
+            .filter { $0.assignedVMId == vmId }
+            .max { $0.createdAt < $1.createdAt }
+    }
+
+    private func convertToAPIVMState(_ status: VMStatus) -> APIVMState {
+        switch status {
+        case .stopped: return .stopped
+        case .booting: return .booting
+        case .ready: return .ready
+        case .busy: return .busy
+        case .suspending: return .suspending
+        case .error: return .error
+        }
+    }
+}
@@ -0,0 +1,223 @@
+//
+//  APIServiceProviderBridge+TaskFiles.swift
+//  Hivecrew
+//
+//  Task file listing, lookup, ZIP selection and inbox uploads for APIServiceProviderBridge
+//
+
+import Foundation
+import HivecrewAPI
+
+// MARK: - Task Files
+
+extension APIServiceProviderBridge {
+
+    func getTaskFiles(id: String) async throws -> APITaskFilesResponse {
+        guard let task = taskService.tasks.first(where: { $0.id == id }) else {
+            throw APIError.notFound("Task with ID '\(id)' not found")
+        }
+
+        return APITaskFilesResponse(
+            taskId: id,
+            inputFiles: Self.fileDetails(roots: Self.inputRoots(of: task)),
+            outputFiles: Self.fileDetails(roots: Self.outputRoots(of: task))
+        )
+    }
+
+    func getTaskFileURL(taskId: String, path: String, isInput: Bool) async throws -> (url: URL, mimeType: String) {
+        guard let task = taskService.tasks.first(where: { $0.id == taskId }) else {
+            throw APIError.notFound("Task with ID '\(taskId)' not found")
+        }
+
+        let url = try Self.resolveFile(path, roots: isInput ? Self.inputRoots(of: task) : Self.outputRoots(of: task))
+        if (try? url.resourceValues(forKeys: [.isDirectoryKey]).isDirectory) == true {
+            throw APIError.badRequest("'\(path)' is a folder; download it as an archive instead")
+        }
+
+        return (url, APIFile.mimeType(for: url.lastPathComponent))
+    }
+
+    func getTaskArchiveEntries(
+        taskId: String,
+        files: [APITaskFileReference]?
+    ) async throws -> (fileName: String, entries: [(path: String, url: URL)]) {
+        guard let task = taskService.tasks.first(where: { $0.id == taskId }) else {
+            throw APIError.notFound("Task with ID '\(taskId)' not found")
+        }
+
+        let references = files ?? [APITaskFileReference(type: .input), APITaskFileReference(type: .output)]
+        var entries: [(path: String, url: URL)] = []
+        var includedPaths = Set<String>()
+
+        for reference in references {
+            let isInput = reference.type == .input
+            let roots = isInput ? Self.inputRoots(of: task) : Self.outputRoots(of: task)
+            let prefix = isInput ? "inputs" : "outputs"
+
+            let selected: [(path: String, url: URL)]
+            if let path = reference.path {
+                let url = try Self.resolveFile(path, roots: roots)
+                selected = Self.files(under: url, path: path.split(separator: "/").joined(separator: "/"))
+            } else {
+                selected = roots.flatMap { root in
+                    Self.files(under: URL(fileURLWithPath: root.path), path: root.name)
+                }
+            }
+
+            // Overlapping selections (a folder and a file inside it) add each file once
+            for file in selected where includedPaths.insert("\(prefix)/\(file.path)").inserted {
+                entries.append((path: "\(prefix)/\(file.path)", url: file.url))
+            }
+        }
+
+        guard !entries.isEmpty else {
+            throw APIError.notFound("No files to download for task '\(taskId)'")
+        }
+
+        return ("\(Self.archiveBaseName(task.title))-files.zip", entries)
+    }
+
+    func uploadFilesToTaskInbox(taskId: String, filePaths: [String], message: String?) async throws -> APITaskInboxUploadResponse {
+        guard let task = taskService.tasks.first(where: { $0.id == taskId }) else {
+            throw APIError.notFound("Task with ID '\(taskId)' not found")
+        }
+        guard task.status == .running || task.status == .paused else {
+            throw APIError.conflict("Cannot upload files to task with status '\(task.status.displayName)' — task must be running")
+        }
+        guard let agent = taskService.runningAgents[task.id],
+              let statePublisher = taskService.statePublishers[task.id],
+              let vmId = task.assignedVMId else {
+            throw APIError.conflict("No active agent found for task '\(taskId)'")
+        }
+
+        let delivered = try await taskService.deliverFilesToInbox(
+            vmId: vmId,
+            connection: agent.connection,
+            filePaths: filePaths
+        )
+
+        // Listed with the task's input files under their guest inbox names, which never repeat,
+        // but kept out of its attachments so a rerun does not start with them
+        task.inboxUploads += zip(delivered, filePaths).map { TaskInboxUpload(name: $0.name, path: $1) }
+        try? modelContext.save()
+
+        let fileList = delivered.map { "- \($0.vmPath)" }.joined(separator: "\n")
+        var notice = "The user added \(delivered.count) file(s) to your inbox:\n\(fileList)"
+        if let message {
+            notice += "\n\(message)"
+        }
+        statePublisher.logInfo("Files uploaded to inbox: \(delivered.map(\.name).joined(separator: ", "))")
+        statePublisher.queueInstructions(notice)
+
+        return APITaskInboxUploadResponse(
+            taskId: taskId,
+            files: delivered.map { APITaskInboxFile(name: $0.name, vmPath: $0.vmPath, size: $0.size) }
+        )
+    }
+
+    // MARK: - Helpers
+
+    /// Top-level inputs keyed by the name that addresses them: attachments by file name, inbox uploads by their guest inbox name
+    private static func inputRoots(of task: TaskRecord) -> [(name: String, path: String)] {
+        task.attachedFilePaths.map { (name: URL(fileURLWithPath: $0).lastPathComponent, path: $0) }
+            + task.inboxUploads.map { (name: $0.name, path: $0.path) }
+    }
+
+    /// Top-level outputs keyed by file name
+    private static func outputRoots(of task: TaskRecord) -> [(name: String, path: String)] {
+        (task.outputFilePaths ?? []).map { (name: URL(fileURLWithPath: $0).lastPathComponent, path: $0) }
+    }
+
+    /// Metadata for every file under the given top-level inputs or outputs, expanding folders
+    private static func fileDetails(roots: [(name: String, path: String)]) -> [APIFileDetail] {
+        roots
+            .flatMap { root in
+                files(under: URL(fileURLWithPath: root.path), path: root.name)
+            }
+            .map { file in
+                let values = try? file.url.resourceValues(forKeys: [.fileSizeKey, .creationDateKey, .contentModificationDateKey])
+                // An inbox upload is named as the agent sees it, which can differ from the host copy
+                let name = (file.path as NSString).lastPathComponent
+                return APIFileDetail(
+                    name: name,
+                    path: file.path,
+                    size: Int64(values?.fileSize ?? 0),
+                    mimeType: APIFile.mimeType(for: file.url.lastPathComponent),
+                    createdAt: values?.creationDate,
+                    modifiedAt: values?.contentModificationDate
+                )
+            }
+    }
+
+    /// Files at or below `url`, paired with their task-relative paths
+    ///
+    /// Hidden files and symbolic links inside folders are skipped, so a link written by the agent
+    /// cannot expose files from elsewhere on the host.
+    private static func files(under url: URL, path: String) -> [(path: String, url: URL)] {
+        let fileManager = FileManager.default
+        var isDirectory: ObjCBool = false
+        guard fileManager.fileExists(atPath: url.path, isDirectory: &isDirectory) else {
+            return []
+        }
+        guard isDirectory.boolValue else {
+            return [(path: path, url: url)]
+        }
+
+        let keys: [URLResourceKey] = [.isRegularFileKey, .isSymbolicLinkKey]
+        guard let enumerator = fileManager.enumerator(at: url, includingPropertiesForKeys: keys, options: [.skipsHiddenFiles]) else {
+            return []
+        }
+
+        var files: [(path: String, url: URL)] = []
+        for case let fileURL as URL in enumerator {
+            guard let values = try? fileURL.resourceValues(forKeys: Set(keys)),
+                  values.isRegularFile == true,
+                  values.isSymbolicLink != true else {
+                continue
+            }
+            let relativePath = fileURL.pathComponents.dropFirst(url.pathComponents.count).joined(separator: "/")
+            files.append((path: "\(path)/\(relativePath)", url: fileURL))
+        }
+        return files.sorted { $0.path.localizedStandardCompare($1.path) == .orderedAscending }
+    }
+
+    /// Resolves a task-relative path: the first component names a top-level input or output, the rest a file or folder inside it
+    private static func resolveFile(_ path: String, roots: [(name: String, path: String)]) throws -> URL {
+        let components = path.split(separator: "/").map(String.init)
+        guard let rootName = components.first,
+              !components.contains(where: { $0 == "." || $0 == ".." }) else {
+            throw APIError.badRequest("Invalid file path '\(path)'")
+        }
+        guard let rootPath = roots.first(where: { $0.name == rootName })?.path else {
+            throw APIError.notFound("File '\(path)' not found in task")
+        }
+
+        let root = URL(fileURLWithPath: rootPath)
+        let url = components.dropFirst().reduce(root) { $0.appendingPathComponent($1) }
+
+        // Paths inside a folder must not leave it through a symbolic link
+        if components.count > 1 {
+            let resolvedRoot = root.resolvingSymlinksInPath().path
+            let resolved = url.resolvingSymlinksInPath().path
+            guard resolved.hasPrefix(resolvedRoot + "/") else {
+                throw APIError.notFound("File '\(path)' not found in task")
+            }
+        }
+
+        guard FileManager.default.fileExists(atPath: url.path) else {
+            throw APIError.notFound("File '\(path)' no longer exists at expected location")
+        }
+        return url
+    }
+
+    /// Task title made safe for a download file name
+    private static func archiveBaseName(_ title: String) -> String {
+        let sanitized = title
+            .replacingOccurrences(of: "/", with: "-")
+            .replacingOccurrences(of: ":", with: "-")
+            .replacingOccurrences(of: "\"", with: "")
+            .trimmingCharacters(in: .whitespacesAndNewlines)
+            .prefix(50)
+        return sanitized.isEmpty ? "task" : String(sanitized)
+    }
+}
@@ -0,0 +1,126 @@
+//
+//  APIServiceProviderBridge+TaskSearch.swift
+//  Hivecrew
+//
+//  Task list filtering and full-text search for APIServiceProviderBridge
+//
+
+import Foundation
+import SwiftData
+import HivecrewAPI
+
+// MARK: - Task Search
+
+extension APIServiceProviderBridge {
+    
+    /// Characters of context kept on each side of a match in search snippets
+    private static let snippetContextLength = 60
+    
+    /// IDs of providers whose display name matches (case-insensitive), or nil when not filtering by provider
+    func matchingProviderIds(named name: String?) throws -> Set<String>? {
+        guard let name else { return nil }
+        let providers = try modelContext.fetch(FetchDescriptor<LLMProviderRecord>())
+        return Set(
+            providers
+                .filter { $0.displayName.caseInsensitiveCompare(name) == .orderedSame }
+                .map(\.id)
+        )
+    }
+    
+    /// Whether a task passes every filter and contains every search term in one of its searchable fields
+    func taskMatches(
+        _ task: TaskRecord,
+        filter: APITaskListFilter,
+        terms: [String],
+        providerIds: Set<String>?
+    ) -> Bool {
+        if (task.isArchived == true) != filter.archived {
+            return false
+        }
+        if let status = filter.status,
+           !status.map(convertFromAPIStatus).contains(task.status) {
+            return false
+        }
+        if let createdAfter = filter.createdAfter, task.createdAt < createdAfter {
+            return false
+        }
+        if let createdBefore = filter.createdBefore, task.createdAt >= createdBefore {
+            return false
+        }
+        if let modelId = filter.modelId,
+           task.modelId.caseInsensitiveCompare(modelId) != .orderedSame {
+            return false
+        }
+        if let providerIds, !providerIds.contains(task.providerId) {
+            return false
+        }
+        if let wasSuccessful = filter.wasSuccessful, task.wasSuccessful != wasSuccessful {
+            return false
+        }
+        
+        guard !terms.isEmpty else { return true }
+        let fields = [
+            task.title,
+            task.taskDescription,
+            task.resultSummary ?? "",
+            task.errorMessage ?? "",
+            task.modelId
+        ]
+        return terms.allSatisfy { term in
+            fields.contains { Self.range(of: term, in: $0) != nil }
+        }
+    }
+    
+    /// Snippets of the description and result summary around the first matching term
+    func searchMatches(for task: TaskRecord, terms: [String]) -> [APITaskSearchMatch] {
+        let fields: [(name: String, text: String?)] = [
+            ("description", task.taskDescription),
+            ("resultSummary", task.resultSummary)
+        ]
+        return fields.compactMap { field in
+            guard let text = field.text,
+                  let snippet = Self.snippet(in: text, terms: terms) else {
+                return nil
+            }
+            return APITaskSearchMatch(field: field.name, snippet: snippet)
+        }
+    }
+    
+    /// Date a task is sorted by for the given `sort` parameter
+    func taskSortDate(_ task: TaskRecord, sortBy: String) -> Date? {
+        switch sortBy {
+        case "startedAt": return task.startedAt
+        case "completedAt": return task.completedAt
+        default: return task.createdAt
+        }
+    }
+    
+    // MARK: - Helpers
+    
+    private static func range(of term: String, in text: String) -> Range<String.Index>? {
+        text.range(of: term, options: [.caseInsensitive, .diacriticInsensitive])
+    }
+    
+    /// Excerpt of `text` centered on the earliest match of any term, with ellipses where it was cut
+    private static func snippet(in text: String, terms: [String]) -> String? {
+        guard let match = terms
+            .compactMap({ range(of: $0, in: text) })
+            .min(by: { $0.lowerBound < $1.lowerBound }) else {
+            return nil
+        }
+        
+        let start = text.index(match.lowerBound, offsetBy: -snippetContextLength, limitedBy: text.startIndex) ?? text.startIndex
+        let end = text.index(match.upperBound, offsetBy: snippetContextLength, limitedBy: text.endIndex) ?? text.endIndex
+        
+        var snippet = text[start..<end]
+            .replacingOccurrences(of: "\n", with: " ")
+            .trimmingCharacters(in: .whitespaces)
+        if start > text.startIndex {
+            snippet = "…" + snippet
+        }
+        if end < text.endIndex {
+            snippet += "…"
+        }
+        return snippet
+    }
+}
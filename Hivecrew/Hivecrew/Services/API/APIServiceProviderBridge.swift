@@ -24,6 +24,15 @@ final class APIServiceProviderBridge: APIServiceProvider, Sendable {
     /// App start time for uptime calculation
     private let appStartTime = Date()
     
+    /// Resource and capacity history for GET /system/history
+    let metricsRecorder = SystemMetricsRecorder()
+    
+    /// Shared ticker behind GET /events
+    let liveEvents = LiveEventBroadcaster()
+    
+    /// What live-event subscribers have been told so far
+    private var liveEventState = LiveEventState()
+    
     init(
         taskService: TaskService,
         schedulerService: SchedulerService,
@@ -36,6 +45,10 @@ final class APIServiceProviderBridge: APIServiceProvider, Sendable {
         self.vmServiceClient = vmServiceClient
         self.modelContext = modelContext
         self.fileStorage = fileStorage
+        
+        metricsRecorder.start { [weak self] in
+            await self?.makeSystemSample()
+        }
     }
     
     // MARK: - Task Operations
@@ -47,6 +60,7 @@ final class APIServiceProviderBridge: APIServiceProvider, Sendable {
         reasoningEnabled: Bool?,
         reasoningEffort: String?,
         attachedFilePaths: [String],
+        priority: APITaskPriority = .normal,
         outputDirectory: String?,
         planFirst: Bool = false,
         mentionedSkillNames: [String] = [],
@@ -56,10 +70,20 @@ final class APIServiceProviderBridge: APIServiceProvider, Sendable {
         contextSuggestionIds: [String] = [],
         contextModeOverrides: [String: String] = [:],
         contextInlineBlocks: [String] = [],
-        contextAttachmentPaths: [String] = []
+        contextAttachmentPaths: [String] = [],
+        templateId: String? = nil,
+        mcpServerIds: [String]? = nil,
+        provisioning: APIProvisioningOverrides? = nil,
+        credentialIds: [String]? = nil,
+        accessGrantIds: [String]? = nil
     ) async throws -> APITask {
         // Find provider by name
         let providerId = try await findProviderIdByName(providerName)
+        let templateId = try await validatedTemplateId(templateId)
+        let mcpServerIds = try validatedMCPServerIds(mcpServerIds)
+        let provisioningOverrides = try validatedProvisioningOverrides(provisioning)
+        let credentialIds = try validatedCredentialIds(credentialIds)
+        let localAccessGrants = try resolvedAccessGrants(accessGrantIds)
         
         // Create the task using TaskService
         let task = try await taskService.createTask(
@@ -78,7 +102,13 @@ final class APIServiceProviderBridge: APIServiceProvider, Sendable {
             retrievalContextAttachmentPaths: contextAttachmentPaths,
             retrievalSelectedSuggestionIds: contextSuggestionIds,
             retrievalModeOverrides: contextModeOverrides,
-            planFirstEnabled: planFirst
+            planFirstEnabled: planFirst,
+            localAccessGrants: localAccessGrants,
+            templateId: templateId,
+            priority: convertFromAPIPriority(priority),
+            mcpServerIds: mcpServerIds,
+            provisioningOverrides: provisioningOverrides,
+            credentialIds: credentialIds
         )
         
         return convertToAPITask(task)
@@ -88,8 +118,19 @@ final class APIServiceProviderBridge: APIServiceProvider, Sendable {
         description: String,
         targets: [CreateTaskBatchTarget],
         attachedFilePaths: [String],
+        priority: APITaskPriority,
+        outputDirectory: String?,
         planFirst: Bool,
-        mentionedSkillNames: [String]
+        mentionedSkillNames: [String],
+        referencedTaskIds: [String],
+        continuationSourceTaskId: String?,
+        contextSuggestionIds: [String],
+        contextModeOverrides: [String: String],
+        templateId: String?,
+        mcpServerIds: [String]?,
+        provisioning: APIProvisioningOverrides?,
+        credentialIds: [String]?,
+        accessGrantIds: [String]?
     ) async throws -> [APITask] {
         guard !targets.isEmpty else {
             return []
@@ -109,6 +150,31 @@ final class APIServiceProviderBridge: APIServiceProvider, Sendable {
                 throw APIError.notFound("Provider with ID '\(target.providerId)' not found")
             }
         }
+        let templateId = try await validatedTemplateId(templateId)
+        let mcpServerIds = try validatedMCPServerIds(mcpServerIds)
+        let provisioningOverrides = try validatedProvisioningOverrides(provisioning)
+        let credentialIds = try validatedCredentialIds(credentialIds)
+        let localAccessGrants = try resolvedAccessGrants(accessGrantIds)
+        let taskCount = targets.reduce(0) { $0 + max($1.copyCount, 1) }
+        let batchId = taskCount > 1 ? UUID().uuidString : nil
+
+        var contextPack: RetrievalContextPackPayload?
+        if !contextSuggestionIds.isEmpty {
+            do {
+                contextPack = try await PromptContextSuggestionProvider.createContextPack(
+                    query: trimmedDescription,
+                    selectedSuggestionIds: contextSuggestionIds,
+                    modeOverrides: contextModeOverrides
+                )
+            } catch {
+                // Retrieval context is additive only; task creation still proceeds.
+                print("APIServiceProviderBridge: Context pack creation failed, continuing without it: \(error)")
+            }
+        }
+        let contextAttachmentPaths = contextPack?.attachmentPaths ?? []
+        let filePaths = Array(Set(attachedFilePaths + contextAttachmentPaths)).sorted()
+
+        let taskPriority = convertFromAPIPriority(priority)
 
         let requests = targets.flatMap { target in
             Array(
@@ -119,21 +185,27 @@ final class APIServiceProviderBridge: APIServiceProvider, Sendable {
                     reasoningEnabled: target.reasoningEnabled,
                     reasoningEffort: target.reasoningEffort,
                     serviceTier: nil,
-                    attachedFilePaths: attachedFilePaths,
+                    attachedFilePaths: filePaths,
                     attachmentInfos: nil,
-                    outputDirectory: nil,
+                    outputDirectory: outputDirectory,
                     mentionedSkillNames: mentionedSkillNames,
-                    referencedTaskIds: [],
-                    continuationSourceTaskId: nil,
-                    retrievalContextPackId: nil,
-                    retrievalInlineContextBlocks: [],
-                    retrievalContextAttachmentPaths: [],
-                    retrievalSelectedSuggestionIds: [],
-                    retrievalModeOverrides: [:],
+                    referencedTaskIds: referencedTaskIds,
+                    continuationSourceTaskId: continuationSourceTaskId,
+                    retrievalContextPackId: contextPack?.id,
+                    retrievalInlineContextBlocks: contextPack?.inlinePromptBlocks ?? [],
+                    retrievalContextAttachmentPaths: contextAttachmentPaths,
+                    retrievalSelectedSuggestionIds: contextSuggestionIds,
+                    retrievalModeOverrides: contextModeOverrides,
                     planFirstEnabled: planFirst,
                     planMarkdown: nil,
                     planSelectedSkillNames: nil,
-                    localAccessGrants: []
+                    localAccessGrants: localAccessGrants,
+                    templateId: templateId,
+                    batchId: batchId,
+                    priority: taskPriority,
+                    mcpServerIds: mcpServerIds,
+                    provisioningOverrides: provisioningOverrides,
+                    credentialIds: credentialIds
                 ),
                 count: max(target.copyCount, 1)
             )
@@ -144,50 +216,62 @@ final class APIServiceProviderBridge: APIServiceProvider, Sendable {
     }
     
     func getTasks(
-        status: [APITaskStatus]?,
+        filter: APITaskListFilter,
         limit: Int,
         offset: Int,
+        cursor: APITaskListCursor?,
         sortBy: String,
         order: String
     ) async throws -> APITaskListResponse {
-        var tasks = taskService.tasks
-        
-        // Filter by status if provided
-        if let statusFilter = status {
-            let internalStatuses = statusFilter.map { convertFromAPIStatus($0) }
-            tasks = tasks.filter { internalStatuses.contains($0.status) }
+        let providerIds = try matchingProviderIds(named: filter.providerName)
+        let terms = filter.searchTerms
+        var tasks = taskService.tasks.filter {
+            taskMatches($0, filter: filter, terms: terms, providerIds: providerIds)
         }
         
-        // Sort
-        switch sortBy {
-        case "startedAt":
-            tasks.sort { (a, b) in
-                let aDate = a.startedAt ?? Date.distantPast
-                let bDate = b.startedAt ?? Date.distantPast
-                return order == "desc" ? aDate > bDate : aDate < bDate
-            }
-        case "completedAt":
-            tasks.sort { (a, b) in
-                let aDate = a.completedAt ?? Date.distantPast
-                let bDate = b.completedAt ?? Date.distantPast
-                return order == "desc" ? aDate > bDate : aDate < bDate
+        // Sort, breaking ties by ID so cursors are stable
+        let descending = order == "desc"
+        let sortKey = { (task: TaskRecord) in
+            (date: self.taskSortDate(task, sortBy: sortBy) ?? Date.distantPast, id: task.id)
+        }
+        let precedes = { (a: (date: Date, id: String), b: (date: Date, id: String)) -> Bool in
+            if a.date != b.date {
+                return descending ? a.date > b.date : a.date < b.date
             }
-        default: // createdAt
-            tasks.sort { order == "desc" ? $0.createdAt > $1.createdAt : $0.createdAt < $1.createdAt }
+            return descending ? a.id > b.id : a.id < b.id
         }
+        tasks.sort { precedes(sortKey($0), sortKey($1)) }
         
         let total = tasks.count
         
-        // Apply pagination
-        let startIndex = min(offset, tasks.count)
-        let endIndex = min(offset + limit, tasks.count)
+        // Apply pagination: a cursor resumes after the last task of the previous page, otherwise use the offset
+        let startIndex: Int
+        if let cursor {
+            let cursorKey = (date: cursor.sortDate ?? Date.distantPast, id: cursor.taskId)
+            startIndex = tasks.firstIndex { precedes(cursorKey, sortKey($0)) } ?? tasks.count
+        } else {
+            startIndex = min(offset, tasks.count)
+        }
+        let endIndex = min(startIndex + limit, tasks.count)
         let paginatedTasks = Array(tasks[startIndex..<endIndex])
         
+        let nextCursor = endIndex < tasks.count
+            ? paginatedTasks.last.map {
+                APITaskListCursor(sortDate: taskSortDate($0, sortBy: sortBy), taskId: $0.id).encoded
+            }
+            : nil
+        
         return APITaskListResponse(
-            tasks: paginatedTasks.map { convertToAPITaskSummary($0) },
+            tasks: paginatedTasks.map { task in
+                convertToAPITaskSummary(
+                    task,
+                    searchMatches: terms.isEmpty ? nil : searchMatches(for: task, terms: terms)
+                )
+            },
             total: total,
             limit: limit,
-            offset: offset
+            offset: startIndex,
+            nextCursor: nextCursor
         )
     }
     
@@ -288,82 +372,377 @@ final class APIServiceProviderBridge: APIServiceProvider, Sendable {
         return convertToAPITask(task)
     }
     
+    func approveWriteback(id: String, items: [APIWritebackItemSelection]) async throws -> APITask {
+        guard let task = taskService.tasks.first(where: { $0.id == id }) else {
+            throw APIError.notFound("Task with ID '\(id)' not found")
+        }
+        guard task.status == .writebackReview else {
+            throw APIError.conflict("Cannot approve writeback for task with status '\(task.status.displayName)'")
+        }
+
+        let pendingIDs = Set(task.pendingWritebackOperations.map(\.id))
+        var selectedIDs = Set<UUID>()
+        var resolutions: [UUID: WritebackConflictResolution] = [:]
+        for item in items {
+            guard let operationID = UUID(uuidString: item.id), pendingIDs.contains(operationID) else {
+                throw APIError.badRequest("Unknown writeback item '\(item.id)'")
+            }
+            selectedIDs.insert(operationID)
+            resolutions[operationID] = item.conflictResolution.map(convertFromAPIConflictResolution)
+        }
+
+        do {
+            try taskService.approveWriteback(for: task, selectedOperationIDs: selectedIDs, resolutions: resolutions)
+        } catch {
+            throw APIError.conflict(error.localizedDescription)
+        }
+        return convertToAPITask(task)
+    }
+    
+    func rerunTask(
+        id: String,
+        description: String?,
+        targets: [CreateTaskBatchTarget],
+        keepInputFiles: Bool
+    ) async throws -> [APITask] {
+        guard let task = taskService.tasks.first(where: { $0.id == id }) else {
+            throw APIError.notFound("Task with ID '\(id)' not found")
+        }
+        guard !task.status.isActive else {
+            throw APIError.conflict("Cannot rerun task with status '\(task.status.displayName)' — task must be finished first")
+        }
+
+        let rerunTargets: [TaskRerunTarget]
+        if targets.isEmpty {
+            rerunTargets = [
+                TaskRerunTarget(
+                    providerId: task.providerId,
+                    modelId: task.modelId,
+                    reasoningEnabled: task.reasoningEnabled,
+                    reasoningEffort: task.reasoningEffort
+                )
+            ]
+        } else {
+            let providerDescriptor = FetchDescriptor<LLMProviderRecord>()
+            let knownProviderIds = Set(try modelContext.fetch(providerDescriptor).map(\.id))
+            for target in targets where !knownProviderIds.contains(target.providerId) {
+                throw APIError.notFound("Provider with ID '\(target.providerId)' not found")
+            }
+            rerunTargets = targets.map {
+                TaskRerunTarget(
+                    providerId: $0.providerId,
+                    modelId: $0.modelId,
+                    reasoningEnabled: $0.reasoningEnabled,
+                    reasoningEffort: $0.reasoningEffort
+                )
+            }
+        }
+
+        let trimmedDescription = description?.trimmingCharacters(in: .whitespacesAndNewlines) ?? ""
+        let newTasks = try await taskService.rerunTask(
+            task,
+            description: trimmedDescription.isEmpty ? task.taskDescription : trimmedDescription,
+            targets: rerunTargets,
+            keepAttachments: keepInputFiles
+        )
+        return newTasks.map(convertToAPITask)
+    }
+    
     func deleteTask(id: String) async throws {
         guard let task = taskService.tasks.first(where: { $0.id == id }) else {
             throw APIError.notFound("Task with ID '\(id)' not found")
         }
         
+        let inputPaths = task.attachmentInfos.map(\.originalPath)
+        let inboxUploadPaths = task.inboxUploads.map(\.path)
+        ReplayExportService.shared.discard(taskId: task.id)
         await taskService.deleteTask(task)
+        
+        // Inbox uploads each got a folder of their own, which only this task uses
+        try? await fileStorage.deleteUploadFolders(containing: inboxUploadPaths, except: [])
+        
+        // Input folders can be shared: a batch sibling or rerun may use them, and every run of
+        // a schedule uses the files uploaded with it, so keep those still referenced
+        let remainingInputPaths = taskService.tasks.flatMap { $0.attachmentInfos.map(\.originalPath) }
+            + schedulerService.scheduledTasks.flatMap(\.attachedFilePaths)
+        try? await fileStorage.deleteUploadFolders(containing: inputPaths, except: remainingInputPaths)
+    }
+    
+    func setTaskArchived(id: String, archived: Bool) async throws -> APITask {
+        guard let task = taskService.tasks.first(where: { $0.id == id }) else {
+            throw APIError.notFound("Task with ID '\(id)' not found")
+        }
+        if archived && task.status.isActive {
+            throw APIError.conflict("Cannot archive task with status '\(task.status.displayName)' — task must be finished first")
+        }
+        
+        task.isArchived = archived ? true : nil
+        try modelContext.save()
+        return convertToAPITask(task)
+    }
+    
+    func getTaskWritebackReview(id: String) async throws -> APIWritebackReview? {
+        guard let task = taskService.tasks.first(where: { $0.id == id }) else {
+            throw APIError.notFound("Task with ID '\(id)' not found")
+        }
+
+        guard task.hasPendingWriteback else {
+            return nil
+        }
+
+        return convertToAPIWritebackReview(
+            taskId: task.id,
+            review: taskService.writebackReview(for: task)
+        )
+    }
+
+    func getTaskWritebackDiff(id: String, itemId: String) async throws -> APIWritebackDiff {
+        guard let task = taskService.tasks.first(where: { $0.id == id }) else {
+            throw APIError.notFound("Task with ID '\(id)' not found")
+        }
+        guard let operationID = UUID(uuidString: itemId),
+              task.pendingWritebackOperations.contains(where: { $0.id == operationID }) else {
+            throw APIError.notFound("Writeback item '\(itemId)' not found")
+        }
+        guard let diff = taskService.writebackFullDiff(for: task, operationID: operationID) else {
+            throw APIError.notFound("Writeback item '\(itemId)' has no diff")
+        }
+        return APIWritebackDiff(id: itemId, diff: diff)
     }
     
-    func getTaskFiles(id: String) async throws -> APITaskFilesResponse {
+    func getTaskTrace(id: String) async throws -> APISessionTrace {
         guard let task = taskService.tasks.first(where: { $0.id == id }) else {
             throw APIError.notFound("Task with ID '\(id)' not found")
         }
+        guard let sessionId = task.sessionId else {
+            throw APIError.notFound("No session data available for task '\(id)'")
+        }
         
-        // Get input files from task's attachedFilePaths
-        let inputFiles: [APIFileDetail] = task.attachedFilePaths.compactMap { path in
-            let url = URL(fileURLWithPath: path)
-            guard FileManager.default.fileExists(atPath: path) else { return nil }
-            let size = (try? FileManager.default.attributesOfItem(atPath: path)[.size] as? Int64) ?? 0
-            let mimeType = APIFile.mimeType(for: url.lastPathComponent)
-            return APIFileDetail(name: url.lastPathComponent, size: size, mimeType: mimeType, uploadedAt: nil, createdAt: nil)
+        let tracePath = AppPaths.sessionDirectory(id: sessionId).appendingPathComponent("trace.jsonl")
+        guard FileManager.default.fileExists(atPath: tracePath.path) else {
+            throw APIError.notFound("Trace file not found for task '\(id)'")
         }
         
-        // Get output files from task's outputFilePaths
-        let outputFiles: [APIFileDetail] = (task.outputFilePaths ?? []).compactMap { path in
-            let url = URL(fileURLWithPath: path)
-            guard FileManager.default.fileExists(atPath: path) else { return nil }
-            let size = (try? FileManager.default.attributesOfItem(atPath: path)[.size] as? Int64) ?? 0
-            let mimeType = APIFile.mimeType(for: url.lastPathComponent)
-            return APIFileDetail(name: url.lastPathComponent, size: size, mimeType: mimeType, uploadedAt: nil, createdAt: nil)
+        let events = try AgentTracer.parseTraceFile(at: tracePath)
+        return convertToAPISessionTrace(taskId: task.id, sessionId: sessionId, events: events)
+    }
+    
+    func getTaskTraceScreenshot(id: String, filename: String) async throws -> (data: Data, mimeType: String)? {
+        guard let task = taskService.tasks.first(where: { $0.id == id }) else {
+            throw APIError.notFound("Task with ID '\(id)' not found")
+        }
+        guard let sessionId = task.sessionId else {
+            return nil
         }
         
-        return APITaskFilesResponse(
-            taskId: id,
-            inputFiles: inputFiles,
-            outputFiles: outputFiles
-        )
+        // Only plain file names inside the session's screenshots directory
+        guard !filename.isEmpty,
+              !filename.hasPrefix("."),
+              !filename.contains("/") else {
+            throw APIError.badRequest("Invalid screenshot filename")
+        }
+        
+        let url = AppPaths.sessionScreenshotsDirectory(id: sessionId).appendingPathComponent(filename)
+        guard FileManager.default.fileExists(atPath: url.path) else {
+            return nil
+        }
+        
+        let data = try Data(contentsOf: url)
+        return (data, APIFile.mimeType(for: filename))
     }
     
-    func getTaskFileData(taskId: String, filename: String, isInput: Bool) async throws -> (data: Data, mimeType: String) {
+    func startReplayExport(taskId: String, request: APIStartReplayExportRequest) async throws -> APIReplayExport {
         guard let task = taskService.tasks.first(where: { $0.id == taskId }) else {
             throw APIError.notFound("Task with ID '\(taskId)' not found")
         }
+        guard let sessionId = task.sessionId else {
+            throw APIError.notFound("No session data available for task '\(taskId)'")
+        }
         
-        // Find the file path that matches the filename
-        let paths = isInput ? task.attachedFilePaths : (task.outputFilePaths ?? [])
+        return try ReplayExportService.shared.start(
+            taskId: task.id,
+            title: task.title,
+            sessionId: sessionId,
+            format: request.format ?? .mp4,
+            fps: request.fps ?? 6
+        )
+    }
+    
+    func getReplayExport(taskId: String) async throws -> APIReplayExport? {
+        guard taskService.tasks.contains(where: { $0.id == taskId }) else {
+            throw APIError.notFound("Task with ID '\(taskId)' not found")
+        }
         
-        guard let filePath = paths.first(where: { URL(fileURLWithPath: $0).lastPathComponent == filename }) else {
-            throw APIError.notFound("File '\(filename)' not found in task")
+        return ReplayExportService.shared.export(for: taskId)
+    }
+    
+    func getReplayExportFile(taskId: String) async throws -> (url: URL, fileName: String, mimeType: String) {
+        guard taskService.tasks.contains(where: { $0.id == taskId }) else {
+            throw APIError.notFound("Task with ID '\(taskId)' not found")
+        }
+        guard let export = ReplayExportService.shared.export(for: taskId) else {
+            throw APIError.notFound("No replay export has been started for task '\(taskId)'")
+        }
+        guard export.status == .completed,
+              let file = ReplayExportService.shared.outputFile(for: taskId) else {
+            throw APIError.conflict("Replay export is \(export.status.rawValue), not ready for download")
         }
         
-        guard FileManager.default.fileExists(atPath: filePath) else {
-            throw APIError.notFound("File '\(filename)' no longer exists at expected location")
+        return file
+    }
+    
+    // MARK: - Batch Operations
+    
+    func getTaskBatch(id: String) async throws -> APITaskBatch {
+        let tasks = taskService.tasks.filter { $0.batchId == id }
+        guard !tasks.isEmpty else {
+            throw APIError.notFound("Batch with ID '\(id)' not found")
         }
         
-        let url = URL(fileURLWithPath: filePath)
-        let data = try Data(contentsOf: url)
-        let mimeType = APIFile.mimeType(for: filename)
+        return convertToAPITaskBatch(batchId: id, tasks: tasks)
+    }
+    
+    func setTaskBatchWinner(id: String, taskId: String?) async throws -> APITaskBatch {
+        let tasks = taskService.tasks.filter { $0.batchId == id }
+        guard !tasks.isEmpty else {
+            throw APIError.notFound("Batch with ID '\(id)' not found")
+        }
+        if let taskId, !tasks.contains(where: { $0.id == taskId }) {
+            throw APIError.badRequest("Task '\(taskId)' is not part of batch '\(id)'")
+        }
         
-        return (data, mimeType)
+        // A batch has at most one winner
+        for task in tasks {
+            task.isBatchWinner = task.id == taskId ? true : nil
+        }
+        try modelContext.save()
+        
+        return convertToAPITaskBatch(batchId: id, tasks: tasks)
     }
-
-    func getTaskWritebackReview(id: String) async throws -> APIWritebackReview? {
+    
+    // MARK: - Queue Operations
+    
+    func getTaskQueue() async throws -> APITaskQueue {
+        buildTaskQueue()
+    }
+    
+    func reorderTaskQueue(taskIds: [String]) async throws -> APITaskQueue {
+        taskService.reorderQueue(taskIds: taskIds)
+        return buildTaskQueue()
+    }
+    
+    func setQueuedTaskPriority(id: String, priority: APITaskPriority) async throws -> APITaskQueue {
         guard let task = taskService.tasks.first(where: { $0.id == id }) else {
             throw APIError.notFound("Task with ID '\(id)' not found")
         }
-
-        guard task.hasPendingWriteback else {
-            return nil
+        guard task.status == .queued else {
+            throw APIError.conflict("Only queued tasks can change priority")
         }
-
-        return convertToAPIWritebackReview(
-            taskId: task.id,
-            review: taskService.writebackReview(for: task)
+        
+        taskService.setPriority(convertFromAPIPriority(priority), for: task)
+        return buildTaskQueue()
+    }
+    
+    /// Queue snapshot with start estimates: each slot frees up when its task reaches the
+    /// average duration of recent runs, and queued tasks take the earliest free slot in order
+    private func buildTaskQueue() -> APITaskQueue {
+        let now = Date()
+        let maxConcurrent = max(VMConcurrencyPolicy.effectiveMaxConcurrentVMs(), 1)
+        let activeTasks = taskService.tasks.filter { $0.status == .running || $0.status == .paused }
+        
+        let recentDurations = taskService.tasks
+            .filter { $0.status == .completed }
+            .compactMap { task -> (completedAt: Date, duration: TimeInterval)? in
+                guard let startedAt = task.startedAt, let completedAt = task.completedAt else { return nil }
+                return (completedAt, completedAt.timeIntervalSince(startedAt))
+            }
+            .sorted { $0.completedAt > $1.completedAt }
+            .prefix(20)
+            .map { $0.duration }
+        let averageDuration = recentDurations.isEmpty
+            ? nil
+            : recentDurations.reduce(0, +) / Double(recentDurations.count)
+        
+        var slotFreeTimes: [Date] = activeTasks.prefix(maxConcurrent).map { task in
+            guard let averageDuration, let startedAt = task.startedAt else { return now }
+            return max(now, startedAt.addingTimeInterval(averageDuration))
+        }
+        while slotFreeTimes.count < maxConcurrent {
+            slotFreeTimes.append(now)
+        }
+        
+        // Tasks waiting for their VM to boot already hold a slot, so queued tasks can't start on it
+        let queueOrderedTasks = taskService.queueOrderedTasks
+        let waitingCount = queueOrderedTasks.filter { $0.status == .waitingForVM }.count
+        if let averageDuration {
+            for _ in 0..<waitingCount {
+                if let slotIndex = slotFreeTimes.indices.min(by: { slotFreeTimes[$0] < slotFreeTimes[$1] }) {
+                    slotFreeTimes[slotIndex] = slotFreeTimes[slotIndex].addingTimeInterval(averageDuration)
+                }
+            }
+        }
+        
+        let entries = queueOrderedTasks.enumerated().map { index, task -> APIQueueEntry in
+            var estimatedStartAt: Date?
+            if task.status == .waitingForVM {
+                // Already has a slot and is only waiting for its VM to boot
+                estimatedStartAt = now
+            } else if let averageDuration,
+                      let slotIndex = slotFreeTimes.indices.min(by: { slotFreeTimes[$0] < slotFreeTimes[$1] }) {
+                estimatedStartAt = slotFreeTimes[slotIndex]
+                slotFreeTimes[slotIndex] = slotFreeTimes[slotIndex].addingTimeInterval(averageDuration)
+            }
+            return APIQueueEntry(
+                position: index + 1,
+                task: convertToAPITaskSummary(task),
+                priority: convertToAPIPriority(task.priority),
+                estimatedStartAt: estimatedStartAt
+            )
+        }
+        
+        return APITaskQueue(
+            maxConcurrent: maxConcurrent,
+            activeCount: activeTasks.count,
+            averageTaskDuration: averageDuration.map { Int($0) },
+            entries: entries
         )
     }
     
+    // MARK: - Context Operations
+    
+    func getContextSuggestions(query: String, limit: Int) async throws -> [APIContextSuggestion] {
+        do {
+            let suggestions = try await PromptContextSuggestionProvider.fetchSuggestions(query: query, limit: limit)
+            return suggestions.map(convertToAPIContextSuggestion)
+        } catch {
+            throw APIError.badGateway("Retrieval service unavailable: \(error.localizedDescription)")
+        }
+    }
+    
+    func getSavedContextPacks() async throws -> [APISavedContextPack] {
+        SavedContextPackStore.shared.allPacks()
+    }
+    
+    func saveContextPack(name: String, items: [APISavedContextPackItem]) async throws -> APISavedContextPack {
+        do {
+            return try SavedContextPackStore.shared.save(name: name, items: items)
+        } catch {
+            throw APIError.internalError("Failed to save context pack: \(error.localizedDescription)")
+        }
+    }
+    
+    func deleteSavedContextPack(id: String) async throws {
+        let deleted: Bool
+        do {
+            deleted = try SavedContextPackStore.shared.delete(id: id)
+        } catch {
+            throw APIError.internalError("Failed to delete context pack: \(error.localizedDescription)")
+        }
+        guard deleted else {
+            throw APIError.notFound("Context pack with ID '\(id)' not found")
+        }
+    }
+    
     // MARK: - Schedule Operations
     
     func getScheduledTasks(limit: Int, offset: Int) async throws -> APIScheduledTaskListResponse {
@@ -403,10 +782,14 @@ final class APIServiceProviderBridge: APIServiceProvider, Sendable {
         reasoningEffort: String?,
         attachedFilePaths: [String],
         outputDirectory: String?,
+        templateId: String?,
+        credentialIds: [String]?,
         schedule: APISchedule
     ) async throws -> APIScheduledTask {
         // Find provider by name
         let providerId = try await findProviderIdByName(providerName)
+        let templateId = try await validatedTemplateId(templateId)
+        let credentialIds = try validatedCredentialIds(credentialIds)
         
         // Determine schedule type and configuration
         let scheduleType: ScheduleType
@@ -433,8 +816,10 @@ final class APIServiceProviderBridge: APIServiceProvider, Sendable {
             modelId: modelId,
             reasoningEnabled: reasoningEnabled,
             reasoningEffort: reasoningEffort,
+            templateId: templateId,
             attachedFilePaths: attachedFilePaths,
             outputDirectory: outputDirectory,
+            credentialIds: credentialIds,
             scheduleType: scheduleType,
             scheduledDate: scheduledDate,
             recurrenceRule: recurrenceRule
@@ -799,27 +1184,217 @@ final class APIServiceProviderBridge: APIServiceProvider, Sendable {
             APISkill(
                 name: skill.name,
                 description: skill.description,
-                isEnabled: skill.isEnabled
+                isEnabled: skill.isEnabled,
+                isImported: skill.isImported,
+                sourceTaskId: skill.sourceTaskId,
+                createdAt: skill.createdAt
             )
         }
     }
     
-    // MARK: - Provisioning Operations
+    func getSkill(name: String) async throws -> APISkillDetail {
+        try validateSkillName(name)
+        do {
+            let skill = try taskService.skillManager.loadSkill(name: name)
+            return convertToAPISkillDetail(skill)
+        } catch let error as SkillError {
+            throw convertSkillError(error)
+        }
+    }
+    
+    func createSkill(request: APICreateSkillRequest) async throws -> APISkillDetail {
+        let skillManager = taskService.skillManager
+        let name = request.name.trimmingCharacters(in: .whitespacesAndNewlines)
+        let description = request.description.trimmingCharacters(in: .whitespacesAndNewlines)
+        
+        guard Skill.isValidName(name) else {
+            throw convertSkillError(.invalidName(name))
+        }
+        guard !description.isEmpty else {
+            throw convertSkillError(.missingDescription)
+        }
+        guard !FileManager.default.fileExists(atPath: AppPaths.skillDirectory(name: name).path) else {
+            throw convertSkillError(.skillAlreadyExists(name))
+        }
+        
+        var metadata = request.metadata?.isEmpty == true ? nil : request.metadata
+        let sourceTaskId = normalizedOptional(request.sourceTaskId)
+        if let sourceTaskId {
+            // Match the metadata SkillExtractionSheet records for extracted skills
+            guard let task = taskService.tasks.first(where: { $0.id == sourceTaskId }) else {
+                throw APIError.notFound("Task with ID '\(sourceTaskId)' not found")
+            }
+            var extractionMetadata = metadata ?? [:]
+            extractionMetadata["extracted-from-task"] = task.taskDescription.prefix(100).description
+            extractionMetadata["extracted-at"] = ISO8601DateFormatter().string(from: Date())
+            metadata = extractionMetadata
+        }
+        
+        let skill = Skill(
+            name: name,
+            description: description,
+            license: normalizedOptional(request.license),
+            compatibility: normalizedOptional(request.compatibility),
+            metadata: metadata,
+            allowedTools: normalizedOptional(request.allowedTools),
+            instructions: request.instructions,
+            isImported: false,
+            sourceTaskId: sourceTaskId,
+            isEnabled: request.isEnabled ?? true
+        )
+        
+        do {
+            try skillManager.saveSkill(skill)
+        } catch let error as SkillError {
+            throw convertSkillError(error)
+        }
+        // saveSkill reloads the list in the background; wait so the next GET /skills includes it
+        await skillManager.refreshSkills()
+        return convertToAPISkillDetail(skill)
+    }
     
-    func getProvisioning() async throws -> APIProvisioningResponse {
-        let config = VMProvisioningService.shared.config
+    func updateSkill(name: String, request: APIUpdateSkillRequest) async throws -> APISkillDetail {
+        try validateSkillName(name)
+        let skillManager = taskService.skillManager
+        let existing: Skill
+        do {
+            existing = try skillManager.loadSkill(name: name)
+        } catch let error as SkillError {
+            throw convertSkillError(error)
+        }
         
-        let envVars = config.environmentVariables
-            .filter { !$0.key.isEmpty }
-            .map { APIEnvironmentVariable(key: $0.key) }
+        // Toggling alone only touches local metadata, leaving SKILL.md as authored
+        guard request.changesContent else {
+            if let isEnabled = request.isEnabled, isEnabled != existing.isEnabled {
+                if !skillManager.skills.contains(where: { $0.name == name }) {
+                    await skillManager.refreshSkills()
+                }
+                skillManager.setEnabled(isEnabled, for: name)
+            }
+            var updated = existing
+            updated.isEnabled = request.isEnabled ?? existing.isEnabled
+            return convertToAPISkillDetail(updated)
+        }
         
-        let files = config.fileInjections
-            .map { APIInjectedFile(fileName: $0.resolvedFileName, guestPath: $0.guestPath) }
+        let description = request.description?.trimmingCharacters(in: .whitespacesAndNewlines) ?? existing.description
+        guard !description.isEmpty else {
+            throw convertSkillError(.missingDescription)
+        }
         
-        return APIProvisioningResponse(
-            environmentVariables: envVars,
-            injectedFiles: files
+        let skill = Skill(
+            name: existing.name,
+            description: description,
+            license: request.license.map { normalizedOptional($0) } ?? existing.license,
+            compatibility: request.compatibility.map { normalizedOptional($0) } ?? existing.compatibility,
+            metadata: request.metadata.map { $0.isEmpty ? nil : $0 } ?? existing.metadata,
+            allowedTools: request.allowedTools.map { normalizedOptional($0) } ?? existing.allowedTools,
+            instructions: request.instructions ?? existing.instructions,
+            isImported: existing.isImported,
+            sourceTaskId: existing.sourceTaskId,
+            createdAt: existing.createdAt,
+            isEnabled: request.isEnabled ?? existing.isEnabled
         )
+        
+        do {
+            try skillManager.saveSkill(skill)
+        } catch let error as SkillError {
+            throw convertSkillError(error)
+        }
+        await skillManager.refreshSkills()
+        return convertToAPISkillDetail(skill)
+    }
+    
+    func deleteSkill(name: String) async throws {
+        try validateSkillName(name)
+        do {
+            try taskService.skillManager.deleteSkill(name: name)
+        } catch let error as SkillError {
+            throw convertSkillError(error)
+        }
+    }
+    
+    func importSkill(request: APIImportSkillRequest) async throws -> APISkillDetail {
+        let skillManager = taskService.skillManager
+        let replaceExisting = request.replaceExisting ?? false
+        
+        do {
+            if let githubURL = normalizedOptional(request.githubURL) {
+                let skill = try await skillManager.importFromGitHubURL(
+                    githubURL,
+                    replaceExisting: replaceExisting
+                )
+                await skillManager.refreshSkills()
+                return try await getSkill(name: skill.name)
+            }
+            
+            guard let content = request.content, !content.isEmpty else {
+                throw APIError.badRequest("Provide exactly one of content or githubURL")
+            }
+            
+            // The existing skill is only replaced once the new copy is in place
+            let skill = try await skillManager.importFromSkillContent(content, replaceExisting: replaceExisting)
+            await skillManager.refreshSkills()
+            return try await getSkill(name: skill.name)
+        } catch let error as SkillError {
+            throw convertSkillError(error)
+        }
+    }
+    
+    func extractSkill(taskId: String) async throws -> APIExtractedSkill {
+        guard let task = taskService.tasks.first(where: { $0.id == taskId }) else {
+            throw APIError.notFound("Task with ID '\(taskId)' not found")
+        }
+        guard task.status == .completed, task.wasSuccessful == true else {
+            throw APIError.conflict("Skills can only be extracted from successfully completed tasks")
+        }
+        guard let sessionId = task.sessionId else {
+            throw APIError.conflict("No session data available for this task")
+        }
+        
+        let tracePath = AppPaths.sessionDirectory(id: sessionId).appendingPathComponent("trace.jsonl")
+        guard FileManager.default.fileExists(atPath: tracePath.path) else {
+            throw APIError.notFound("Trace file not found for task '\(taskId)'")
+        }
+        
+        // A deleted provider or a missing API key is something the user has to fix, not a server error
+        let llmClient: any LLMClientProtocol
+        do {
+            llmClient = try await taskService.createLLMClient(
+                providerId: task.providerId,
+                modelId: task.modelId
+            )
+        } catch {
+            let providerName = getProviderName(for: task.providerId)
+            let provider = providerName == "Unknown" ? task.providerId : providerName
+            throw APIError.conflict("Cannot extract a skill with provider '\(provider)': \(error.localizedDescription)")
+        }
+        let extractor = SkillExtractor(
+            skillManager: taskService.skillManager,
+            llmClient: llmClient
+        )
+        
+        do {
+            let data = try await extractor.previewExtraction(
+                taskDescription: task.taskDescription,
+                tracePath: tracePath
+            )
+            return APIExtractedSkill(
+                name: data.name,
+                description: data.description,
+                instructions: data.instructions,
+                allowedTools: data.allowedTools,
+                sourceTaskId: task.id
+            )
+        } catch let error as SkillError {
+            throw convertSkillError(error)
+        }
+    }
+    
+    /// Reject names that could resolve outside the skills directory (e.g. "..") before touching disk
+    private func validateSkillName(_ name: String) throws {
+        guard Skill.isValidName(name) else {
+            throw convertSkillError(.invalidName(name))
+        }
     }
     
     // MARK: - System Operations
@@ -834,12 +1409,9 @@ final class APIServiceProviderBridge: APIServiceProvider, Sendable {
         let activeVMs = running + runningDeveloperVMs
         let available = max(0, effectiveMax - activeVMs - pending)
         
-        // Get memory info
-        let memoryUsedGB: Double? = nil
-        var memoryTotalGB: Double? = nil
-        
-        let processInfo = ProcessInfo.processInfo
-        memoryTotalGB = Double(processInfo.physicalMemory) / (1024 * 1024 * 1024)
+        // Get memory info (CPU usage comes from the latest history sample, since it is measured between samples)
+        let memoryUsedGB = SystemMetricsRecorder.memoryUsedGB()
+        let memoryTotalGB = Double(ProcessInfo.processInfo.physicalMemory) / (1024 * 1024 * 1024)
         
         // Get uptime
         let uptime = Int(Date().timeIntervalSince(appStartTime))
@@ -863,7 +1435,7 @@ final class APIServiceProviderBridge: APIServiceProvider, Sendable {
                 available: available
             ),
             resources: APIResourceUsage(
-                cpuUsage: nil,
+                cpuUsage: metricsRecorder.latestCPUUsage,
                 memoryUsedGB: memoryUsedGB,
                 memoryTotalGB: memoryTotalGB
             )
@@ -1074,6 +1646,131 @@ final class APIServiceProviderBridge: APIServiceProvider, Sendable {
         }
     }
     
+    func subscribeToLiveEvents() async throws -> AsyncStream<APILiveEvent> {
+        var initialEvents: [APILiveEvent] = []
+        if liveEvents.isRunning {
+            // Catch a new subscriber up on the alerts and status earlier ones were already sent
+            for alert in pendingLiveAlerts() where liveEventState.pendingAlerts[alert.id] != nil {
+                initialEvents.append(APILiveEvent(
+                    type: alert.type,
+                    taskId: alert.task.id,
+                    taskDetail: convertToAPITask(alert.task),
+                    alertId: alert.id
+                ))
+            }
+            if let status = liveEventState.systemStatus {
+                initialEvents.append(APILiveEvent(type: .systemStatus, systemStatus: status))
+            }
+        } else {
+            // Seed the task snapshot so only changes after connecting are sent;
+            // clients load the list itself over REST.
+            liveEventState = LiveEventState()
+            for task in taskService.tasks {
+                liveEventState.taskFingerprints[task.id] = liveEventFingerprint(for: task)
+            }
+        }
+        
+        // One shared ticker diffs the snapshots for every subscriber
+        return liveEvents.subscribe(initialEvents: initialEvents) { [weak self] in
+            await self?.collectLiveEvents() ?? []
+        }
+    }
+    
+    /// Diff the current tasks, alerts and system status against the last tick
+    private func collectLiveEvents() async -> [APILiveEvent] {
+        var events: [APILiveEvent] = []
+        
+        // Task list changes
+        let tasks = taskService.tasks
+        var seenTaskIds = Set<String>()
+        for task in tasks {
+            seenTaskIds.insert(task.id)
+            let fingerprint = liveEventFingerprint(for: task)
+            if liveEventState.taskFingerprints[task.id] != fingerprint {
+                liveEventState.taskFingerprints[task.id] = fingerprint
+                events.append(APILiveEvent(
+                    type: .taskUpdated,
+                    taskId: task.id,
+                    task: convertToAPITaskSummary(task)
+                ))
+            }
+        }
+        for taskId in liveEventState.taskFingerprints.keys where !seenTaskIds.contains(taskId) {
+            liveEventState.taskFingerprints.removeValue(forKey: taskId)
+            events.append(APILiveEvent(type: .taskDeleted, taskId: taskId))
+        }
+        
+        // Pending questions and permissions
+        var currentAlerts: [String: String] = [:] // alert ID -> task ID
+        for alert in pendingLiveAlerts() {
+            currentAlerts[alert.id] = alert.task.id
+            if liveEventState.pendingAlerts[alert.id] == nil {
+                events.append(APILiveEvent(
+                    type: alert.type,
+                    taskId: alert.task.id,
+                    taskDetail: convertToAPITask(alert.task),
+                    alertId: alert.id
+                ))
+            }
+        }
+        for (alertId, taskId) in liveEventState.pendingAlerts where currentAlerts[alertId] == nil {
+            events.append(APILiveEvent(type: .alertResolved, taskId: taskId, alertId: alertId))
+        }
+        liveEventState.pendingAlerts = currentAlerts
+        
+        // System status deltas (uptime alone does not count as a change)
+        if let status = try? await getSystemStatus() {
+            let fingerprint = liveEventFingerprint(for: status)
+            if fingerprint != liveEventState.systemStatusFingerprint {
+                liveEventState.systemStatusFingerprint = fingerprint
+                liveEventState.systemStatus = status
+                events.append(APILiveEvent(type: .systemStatus, systemStatus: status))
+            }
+        }
+        
+        return events
+    }
+    
+    /// Questions and permission requests currently waiting on a user
+    private func pendingLiveAlerts() -> [(id: String, task: TaskRecord, type: APILiveEventType)] {
+        var alerts: [(id: String, task: TaskRecord, type: APILiveEventType)] = []
+        for task in taskService.tasks {
+            guard let publisher = taskService.statePublishers[task.id] else { continue }
+            if let question = publisher.pendingQuestion {
+                alerts.append((convertToAPIAgentQuestion(question).id, task, .question))
+            }
+            if let permission = publisher.pendingPermissionRequest {
+                alerts.append((permission.id.uuidString, task, .permission))
+            }
+        }
+        return alerts
+    }
+    
+    /// Summary fields whose change should be pushed to live-event subscribers
+    ///
+    /// Mirrors the mutable fields of `convertToAPITaskSummary(_:)`, computed the same way, without
+    /// building the summary for every task on every tick. Keep the two in step when either changes.
+    private func liveEventFingerprint(for task: TaskRecord) -> String {
+        [
+            task.status.rawValue,
+            task.title,
+            task.modelId,
+            task.startedAt.map { String($0.timeIntervalSince1970) } ?? "",
+            task.completedAt.map { String($0.timeIntervalSince1970) } ?? "",
+            String(task.attachedFilePaths.count + task.inboxUploads.count),
+            String(task.outputFilePaths?.count ?? 0),
+            String(task.isBatchWinner == true),
+            String(task.isArchived == true),
+            String(task.priority.rawValue)
+        ].joined(separator: "|")
+    }
+    
+    private func liveEventFingerprint(for status: APISystemStatus) -> String {
+        let agents = status.agents
+        let vms = status.vms
+        return "\(status.status)|\(agents.running)|\(agents.paused)|\(agents.queued)|\(agents.maxConcurrent)|\(vms.active)|\(vms.pending)|\(vms.available)"
+    }
+    
     /// Convert an internal AgentActivityEntry to an API event.
     /// Static so it can be called from non-isolated Combine sink closures.
     private static func convertActivityEntry(_ entry: AgentActivityEntry) -> APITaskEvent {
@@ -1173,4 +1870,22 @@ final class APIServiceProviderBridge: APIServiceProvider, Sendable {
         }
         return provider.id
     }
+
+    /// Normalize a requested template override and make sure the template exists
+    private func validatedTemplateId(_ raw: String?) async throws -> String? {
+        guard let templateId = normalizedOptional(raw) else { return nil }
+        let templates = try await vmServiceClient.listTemplates()
+        guard templates.contains(where: { $0.id == templateId }) else {
+            throw APIError.notFound("Template with ID '\(templateId)' not found")
+        }
+        return templateId
+    }
+}
+
+/// Snapshot the live event ticker diffs against
+private struct LiveEventState {
+    var taskFingerprints: [String: String] = [:]
+    var pendingAlerts: [String: String] = [:] // alert ID -> task ID
+    var systemStatus: APISystemStatus?
+    var systemStatusFingerprint: String?
 }
@@ -0,0 +1,77 @@
+//
+//  LiveEventBroadcaster.swift
+//  Hivecrew
+//
+//  Fans one shared live-event ticker out to every /events subscriber
+//
+
+import Foundation
+import HivecrewAPI
+
+/// Runs a single ticker while anyone is subscribed to the live event stream and
+/// sends each tick's events to every subscriber
+@MainActor
+final class LiveEventBroadcaster {
+
+    /// Seconds between ticks
+    static let tickInterval = 1
+
+    private var subscribers: [UUID: AsyncStream<APILiveEvent>.Continuation] = [:]
+    private var tickTask: Task<Void, Never>?
+
+    /// Whether the shared ticker is running
+    var isRunning: Bool {
+        tickTask != nil
+    }
+
+    /// Add a subscriber that first receives `initialEvents`.
+    /// Starts the ticker with `tick` when it is not already running; the ticker stops again
+    /// once the last subscriber goes away.
+    func subscribe(
+        initialEvents: [APILiveEvent],
+        tick: @escaping @MainActor () async -> [APILiveEvent]
+    ) -> AsyncStream<APILiveEvent> {
+        let id = UUID()
+        let stream = AsyncStream<APILiveEvent> { continuation in
+            for event in initialEvents {
+                continuation.yield(event)
+            }
+            subscribers[id] = continuation
+            continuation.onTermination = { [weak self] _ in
+                Task { @MainActor in
+                    self?.removeSubscriber(id)
+                }
+            }
+        }
+        start(tick: tick)
+        return stream
+    }
+
+    private func start(tick: @escaping @MainActor () async -> [APILiveEvent]) {
+        guard tickTask == nil else { return }
+        tickTask = Task { [weak self] in
+            while !Task.isCancelled {
+                let events = await tick()
+                guard let self, !Task.isCancelled else { return }
+                for event in events {
+                    for continuation in self.subscribers.values {
+                        continuation.yield(event)
+                    }
+                }
+                try? await Task.sleep(for: .seconds(Self.tickInterval))
+            }
+        }
+    }
+
+    private func stop() {
+        tickTask?.cancel()
+        tickTask = nil
+    }
+
+    private func removeSubscriber(_ id: UUID) {
+        subscribers.removeValue(forKey: id)
+        if subscribers.isEmpty {
+            stop()
+        }
+    }
+}
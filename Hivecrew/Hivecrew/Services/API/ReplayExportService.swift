@@ -0,0 +1,280 @@
+//
+//  ReplayExportService.swift
+//  Hivecrew
+//
+//  Runs session replay exports requested through the API
+//
+
+import Foundation
+import HivecrewAPI
+import HivecrewShared
+import HivecrewLLM
+
+/// Exports a task's session screenshots as an MP4 (or HTML slideshow fallback) and keeps the latest result per task
+@MainActor
+final class ReplayExportService {
+
+    /// Shared singleton
+    static let shared = ReplayExportService()
+
+    private struct Job {
+        let id: UUID
+        var export: APIReplayExport
+        var outputURL: URL?
+        var task: Task<Void, Never>?
+    }
+
+    /// Latest export per task ID
+    private var jobs: [String: Job] = [:]
+
+    /// Exports are scratch files; the session screenshots remain the source of truth
+    private let exportsDirectory = FileManager.default.temporaryDirectory
+        .appendingPathComponent("HivecrewReplays", isDirectory: true)
+
+    private init() {}
+
+    // MARK: - Public API
+
+    /// Start a new export, replacing any finished export for the same task
+    func start(
+        taskId: String,
+        title: String,
+        sessionId: String,
+        format: APIReplayExportFormat,
+        fps: Int
+    ) throws -> APIReplayExport {
+        if let existing = jobs[taskId], existing.export.status == .running {
+            throw APIError.conflict("A replay export is already running for this task")
+        }
+
+        let frames = Self.screenshotPaths(sessionId: sessionId)
+        guard !frames.isEmpty else {
+            throw APIError.notFound("No screenshots were recorded for this task")
+        }
+
+        discard(taskId: taskId)
+
+        let jobId = UUID()
+        let directory = exportsDirectory.appendingPathComponent(taskId, isDirectory: true)
+        try FileManager.default.createDirectory(at: directory, withIntermediateDirectories: true)
+        let baseName = Self.sanitizedFileName(title)
+
+        jobs[taskId] = Job(
+            id: jobId,
+            export: APIReplayExport(
+                taskId: taskId,
+                status: .running,
+                format: format,
+                progress: 0,
+                frameCount: frames.count,
+                startedAt: Date()
+            )
+        )
+
+        jobs[taskId]?.task = Task { @MainActor [weak self] in
+            await self?.run(
+                jobId: jobId,
+                taskId: taskId,
+                title: title,
+                frames: frames,
+                directory: directory,
+                baseName: baseName,
+                format: format,
+                fps: fps
+            )
+        }
+
+        return jobs[taskId]!.export
+    }
+
+    /// Latest export status for a task
+    func export(for taskId: String) -> APIReplayExport? {
+        jobs[taskId]?.export
+    }
+
+    /// Output file for a completed export
+    func outputFile(for taskId: String) -> (url: URL, fileName: String, mimeType: String)? {
+        guard let job = jobs[taskId],
+              job.export.status == .completed,
+              let url = job.outputURL,
+              let fileName = job.export.fileName,
+              FileManager.default.fileExists(atPath: url.path) else {
+            return nil
+        }
+        let mimeType = job.export.format == .mp4 ? "video/mp4" : "text/html; charset=utf-8"
+        return (url, fileName, mimeType)
+    }
+
+    /// Cancel and delete any export for a task
+    func discard(taskId: String) {
+        guard let job = jobs.removeValue(forKey: taskId) else { return }
+        job.task?.cancel()
+        if let url = job.outputURL {
+            try? FileManager.default.removeItem(at: url)
+        }
+    }
+
+    // MARK: - Export
+
+    private func run(
+        jobId: UUID,
+        taskId: String,
+        title: String,
+        frames: [String],
+        directory: URL,
+        baseName: String,
+        format: APIReplayExportFormat,
+        fps: Int
+    ) async {
+        var fallbackReason: String?
+
+        if format == .mp4 {
+            let videoURL = directory.appendingPathComponent("\(baseName)-replay.mp4")
+            do {
+                try await VideoExporter.exportVideo(from: frames, to: videoURL, fps: fps) { progress in
+                    Task { @MainActor in
+                        self.updateProgress(jobId: jobId, taskId: taskId, progress: progress)
+                    }
+                }
+                complete(jobId: jobId, taskId: taskId, format: .mp4, url: videoURL, fallbackReason: nil)
+                return
+            } catch {
+                guard !Task.isCancelled else { return }
+                // Video encoding can fail on odd screenshot sizes; a slideshow still gives something shareable
+                try? FileManager.default.removeItem(at: videoURL)
+                fallbackReason = error.localizedDescription
+                updateFormat(jobId: jobId, taskId: taskId, format: .html, fallbackReason: fallbackReason)
+            }
+        }
+
+        let slideshowURL = directory.appendingPathComponent("\(baseName)-replay.html")
+        do {
+            try await SlideshowExporter.exportSlideshow(from: frames, to: slideshowURL, title: title, fps: fps) { progress in
+                Task { @MainActor in
+                    self.updateProgress(jobId: jobId, taskId: taskId, progress: progress)
+                }
+            }
+            complete(jobId: jobId, taskId: taskId, format: .html, url: slideshowURL, fallbackReason: fallbackReason)
+        } catch {
+            guard !Task.isCancelled else { return }
+            try? FileManager.default.removeItem(at: slideshowURL)
+            fail(jobId: jobId, taskId: taskId, error: error.localizedDescription)
+        }
+    }
+
+    // MARK: - Job Updates
+
+    /// Apply a change to a job's status, ignoring jobs that were replaced or discarded
+    private func update(jobId: UUID, taskId: String, _ change: (inout Job) -> Void) {
+        guard var job = jobs[taskId], job.id == jobId else { return }
+        change(&job)
+        jobs[taskId] = job
+    }
+
+    private func updateProgress(jobId: UUID, taskId: String, progress: Double) {
+        update(jobId: jobId, taskId: taskId) { job in
+            guard job.export.status == .running else { return }
+            job.export = job.export.with(progress: progress)
+        }
+    }
+
+    private func updateFormat(jobId: UUID, taskId: String, format: APIReplayExportFormat, fallbackReason: String?) {
+        update(jobId: jobId, taskId: taskId) { job in
+            job.export = job.export.with(format: format, progress: 0, fallbackReason: fallbackReason)
+        }
+    }
+
+    private func complete(jobId: UUID, taskId: String, format: APIReplayExportFormat, url: URL, fallbackReason: String?) {
+        let fileSize = (try? FileManager.default.attributesOfItem(atPath: url.path)[.size] as? Int64) ?? nil
+        update(jobId: jobId, taskId: taskId) { job in
+            job.outputURL = url
+            job.task = nil
+            job.export = job.export.with(
+                status: .completed,
+                format: format,
+                progress: 1,
+                fileName: url.lastPathComponent,
+                fileSize: fileSize,
+                fallbackReason: fallbackReason,
+                completedAt: Date()
+            )
+        }
+    }
+
+    private func fail(jobId: UUID, taskId: String, error: String) {
+        update(jobId: jobId, taskId: taskId) { job in
+            job.task = nil
+            job.export = job.export.with(status: .failed, error: error, completedAt: Date())
+        }
+    }
+
+    // MARK: - Helpers
+
+    /// Screenshot paths in step order, preferring the trace and falling back to the screenshots directory
+    private static func screenshotPaths(sessionId: String) -> [String] {
+        let fileManager = FileManager.default
+        let tracePath = AppPaths.sessionDirectory(id: sessionId).appendingPathComponent("trace.jsonl")
+
+        if let events = try? AgentTracer.parseTraceFile(at: tracePath) {
+            let paths = events.compactMap { event -> String? in
+                guard case .observation(let data) = event.data else { return nil }
+                return data.screenshotPath
+            }
+            .filter { fileManager.fileExists(atPath: $0) }
+            if !paths.isEmpty {
+                return paths
+            }
+        }
+
+        let screenshotsDirectory = AppPaths.sessionScreenshotsDirectory(id: sessionId)
+        let files = (try? fileManager.contentsOfDirectory(
+            at: screenshotsDirectory,
+            includingPropertiesForKeys: nil
+        )) ?? []
+        return files
+            .filter { ["png", "jpg", "jpeg"].contains($0.pathExtension.lowercased()) }
+            .sorted { $0.lastPathComponent.localizedStandardCompare($1.lastPathComponent) == .orderedAscending }
+            .map(\.path)
+    }
+
+    /// Task title sanitized like the session view's video export, minus quotes so it fits Content-Disposition
+    private static func sanitizedFileName(_ title: String) -> String {
+        let sanitized = title
+            .replacingOccurrences(of: "/", with: "-")
+            .replacingOccurrences(of: ":", with: "-")
+            .replacingOccurrences(of: "\"", with: "")
+            .trimmingCharacters(in: .whitespacesAndNewlines)
+            .prefix(50)
+        return sanitized.isEmpty ? "session" : String(sanitized)
+    }
+}
+
+// MARK: - Export Copying
+
+private extension APIReplayExport {
+    /// Copy with selected fields replaced
+    func with(
+        status: APIReplayExportStatus? = nil,
+        format: APIReplayExportFormat? = nil,
+        progress: Double? = nil,
+        fileName: String? = nil,
+        fileSize: Int64? = nil,
+        fallbackReason: String? = nil,
+        error: String? = nil,
+        completedAt: Date? = nil
+    ) -> APIReplayExport {
+        APIReplayExport(
+            taskId: taskId,
+            status: status ?? self.status,
+            format: format ?? self.format,
+            progress: progress ?? self.progress,
+            frameCount: frameCount,
+            fileName: fileName ?? self.fileName,
+            fileSize: fileSize ?? self.fileSize,
+            fallbackReason: fallbackReason ?? self.fallbackReason,
+            error: error ?? self.error,
+            startedAt: startedAt,
+            completedAt: completedAt ?? self.completedAt
+        )
+    }
+}
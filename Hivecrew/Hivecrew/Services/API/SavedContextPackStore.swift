@@ -0,0 +1,95 @@
+//
+//  SavedContextPackStore.swift
+//  Hivecrew
+//
+//  Persists named context packs created through the API
+//
+
+import Foundation
+import HivecrewAPI
+import HivecrewShared
+
+/// Stores named sets of retrieval suggestions so they can be reused across tasks
+@MainActor
+final class SavedContextPackStore {
+
+    /// Shared singleton
+    static let shared = SavedContextPackStore()
+
+    private var packs: [APISavedContextPack]
+
+    private init() {
+        self.packs = Self.loadPacks()
+    }
+
+    // MARK: - Public API
+
+    /// All packs, most recently updated first
+    func allPacks() -> [APISavedContextPack] {
+        packs.sorted { $0.updatedAt > $1.updatedAt }
+    }
+
+    /// Save a pack, replacing the items of an existing pack with the same name (case-insensitive)
+    func save(name: String, items: [APISavedContextPackItem]) throws -> APISavedContextPack {
+        let now = Date()
+        let pack: APISavedContextPack
+        if let index = packs.firstIndex(where: { $0.name.caseInsensitiveCompare(name) == .orderedSame }) {
+            pack = APISavedContextPack(
+                id: packs[index].id,
+                name: name,
+                items: items,
+                createdAt: packs[index].createdAt,
+                updatedAt: now
+            )
+            packs[index] = pack
+        } else {
+            pack = APISavedContextPack(
+                id: UUID().uuidString,
+                name: name,
+                items: items,
+                createdAt: now,
+                updatedAt: now
+            )
+            packs.append(pack)
+        }
+        try persist()
+        return pack
+    }
+
+    /// Delete a pack, returning `false` if it does not exist
+    func delete(id: String) throws -> Bool {
+        guard let index = packs.firstIndex(where: { $0.id == id }) else {
+            return false
+        }
+        packs.remove(at: index)
+        try persist()
+        return true
+    }
+
+    // MARK: - Persistence
+
+    private static func loadPacks() -> [APISavedContextPack] {
+        let path = AppPaths.savedContextPacksPath
+        guard FileManager.default.fileExists(atPath: path.path) else {
+            return []
+        }
+
+        do {
+            let data = try Data(contentsOf: path)
+            let decoder = JSONDecoder()
+            decoder.dateDecodingStrategy = .iso8601
+            return try decoder.decode([APISavedContextPack].self, from: data)
+        } catch {
+            print("SavedContextPackStore: Failed to load packs: \(error)")
+            return []
+        }
+    }
+
+    private func persist() throws {
+        let encoder = JSONEncoder()
+        encoder.outputFormatting = [.prettyPrinted, .sortedKeys]
+        encoder.dateEncodingStrategy = .iso8601
+        let data = try encoder.encode(packs)
+        try data.write(to: AppPaths.savedContextPacksPath, options: .atomic)
+    }
+}
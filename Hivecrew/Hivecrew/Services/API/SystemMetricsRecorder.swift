@@ -0,0 +1,113 @@
+//
+//  SystemMetricsRecorder.swift
+//  Hivecrew
+//
+//  Samples host CPU, memory, agent and VM counts into a fixed-size history
+//
+
+import Foundation
+import Darwin
+import HivecrewAPI
+
+/// Keeps the most recent system samples in a ring buffer for the System view's charts
+@MainActor
+final class SystemMetricsRecorder {
+
+    /// Seconds between samples
+    static let sampleInterval = 10
+
+    /// One hour of history at the sample interval
+    static let capacity = 360
+
+    private var buffer: [APISystemSample] = []
+    private var nextIndex = 0
+    private var samplingTask: Task<Void, Never>?
+    private var previousCPUTicks: (busy: UInt64, total: UInt64)?
+
+    // MARK: - Sampling
+
+    /// Start taking a sample every `sampleInterval` seconds until `sample` returns nil or `stop()` is called
+    func start(sample: @escaping @MainActor () async -> APISystemSample?) {
+        guard samplingTask == nil else { return }
+        samplingTask = Task { [weak self] in
+            while !Task.isCancelled, let next = await sample() {
+                self?.record(next)
+                try? await Task.sleep(for: .seconds(Self.sampleInterval))
+            }
+        }
+    }
+
+    func stop() {
+        samplingTask?.cancel()
+        samplingTask = nil
+    }
+
+    /// Samples, oldest first
+    func samples() -> [APISystemSample] {
+        guard buffer.count == Self.capacity else { return buffer }
+        return Array(buffer[nextIndex...] + buffer[..<nextIndex])
+    }
+
+    /// CPU usage from the most recent sample
+    var latestCPUUsage: Double? {
+        guard !buffer.isEmpty else { return nil }
+        let index = (nextIndex - 1 + buffer.count) % buffer.count
+        return buffer[index].cpuUsage
+    }
+
+    private func record(_ sample: APISystemSample) {
+        if buffer.count < Self.capacity {
+            buffer.append(sample)
+            nextIndex = buffer.count % Self.capacity
+        } else {
+            buffer[nextIndex] = sample
+            nextIndex = (nextIndex + 1) % Self.capacity
+        }
+    }
+
+    // MARK: - Host Resources
+
+    /// Host CPU usage in percent since the previous call (nil on the first call)
+    func measureCPUUsage() -> Double? {
+        guard let ticks = Self.cpuTicks() else { return nil }
+        defer { previousCPUTicks = ticks }
+        guard let previous = previousCPUTicks, ticks.total > previous.total else { return nil }
+        let busy = Double(ticks.busy - previous.busy)
+        let total = Double(ticks.total - previous.total)
+        return (busy / total * 1000).rounded() / 10
+    }
+
+    /// Memory in use on the host, counted the way Activity Monitor's "Memory Used" is
+    static func memoryUsedGB() -> Double? {
+        var stats = vm_statistics64()
+        var count = mach_msg_type_number_t(MemoryLayout<vm_statistics64_data_t>.stride / MemoryLayout<integer_t>.stride)
+        let result = withUnsafeMutablePointer(to: &stats) {
+            $0.withMemoryRebound(to: integer_t.self, capacity: Int(count)) {
+                host_statistics64(mach_host_self(), HOST_VM_INFO64, $0, &count)
+            }
+        }
+        guard result == KERN_SUCCESS else { return nil }
+
+        let appPages = UInt64(stats.internal_page_count) - min(UInt64(stats.purgeable_count), UInt64(stats.internal_page_count))
+        let usedPages = appPages + UInt64(stats.wire_count) + UInt64(stats.compressor_page_count)
+        let usedBytes = Double(usedPages) * Double(vm_kernel_page_size)
+        return (usedBytes / (1024 * 1024 * 1024) * 10).rounded() / 10
+    }
+
+    private static func cpuTicks() -> (busy: UInt64, total: UInt64)? {
+        var info = host_cpu_load_info()
+        var count = mach_msg_type_number_t(MemoryLayout<host_cpu_load_info_data_t>.stride / MemoryLayout<integer_t>.stride)
+        let result = withUnsafeMutablePointer(to: &info) {
+            $0.withMemoryRebound(to: integer_t.self, capacity: Int(count)) {
+                host_statistics(mach_host_self(), HOST_CPU_LOAD_INFO, $0, &count)
+            }
+        }
+        guard result == KERN_SUCCESS else { return nil }
+
+        let user = UInt64(info.cpu_ticks.0)
+        let system = UInt64(info.cpu_ticks.1)
+        let idle = UInt64(info.cpu_ticks.2)
+        let nice = UInt64(info.cpu_ticks.3)
+        return (user + system + nice, user + system + idle + nice)
+    }
+}
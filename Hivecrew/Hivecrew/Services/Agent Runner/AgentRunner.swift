@@ -166,6 +166,9 @@ final class AgentRunner {
             supportsVision: supportsVision
         )
         self.toolExecutor.taskId = task.id
+        self.toolExecutor.mcpServerIds = task.mcpServerIds.map(Set.init)
+        self.toolExecutor.credentialIds = task.credentialIds.map(Set.init)
+            ?? (task.allowsAllCredentials != false ? nil : [])
         
         let subagentToolExecutor = SubagentToolExecutor(
             connection: connection,
@@ -208,6 +211,8 @@ final class AgentRunner {
         )
         self.toolExecutor.subagentManager = self.subagentManager
         subagentToolExecutor.subagentManager = self.subagentManager
+        subagentToolExecutor.mcpServerIds = toolExecutor.mcpServerIds
+        subagentToolExecutor.credentialIds = toolExecutor.credentialIds
         
         // Set up question callback to use statePublisher
         self.toolExecutor.onAskQuestion = { [weak statePublisher] question in
@@ -521,11 +526,17 @@ final class AgentRunner {
     /// Add MCP tools from enabled servers to the available tools list
     /// MCP servers are connected on-demand to avoid startup latency
     private func addMCPTools() async {
+        let serverIds = task.mcpServerIds.map(Set.init)
+        if serverIds?.isEmpty == true {
+            Self.mcpLogger.info("MCP tools disabled for this task")
+            return
+        }
+        
         Self.mcpLogger.info("Fetching MCP tools from connected servers...")
         
         await MCPServerManager.shared.connectAllEnabledIfNeeded()
         
-        let mcpTools = await MCPServerManager.shared.getAllTools()
+        let mcpTools = await MCPServerManager.shared.getAllTools(serverIds: serverIds)
         
         if !mcpTools.isEmpty {
             statePublisher.logInfo("MCP: Added \(mcpTools.count) tool(s) from MCP servers")
@@ -574,12 +585,7 @@ final class AgentRunner {
             self.pauseContinuation = nil
         } else if let instructions = instructions, !instructions.isEmpty {
             // If we resumed before the loop reached waitIfPaused(), preserve input for next decide().
-            let existing = statePublisher.pendingInstructions?.trimmingCharacters(in: .whitespacesAndNewlines)
-            if let existing, !existing.isEmpty {
-                statePublisher.pendingInstructions = existing + "\n" + instructions
-            } else {
-                statePublisher.pendingInstructions = instructions
-            }
+            statePublisher.queueInstructions(instructions)
         }
         Task { [subagentManager] in
             await subagentManager.setPaused(false)
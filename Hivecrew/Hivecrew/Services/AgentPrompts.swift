@@ -189,8 +189,7 @@ enum AgentPrompts {
             localWritebackSection = ""
         } else {
             let grants = localAccessGrants.map { grant in
-                let kind = grant.scopeKind == .folder ? "folder" : "file"
-                return "- \(grant.displayName) (\(kind)): \(grant.rootPath)"
+                "- \(grant.displayName) (\(grant.promptLabel)): \(grant.rootPath)"
             }.joined(separator: "\n")
 
             localWritebackSection = """
@@ -209,6 +208,7 @@ enum AgentPrompts {
             - If you reorganize a granted local folder and the original local files should disappear after the new organized copies are written back, include those original host paths in `deleteOriginalLocalPaths` on the staged writeback call.
             - Staged writeback changes are only applied after the user reviews and approves them at the end of the run unless the user's writeback settings allow automatic apply for that exact case.
             - The user cannot apply staged writeback while you are still running. Never ask the user to apply or verify staged writeback before you finish. Stage the full set of changes, then complete the task normally.
+            - Destinations marked read-only can be inspected and imported from, but staged writeback into them will be rejected.
             - Granted local destinations:
             \(grants)
 
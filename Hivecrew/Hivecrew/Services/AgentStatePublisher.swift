@@ -392,5 +392,15 @@ class AgentStatePublisher: ObservableObject {
             summary: message
         ))
     }
+
+    /// Queue text for the agent's next step, after anything already waiting
+    func queueInstructions(_ instructions: String) {
+        let existing = pendingInstructions?.trimmingCharacters(in: .whitespacesAndNewlines)
+        if let existing, !existing.isEmpty {
+            pendingInstructions = existing + "\n" + instructions
+        } else {
+            pendingInstructions = instructions
+        }
+    }
     
 }
@@ -29,6 +29,9 @@ class AppVMRuntime: ObservableObject {
     @Published private(set) var runningVMs: [String: VZVirtualMachine] = [:]
     @Published private(set) var vmDelegates: [String: VMDelegate] = [:]
     
+    /// When each running VM started, for uptime reporting
+    private(set) var startTimes: [String: Date] = [:]
+    
     private init() {}
     
     // MARK: - VM Lifecycle
@@ -74,6 +77,7 @@ class AppVMRuntime: ObservableObject {
                 }
             }
         }
+        startTimes[vmId] = Date()
     }
     
     func stopVM(id vmId: String, force: Bool = false) async throws {
@@ -104,6 +108,7 @@ class AppVMRuntime: ObservableObject {
             
             runningVMs.removeValue(forKey: vmId)
             vmDelegates.removeValue(forKey: vmId)
+            startTimes.removeValue(forKey: vmId)
             print("AppVMRuntime: VM \(vmId) force stopped and removed from tracking")
             return
         }
@@ -116,6 +121,7 @@ class AppVMRuntime: ObservableObject {
             }
             runningVMs.removeValue(forKey: vmId)
             vmDelegates.removeValue(forKey: vmId)
+            startTimes.removeValue(forKey: vmId)
             return
         }
         
@@ -126,6 +132,7 @@ class AppVMRuntime: ObservableObject {
         
         runningVMs.removeValue(forKey: vmId)
         vmDelegates.removeValue(forKey: vmId)
+        startTimes.removeValue(forKey: vmId)
         print("AppVMRuntime: VM \(vmId) stopped gracefully")
     }
     
@@ -144,6 +151,7 @@ class AppVMRuntime: ObservableObject {
     private func handleVMStopped(id vmId: String) {
         runningVMs.removeValue(forKey: vmId)
         vmDelegates.removeValue(forKey: vmId)
+        startTimes.removeValue(forKey: vmId)
         print("AppVMRuntime: VM \(vmId) removed from running VMs (guest stopped)")
     }
 
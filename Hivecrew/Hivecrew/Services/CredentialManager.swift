@@ -17,17 +17,20 @@ struct StoredCredential: Identifiable, Codable, Equatable {
     var displayName: String       // e.g., "GitHub", "Work Email"
     var usernameToken: UUID       // UUID token for the username
     var passwordToken: UUID       // UUID token for the password
+    var username: String?         // Copy of the username for listing without Keychain reads
     
     init(
         id: UUID = UUID(),
         displayName: String,
         usernameToken: UUID = UUID(),
-        passwordToken: UUID = UUID()
+        passwordToken: UUID = UUID(),
+        username: String? = nil
     ) {
         self.id = id
         self.displayName = displayName
         self.usernameToken = usernameToken
         self.passwordToken = passwordToken
+        self.username = username
     }
 }
 
@@ -99,7 +102,10 @@ class CredentialManager: ObservableObject {
             throw CredentialManagerError.duplicateCredential(displayName)
         }
         
-        let credential = StoredCredential(displayName: displayName)
+        let credential = StoredCredential(
+            displayName: displayName,
+            username: username?.isEmpty == false ? username : nil
+        )
         
         // Store username in Keychain if provided
         if let username = username, !username.isEmpty {
@@ -143,7 +149,11 @@ class CredentialManager: ObservableObject {
         }
         
         // Update display name if changed
-        credentials[index] = credential
+        var updated = credential
+        if let username = username {
+            updated.username = username.isEmpty ? nil : username
+        }
+        credentials[index] = updated
         saveCredentials()
     }
     
@@ -182,12 +192,13 @@ class CredentialManager: ObservableObject {
     }
     
     /// Substitute all UUID tokens in text with their real values
-    func substituteTokens(in text: String) -> String {
+    /// - Parameter allowedIds: Credentials whose tokens may be substituted (nil allows every credential)
+    func substituteTokens(in text: String, allowedIds: Set<String>? = nil) -> String {
         var result = text
         
         // Resolve credential tokens lazily so app launch/settings open do not trigger
         // mass keychain reads for all stored credentials.
-        let allTokens = Set(credentials.flatMap { [$0.usernameToken, $0.passwordToken] })
+        let allTokens = Set(credentials(allowedIds: allowedIds).flatMap { [$0.usernameToken, $0.passwordToken] })
         
         // Direct substitution: iterate through known credential tokens and replace them.
         for token in allTokens {
@@ -230,17 +241,29 @@ class CredentialManager: ObservableObject {
         }
         
         tokenMap[token] = loaded
+        // Credentials saved before usernames were kept in metadata pick theirs up on first use
+        if let index = credentials.firstIndex(where: { $0.usernameToken == token && $0.username == nil }) {
+            credentials[index].username = loaded
+            saveCredentials()
+        }
         return loaded
     }
     
     // MARK: - Agent API
     
     /// Get credentials for the agent (with optional service filter)
-    func getCredentialsForAgent(service: String?) -> [StoredCredential] {
+    /// - Parameter allowedIds: Credentials the task was given (nil allows every credential)
+    func getCredentialsForAgent(service: String?, allowedIds: Set<String>? = nil) -> [StoredCredential] {
+        let available = credentials(allowedIds: allowedIds)
         if let service = service {
-            return credentials.filter { $0.displayName.localizedCaseInsensitiveContains(service) }
+            return available.filter { $0.displayName.localizedCaseInsensitiveContains(service) }
         }
-        return credentials
+        return available
+    }
+    
+    private func credentials(allowedIds: Set<String>?) -> [StoredCredential] {
+        guard let allowedIds else { return credentials }
+        return credentials.filter { allowedIds.contains($0.id.uuidString) }
     }
     
     /// Check if a token belongs to a username field
@@ -270,6 +293,105 @@ class CredentialManager: ObservableObject {
         return (username, password)
     }
     
+    // MARK: - CSV Import
+    
+    /// Parse a password manager CSV export into credential entries
+    /// Rows without a password are skipped; missing or blank names become "Unnamed", "Unnamed 2", ...
+    static func parseCSV(_ contents: String) -> [(displayName: String, username: String?, password: String)] {
+        var results: [(displayName: String, username: String?, password: String)] = []
+        
+        let lines = contents.components(separatedBy: .newlines)
+        guard lines.count > 1 else { return [] }
+        
+        // Parse header
+        let headerLine = lines[0]
+        let headers = parseCSVLine(headerLine).map { $0.lowercased() }
+        
+        // Find column indices
+        let nameColumns = ["name", "title", "url", "website", "login_uri"]
+        let usernameColumns = ["username", "login_username", "email", "user"]
+        let passwordColumns = ["password", "login_password", "pass"]
+        
+        let nameIndex = headers.firstIndex { nameColumns.contains($0) }
+        let usernameIndex = headers.firstIndex { usernameColumns.contains($0) }
+        let passwordIndex = headers.firstIndex { passwordColumns.contains($0) }
+        
+        // Parse data rows
+        var unnamedCount = 0
+        for i in 1..<lines.count {
+            let line = lines[i].trimmingCharacters(in: .whitespacesAndNewlines)
+            if line.isEmpty { continue }
+            
+            let values = parseCSVLine(line)
+            
+            let username = usernameIndex.flatMap { $0 < values.count ? values[$0] : nil }
+            let password = passwordIndex.flatMap { $0 < values.count ? values[$0] : nil } ?? ""
+            guard !password.isEmpty else { continue }
+            
+            // Number untitled rows so the import doesn't skip all but the first as duplicates
+            let name: String
+            if let value = nameIndex.flatMap({ $0 < values.count && !values[$0].isEmpty ? values[$0] : nil }) {
+                name = value
+            } else {
+                unnamedCount += 1
+                name = unnamedCount == 1 ? "Unnamed" : "Unnamed \(unnamedCount)"
+            }
+            
+            results.append((displayName: name, username: username, password: password))
+        }
+        
+        return results
+    }
+    
+    /// Split one CSV line into fields; inside a quoted field, `""` stands for a literal quote
+    private static func parseCSVLine(_ line: String) -> [String] {
+        var result: [String] = []
+        var current = ""
+        var inQuotes = false
+        var characters = line.makeIterator()
+        var pending = characters.next()
+        
+        while let char = pending {
+            pending = characters.next()
+            if char == "\"" {
+                if inQuotes && pending == "\"" {
+                    current.append(char)
+                    pending = characters.next()
+                } else {
+                    inQuotes.toggle()
+                }
+            } else if char == "," && !inQuotes {
+                result.append(current.trimmingCharacters(in: .whitespaces))
+                current = ""
+            } else {
+                current.append(char)
+            }
+        }
+        
+        result.append(current.trimmingCharacters(in: .whitespaces))
+        return result
+    }
+    
+    /// Add parsed credentials, skipping names that already exist
+    func importCredentials(_ entries: [(displayName: String, username: String?, password: String)]) -> CredentialImportResult {
+        var imported = 0
+        var skipped = 0
+        var errors: [String] = []
+        
+        for entry in entries {
+            do {
+                try addCredential(displayName: entry.displayName, username: entry.username, password: entry.password)
+                imported += 1
+            } catch CredentialManagerError.duplicateCredential {
+                skipped += 1
+            } catch {
+                errors.append(entry.displayName)
+            }
+        }
+        
+        return CredentialImportResult(imported: imported, skipped: skipped, errors: errors)
+    }
+    
     // MARK: - Persistence
     
     private func loadCredentials() {
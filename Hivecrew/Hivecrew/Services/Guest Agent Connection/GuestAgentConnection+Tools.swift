@@ -152,7 +152,7 @@ extension GuestAgentConnection {
             """
         
         // Append user-defined environment variables from VM provisioning config
-        let userEnvExports = VMProvisioningService.shared.environmentExportString
+        let userEnvExports = VMProvisioningService.shared.environmentExportString(for: provisioningConfig)
         
         // Re-apply critical defaults after user env exports so empty overrides cannot break TeX tooling.
         let postEnvSetup = """
@@ -34,6 +34,9 @@ class GuestAgentConnection: ObservableObject {
     private var readTask: Task<Void, Never>?
     private var isDisconnecting = false
     
+    /// Provisioning for the task using this VM, including its overrides (nil uses the global configuration)
+    var provisioningConfig: VMProvisioningConfig?
+    
     /// The vsock port the agent listens on
     private let agentPort: UInt32 = 3748
     
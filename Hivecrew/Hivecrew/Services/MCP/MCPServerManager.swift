@@ -241,10 +241,11 @@ final class MCPServerManager: ObservableObject {
     // MARK: - Tool Access
     
     /// Get all available tools from connected servers
-    func getAllTools() async -> [LLMToolDefinition] {
+    /// - Parameter serverIds: Servers to include (nil includes every connected server)
+    func getAllTools(serverIds: Set<String>? = nil) async -> [LLMToolDefinition] {
         var tools: [LLMToolDefinition] = []
         
-        for (_, connection) in connections {
+        for (serverId, connection) in connections where serverIds?.contains(serverId) ?? true {
             let isConnected = await connection.isConnected
             guard isConnected else { continue }
             
@@ -274,9 +275,10 @@ final class MCPServerManager: ObservableObject {
     }
     
     /// Execute an MCP tool call
-    func executeTool(name: String, arguments: [String: Any]) async throws -> MCPCallToolResult {
+    /// - Parameter serverIds: Servers the caller may use (nil allows every connected server)
+    func executeTool(name: String, arguments: [String: Any], serverIds: Set<String>? = nil) async throws -> MCPCallToolResult {
         // Find the server that owns this tool
-        for (_, connection) in connections {
+        for (serverId, connection) in connections where serverIds?.contains(serverId) ?? true {
             let owns = await connection.ownsToolName(name)
             if owns {
                 // Extract the original tool name
@@ -142,7 +142,10 @@ class SchedulerService: ObservableObject {
                 serviceTier: schedule.serviceTier,
                 attachedFilePaths: schedule.attachedFilePaths,
                 outputDirectory: schedule.outputDirectory,
-                mentionedSkillNames: schedule.mentionedSkillNames ?? []
+                mentionedSkillNames: schedule.mentionedSkillNames ?? [],
+                templateId: schedule.templateId,
+                credentialIds: schedule.credentialIds,
+                allowsAllCredentials: schedule.allowsAllCredentials != false
             )
             
             // Update the schedule's state
@@ -189,9 +192,12 @@ class SchedulerService: ObservableObject {
         reasoningEnabled: Bool? = nil,
         reasoningEffort: String? = nil,
         serviceTier: LLMServiceTier? = nil,
+        templateId: String? = nil,
         attachedFilePaths: [String] = [],
         outputDirectory: String? = nil,
         mentionedSkillNames: [String]? = nil,
+        credentialIds: [String]? = nil,
+        allowsAllCredentials: Bool = false,
         scheduleType: ScheduleType,
         scheduledDate: Date? = nil,
         recurrenceRule: RecurrenceRule? = nil
@@ -208,9 +214,12 @@ class SchedulerService: ObservableObject {
             reasoningEnabled: reasoningEnabled,
             reasoningEffort: reasoningEffort,
             serviceTier: serviceTier,
+            templateId: templateId,
             attachedFilePaths: attachedFilePaths,
             outputDirectory: outputDirectory,
             mentionedSkillNames: mentionedSkillNames,
+            credentialIds: credentialIds,
+            allowsAllCredentials: allowsAllCredentials,
             scheduleType: scheduleType,
             scheduledDate: scheduledDate,
             recurrenceRule: recurrenceRule
@@ -398,6 +398,36 @@ public class SkillManager: ObservableObject {
         return skill
     }
     
+    /// Import a skill from SKILL.md content
+    /// With `replaceExisting`, a skill of the same name is only replaced once the new copy is written
+    public func importFromSkillContent(_ content: String, replaceExisting: Bool = false) async throws -> Skill {
+        let skill = try SkillParser.parse(content: content, isImported: true)
+        
+        let existingMetadata = try prepareImportDestination(for: skill.name, replaceExisting: replaceExisting)
+        let tempDir = try createTemporaryImportDirectory(for: skill.name)
+        defer { try? FileManager.default.removeItem(at: tempDir) }
+        
+        try content.write(to: tempDir.appendingPathComponent("SKILL.md"), atomically: true, encoding: .utf8)
+        try finalizeImportedSkill(
+            from: tempDir,
+            skillName: skill.name,
+            replaceExisting: replaceExisting
+        )
+        
+        let localMetadata = SkillParser.LocalMetadata(
+            isEnabled: existingMetadata?.isEnabled ?? true,
+            isImported: true,
+            sourceTaskId: nil,
+            createdAt: existingMetadata?.createdAt ?? Date()
+        )
+        try SkillParser.saveLocalMetadata(localMetadata, for: skill.name)
+        
+        // Refresh skills list
+        try await loadAllSkills()
+        
+        return skill
+    }
+    
     // MARK: - GitHub Import
     
     /// Import a skill from a GitHub URL
@@ -797,16 +827,28 @@ public class SkillManager: ObservableObject {
         skillName: String,
         replaceExisting: Bool
     ) throws {
+        let fileManager = FileManager.default
         let destDir = AppPaths.skillDirectory(name: skillName)
         
-        if FileManager.default.fileExists(atPath: destDir.path) {
-            guard replaceExisting else {
-                throw SkillError.skillAlreadyExists(skillName)
-            }
-            try FileManager.default.removeItem(at: destDir)
+        guard fileManager.fileExists(atPath: destDir.path) else {
+            try fileManager.moveItem(at: temporaryDirectory, to: destDir)
+            return
+        }
+        guard replaceExisting else {
+            throw SkillError.skillAlreadyExists(skillName)
         }
         
-        try FileManager.default.moveItem(at: temporaryDirectory, to: destDir)
+        // Move the existing skill aside rather than deleting it, so a failed move puts it back
+        let backupDir = temporaryDirectory.deletingLastPathComponent()
+            .appendingPathComponent("hivecrew-skill-backup-\(skillName)-\(UUID().uuidString)", isDirectory: true)
+        try fileManager.moveItem(at: destDir, to: backupDir)
+        do {
+            try fileManager.moveItem(at: temporaryDirectory, to: destDir)
+        } catch {
+            try? fileManager.moveItem(at: backupDir, to: destDir)
+            throw error
+        }
+        try? fileManager.removeItem(at: backupDir)
     }
     
     // MARK: - Bootstrap Default Skills
@@ -0,0 +1,187 @@
+//
+//  SlideshowExporter.swift
+//  Hivecrew
+//
+//  Exports a sequence of images to a self-contained HTML slideshow
+//
+
+import Foundation
+import ImageIO
+import UniformTypeIdentifiers
+
+/// Utility for exporting images to a single HTML file that plays them back in any browser
+enum SlideshowExporter {
+
+    enum ExportError: LocalizedError {
+        case noImages
+        case failedToLoadImage(String)
+        case failedToEncodeImage(String)
+        case failedToCreateFile(URL)
+
+        var errorDescription: String? {
+            switch self {
+            case .noImages:
+                return "No images provided for slideshow export"
+            case .failedToLoadImage(let path):
+                return "Failed to load image: \(path)"
+            case .failedToEncodeImage(let path):
+                return "Failed to encode image: \(path)"
+            case .failedToCreateFile(let url):
+                return "Failed to create slideshow file at \(url.path)"
+            }
+        }
+    }
+
+    /// Export a sequence of images to an HTML slideshow
+    /// - Parameters:
+    ///   - imagePaths: Array of file paths to images (in order)
+    ///   - outputURL: Destination URL for the HTML file
+    ///   - title: Title shown in the page header
+    ///   - fps: Slides per second during playback (default: 6)
+    ///   - maxPixelSize: Frames are downscaled so their longest side fits (keeps the file shareable)
+    ///   - progress: Optional progress callback (0.0 to 1.0)
+    static func exportSlideshow(
+        from imagePaths: [String],
+        to outputURL: URL,
+        title: String,
+        fps: Int = 6,
+        maxPixelSize: Int = 1600,
+        progress: (@Sendable (Double) -> Void)? = nil
+    ) async throws {
+        guard !imagePaths.isEmpty else {
+            throw ExportError.noImages
+        }
+
+        try? FileManager.default.removeItem(at: outputURL)
+        guard FileManager.default.createFile(atPath: outputURL.path, contents: nil),
+              let handle = try? FileHandle(forWritingTo: outputURL) else {
+            throw ExportError.failedToCreateFile(outputURL)
+        }
+        defer { try? handle.close() }
+
+        // Frames are streamed into the file one at a time to keep memory flat
+        try handle.write(contentsOf: Data(header(title: title, fps: fps).utf8))
+
+        for (index, imagePath) in imagePaths.enumerated() {
+            try Task.checkCancellation()
+
+            let jpeg = try encodeFrame(at: imagePath, maxPixelSize: maxPixelSize)
+            let separator = index == 0 ? "" : ",\n"
+            let frame = "\(separator)\"data:image/jpeg;base64,\(jpeg.base64EncodedString())\""
+            try handle.write(contentsOf: Data(frame.utf8))
+
+            progress?(Double(index + 1) / Double(imagePaths.count))
+        }
+
+        try handle.write(contentsOf: Data(footer.utf8))
+    }
+
+    /// Downscale an image and re-encode it as JPEG
+    private static func encodeFrame(at path: String, maxPixelSize: Int) throws -> Data {
+        let url = URL(fileURLWithPath: path) as CFURL
+        guard let source = CGImageSourceCreateWithURL(url, nil) else {
+            throw ExportError.failedToLoadImage(path)
+        }
+
+        let thumbnailOptions: [CFString: Any] = [
+            kCGImageSourceCreateThumbnailFromImageAlways: true,
+            kCGImageSourceCreateThumbnailWithTransform: true,
+            kCGImageSourceThumbnailMaxPixelSize: maxPixelSize
+        ]
+        guard let image = CGImageSourceCreateThumbnailAtIndex(source, 0, thumbnailOptions as CFDictionary) else {
+            throw ExportError.failedToLoadImage(path)
+        }
+
+        let data = NSMutableData()
+        guard let destination = CGImageDestinationCreateWithData(data, UTType.jpeg.identifier as CFString, 1, nil) else {
+            throw ExportError.failedToEncodeImage(path)
+        }
+        CGImageDestinationAddImage(destination, image, [kCGImageDestinationLossyCompressionQuality: 0.75] as CFDictionary)
+        guard CGImageDestinationFinalize(destination) else {
+            throw ExportError.failedToEncodeImage(path)
+        }
+
+        return data as Data
+    }
+
+    // MARK: - HTML Template
+
+    private static func header(title: String, fps: Int) -> String {
+        let escapedTitle = title
+            .replacingOccurrences(of: "&", with: "&amp;")
+            .replacingOccurrences(of: "<", with: "&lt;")
+            .replacingOccurrences(of: ">", with: "&gt;")
+        let interval = max(1, 1000 / max(1, fps))
+
+        return """
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <title>\(escapedTitle)</title>
+        <style>
+        body { margin: 0; background: #111; color: #eee; font: 14px -apple-system, BlinkMacSystemFont, sans-serif; display: flex; flex-direction: column; height: 100vh; }
+        header { padding: 12px 16px; font-weight: 600; }
+        main { flex: 1; min-height: 0; display: flex; align-items: center; justify-content: center; }
+        img { max-width: 100%; max-height: 100%; object-fit: contain; }
+        footer { display: flex; align-items: center; gap: 12px; padding: 12px 16px; }
+        button { background: #333; color: #eee; border: 0; border-radius: 6px; padding: 6px 12px; cursor: pointer; }
+        input[type=range] { flex: 1; }
+        </style>
+        </head>
+        <body>
+        <header>\(escapedTitle)</header>
+        <main><img id="frame" alt="Replay frame"></main>
+        <footer>
+        <button id="play">Pause</button>
+        <input id="scrub" type="range" min="0" value="0">
+        <span id="counter"></span>
+        </footer>
+        <script>
+        const interval = \(interval);
+        const frames = [
+
+        """
+    }
+
+    private static let footer = """
+
+    ];
+    const img = document.getElementById('frame');
+    const scrub = document.getElementById('scrub');
+    const counter = document.getElementById('counter');
+    const play = document.getElementById('play');
+    let index = 0;
+    let timer = null;
+    scrub.max = frames.length - 1;
+    function show(i) {
+        index = i;
+        img.src = frames[i];
+        scrub.value = i;
+        counter.textContent = (i + 1) + ' / ' + frames.length;
+    }
+    function start() {
+        timer = setInterval(() => show((index + 1) % frames.length), interval);
+        play.textContent = 'Pause';
+    }
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+        play.textContent = 'Play';
+    }
+    play.onclick = () => timer ? stop() : start();
+    scrub.oninput = () => { stop(); show(Number(scrub.value)); };
+    document.onkeydown = (e) => {
+        if (e.key === 'ArrowRight') { stop(); show(Math.min(index + 1, frames.length - 1)); }
+        if (e.key === 'ArrowLeft') { stop(); show(Math.max(index - 1, 0)); }
+        if (e.key === ' ') { e.preventDefault(); timer ? stop() : start(); }
+    };
+    show(0);
+    start();
+    </script>
+    </body>
+    </html>
+
+    """
+}
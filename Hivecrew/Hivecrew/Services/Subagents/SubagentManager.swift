@@ -593,7 +593,7 @@ actor SubagentManager {
         let allowAllMCP = allowlist.contains("mcp_*")
         if allowAllMCP || allowlist.contains(where: { $0.hasPrefix("mcp_") }) {
             await MCPServerManager.shared.connectAllEnabledIfNeeded()
-            let mcpTools = await MCPServerManager.shared.getAllTools()
+            let mcpTools = await MCPServerManager.shared.getAllTools(serverIds: toolExecutor.mcpServerIds)
             if allowAllMCP {
                 tools.append(contentsOf: mcpTools)
             } else {
@@ -32,6 +32,10 @@ final class SubagentToolExecutor {
     private let mainModelSupportsVision: Bool
     
     weak var subagentManager: SubagentManager?
+    /// MCP servers the parent task may call (nil allows every enabled server)
+    var mcpServerIds: Set<String>?
+    /// Stored credentials the parent task may use (nil allows every credential)
+    var credentialIds: Set<String>?
     var onAskQuestion: ((AgentQuestion) async -> String)?
     var onRequestPermission: ((String, String) async -> Bool)?
     
@@ -253,7 +257,7 @@ final class SubagentToolExecutor {
     
     private func executeKeyboardType(args: [String: Any]) async throws -> ToolResult {
         let originalText = args["text"] as? String ?? ""
-        let actualText = CredentialManager.shared.substituteTokens(in: originalText)
+        let actualText = CredentialManager.shared.substituteTokens(in: originalText, allowedIds: credentialIds)
         try await vmScheduler.run {
             try await self.connection.keyboardType(text: actualText)
         }
@@ -405,16 +409,16 @@ final class SubagentToolExecutor {
     private func executeGetCredentials(args: [String: Any]) -> ToolResult {
         let serviceFilter = args["service"] as? String
         
-        var credentials = CredentialManager.shared.getCredentialsForAgent(service: serviceFilter)
+        var credentials = CredentialManager.shared.getCredentialsForAgent(service: serviceFilter, allowedIds: credentialIds)
         var noMatchMsg: String? = nil
         
         if credentials.isEmpty, let service = serviceFilter {
-            credentials = CredentialManager.shared.getCredentialsForAgent(service: nil)
+            credentials = CredentialManager.shared.getCredentialsForAgent(service: nil, allowedIds: credentialIds)
             if !credentials.isEmpty { noMatchMsg = "No credentials matching '\(service)'. Returning all." }
         }
         
         if credentials.isEmpty {
-            return .text("No credentials stored.")
+            return .text(credentialIds == nil ? "No credentials stored." : "No credentials were given to this task.")
         }
         
         var output = noMatchMsg.map { "\($0)\n\n" } ?? ""
@@ -840,7 +844,7 @@ final class SubagentToolExecutor {
     
     private func executeMCPTool(name: String, args: [String: Any]) async throws -> ToolResult {
         await MCPServerManager.shared.connectAllEnabledIfNeeded()
-        let result = try await MCPServerManager.shared.executeTool(name: name, arguments: args)
+        let result = try await MCPServerManager.shared.executeTool(name: name, arguments: args, serverIds: mcpServerIds)
         
         if result.isError == true {
             return .text("Error: \(result.textContent)")
@@ -138,9 +138,9 @@ extension TaskService {
         try? context.save()
         objectWillChange.send()
         
-        // Get the default template ID from settings
-        let templateId = getDefaultTemplateId()
-        print("TaskService: Retrieved defaultTemplateId = '\(templateId ?? "nil")'")
+        // Use the task's template override, falling back to the default template from settings
+        let templateId = task.templateId ?? getDefaultTemplateId()
+        print("TaskService: Retrieved templateId = '\(templateId ?? "nil")'")
         
         guard let templateId = templateId, !templateId.isEmpty else {
             // Release the reserved slot and remove from in-progress tracking
@@ -337,11 +337,12 @@ extension TaskService {
             }
             
             // MARK: VM Provisioning (user-defined files and setup commands)
-            let provisioningConfig = VMProvisioningService.shared.config
+            let provisioningConfig = VMProvisioningService.shared.config.applying(task.resolvedProvisioningOverrides())
+            connection.provisioningConfig = provisioningConfig
             
             // Write environment variables to ~/.zshenv so they are available in
             // Terminal.app and all other zsh sessions (not just runShell calls)
-            if let zshenvContents = VMProvisioningService.shared.zshenvContents {
+            if let zshenvContents = VMProvisioningService.shared.zshenvContents(for: provisioningConfig) {
                 do {
                     // Escape single quotes in the content for the heredoc
                     let escapedContents = zshenvContents.replacingOccurrences(of: "'", with: "'\\''")
@@ -361,7 +362,7 @@ extension TaskService {
             if !provisioningConfig.fileInjections.isEmpty {
                 print("TaskService: Injecting provisioned files into VM...")
                 let inboxPath = AppPaths.vmInboxDirectory(id: vmId!)
-                let copiedFiles = VMProvisioningService.shared.copyProvisionedFiles(toSharedInbox: inboxPath)
+                let copiedFiles = VMProvisioningService.shared.copyProvisionedFiles(toSharedInbox: inboxPath, config: provisioningConfig)
                 
                 if !copiedFiles.isEmpty {
                     let injectionScript = VMProvisioningService.shared.generateFileInjectionScript(for: copiedFiles)
@@ -920,6 +921,8 @@ extension TaskService {
             remainingTask.sortOrder = index
         }
         
+        TaskProvisioningOverrides.deleteEnvironmentValues(taskId: task.id)
+        
         // Delete from SwiftData
         context.delete(task)
         try? context.save()
@@ -930,10 +933,9 @@ extension TaskService {
     
     /// Process queued tasks when a VM becomes available
     func processQueuedTasks() async {
-        // Find queued tasks that aren't already being processed, sorted by creation time (oldest first)
-        let queuedTasks = tasks
+        // Find queued tasks that aren't already being processed, in queue order (priority, manual rank, then oldest first)
+        let queuedTasks = queueOrderedTasks
             .filter { $0.status == .queued && !tasksInProgress.contains($0.id) }
-            .sorted { $0.createdAt < $1.createdAt }
         
         guard !queuedTasks.isEmpty else { return }
         
@@ -64,29 +64,53 @@ extension TaskService {
             }
             
             // This VM is orphaned - delete it
-            print("TaskService: Deleting orphaned VM: \(vmId)")
-            do {
-                try await vmServiceClient.deleteVM(id: vmId)
+            if await deleteOrphanedVM(id: vmId) {
                 deletedCount += 1
-            } catch {
-                print("TaskService: XPC delete failed for orphaned VM \(vmId): \(error)")
-
-                do {
-                    try fm.removeItem(at: vmPath)
-                    deletedCount += 1
-                    print("TaskService: Deleted orphaned VM directly after XPC failure: \(vmId)")
-                } catch {
-                    failedCount += 1
-                    print("TaskService: Failed to delete orphaned VM \(vmId): \(error)")
-                }
+            } else {
+                failedCount += 1
             }
         }
         
         print("TaskService: VM cleanup complete. Deleted: \(deletedCount), Skipped: \(skippedCount), Failed: \(failedCount)")
     }
     
+    /// Delete an orphaned VM, stopping it first if it is still running
+    /// - Returns: Whether the VM bundle was removed
+    @discardableResult
+    func deleteOrphanedVM(id vmId: String) async -> Bool {
+        print("TaskService: Deleting orphaned VM: \(vmId)")
+        if vmRuntime.getVM(id: vmId) != nil {
+            try? await vmRuntime.stopVM(id: vmId, force: true)
+        }
+        
+        do {
+            try await vmServiceClient.deleteVM(id: vmId)
+            return true
+        } catch {
+            print("TaskService: XPC delete failed for orphaned VM \(vmId): \(error)")
+            
+            do {
+                try FileManager.default.removeItem(at: AppPaths.vmBundlePath(id: vmId))
+                print("TaskService: Deleted orphaned VM directly after XPC failure: \(vmId)")
+                return true
+            } catch {
+                print("TaskService: Failed to delete orphaned VM \(vmId): \(error)")
+                return false
+            }
+        }
+    }
+    
+    /// Check if a VM can be reclaimed while the app is running
+    /// VMs created moments ago may belong to a task that is still starting and has not recorded its VM yet
+    func isVMOrphaned(_ vm: VMInfo) -> Bool {
+        guard !isVMProtected(vm.id), !tearingDownVMIds.contains(vm.id) else {
+            return false
+        }
+        return pendingVMCount == 0 || Date().timeIntervalSince(vm.createdAt) > 120
+    }
+    
     /// Get the set of developer VM IDs from UserDefaults
-    private func getDeveloperVMIds() -> Set<String> {
+    func getDeveloperVMIds() -> Set<String> {
         guard let data = UserDefaults.standard.data(forKey: "developerVMIds"),
               let ids = try? JSONDecoder().decode(Set<String>.self, from: data) else {
             return []
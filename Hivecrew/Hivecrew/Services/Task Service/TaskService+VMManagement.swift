@@ -505,6 +505,56 @@ extension TaskService {
         return copiedPaths
     }
 
+    /// Copy files into the inbox of a task whose VM is already running
+    ///
+    /// Files go to the shared inbox and are then copied to the guest Desktop inbox, the same
+    /// route attachments take at startup. A name already taken in either inbox gets a numeric
+    /// suffix, so neither an earlier upload nor a file the agent saved there is ever replaced.
+    /// - Returns: The delivered files with their paths inside the VM
+    func deliverFilesToInbox(
+        vmId: String,
+        connection: GuestAgentConnection,
+        filePaths: [String]
+    ) async throws -> [(name: String, vmPath: String, size: Int64)] {
+        let fm = FileManager.default
+        let inboxPath = AppPaths.vmInboxDirectory(id: vmId)
+        try fm.createDirectory(at: inboxPath, withIntermediateDirectories: true)
+
+        var staged: [(name: String, size: Int64)] = []
+        for filePath in filePaths {
+            let sourceURL = URL(fileURLWithPath: filePath)
+            let destinationURL = uniqueFileURL(for: inboxPath.appendingPathComponent(sourceURL.lastPathComponent))
+            try fm.copyItem(at: sourceURL, to: destinationURL)
+            let size = (try? fm.attributesOfItem(atPath: destinationURL.path)[.size] as? NSNumber)?.int64Value ?? 0
+            staged.append((name: destinationURL.lastPathComponent, size: size))
+        }
+
+        // deliver <shared name> <stem> <extension> copies one file to the first free
+        // "<stem><extension>", "<stem>-2<extension>", ... in the guest inbox and prints the name used
+        let deliverFunction = #"deliver() { dest="$HOME/Desktop/inbox/$2$3"; n=2; while [ -e "$dest" ]; do dest="$HOME/Desktop/inbox/$2-$n$3"; n=$((n+1)); done; cp "/Volumes/Shared/inbox/$1" "$dest" && basename "$dest"; }"#
+        let copyCommands = staged.map { file in
+            let url = URL(fileURLWithPath: file.name)
+            let pathExtension = url.pathExtension.isEmpty ? "" : ".\(url.pathExtension)"
+            return "deliver \(shellSingleQuoted(file.name)) \(shellSingleQuoted(url.deletingPathExtension().lastPathComponent)) \(shellSingleQuoted(pathExtension))"
+        }
+        let result = try await connection.runShell(
+            command: deliverFunction + "; mkdir -p ~/Desktop/inbox && " + copyCommands.joined(separator: " && "),
+            timeout: 60
+        )
+        if result.exitCode != 0 {
+            throw TaskServiceError.inboxDeliveryFailed(result.stderr.isEmpty ? result.stdout : result.stderr)
+        }
+
+        let guestNames = result.stdout.split(separator: "\n").map(String.init)
+        let delivered: [(name: String, vmPath: String, size: Int64)] = staged.enumerated().map { index, file in
+            let name = guestNames.count == staged.count ? guestNames[index] : file.name
+            return (name: name, vmPath: "/Users/hivecrew/Desktop/inbox/\(name)", size: file.size)
+        }
+        print("TaskService: Delivered \(delivered.count) file(s) to the inbox of VM \(vmId)")
+
+        return delivered
+    }
+
     /// Copy a VM workspace snapshot into the durable session artifacts directory.
     func persistWorkspaceSnapshot(vmId: String, sessionId: String) {
         let fm = FileManager.default
@@ -526,6 +576,10 @@ extension TaskService {
         }
     }
     
+    private func shellSingleQuoted(_ string: String) -> String {
+        "'\(string.replacingOccurrences(of: "'", with: "'\\''"))'"
+    }
+
     /// Generate a subfolder name for task output based on title and timestamp
     /// - Parameter taskTitle: The task title
     /// - Returns: Sanitized folder name in format "{title}-{timestamp}"
@@ -75,6 +75,18 @@ extension TaskService {
         WritebackStagingService.shared.review(for: task)
     }
 
+    func writebackHasConflicts(for task: TaskRecord) -> Bool {
+        WritebackStagingService.shared.hasConflicts(for: task)
+    }
+
+    /// Full-context diff of one staged change, or nil when the operation is unknown or has no text diff
+    func writebackFullDiff(for task: TaskRecord, operationID: UUID) -> String? {
+        guard let operation = task.pendingWritebackOperations.first(where: { $0.id == operationID }) else {
+            return nil
+        }
+        return WritebackStagingService.shared.fullDiff(for: operation)
+    }
+
     func autoApplyConfiguredWriteback(for task: TaskRecord) throws -> [String] {
         let settings = writebackAutoApplySettings
         let operations = task.pendingWritebackOperations.filter { operation in
@@ -95,6 +107,32 @@ extension TaskService {
         objectWillChange.send()
     }
 
+    /// Apply only the selected staged changes, resolving conflicts as chosen, and discard the rest.
+    /// An empty selection is rejected so that discarding everything stays an explicit action.
+    func approveWriteback(
+        for task: TaskRecord,
+        selectedOperationIDs: Set<UUID>,
+        resolutions: [UUID: WritebackConflictResolution]
+    ) throws {
+        guard !selectedOperationIDs.isEmpty else {
+            throw WritebackStagingError.applyFailed("No staged changes were selected. Discard the writeback to drop every staged change.")
+        }
+        let pendingCount = task.pendingWritebackOperations.count
+        let appliedPaths = try WritebackStagingService.shared.applyPending(
+            for: task,
+            selectedIDs: selectedOperationIDs,
+            resolutions: resolutions
+        )
+        task.status = .completed
+        appendWritebackSummary(prefix: "Applied", count: appliedPaths.count, to: task)
+        let skippedCount = pendingCount - appliedPaths.count
+        if skippedCount > 0 {
+            task.resultSummary = (task.resultSummary ?? "") + " Discarded \(skippedCount) other staged change(s)."
+        }
+        try? modelContext?.save()
+        objectWillChange.send()
+    }
+
     func discardWriteback(for task: TaskRecord) throws {
         try WritebackStagingService.shared.discardPending(for: task)
         task.status = .completed
@@ -145,7 +183,7 @@ extension TaskService {
     }
 
     private func matchingGrant(for operation: PendingWritebackOperation, task: TaskRecord) -> LocalAccessGrant? {
-        task.localAccessGrants.first { $0.allowsAccess(to: operation.destinationPath) }
+        task.localAccessGrants.first { $0.allowsWrites && $0.allowsAccess(to: operation.destinationPath) }
     }
 
     private func shouldAutoApply(
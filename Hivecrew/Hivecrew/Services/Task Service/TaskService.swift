@@ -35,6 +35,28 @@ struct TaskCreationRequest {
     let planMarkdown: String?
     let planSelectedSkillNames: [String]?
     let localAccessGrants: [LocalAccessGrant]
+    /// VM template override (nil uses the default template)
+    var templateId: String? = nil
+    /// Groups tasks created together from one prompt (nil for single tasks)
+    var batchId: String? = nil
+    /// Queue priority
+    var priority: TaskPriority = .normal
+    /// MCP servers the task may use (nil allows every enabled server)
+    var mcpServerIds: [String]? = nil
+    /// Changes to the global VM provisioning for this task
+    var provisioningOverrides: TaskProvisioningOverrides? = nil
+    /// Stored credentials the task may use (nil gives none unless allowsAllCredentials is set)
+    var credentialIds: [String]? = nil
+    /// Lets the task use every stored credential when credentialIds is nil
+    var allowsAllCredentials: Bool = false
+}
+
+/// Model and reasoning settings for one task created by a rerun
+struct TaskRerunTarget {
+    let providerId: String
+    let modelId: String
+    let reasoningEnabled: Bool?
+    let reasoningEffort: String?
 }
 
 /// Service for managing tasks and agent execution
@@ -136,7 +158,13 @@ class TaskService: ObservableObject {
         planFirstEnabled: Bool = false,
         planMarkdown: String? = nil,
         planSelectedSkillNames: [String]? = nil,
-        localAccessGrants: [LocalAccessGrant] = []
+        localAccessGrants: [LocalAccessGrant] = [],
+        templateId: String? = nil,
+        priority: TaskPriority = .normal,
+        mcpServerIds: [String]? = nil,
+        provisioningOverrides: TaskProvisioningOverrides? = nil,
+        credentialIds: [String]? = nil,
+        allowsAllCredentials: Bool = false
     ) async throws -> TaskRecord {
         let request = TaskCreationRequest(
             description: description,
@@ -159,7 +187,13 @@ class TaskService: ObservableObject {
             planFirstEnabled: planFirstEnabled,
             planMarkdown: planMarkdown,
             planSelectedSkillNames: planSelectedSkillNames,
-            localAccessGrants: localAccessGrants
+            localAccessGrants: localAccessGrants,
+            templateId: templateId,
+            priority: priority,
+            mcpServerIds: mcpServerIds,
+            provisioningOverrides: provisioningOverrides,
+            credentialIds: credentialIds,
+            allowsAllCredentials: allowsAllCredentials
         )
 
         guard let task = try await createTasks([request]).first else {
@@ -214,6 +248,13 @@ class TaskService: ObservableObject {
                 reasoningEnabled: request.reasoningEnabled,
                 reasoningEffort: request.reasoningEffort,
                 serviceTier: request.serviceTier,
+                templateId: request.templateId,
+                batchId: request.batchId,
+                priority: request.priority,
+                mcpServerIds: request.mcpServerIds,
+                provisioningOverrides: request.provisioningOverrides,
+                credentialIds: request.credentialIds,
+                allowsAllCredentials: request.allowsAllCredentials,
                 attachmentInfos: preparedInfos,
                 outputDirectory: request.outputDirectory,
                 mentionedSkillNames: request.mentionedSkillNames.isEmpty ? nil : request.mentionedSkillNames,
@@ -356,6 +397,44 @@ class TaskService: ObservableObject {
         )
     }
     
+    /// Create one rerun per target, optionally with an edited description and without the original input files
+    /// - Parameters:
+    ///   - originalTask: The task to rerun
+    ///   - description: Description for the new tasks
+    ///   - targets: Provider/model and reasoning settings, one new task per target
+    ///   - keepAttachments: Whether to carry over the original task's input files
+    /// - Returns: The newly created tasks, sharing a batch ID when there is more than one
+    func rerunTask(
+        _ originalTask: TaskRecord,
+        description: String,
+        targets: [TaskRerunTarget],
+        keepAttachments: Bool
+    ) async throws -> [TaskRecord] {
+        guard !targets.isEmpty else {
+            return []
+        }
+        // Retrieval context files are re-attached from the task's context paths even when input files are dropped
+        let attachmentInfos = keepAttachments
+            ? AttachmentManager.prepareAttachmentsForRerun(originalInfos: originalTask.attachmentInfos)
+            : []
+        let batchId = targets.count > 1 ? UUID().uuidString : nil
+
+        let requests = targets.map { target in
+            rerunRequest(
+                from: originalTask,
+                description: description,
+                providerId: target.providerId,
+                modelId: target.modelId,
+                reasoningEnabled: target.reasoningEnabled,
+                reasoningEffort: target.reasoningEffort,
+                serviceTier: originalTask.serviceTier,
+                attachmentInfos: attachmentInfos.isEmpty ? nil : attachmentInfos,
+                batchId: batchId
+            )
+        }
+        return try await createTasks(requests)
+    }
+    
     /// Shared helper for creating rerun tasks while preserving all non-model task options.
     private func createRerunTask(
         from originalTask: TaskRecord,
@@ -366,9 +445,8 @@ class TaskService: ObservableObject {
         serviceTier: LLMServiceTier?,
         attachmentInfos: [AttachmentInfo]?
     ) async throws -> TaskRecord {
-        // If the original task had a plan, reuse it to skip the planning phase
-        // and start execution directly
-        return try await createTask(
+        let request = rerunRequest(
+            from: originalTask,
             description: originalTask.taskDescription,
             providerId: providerId,
             modelId: modelId,
@@ -376,6 +454,38 @@ class TaskService: ObservableObject {
             reasoningEffort: reasoningEffort,
             serviceTier: serviceTier,
             attachmentInfos: attachmentInfos,
+            batchId: nil
+        )
+        guard let task = try await createTasks([request]).first else {
+            throw TaskServiceError.noModelContext
+        }
+        return task
+    }
+
+    /// Creation request for a rerun, copying every option of the original task that is not passed in
+    private func rerunRequest(
+        from originalTask: TaskRecord,
+        description: String,
+        providerId: String,
+        modelId: String,
+        reasoningEnabled: Bool?,
+        reasoningEffort: String?,
+        serviceTier: LLMServiceTier?,
+        attachmentInfos: [AttachmentInfo]?,
+        batchId: String?
+    ) -> TaskCreationRequest {
+        // If the original task had a plan, reuse it to skip the planning phase
+        // and start execution directly; an edited description needs a fresh plan
+        let reusesPlan = description == originalTask.taskDescription
+        return TaskCreationRequest(
+            description: description,
+            providerId: providerId,
+            modelId: modelId,
+            reasoningEnabled: reasoningEnabled,
+            reasoningEffort: reasoningEffort,
+            serviceTier: serviceTier,
+            attachedFilePaths: [],
+            attachmentInfos: attachmentInfos,
             outputDirectory: originalTask.outputDirectory,
             mentionedSkillNames: originalTask.mentionedSkillNames ?? [],
             referencedTaskIds: originalTask.referencedTaskIds ?? [],
@@ -386,9 +496,16 @@ class TaskService: ObservableObject {
             retrievalSelectedSuggestionIds: originalTask.retrievalSelectedSuggestionIds ?? [],
             retrievalModeOverrides: originalTask.retrievalModeOverrides,
             planFirstEnabled: originalTask.planFirstEnabled,
-            planMarkdown: originalTask.planMarkdown,
-            planSelectedSkillNames: originalTask.planSelectedSkillNames,
-            localAccessGrants: originalTask.localAccessGrants
+            planMarkdown: reusesPlan ? originalTask.planMarkdown : nil,
+            planSelectedSkillNames: reusesPlan ? originalTask.planSelectedSkillNames : nil,
+            localAccessGrants: originalTask.localAccessGrants,
+            templateId: originalTask.templateId,
+            batchId: batchId,
+            priority: originalTask.priority,
+            mcpServerIds: originalTask.mcpServerIds,
+            provisioningOverrides: originalTask.resolvedProvisioningOverrides(),
+            credentialIds: originalTask.credentialIds,
+            allowsAllCredentials: originalTask.allowsAllCredentials != false
         )
     }
 
@@ -403,6 +520,30 @@ class TaskService: ObservableObject {
         objectWillChange.send()
     }
 
+    /// Persist a manual queue order. Queued tasks missing from `taskIds` keep their relative order after the listed ones.
+    func reorderQueue(taskIds: [String]) {
+        let queued = queueOrderedTasks.filter { $0.status == .queued }
+        let listed = taskIds.compactMap { id in queued.first(where: { $0.id == id }) }
+        let listedIds = Set(listed.map(\.id))
+        let remaining = queued.filter { !listedIds.contains($0.id) }
+
+        for (index, task) in (listed + remaining).enumerated() {
+            task.queueRank = index
+        }
+
+        try? modelContext?.save()
+        objectWillChange.send()
+    }
+
+    /// Change the priority of a queued task
+    func setPriority(_ priority: TaskPriority, for task: TaskRecord) {
+        guard task.priority != priority else { return }
+
+        task.priority = priority
+        try? modelContext?.save()
+        objectWillChange.send()
+    }
+
     /// Persist a drag-and-drop reorder from the dashboard task list.
     func moveTasks(fromOffsets sourceOffsets: IndexSet, toOffset destination: Int) {
         guard !sourceOffsets.isEmpty else { return }
@@ -532,6 +673,34 @@ class TaskService: ObservableObject {
         tasks.filter { $0.status == .queued || $0.status == .waitingForVM }
     }
 
+    /// Queued tasks in the order they will start: tasks already waiting for a VM,
+    /// then by priority, manual queue rank and creation time
+    var queueOrderedTasks: [TaskRecord] {
+        queuedTasks.sorted(by: Self.startsBefore)
+    }
+
+    /// Whether `lhs` starts before `rhs` in the queue
+    static func startsBefore(_ lhs: TaskRecord, _ rhs: TaskRecord) -> Bool {
+        let lhsWaiting = lhs.status == .waitingForVM
+        let rhsWaiting = rhs.status == .waitingForVM
+        if lhsWaiting != rhsWaiting {
+            return lhsWaiting
+        }
+        if lhs.priority != rhs.priority {
+            return lhs.priority.rawValue > rhs.priority.rawValue
+        }
+        switch (lhs.queueRank, rhs.queueRank) {
+        case let (lhsRank?, rhsRank?) where lhsRank != rhsRank:
+            return lhsRank < rhsRank
+        case (.some, .none):
+            return true
+        case (.none, .some):
+            return false
+        default:
+            return lhs.createdAt < rhs.createdAt
+        }
+    }
+
     /// Derive an effective status that accounts for live agent state.
     func effectiveStatus(for task: TaskRecord) -> TaskStatus {
         switch task.status {
@@ -889,7 +1058,7 @@ extension TaskService {
         copiedFileSources[canonicalSourcePath] = destinationURL
     }
 
-    private func uniqueFileURL(for url: URL) -> URL {
+    func uniqueFileURL(for url: URL) -> URL {
         let fm = FileManager.default
         guard fm.fileExists(atPath: url.path) else { return url }
 
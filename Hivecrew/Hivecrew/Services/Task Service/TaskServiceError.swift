@@ -21,6 +21,7 @@ enum TaskServiceError: Error, LocalizedError {
     case oauthAuthRequired(String)
     case missingLLMClient
     case workerModelNotConfigured
+    case inboxDeliveryFailed(String)
     
     var errorDescription: String? {
         switch self {
@@ -44,6 +45,8 @@ enum TaskServiceError: Error, LocalizedError {
             return String(localized: "LLM client was unavailable during task startup")
         case .workerModelNotConfigured:
             return String(localized: "Worker model is required. Configure it in onboarding or Settings → Providers.")
+        case .inboxDeliveryFailed(let details):
+            return String(localized: "Failed to copy files into the VM inbox: \(details)")
         }
     }
 }
@@ -22,7 +22,7 @@ extension ToolExecutor {
         let mcpManager = MCPServerManager.shared
         
         do {
-            let result = try await mcpManager.executeTool(name: name, arguments: args)
+            let result = try await mcpManager.executeTool(name: name, arguments: args, serverIds: mcpServerIds)
             
             // Check if the result is an error
             if result.isError == true {
@@ -17,6 +17,10 @@ class ToolExecutor {
     
     var taskId: String = ""
     var vmId: String = ""
+    /// MCP servers this task may call (nil allows every enabled server)
+    var mcpServerIds: Set<String>?
+    /// Stored credentials this task may use (nil allows every credential)
+    var credentialIds: Set<String>?
     var onAskQuestion: ((AgentQuestion) async -> String)?
     var onRequestPermission: ((String, String) async -> Bool)?
     
@@ -193,7 +197,7 @@ class ToolExecutor {
             
         case "keyboard_type":
             let originalText = args["text"] as? String ?? ""
-            let actualText = CredentialManager.shared.substituteTokens(in: originalText)
+            let actualText = CredentialManager.shared.substituteTokens(in: originalText, allowedIds: credentialIds)
             // Debug: check if substitution happened
             if originalText != actualText {
                 print("ToolExecutor: keyboard_type - token substitution performed (original contained credential token)")
@@ -490,8 +494,7 @@ class ToolExecutor {
         }
 
         let lines = targets.map { target in
-            let kind = target.scopeKind == .folder ? "folder" : "file"
-            return "- \(target.displayName) (\(kind)): \(target.rootPath)"
+            "- \(target.displayName) (\(target.promptLabel)): \(target.rootPath)"
         }
         return .text("Granted writeback targets:\n" + lines.joined(separator: "\n"))
     }
@@ -828,17 +831,17 @@ class ToolExecutor {
     private func executeGetCredentials(args: [String: Any]) -> InternalToolResult {
         let serviceFilter = args["service"] as? String
         
-        var credentials = CredentialManager.shared.getCredentialsForAgent(service: serviceFilter)
+        var credentials = CredentialManager.shared.getCredentialsForAgent(service: serviceFilter, allowedIds: credentialIds)
         
         var noMatchMsg: String? = nil
         
         if credentials.isEmpty, let service = serviceFilter {
-            credentials = CredentialManager.shared.getCredentialsForAgent(service: nil)
+            credentials = CredentialManager.shared.getCredentialsForAgent(service: nil, allowedIds: credentialIds)
             if !credentials.isEmpty { noMatchMsg = "No credentials matching '\(service)'. Returning all." }
         }
         
         if credentials.isEmpty {
-            return .text("No credentials stored.")
+            return .text(credentialIds == nil ? "No credentials stored." : "No credentials were given to this task.")
         }
         
         var output = noMatchMsg.map { "\($0)\n\n" } ?? ""
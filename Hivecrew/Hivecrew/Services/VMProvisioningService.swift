@@ -64,14 +64,15 @@ class VMProvisioningService: ObservableObject {
     
     /// Generate a shell export string for all defined environment variables
     /// Returns something like: export FOO="bar"; export BAZ="qux"
-    var environmentExportString: String {
-        environmentExportLines.joined(separator: "; ")
+    /// - Parameter config: Configuration to read (nil uses the global configuration)
+    func environmentExportString(for config: VMProvisioningConfig? = nil) -> String {
+        environmentExportLines(for: config).joined(separator: "; ")
     }
     
     /// Generate individual export lines for all defined environment variables
     /// Each line is like: export FOO="bar"
-    var environmentExportLines: [String] {
-        let validVars = config.environmentVariables.filter { !$0.key.isEmpty }
+    func environmentExportLines(for config: VMProvisioningConfig? = nil) -> [String] {
+        let validVars = (config ?? self.config).environmentVariables.filter { !$0.key.isEmpty }
         guard !validVars.isEmpty else { return [] }
         
         return validVars.map { envVar in
@@ -85,8 +86,8 @@ class VMProvisioningService: ObservableObject {
     
     /// Generate the contents of a zshenv file that exports all user-defined environment variables
     /// Returns nil if there are no variables to export
-    var zshenvContents: String? {
-        let lines = environmentExportLines
+    func zshenvContents(for config: VMProvisioningConfig? = nil) -> String? {
+        let lines = environmentExportLines(for: config)
         guard !lines.isEmpty else { return nil }
         
         var content = "# Hivecrew VM provisioning — environment variables\n"
@@ -149,7 +150,28 @@ class VMProvisioningService: ObservableObject {
         
         return fileName
     }
-    
+
+    /// Save uploaded file contents into the Assets/VM/ directory
+    /// A name already taken by another asset gets a numeric suffix instead of replacing it
+    /// - Returns: The file name as stored in the assets directory
+    @discardableResult
+    func importFile(named fileName: String, contents: Data) throws -> String {
+        let baseName = (fileName as NSString).deletingPathExtension
+        let pathExtension = (fileName as NSString).pathExtension
+
+        var storedName = fileName
+        var suffix = 2
+        while assetFileExists(named: storedName) {
+            storedName = pathExtension.isEmpty ? "\(baseName) \(suffix)" : "\(baseName) \(suffix).\(pathExtension)"
+            suffix += 1
+        }
+
+        try contents.write(to: AppPaths.vmAssetsDirectory.appendingPathComponent(storedName), options: .atomic)
+        print("VMProvisioningService: Saved uploaded file '\(storedName)' to assets directory")
+
+        return storedName
+    }
+
     /// Remove a file from the Assets/VM/ directory
     func removeFile(named fileName: String) {
         guard !fileName.isEmpty else { return }
@@ -217,10 +239,12 @@ class VMProvisioningService: ObservableObject {
     
     /// Copy all provisioned files into a VM's shared inbox directory.
     /// Files are placed in a `_provisioning/` subdirectory to avoid conflicts with task attachments.
-    /// - Parameter inboxURL: The VM's shared inbox directory URL
+    /// - Parameters:
+    ///   - inboxURL: The VM's shared inbox directory URL
+    ///   - config: Configuration to read (nil uses the global configuration)
     /// - Returns: Array of (stagedFileName, guestPath) tuples for files that were successfully copied
-    func copyProvisionedFiles(toSharedInbox inboxURL: URL) -> [(fileName: String, guestPath: String)] {
-        let validInjections = config.fileInjections.filter { !$0.guestPath.isEmpty }
+    func copyProvisionedFiles(toSharedInbox inboxURL: URL, config: VMProvisioningConfig? = nil) -> [(fileName: String, guestPath: String)] {
+        let validInjections = (config ?? self.config).fileInjections.filter { !$0.guestPath.isEmpty }
         guard !validInjections.isEmpty else { return [] }
         
         // Create provisioning subdirectory in inbox
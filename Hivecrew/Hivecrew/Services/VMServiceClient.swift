@@ -122,6 +122,12 @@ struct TemplateInfo: Identifiable {
     let diskSizeFormatted: String
     let cpuCount: Int
     let memorySizeFormatted: String
+    /// Disk size in bytes (0 if unknown)
+    var diskSize: UInt64 = 0
+    /// Memory size in bytes (0 if unknown)
+    var memorySize: UInt64 = 0
+    var createdAt: Date? = nil
+    var macOSVersion: String? = nil
     
     static func fromDictionary(_ dict: [String: Any]) -> TemplateInfo? {
         guard let id = dict["id"] as? String,
@@ -133,6 +139,10 @@ struct TemplateInfo: Identifiable {
         let diskSizeFormatted = dict["diskSizeFormatted"] as? String ?? ""
         let cpuCount = dict["cpuCount"] as? Int ?? 2
         let memorySizeFormatted = dict["memorySizeFormatted"] as? String ?? ""
+        let diskSize = (dict["diskSize"] as? NSNumber)?.uint64Value ?? 0
+        let memorySize = (dict["memorySize"] as? NSNumber)?.uint64Value ?? 0
+        let createdAt = (dict["createdAt"] as? String).flatMap { ISO8601DateFormatter().date(from: $0) }
+        let macOSVersion = (dict["macOSVersion"] as? String).flatMap { $0.isEmpty ? nil : $0 }
         
         return TemplateInfo(
             id: id,
@@ -140,7 +150,11 @@ struct TemplateInfo: Identifiable {
             description: description,
             diskSizeFormatted: diskSizeFormatted,
             cpuCount: cpuCount,
-            memorySizeFormatted: memorySizeFormatted
+            memorySizeFormatted: memorySizeFormatted,
+            diskSize: diskSize,
+            memorySize: memorySize,
+            createdAt: createdAt,
+            macOSVersion: macOSVersion
         )
     }
 }
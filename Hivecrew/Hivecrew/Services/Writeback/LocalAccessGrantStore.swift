@@ -0,0 +1,126 @@
+//
+//  LocalAccessGrantStore.swift
+//  Hivecrew
+//
+//  Persists local folder and file grants that remote clients can attach to tasks
+//
+
+import Foundation
+import HivecrewShared
+
+/// Errors from grant operations
+enum LocalAccessGrantStoreError: Error, LocalizedError {
+    case protectedLocation(String)
+
+    var errorDescription: String? {
+        switch self {
+        case .protectedLocation(let path):
+            return "'\(path)' is a system location or too broad to grant"
+        }
+    }
+}
+
+/// Stores standing local access grants so tasks created through the API can be given host paths
+@MainActor
+final class LocalAccessGrantStore {
+
+    /// Shared singleton
+    static let shared = LocalAccessGrantStore()
+
+    private var grants: [LocalAccessGrant]
+
+    private init() {
+        self.grants = Self.loadGrants()
+    }
+
+    // MARK: - Public API
+
+    /// All grants, sorted by name
+    func allGrants() -> [LocalAccessGrant] {
+        grants.sorted { $0.displayName.localizedCaseInsensitiveCompare($1.displayName) == .orderedAscending }
+    }
+
+    func grant(id: String) -> LocalAccessGrant? {
+        grants.first { $0.id.uuidString == id }
+    }
+
+    /// Grant access to a path, updating the access mode if the path is already granted.
+    /// Symlinks are resolved first, and protected locations are refused.
+    func add(url: URL, accessMode: LocalAccessGrantMode) throws -> LocalAccessGrant {
+        let grant: LocalAccessGrant
+        let path = LocalAccessGrant.resolvedPath(url.path)
+        guard !Self.isProtectedLocation(path) else {
+            throw LocalAccessGrantStoreError.protectedLocation(path)
+        }
+        if let index = grants.firstIndex(where: { $0.normalizedRootPath == path }) {
+            grants[index].accessMode = accessMode
+            grant = grants[index]
+        } else {
+            grant = LocalAccessGrant.make(from: url, origin: .explicitGrant, accessMode: accessMode)
+            grants.append(grant)
+        }
+        try persist()
+        return grant
+    }
+
+    /// Revoke a grant, returning `false` if it does not exist
+    func revoke(id: String) throws -> Bool {
+        guard let index = grants.firstIndex(where: { $0.id.uuidString == id }) else {
+            return false
+        }
+        grants.remove(at: index)
+        try persist()
+        return true
+    }
+
+    // MARK: - Protected Locations
+
+    /// Paths that may not be granted themselves: the disk root and other broad parents
+    private static let protectedExactPaths = ["/", "/Users", "/Volumes"]
+
+    /// Paths that may not be granted, nor anything inside them
+    private static let protectedPathPrefixes = [
+        "/System", "/Library", "/Applications", "/usr", "/bin", "/sbin",
+        "/opt", "/etc", "/var", "/private", "/dev", "/cores"
+    ]
+
+    /// Whether a resolved path is the root, the home folder, or a system location
+    static func isProtectedLocation(_ resolvedPath: String) -> Bool {
+        let homePath = LocalAccessGrant.resolvedPath(NSHomeDirectory())
+        if protectedExactPaths.contains(resolvedPath) || resolvedPath == homePath {
+            return true
+        }
+
+        let prefixes = protectedPathPrefixes + [
+            (homePath as NSString).appendingPathComponent("Library"),
+            (homePath as NSString).appendingPathComponent(".ssh")
+        ]
+        return prefixes.contains { prefix in
+            resolvedPath == prefix || resolvedPath.hasPrefix(prefix + "/")
+        }
+    }
+
+    // MARK: - Persistence
+
+    private static func loadGrants() -> [LocalAccessGrant] {
+        let path = AppPaths.localAccessGrantsPath
+        guard FileManager.default.fileExists(atPath: path.path) else {
+            return []
+        }
+
+        do {
+            let data = try Data(contentsOf: path)
+            return try JSONDecoder().decode([LocalAccessGrant].self, from: data)
+        } catch {
+            print("LocalAccessGrantStore: Failed to load grants: \(error)")
+            return []
+        }
+    }
+
+    private func persist() throws {
+        let encoder = JSONEncoder()
+        encoder.outputFormatting = [.prettyPrinted, .sortedKeys]
+        let data = try encoder.encode(grants)
+        try data.write(to: AppPaths.localAccessGrantsPath, options: .atomic)
+    }
+}
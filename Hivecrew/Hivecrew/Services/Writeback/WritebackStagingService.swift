@@ -15,7 +15,9 @@ struct WritebackReviewItem: Identifiable, Sendable {
     let hasConflict: Bool
     let conflictReason: String?
     let diffPreview: String?
+    let diffIsTruncated: Bool
     let stagedPreview: String?
+    let stagedPreviewIsTruncated: Bool
 }
 
 struct WritebackReviewPayload: Sendable {
@@ -26,9 +28,20 @@ struct WritebackReviewPayload: Sendable {
     }
 }
 
+/// How to apply a staged operation, chosen when reviewing changes item by item
+enum WritebackConflictResolution: String, Sendable {
+    /// Replace the destination with the staged file, even if it changed after staging
+    case overwrite
+    /// Leave the destination untouched and drop the staged file
+    case keepLocal
+    /// Write the staged file next to the destination under a new name
+    case saveAlongside
+}
+
 enum WritebackStagingError: Error, LocalizedError {
     case missingSession
     case missingGrant(String)
+    case readOnlyGrant(String)
     case invalidAttachmentDestination
     case stagedArtifactMissing(String)
     case destinationConflict(String)
@@ -40,6 +53,8 @@ enum WritebackStagingError: Error, LocalizedError {
             return "Task session is not available for staged writeback."
         case .missingGrant(let path):
             return "No local access grant allows writes to '\(path)'."
+        case .readOnlyGrant(let path):
+            return "'\(path)' is only granted read-only access."
         case .invalidAttachmentDestination:
             return "The attachment update target could not be resolved."
         case .stagedArtifactMissing(let path):
@@ -141,26 +156,66 @@ final class WritebackStagingService {
         return WritebackReviewPayload(items: items)
     }
 
+    /// Whether any staged operation conflicts with its destination, without building diffs
+    func hasConflicts(for task: TaskRecord) -> Bool {
+        task.pendingWritebackOperations.contains { conflictReason(for: $0) != nil }
+    }
+
+    /// Diff of a staged replacement with the whole file as context, so reviewers can expand the unchanged regions
+    func fullDiff(for operation: PendingWritebackOperation) -> String? {
+        guard isDiffable(operation) else { return nil }
+        return unifiedDiff(
+            originalURL: URL(fileURLWithPath: operation.destinationPath),
+            updatedURL: URL(fileURLWithPath: operation.stagedArtifactPath),
+            contextLines: 1_000_000,
+            limit: nil
+        )?.text
+    }
+
     func applyPending(for task: TaskRecord) throws -> [String] {
-        let review = review(for: task)
-        if let conflict = review.items.first(where: { $0.hasConflict }) {
-            throw WritebackStagingError.destinationConflict(conflict.operation.destinationPath)
+        try applyPending(for: task, selectedIDs: nil, resolutions: [:])
+    }
+
+    /// Apply a subset of the pending operations and discard the rest
+    /// - Parameters:
+    ///   - selectedIDs: Operations to apply (nil applies all of them)
+    ///   - resolutions: How to apply individual operations; a conflicting operation without one fails the whole apply
+    /// - Returns: Paths that were written
+    func applyPending(
+        for task: TaskRecord,
+        selectedIDs: Set<UUID>?,
+        resolutions: [UUID: WritebackConflictResolution]
+    ) throws -> [String] {
+        let selectedOperations = task.pendingWritebackOperations.filter { operation in
+            selectedIDs?.contains(operation.id) ?? true
+        }
+        if let conflict = selectedOperations.first(where: { resolutions[$0.id] == nil && conflictReason(for: $0) != nil }) {
+            throw WritebackStagingError.destinationConflict(conflict.destinationPath)
         }
 
-        var appliedPaths: [String] = []
+        // Resolve every destination before writing anything so a missing grant or artifact leaves all files untouched
+        let plannedWrites = try selectedOperations.compactMap { operation -> (operation: PendingWritebackOperation, destinationURL: URL, grant: LocalAccessGrant)? in
+            let resolution = resolutions[operation.id] ?? .overwrite
+            guard resolution != .keepLocal else { return nil }
 
-        for operation in task.pendingWritebackOperations {
-            let artifactURL = URL(fileURLWithPath: operation.stagedArtifactPath)
-            guard fileManager.fileExists(atPath: artifactURL.path) else {
+            guard fileManager.fileExists(atPath: operation.stagedArtifactPath) else {
                 throw WritebackStagingError.stagedArtifactMissing(operation.destinationPath)
             }
 
-            let destinationURL = URL(fileURLWithPath: operation.destinationPath)
-            guard let grant = task.localAccessGrants.first(where: { $0.allowsAccess(to: destinationURL.path) }) else {
-                throw WritebackStagingError.missingGrant(destinationURL.path)
-            }
+            let requestedURL = URL(fileURLWithPath: operation.destinationPath)
+            let destinationURL = resolution == .saveAlongside
+                ? alongsideURL(for: requestedURL)
+                : requestedURL
+            let grant = try requireGrant(for: destinationURL.path, task: task)
+            return (operation, destinationURL, grant)
+        }
 
-            try withScopedAccess(for: grant) {
+        var appliedPaths: [String] = []
+
+        for write in plannedWrites {
+            let artifactURL = URL(fileURLWithPath: write.operation.stagedArtifactPath)
+            let destinationURL = write.destinationURL
+            try withScopedAccess(for: write.grant) {
                 let parentURL = destinationURL.deletingLastPathComponent()
                 try fileManager.createDirectory(at: parentURL, withIntermediateDirectories: true, attributes: nil)
                 if fileManager.fileExists(atPath: destinationURL.path) {
@@ -172,12 +227,14 @@ final class WritebackStagingService {
             appliedPaths.append(destinationURL.path)
         }
 
-        for operation in task.pendingWritebackOperations {
+        // Originals of a move are only removed when the moved file actually replaced its destination
+        let deletingOperations = plannedWrites
+            .filter { (resolutions[$0.operation.id] ?? .overwrite) == .overwrite }
+            .map { $0.operation }
+        for operation in deletingOperations {
             for deleteTarget in operation.deleteOriginalTargets {
                 let deleteURL = URL(fileURLWithPath: deleteTarget.path)
-                guard let grant = task.localAccessGrants.first(where: { $0.allowsAccess(to: deleteURL.path) }) else {
-                    throw WritebackStagingError.missingGrant(deleteURL.path)
-                }
+                let grant = try requireGrant(for: deleteURL.path, task: task)
 
                 try withScopedAccess(for: grant) {
                     guard fileManager.fileExists(atPath: deleteURL.path) else { return }
@@ -200,9 +257,13 @@ final class WritebackStagingService {
     }
 
     private func requireGrant(for destinationPath: String, task: TaskRecord) throws -> LocalAccessGrant {
-        guard let grant = task.localAccessGrants.first(where: { $0.allowsAccess(to: destinationPath) }) else {
+        let grants = task.localAccessGrants.filter { $0.allowsAccess(to: destinationPath) }
+        guard !grants.isEmpty else {
             throw WritebackStagingError.missingGrant(destinationPath)
         }
+        guard let grant = grants.first(where: \.allowsWrites) else {
+            throw WritebackStagingError.readOnlyGrant(destinationPath)
+        }
         return grant
     }
 
@@ -229,6 +290,24 @@ final class WritebackStagingService {
         }
     }
 
+    /// Free sibling path for a staged file kept next to its destination, e.g. `notes (Hivecrew).md`
+    private func alongsideURL(for destinationURL: URL) -> URL {
+        let directory = destinationURL.deletingLastPathComponent()
+        let baseName = destinationURL.deletingPathExtension().lastPathComponent
+        let ext = destinationURL.pathExtension
+
+        var attempt = 1
+        while true {
+            let suffix = attempt == 1 ? " (Hivecrew)" : " (Hivecrew \(attempt))"
+            let fileName = ext.isEmpty ? "\(baseName)\(suffix)" : "\(baseName)\(suffix).\(ext)"
+            let candidate = directory.appendingPathComponent(fileName)
+            if !fileManager.fileExists(atPath: candidate.path) {
+                return candidate
+            }
+            attempt += 1
+        }
+    }
+
     private func uniqueArtifactURL(in directory: URL, preferredFileName: String) -> URL {
         let baseName = (preferredFileName as NSString).deletingPathExtension
         let ext = (preferredFileName as NSString).pathExtension
@@ -245,47 +324,51 @@ final class WritebackStagingService {
     }
 
     private func buildReviewItem(for operation: PendingWritebackOperation) -> WritebackReviewItem {
-        let currentFingerprint = fingerprint(atPath: operation.destinationPath)
-        let deleteConflicts = operation.deleteOriginalTargets.filter { target in
-            fingerprint(atPath: target.path) != target.baselineFingerprint
-        }
-        let hasConflict = currentFingerprint != operation.baselineFingerprint || !deleteConflicts.isEmpty
-
         let artifactURL = URL(fileURLWithPath: operation.stagedArtifactPath)
-        let diffPreview: String?
-        if operation.operationType == .replaceFile,
-           currentFingerprint.exists,
-           isTextPreviewSupported(url: artifactURL),
-           isTextPreviewSupported(url: URL(fileURLWithPath: operation.destinationPath)) {
-            diffPreview = unifiedDiff(
+        let diff = isDiffable(operation)
+            ? unifiedDiff(
                 originalURL: URL(fileURLWithPath: operation.destinationPath),
-                updatedURL: artifactURL
+                updatedURL: artifactURL,
+                contextLines: 3,
+                limit: 12_000
             )
-        } else {
-            diffPreview = nil
-        }
+            : nil
 
         let stagedPreview = textPreview(at: artifactURL)
-        let conflictReason: String?
-        if currentFingerprint != operation.baselineFingerprint {
-            conflictReason = "Destination changed after staging."
-        } else if let firstDeleteConflict = deleteConflicts.first {
-            conflictReason = "Original item changed after staging: \(firstDeleteConflict.path)"
-        } else {
-            conflictReason = nil
-        }
+        let conflictReason = conflictReason(for: operation)
 
         return WritebackReviewItem(
             id: operation.id,
             operation: operation,
-            destinationExists: currentFingerprint.exists,
-            hasConflict: hasConflict,
+            destinationExists: fileManager.fileExists(atPath: operation.destinationPath),
+            hasConflict: conflictReason != nil,
             conflictReason: conflictReason,
-            diffPreview: diffPreview,
-            stagedPreview: stagedPreview
+            diffPreview: diff?.text,
+            diffIsTruncated: diff?.isTruncated ?? false,
+            stagedPreview: stagedPreview?.text,
+            stagedPreviewIsTruncated: stagedPreview?.isTruncated ?? false
         )
     }
 
+    /// Why an operation can no longer be applied as staged, or nil when its destination and originals are unchanged
+    private func conflictReason(for operation: PendingWritebackOperation) -> String? {
+        if fingerprint(atPath: operation.destinationPath) != operation.baselineFingerprint {
+            return "Destination changed after staging."
+        }
+        if let changedTarget = operation.deleteOriginalTargets.first(where: { fingerprint(atPath: $0.path) != $0.baselineFingerprint }) {
+            return "Original item changed after staging: \(changedTarget.path)"
+        }
+        return nil
+    }
+
+    /// Text replacements of existing files get a diff; everything else is previewed as staged content
+    private func isDiffable(_ operation: PendingWritebackOperation) -> Bool {
+        operation.operationType == .replaceFile
+            && fileManager.fileExists(atPath: operation.destinationPath)
+            && isTextPreviewSupported(url: URL(fileURLWithPath: operation.stagedArtifactPath))
+            && isTextPreviewSupported(url: URL(fileURLWithPath: operation.destinationPath))
+    }
+
     private func buildDeleteTargets(
         for paths: [String],
         task: TaskRecord,
@@ -361,17 +444,23 @@ final class WritebackStagingService {
         ].contains(ext)
     }
 
-    private func textPreview(at url: URL) -> String? {
+    private func textPreview(at url: URL) -> (text: String, isTruncated: Bool)? {
         guard isTextPreviewSupported(url: url) else { return nil }
         guard let data = try? Data(contentsOf: url), data.count <= 512_000 else { return nil }
         guard let content = String(data: data, encoding: .utf8) else { return nil }
-        return String(content.prefix(4_000))
+        return (String(content.prefix(4_000)), content.count > 4_000)
     }
 
-    private func unifiedDiff(originalURL: URL, updatedURL: URL) -> String? {
+    /// Unified diff, cut to `limit` characters when one is given
+    private func unifiedDiff(
+        originalURL: URL,
+        updatedURL: URL,
+        contextLines: Int,
+        limit: Int?
+    ) -> (text: String, isTruncated: Bool)? {
         let process = Process()
         process.executableURL = URL(fileURLWithPath: "/usr/bin/diff")
-        process.arguments = ["-u", originalURL.path, updatedURL.path]
+        process.arguments = ["-U", String(contextLines), originalURL.path, updatedURL.path]
 
         let pipe = Pipe()
         process.standardOutput = pipe
@@ -383,7 +472,8 @@ final class WritebackStagingService {
             let data = pipe.fileHandleForReading.readDataToEndOfFile()
             guard !data.isEmpty else { return nil }
             let output = String(data: data, encoding: .utf8) ?? ""
-            return String(output.prefix(12_000))
+            guard let limit else { return (output, false) }
+            return (String(output.prefix(limit)), output.count > limit)
         } catch {
             return nil
         }
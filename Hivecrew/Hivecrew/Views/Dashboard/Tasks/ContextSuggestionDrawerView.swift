@@ -128,7 +128,11 @@ final class PromptContextSuggestionProvider: ObservableObject {
         if let selected = selectedModesBySuggestionID[suggestionID] {
             return selected
         }
-        return sourceType == "file" ? .fileRef : .structuredSummary
+        return Self.defaultMode(forSourceType: sourceType)
+    }
+
+    nonisolated static func defaultMode(forSourceType sourceType: String) -> PromptContextMode {
+        sourceType == "file" ? .fileRef : .structuredSummary
     }
 
     func toggleSelection(for suggestion: PromptContextSuggestion) {
@@ -190,18 +194,46 @@ final class PromptContextSuggestionProvider: ObservableObject {
     func createContextPackIfNeeded(query: String) async throws -> RetrievalContextPackPayload? {
         let selectedIds = selectedSuggestionIDs()
         guard !selectedIds.isEmpty else { return nil }
-        let payload = RetrievalCreateContextPackRequestPayload(
+        return try await Self.createContextPack(
             query: query,
             selectedSuggestionIds: selectedIds,
             modeOverrides: selectedModeOverrides()
         )
-        return try await Self.postJSON(
+    }
+
+    nonisolated static func createContextPack(
+        query: String,
+        selectedSuggestionIds: [String],
+        modeOverrides: [String: String]
+    ) async throws -> RetrievalContextPackPayload {
+        let payload = RetrievalCreateContextPackRequestPayload(
+            query: query,
+            selectedSuggestionIds: selectedSuggestionIds,
+            modeOverrides: modeOverrides
+        )
+        return try await postJSON(
             path: "/api/v1/retrieval/context-pack",
             request: payload,
             responseType: RetrievalContextPackPayload.self
         )
     }
 
+    /// Single deep retrieval pass without the typing-time query expansion and LLM relevance stages (used by the API)
+    nonisolated static func fetchSuggestions(query: String, limit: Int) async throws -> [PromptContextSuggestion] {
+        let profile = RetrievalQueryProfile(
+            limit: limit,
+            typingMode: false,
+            includeColdPartitionFallback: true,
+            timeoutSeconds: primaryDeepProfile.timeoutSeconds
+        )
+        let suggestions = try await retrieveSuggestions(query: compactRetrievalQuery(from: query), profile: profile)
+        return Array(
+            dedupeSuggestions(suggestions.filter(isSearchableSuggestion))
+                .sorted { $0.relevanceScore > $1.relevanceScore }
+                .prefix(limit)
+        )
+    }
+
     func clearAfterSubmit() {
         debounceTask?.cancel()
         activeRequestID += 1
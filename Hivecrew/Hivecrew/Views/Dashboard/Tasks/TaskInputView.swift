@@ -204,6 +204,8 @@ struct TaskInputView: View {
             let selectedSuggestionIds = contextProvider.selectedSuggestionIDs()
             let modeOverrides = contextProvider.selectedModeOverrides()
 
+            let batchId = taskCount > 1 ? UUID().uuidString : nil
+
             let taskRequests = executionTargets.flatMap { target in
                 Array(
                     repeating: TaskCreationRequest(
@@ -227,7 +229,9 @@ struct TaskInputView: View {
                         planFirstEnabled: planFirstEnabled,
                         planMarkdown: nil,
                         planSelectedSkillNames: nil,
-                        localAccessGrants: localAccessGrants
+                        localAccessGrants: localAccessGrants,
+                        batchId: batchId,
+                        allowsAllCredentials: true
                     ),
                     count: target.copyCount
                 )
@@ -353,6 +353,7 @@ extension ScheduleCreationSheet {
                     reasoningEffort: reasoningEffort,
                     attachedFilePaths: attachedFilePaths,
                     mentionedSkillNames: mentionedSkillNames.isEmpty ? nil : mentionedSkillNames,
+                    allowsAllCredentials: true,
                     scheduleType: scheduleType,
                     scheduledDate: scheduleType == .oneTime ? effectiveScheduledDate : nil,
                     recurrenceRule: scheduleType == .recurring ? buildRecurrenceRule() : nil
@@ -109,26 +109,10 @@ struct ImportPreviewSheet: View {
     private func performImport() {
         importing = true
         
-        var imported = 0
-        var skipped = 0
-        var errors: [String] = []
-        
-        for credential in credentials where credential.selected {
-            do {
-                try credentialManager.addCredential(
-                    displayName: credential.displayName,
-                    username: credential.username,
-                    password: credential.password
-                )
-                imported += 1
-            } catch CredentialManagerError.duplicateCredential {
-                skipped += 1
-            } catch {
-                errors.append(credential.displayName)
-            }
+        let selected = credentials.filter(\.selected).map { credential in
+            (displayName: credential.displayName, username: credential.username, password: credential.password)
         }
-        
-        importResult = CredentialImportResult(imported: imported, skipped: skipped, errors: errors)
+        importResult = credentialManager.importCredentials(selected)
         importing = false
     }
 }
@@ -168,66 +168,14 @@ struct CredentialsSettingsView: View {
     }
     
     private func parseCSV(_ contents: String) -> [ImportPreviewCredential] {
-        var results: [ImportPreviewCredential] = []
-        
-        let lines = contents.components(separatedBy: .newlines)
-        guard lines.count > 1 else { return [] }
-        
-        // Parse header
-        let headerLine = lines[0]
-        let headers = parseCSVLine(headerLine).map { $0.lowercased() }
-        
-        // Find column indices
-        let nameColumns = ["name", "title", "url", "website", "login_uri"]
-        let usernameColumns = ["username", "login_username", "email", "user"]
-        let passwordColumns = ["password", "login_password", "pass"]
-        
-        let nameIndex = headers.firstIndex { nameColumns.contains($0) }
-        let usernameIndex = headers.firstIndex { usernameColumns.contains($0) }
-        let passwordIndex = headers.firstIndex { passwordColumns.contains($0) }
-        
-        // Parse data rows
-        for i in 1..<lines.count {
-            let line = lines[i].trimmingCharacters(in: .whitespacesAndNewlines)
-            if line.isEmpty { continue }
-            
-            let values = parseCSVLine(line)
-            
-            let name = nameIndex.flatMap { $0 < values.count ? values[$0] : nil } ?? "Unnamed"
-            let username = usernameIndex.flatMap { $0 < values.count ? values[$0] : nil }
-            let password = passwordIndex.flatMap { $0 < values.count ? values[$0] : nil } ?? ""
-            
-            if !password.isEmpty {
-                results.append(ImportPreviewCredential(
-                    displayName: name,
-                    username: username,
-                    password: password,
-                    selected: true
-                ))
-            }
-        }
-        
-        return results
-    }
-    
-    private func parseCSVLine(_ line: String) -> [String] {
-        var result: [String] = []
-        var current = ""
-        var inQuotes = false
-        
-        for char in line {
-            if char == "\"" {
-                inQuotes.toggle()
-            } else if char == "," && !inQuotes {
-                result.append(current.trimmingCharacters(in: .whitespaces))
-                current = ""
-            } else {
-                current.append(char)
-            }
+        CredentialManager.parseCSV(contents).map { entry in
+            ImportPreviewCredential(
+                displayName: entry.displayName,
+                username: entry.username,
+                password: entry.password,
+                selected: true
+            )
         }
-        
-        result.append(current.trimmingCharacters(in: .whitespaces))
-        return result
     }
 }
 
@@ -315,6 +315,178 @@ struct HivecrewTests {
         #expect(execution.results[0].url == expected.url)
         #expect(execution.notes.contains("Retried with duckduckgo."))
     }
+
+    @Test
+    @MainActor
+    func queueOrderPutsWaitingTasksFirstThenPriorityRankAndAge() {
+        let now = Date()
+        let oldLow = makeTask(id: "old-low", title: "Old low", taskDescription: "", status: .queued, createdAt: now.addingTimeInterval(-500))
+        oldLow.priority = .low
+        let newNormal = makeTask(id: "new-normal", title: "New normal", taskDescription: "", status: .queued, createdAt: now)
+        let oldNormal = makeTask(id: "old-normal", title: "Old normal", taskDescription: "", status: .queued, createdAt: now.addingTimeInterval(-100))
+        let rankedNormal = makeTask(id: "ranked-normal", title: "Ranked normal", taskDescription: "", status: .queued, createdAt: now.addingTimeInterval(-10))
+        rankedNormal.queueRank = 0
+        let high = makeTask(id: "high", title: "High", taskDescription: "", status: .queued, createdAt: now.addingTimeInterval(-5))
+        high.priority = .high
+        let waiting = makeTask(id: "waiting", title: "Waiting", taskDescription: "", status: .waitingForVM, createdAt: now.addingTimeInterval(-1))
+        waiting.priority = .low
+
+        let ordered = [oldLow, newNormal, oldNormal, rankedNormal, high, waiting]
+            .sorted(by: TaskService.startsBefore)
+            .map(\.id)
+
+        #expect(ordered == ["waiting", "high", "ranked-normal", "old-normal", "new-normal", "old-low"])
+    }
+
+    @Test
+    @MainActor
+    func queueOrderUsesLowerRankFirstWithinAPriority() {
+        let now = Date()
+        let first = makeTask(id: "first", title: "First", taskDescription: "", status: .queued, createdAt: now)
+        first.queueRank = 1
+        let second = makeTask(id: "second", title: "Second", taskDescription: "", status: .queued, createdAt: now.addingTimeInterval(-100))
+        second.queueRank = 2
+
+        #expect(TaskService.startsBefore(first, second))
+        #expect(!TaskService.startsBefore(second, first))
+    }
+
+    @Test
+    func provisioningOverridesReplaceAndAddEnvironmentVariables() {
+        let config = VMProvisioningConfig(
+            environmentVariables: [
+                .init(key: "REGION", value: "us-east-1"),
+                .init(key: "DEBUG", value: "0")
+            ],
+            setupCommands: ["brew update"],
+            fileInjections: []
+        )
+        let overrides = TaskProvisioningOverrides(environment: ["DEBUG": "1", "ZONE": "b", "API_URL": "https://example.com"])
+
+        let result = config.applying(overrides)
+
+        #expect(result.environmentVariables.map(\.key) == ["REGION", "DEBUG", "API_URL", "ZONE"])
+        #expect(result.environmentVariables.map(\.value) == ["us-east-1", "1", "https://example.com", "b"])
+        #expect(result.environmentVariables[1].id == config.environmentVariables[1].id)
+        #expect(result.setupCommands == ["brew update"])
+    }
+
+    @Test
+    func provisioningOverridesReplaceSetupCommandsAndFilterFileInjections() {
+        let kept = VMProvisioningConfig.FileInjection(fileName: "kept.yaml", guestPath: "~/kept.yaml")
+        let dropped = VMProvisioningConfig.FileInjection(fileName: "dropped.yaml", guestPath: "~/dropped.yaml")
+        let config = VMProvisioningConfig(
+            environmentVariables: [],
+            setupCommands: ["brew update", "npm install"],
+            fileInjections: [kept, dropped]
+        )
+
+        let result = config.applying(TaskProvisioningOverrides(
+            setupCommands: [],
+            fileInjectionIds: [kept.id.uuidString, UUID().uuidString]
+        ))
+
+        #expect(result.setupCommands.isEmpty)
+        #expect(result.fileInjections == [kept])
+        #expect(config.applying(TaskProvisioningOverrides(fileInjectionIds: [])).fileInjections.isEmpty)
+    }
+
+    @Test
+    func emptyOrMissingProvisioningOverridesLeaveTheConfigUnchanged() {
+        let config = VMProvisioningConfig(
+            environmentVariables: [.init(key: "REGION", value: "us-east-1")],
+            setupCommands: ["brew update"],
+            fileInjections: [.init(fileName: "config.yaml", guestPath: "~/config.yaml")]
+        )
+
+        #expect(config.applying(nil) == config)
+        #expect(config.applying(TaskProvisioningOverrides()) == config)
+        #expect(TaskProvisioningOverrides().isEmpty)
+    }
+
+    @Test
+    func provisioningOverridesStoredWithTheTaskKeepOnlyVariableNames() {
+        let overrides = TaskProvisioningOverrides(
+            environment: ["API_TOKEN": "secret", "ZONE": "b"],
+            setupCommands: ["make"]
+        )
+
+        let stored = overrides.withoutEnvironmentValues
+
+        #expect(stored.environment == ["API_TOKEN": "", "ZONE": ""])
+        #expect(stored.setupCommands == ["make"])
+        #expect(stored.fileInjectionIds == nil)
+    }
+
+    @Test
+    @MainActor
+    func credentialCSVImportReadsCommonPasswordManagerColumns() {
+        let csv = """
+        Title,URL,Login_Username,Login_Password,Notes
+        GitHub,https://github.com,octocat,hunter2,
+        "Bank, Personal",https://bank.example,"jane@example.com","p,a,s,s",quoted fields
+        """
+
+        let entries = CredentialManager.parseCSV(csv)
+
+        #expect(entries.map(\.displayName) == ["GitHub", "Bank, Personal"])
+        #expect(entries.map(\.username) == ["octocat", "jane@example.com"])
+        #expect(entries.map(\.password) == ["hunter2", "p,a,s,s"])
+    }
+
+    @Test
+    @MainActor
+    func credentialCSVImportSkipsRowsWithoutPasswordsAndNamesUntitledOnes() {
+        let csv = "name,username,password\r\n"
+            + "No password,someone,\r\n"
+            + ",anonymous,secret\r\n"
+            + "\r\n"
+            + "Short row\r\n"
+            + "Mail,,mailpass\r\n"
+
+        let entries = CredentialManager.parseCSV(csv)
+
+        #expect(entries.map(\.displayName) == ["Unnamed", "Mail"])
+        #expect(entries.map(\.password) == ["secret", "mailpass"])
+        #expect(entries[1].username == "")
+    }
+
+    @Test
+    @MainActor
+    func credentialCSVImportHandlesMissingColumnsAndHeaderOnlyFiles() {
+        #expect(CredentialManager.parseCSV("").isEmpty)
+        #expect(CredentialManager.parseCSV("name,username,password").isEmpty)
+
+        let entries = CredentialManager.parseCSV("password,notes\nsecret,first")
+        #expect(entries.count == 1)
+        #expect(entries[0].displayName == "Unnamed")
+        #expect(entries[0].username == nil)
+        #expect(entries[0].password == "secret")
+    }
+
+    @Test
+    @MainActor
+    func credentialCSVImportNumbersUntitledRows() {
+        let csv = "name,username,password\n,first,one\n,second,two\nMail,,three\n,third,four"
+
+        let entries = CredentialManager.parseCSV(csv)
+
+        #expect(entries.map(\.displayName) == ["Unnamed", "Unnamed 2", "Mail", "Unnamed 3"])
+    }
+
+    @Test
+    @MainActor
+    func credentialCSVImportReadsEscapedQuotesInQuotedFields() {
+        let csv = """
+        name,username,password
+        "The ""Work"" Account","jane","pa""ss,word"
+        """
+
+        let entries = CredentialManager.parseCSV(csv)
+
+        #expect(entries.map(\.displayName) == ["The \"Work\" Account"])
+        #expect(entries.map(\.password) == ["pa\"ss,word"])
+    }
 }
 
 private extension HivecrewTests {
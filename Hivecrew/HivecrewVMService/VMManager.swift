@@ -324,6 +324,7 @@ class VMManager: NSObject {
             let diskSize = config["diskSize"] as? UInt64 ?? 0
             let cpuCount = config["cpuCount"] as? Int ?? 2
             let memorySize = config["memorySize"] as? UInt64 ?? 0
+            let macOSVersion = config["macOSVersion"] as? String ?? ""
             
             templates.append([
                 "id": id,
@@ -334,7 +335,8 @@ class VMManager: NSObject {
                 "diskSizeFormatted": ByteCountFormatter.string(fromByteCount: Int64(diskSize), countStyle: .file),
                 "cpuCount": cpuCount,
                 "memorySize": memorySize,
-                "memorySizeFormatted": ByteCountFormatter.string(fromByteCount: Int64(memorySize), countStyle: .memory)
+                "memorySizeFormatted": ByteCountFormatter.string(fromByteCount: Int64(memorySize), countStyle: .memory),
+                "macOSVersion": macOSVersion
             ])
         }
         
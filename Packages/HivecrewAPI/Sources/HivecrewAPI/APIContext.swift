@@ -34,6 +34,7 @@ public protocol APIServiceProvider: Sendable {
         reasoningEnabled: Bool?,
         reasoningEffort: String?,
         attachedFilePaths: [String],
+        priority: APITaskPriority,
         outputDirectory: String?,
         planFirst: Bool,
         mentionedSkillNames: [String],
@@ -43,7 +44,12 @@ public protocol APIServiceProvider: Sendable {
         contextSuggestionIds: [String],
         contextModeOverrides: [String: String],
         contextInlineBlocks: [String],
-        contextAttachmentPaths: [String]
+        contextAttachmentPaths: [String],
+        templateId: String?,
+        mcpServerIds: [String]?,
+        provisioning: APIProvisioningOverrides?,
+        credentialIds: [String]?,
+        accessGrantIds: [String]?
     ) async throws -> APITask
 
     /// Create multiple prompt-bar tasks from a shared description/files payload.
@@ -51,15 +57,27 @@ public protocol APIServiceProvider: Sendable {
         description: String,
         targets: [CreateTaskBatchTarget],
         attachedFilePaths: [String],
+        priority: APITaskPriority,
+        outputDirectory: String?,
         planFirst: Bool,
-        mentionedSkillNames: [String]
+        mentionedSkillNames: [String],
+        referencedTaskIds: [String],
+        continuationSourceTaskId: String?,
+        contextSuggestionIds: [String],
+        contextModeOverrides: [String: String],
+        templateId: String?,
+        mcpServerIds: [String]?,
+        provisioning: APIProvisioningOverrides?,
+        credentialIds: [String]?,
+        accessGrantIds: [String]?
     ) async throws -> [APITask]
     
-    /// List tasks with optional status filtering, pagination, and sorting.
+    /// List tasks matching a filter (including full-text search), sorted and paginated by offset or cursor.
     func getTasks(
-        status: [APITaskStatus]?,
+        filter: APITaskListFilter,
         limit: Int,
         offset: Int,
+        cursor: APITaskListCursor?,
         sortBy: String,
         order: String
     ) async throws -> APITaskListResponse
@@ -70,15 +88,48 @@ public protocol APIServiceProvider: Sendable {
     /// Perform a lifecycle action on a task (cancel, pause, resume, plan review, etc.).
     func performTaskAction(id: String, action: APITaskAction, instructions: String?) async throws -> APITask
     
+    /// Rerun a finished task, optionally with an edited description, on other models, or without its input files.
+    /// Passing no targets reruns on the original model; several targets create a batch.
+    func rerunTask(
+        id: String,
+        description: String?,
+        targets: [CreateTaskBatchTarget],
+        keepInputFiles: Bool
+    ) async throws -> [APITask]
+    
+    /// Apply the selected staged writeback items of a task in review and discard the others.
+    func approveWriteback(id: String, items: [APIWritebackItemSelection]) async throws -> APITask
+    
     /// Permanently delete a task by its unique identifier.
     func deleteTask(id: String) async throws
     
+    /// Hide a finished task from the default task list, or restore it.
+    func setTaskArchived(id: String, archived: Bool) async throws -> APITask
+    
     /// Retrieve file metadata for a task's input and output files.
     func getTaskFiles(id: String) async throws -> APITaskFilesResponse
     
-    /// Download raw file data for a specific task file.
-    func getTaskFileData(taskId: String, filename: String, isInput: Bool) async throws -> (data: Data, mimeType: String)
+    /// Resolve a task's input or output file on disk, with its MIME type.
+    ///
+    /// `path` is the file's ``APIFileDetail/path``, which may point inside an output folder.
+    /// The route reads the file itself so it can serve byte ranges.
+    func getTaskFileURL(taskId: String, path: String, isInput: Bool) async throws -> (url: URL, mimeType: String)
     
+    /// Resolve the files to stream into a ZIP download.
+    ///
+    /// With no references every input and output file is included. Folders expand to the files inside them,
+    /// and entry paths are prefixed with `inputs/` or `outputs/`.
+    func getTaskArchiveEntries(
+        taskId: String,
+        files: [APITaskFileReference]?
+    ) async throws -> (fileName: String, entries: [(path: String, url: URL)])
+
+    /// Deliver uploaded files into a running or paused task's VM inbox.
+    ///
+    /// The files are added to the task's inputs and the agent is told where to find them,
+    /// together with `message` if one was sent.
+    func uploadFilesToTaskInbox(taskId: String, filePaths: [String], message: String?) async throws -> APITaskInboxUploadResponse
+
     /// Retrieve the latest VM screenshot for a running task.
     ///
     /// Returns the raw image data and its MIME type, or `nil` if no
@@ -116,6 +167,68 @@ public protocol APIServiceProvider: Sendable {
     /// Retrieve the staged local writeback review payload for a task, if any.
     func getTaskWritebackReview(id: String) async throws -> APIWritebackReview?
     
+    /// Retrieve the diff of one staged writeback item with the whole file as context.
+    ///
+    /// Throws `notFound` if the item does not exist or is not a text replacement of an existing file.
+    func getTaskWritebackDiff(id: String, itemId: String) async throws -> APIWritebackDiff
+    
+    /// Retrieve the stored agent trace for a task, grouped into steps.
+    ///
+    /// Throws `notFound` if the task has no session or its trace file is missing.
+    func getTaskTrace(id: String) async throws -> APISessionTrace
+    
+    /// Read a screenshot captured during a task's session.
+    ///
+    /// - Parameters:
+    ///   - id: The task identifier.
+    ///   - filename: A screenshot file name from ``APITraceStep/screenshot``.
+    /// - Returns: The image data and its MIME type, or `nil` if the file does not exist.
+    func getTaskTraceScreenshot(id: String, filename: String) async throws -> (data: Data, mimeType: String)?
+    
+    /// Start exporting a task's session screenshots as a replay.
+    ///
+    /// Replaces any previous export for the task. Throws `conflict` while an export is still running.
+    func startReplayExport(taskId: String, request: APIStartReplayExportRequest) async throws -> APIReplayExport
+    
+    /// Status of the latest replay export for a task, or `nil` if none was started.
+    func getReplayExport(taskId: String) async throws -> APIReplayExport?
+    
+    /// Location of a completed replay export on disk.
+    func getReplayExportFile(taskId: String) async throws -> (url: URL, fileName: String, mimeType: String)
+    
+    // MARK: - Batch Operations
+    
+    /// Retrieve the runs of a task batch for side-by-side comparison.
+    func getTaskBatch(id: String) async throws -> APITaskBatch
+    
+    /// Mark one run as the batch winner, or clear the winner when `taskId` is `nil`.
+    func setTaskBatchWinner(id: String, taskId: String?) async throws -> APITaskBatch
+    
+    // MARK: - Queue Operations
+    
+    /// Queued tasks in start order with estimated start times.
+    func getTaskQueue() async throws -> APITaskQueue
+    
+    /// Reorder queued tasks. Tasks not listed keep their relative order after the listed ones.
+    func reorderTaskQueue(taskIds: [String]) async throws -> APITaskQueue
+    
+    /// Change the priority of a queued task.
+    func setQueuedTaskPriority(id: String, priority: APITaskPriority) async throws -> APITaskQueue
+    
+    // MARK: - Context Operations
+    
+    /// Retrieval suggestions from the local index for a prompt.
+    func getContextSuggestions(query: String, limit: Int) async throws -> [APIContextSuggestion]
+    
+    /// List saved context packs, most recently updated first.
+    func getSavedContextPacks() async throws -> [APISavedContextPack]
+    
+    /// Save a named context pack, replacing the items of an existing pack with the same name.
+    func saveContextPack(name: String, items: [APISavedContextPackItem]) async throws -> APISavedContextPack
+    
+    /// Delete a saved context pack.
+    func deleteSavedContextPack(id: String) async throws
+    
     // MARK: - Schedule Operations
     
     /// List scheduled tasks with pagination.
@@ -134,6 +247,8 @@ public protocol APIServiceProvider: Sendable {
         reasoningEffort: String?,
         attachedFilePaths: [String],
         outputDirectory: String?,
+        templateId: String?,
+        credentialIds: [String]?,
         schedule: APISchedule
     ) async throws -> APIScheduledTask
     
@@ -191,14 +306,99 @@ public protocol APIServiceProvider: Sendable {
     /// List all available skills.
     func getSkills() async throws -> [APISkill]
     
+    /// Retrieve a single skill, including its full SKILL.md content.
+    func getSkill(name: String) async throws -> APISkillDetail
+    
+    /// Create a new skill.
+    func createSkill(request: APICreateSkillRequest) async throws -> APISkillDetail
+    
+    /// Update a skill's content or enabled state.
+    func updateSkill(name: String, request: APIUpdateSkillRequest) async throws -> APISkillDetail
+    
+    /// Permanently delete a skill and its directory.
+    func deleteSkill(name: String) async throws
+    
+    /// Import a skill from SKILL.md content or a GitHub URL.
+    func importSkill(request: APIImportSkillRequest) async throws -> APISkillDetail
+    
+    /// Run skill extraction over a completed task's session trace.
+    ///
+    /// Returns a proposed skill for review; it is not saved.
+    func extractSkill(taskId: String) async throws -> APIExtractedSkill
+
+    // MARK: - MCP Server Operations
+
+    /// List configured MCP servers with their live connection state.
+    ///
+    /// Environment variable values are omitted; only their names are returned.
+    func getMCPServers() async throws -> APIMCPServerListResponse
+
+    /// Add an MCP server, connecting to it when enabled.
+    func createMCPServer(request: APICreateMCPServerRequest) async throws -> APIMCPServer
+
+    /// Update an MCP server's configuration, reconnecting or disconnecting as needed.
+    func updateMCPServer(id: String, request: APIUpdateMCPServerRequest) async throws -> APIMCPServer
+
+    /// Disconnect and permanently delete an MCP server.
+    func deleteMCPServer(id: String) async throws
+
+    /// Drop and re-establish the connection to an enabled MCP server.
+    func reconnectMCPServer(id: String) async throws -> APIMCPServer
+
+    /// List the tools a connected MCP server offers.
+    func getMCPServerTools(id: String) async throws -> APIMCPToolListResponse
+
     // MARK: - Provisioning Operations
     
-    /// Retrieve VM provisioning configuration (environment variables and injected files).
+    /// Retrieve VM provisioning configuration (environment variables, setup commands and injected files).
     ///
     /// Environment variable values are intentionally omitted from the response
     /// because they typically contain sensitive information (API keys, tokens, etc.).
     func getProvisioning() async throws -> APIProvisioningResponse
     
+    /// Set or remove environment variables and replace the setup commands.
+    ///
+    /// Returns the updated configuration, again without environment values.
+    func updateProvisioning(request: APIUpdateProvisioningRequest) async throws -> APIProvisioningResponse
+    
+    /// Store an uploaded file and inject it into every new VM at `guestPath`.
+    ///
+    /// When `guestPath` is nil the file is placed on the VM's Desktop.
+    func addInjectedFile(fileName: String, data: Data, guestPath: String?) async throws -> APIInjectedFile
+    
+    /// Change where an injected file is placed inside the VM.
+    func updateInjectedFile(id: String, request: APIUpdateInjectedFileRequest) async throws -> APIInjectedFile
+    
+    /// Stop injecting a file, deleting the stored copy if it was uploaded.
+    func deleteInjectedFile(id: String) async throws
+    
+    // MARK: - Credential Operations
+    
+    /// List stored credentials by name and username.
+    ///
+    /// Passwords and placeholder tokens are never returned.
+    func getCredentials() async throws -> APICredentialListResponse
+    
+    /// Store a credential in the Keychain.
+    func createCredential(request: APICreateCredentialRequest) async throws -> APICredential
+    
+    /// Add every row of a password manager CSV export, skipping names that already exist.
+    func importCredentials(csv: String) async throws -> APICredentialImportResponse
+    
+    /// Delete a credential and its Keychain entries.
+    func deleteCredential(id: String) async throws
+    
+    // MARK: - Access Grant Operations
+    
+    /// List host folders and files that tasks can be given access to.
+    func getAccessGrants() async throws -> APIAccessGrantListResponse
+    
+    /// Grant access to an existing host path, or change the mode of an existing grant.
+    func createAccessGrant(request: APICreateAccessGrantRequest) async throws -> APIAccessGrant
+    
+    /// Revoke a grant, removing it from tasks that have not finished.
+    func deleteAccessGrant(id: String) async throws
+    
     // MARK: - System Operations
     
     /// Retrieve current system status (running agents, queued tasks, VM counts, etc.).
@@ -207,6 +407,21 @@ public protocol APIServiceProvider: Sendable {
     /// Retrieve system configuration values.
     func getSystemConfig() async throws -> APISystemConfig
     
+    /// Retrieve recent host CPU, memory, agent and VM samples, oldest first.
+    func getSystemHistory() async throws -> APISystemHistoryResponse
+    
+    /// List every VM bundle on the host with its state and attached task, plus VM slot usage.
+    func getVMs() async throws -> APIVMListResponse
+    
+    /// Stop a running VM that is not in use by an active or paused task.
+    func stopVM(id: String) async throws
+    
+    /// Delete an orphaned VM, stopping it first if it is running.
+    func deleteVM(id: String) async throws
+    
+    /// Delete every orphaned VM.
+    func cleanupOrphanedVMs() async throws -> APIVMCleanupResponse
+    
     // MARK: - Event Streaming
     
     /// Subscribe to real-time task events via Server-Sent Events.
@@ -216,6 +431,14 @@ public protocol APIServiceProvider: Sendable {
     /// or is cancelled.
     func subscribeToTaskEvents(id: String) async throws -> AsyncStream<APITaskEvent>
     
+    /// Subscribe to the global live-update stream.
+    ///
+    /// Returns an `AsyncStream` that yields ``APILiveEvent`` values for task
+    /// changes, pending questions and permissions, and system status changes
+    /// across all tasks. Currently pending alerts and the current system status
+    /// are emitted first. The stream stays open until the client disconnects.
+    func subscribeToLiveEvents() async throws -> AsyncStream<APILiveEvent>
+    
     /// Get task activity events since a given offset (for polling).
     ///
     /// Returns events from the task's activity log starting from `since`.
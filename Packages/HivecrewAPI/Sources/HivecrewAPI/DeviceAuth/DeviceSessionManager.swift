@@ -244,6 +244,11 @@ public actor DeviceSessionManager {
         authorizedDevices
     }
     
+    /// Look up an authorized device by ID
+    public func device(id: String) -> APIDeviceSession? {
+        authorizedDevices.first(where: { $0.id == id })
+    }
+    
     /// Rename an authorized device
     public func renameDevice(id: String, name: String) -> Bool {
         let trimmed = name.trimmingCharacters(in: .whitespacesAndNewlines)
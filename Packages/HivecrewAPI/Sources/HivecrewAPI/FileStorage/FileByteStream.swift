@@ -0,0 +1,67 @@
+//
+//  FileByteStream.swift
+//  HivecrewAPI
+//
+//  Streams a byte range of a file on disk as response body chunks
+//
+
+import Foundation
+import NIOCore
+
+/// `length` bytes of a file starting at `offset`, read one chunk at a time as the response body is written.
+///
+/// Large downloads such as replay videos never sit in memory whole. The file is opened when
+/// the client pulls the first chunk and closed after the last one.
+struct FileByteStream: AsyncSequence, Sendable {
+    typealias Element = ByteBuffer
+
+    private static let readChunkSize = 256 * 1024
+
+    let url: URL
+    let offset: Int64
+    let length: Int64
+
+    func makeAsyncIterator() -> Iterator {
+        Iterator(url: url, offset: offset, length: length)
+    }
+
+    struct Iterator: AsyncIteratorProtocol {
+        private let url: URL
+        private let offset: Int64
+        private var remaining: Int64
+        private var handle: FileHandle?
+
+        init(url: URL, offset: Int64, length: Int64) {
+            self.url = url
+            self.offset = offset
+            self.remaining = length
+        }
+
+        mutating func next() async throws -> ByteBuffer? {
+            guard remaining > 0 else {
+                try? handle?.close()
+                handle = nil
+                return nil
+            }
+
+            if handle == nil {
+                let opened = try FileHandle(forReadingFrom: url)
+                try opened.seek(toOffset: UInt64(offset))
+                handle = opened
+            }
+
+            let count = Int(min(Int64(FileByteStream.readChunkSize), remaining))
+            let chunk = try handle?.read(upToCount: count) ?? Data()
+            guard !chunk.isEmpty else {
+                // The file got shorter since its size was read
+                remaining = 0
+                try? handle?.close()
+                handle = nil
+                return nil
+            }
+
+            remaining -= Int64(chunk.count)
+            return ByteBuffer(data: chunk)
+        }
+    }
+}
@@ -53,14 +53,18 @@ public actor TaskFileStorage {
     ///   - data: The file data
     ///   - filename: Original filename
     ///   - taskId: Task ID
+    ///   - replaceExisting: Overwrite a file of the same name instead of saving as "name-2.ext"
     /// - Returns: Full path to the saved file
-    public func saveUploadedFile(data: Data, filename: String, taskId: String) throws -> URL {
+    public func saveUploadedFile(data: Data, filename: String, taskId: String, replaceExisting: Bool = true) throws -> URL {
         let taskUploadsDir = uploadsDirectory(for: taskId)
         try FileManager.default.createDirectory(at: taskUploadsDir, withIntermediateDirectories: true)
         
         // Sanitize filename to prevent directory traversal
         let sanitizedFilename = sanitizeFilename(filename)
-        let fileURL = taskUploadsDir.appendingPathComponent(sanitizedFilename)
+        var fileURL = taskUploadsDir.appendingPathComponent(sanitizedFilename)
+        if !replaceExisting {
+            fileURL = uniqueFileURL(for: fileURL)
+        }
         
         try data.write(to: fileURL)
         return fileURL
@@ -146,6 +150,23 @@ public actor TaskFileStorage {
         }
     }
     
+    /// Delete the upload folders holding `filePaths`, except those still holding one of `keptFilePaths`.
+    /// Uploads that are not tied to a task ID (inbox uploads, batch inputs) get their own folder,
+    /// which can be shared by several tasks. Paths outside the uploads directory are ignored.
+    public func deleteUploadFolders(containing filePaths: [String], except keptFilePaths: [String]) throws {
+        let uploadsPath = uploadsDirectory.standardizedFileURL.path
+        func uploadFolder(of filePath: String) -> URL? {
+            let folder = URL(fileURLWithPath: filePath).standardizedFileURL.deletingLastPathComponent()
+            return folder.deletingLastPathComponent().path == uploadsPath ? folder : nil
+        }
+
+        let keptFolders = Set(keptFilePaths.compactMap(uploadFolder).map(\.path))
+        let folders = Set(filePaths.compactMap(uploadFolder)).filter { !keptFolders.contains($0.path) }
+        for folder in folders where FileManager.default.fileExists(atPath: folder.path) {
+            try FileManager.default.removeItem(at: folder)
+        }
+    }
+    
     // MARK: - Helpers
     
     /// List files in a directory with metadata
@@ -175,6 +196,27 @@ public actor TaskFileStorage {
         }
     }
     
+    /// First of "name.ext", "name-2.ext", "name-3.ext", ... that does not exist yet
+    private func uniqueFileURL(for url: URL) -> URL {
+        guard FileManager.default.fileExists(atPath: url.path) else { return url }
+        
+        let baseName = url.deletingPathExtension().lastPathComponent
+        let pathExtension = url.pathExtension
+        let directory = url.deletingLastPathComponent()
+        
+        var counter = 2
+        while true {
+            let candidateName = pathExtension.isEmpty
+                ? "\(baseName)-\(counter)"
+                : "\(baseName)-\(counter).\(pathExtension)"
+            let candidate = directory.appendingPathComponent(candidateName)
+            if !FileManager.default.fileExists(atPath: candidate.path) {
+                return candidate
+            }
+            counter += 1
+        }
+    }
+    
     /// Sanitize filename to prevent directory traversal attacks
     private func sanitizeFilename(_ filename: String) -> String {
         // Remove any path components and keep only the filename
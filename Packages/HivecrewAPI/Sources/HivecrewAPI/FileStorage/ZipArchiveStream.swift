@@ -0,0 +1,208 @@
+//
+//  ZipArchiveStream.swift
+//  HivecrewAPI
+//
+//  Streams a ZIP archive of files on disk as response body chunks
+//
+
+import Foundation
+import NIOCore
+
+/// A ZIP archive produced chunk by chunk as the response body is written.
+///
+/// Entries are stored uncompressed and each file's CRC and size follow its data
+/// (general purpose flag bit 3), so the first bytes go out as soon as the first file
+/// is opened and nothing is buffered beyond one read. Files are read only when the
+/// client pulls the next chunk. ZIP64 is not supported; use `validate` first.
+struct ZipArchiveStream: AsyncSequence, Sendable {
+    typealias Element = ByteBuffer
+
+    struct Entry: Sendable {
+        /// Path inside the archive, with `/` between folders
+        let path: String
+        let url: URL
+    }
+
+    /// Classic ZIP offsets and sizes are 32-bit
+    static let maxArchiveSize = Int64(UInt32.max)
+    static let maxEntryCount = Int(UInt16.max)
+
+    private static let readChunkSize = 256 * 1024
+
+    let entries: [Entry]
+
+    /// Rejects selections that would need ZIP64
+    static func validate(_ entries: [Entry]) throws {
+        guard entries.count <= maxEntryCount else {
+            throw APIError.badRequest("Too many files for one archive (\(entries.count), limit \(maxEntryCount))")
+        }
+
+        let fileManager = FileManager.default
+        var total: Int64 = 0
+        for entry in entries {
+            let size = (try? fileManager.attributesOfItem(atPath: entry.url.path)[.size] as? NSNumber)?.int64Value ?? 0
+            // Local header, data descriptor and central directory record around each file
+            total += size + 30 + 16 + 46 + 2 * Int64(entry.path.utf8.count)
+        }
+        guard total + 22 < maxArchiveSize else {
+            throw APIError.badRequest("The selected files are too large for one archive (4 GB limit); select fewer files")
+        }
+    }
+
+    func makeAsyncIterator() -> Iterator {
+        Iterator(entries: entries)
+    }
+
+    struct Iterator: AsyncIteratorProtocol {
+        private let entries: [Entry]
+        private var index = 0
+        private var handle: FileHandle?
+        private var crc: UInt32 = 0
+        private var entrySize: UInt32 = 0
+        private var entryOffset: UInt32 = 0
+        private var entryDate = (time: UInt16(0), date: UInt16(0))
+        private var offset: UInt32 = 0
+        private var centralDirectory = Data()
+        private var finished = false
+
+        init(entries: [Entry]) {
+            self.entries = entries
+        }
+
+        mutating func next() async throws -> ByteBuffer? {
+            if finished {
+                return nil
+            }
+
+            if let handle {
+                let chunk = try handle.read(upToCount: ZipArchiveStream.readChunkSize) ?? Data()
+                if !chunk.isEmpty {
+                    crc = ZipArchiveStream.crc32(chunk, seed: crc)
+                    entrySize &+= UInt32(truncatingIfNeeded: chunk.count)
+                    offset &+= UInt32(truncatingIfNeeded: chunk.count)
+                    return ByteBuffer(data: chunk)
+                }
+                try handle.close()
+                self.handle = nil
+                return ByteBuffer(data: finishEntry())
+            }
+
+            if index < entries.count {
+                return ByteBuffer(data: try startEntry())
+            }
+
+            finished = true
+            return ByteBuffer(data: endOfArchive())
+        }
+
+        private mutating func startEntry() throws -> Data {
+            let entry = entries[index]
+            handle = try FileHandle(forReadingFrom: entry.url)
+            let modified = (try? entry.url.resourceValues(forKeys: [.contentModificationDateKey]))?.contentModificationDate
+            entryDate = ZipArchiveStream.dosDateTime(modified ?? Date())
+            crc = 0
+            entrySize = 0
+            entryOffset = offset
+
+            let name = Data(entry.path.utf8)
+            var header = Data()
+            header.appendLittleEndian(UInt32(0x04034b50))
+            header.appendLittleEndian(UInt16(20))         // version needed
+            header.appendLittleEndian(ZipArchiveStream.flags)
+            header.appendLittleEndian(UInt16(0))          // stored
+            header.appendLittleEndian(entryDate.time)
+            header.appendLittleEndian(entryDate.date)
+            header.appendLittleEndian(UInt32(0))          // CRC, sizes: in the data descriptor
+            header.appendLittleEndian(UInt32(0))
+            header.appendLittleEndian(UInt32(0))
+            header.appendLittleEndian(UInt16(name.count))
+            header.appendLittleEndian(UInt16(0))          // extra field length
+            header.append(name)
+
+            offset += UInt32(header.count)
+            return header
+        }
+
+        private mutating func finishEntry() -> Data {
+            var descriptor = Data()
+            descriptor.appendLittleEndian(UInt32(0x08074b50))
+            descriptor.appendLittleEndian(crc)
+            descriptor.appendLittleEndian(entrySize)
+            descriptor.appendLittleEndian(entrySize)
+
+            let name = Data(entries[index].path.utf8)
+            centralDirectory.appendLittleEndian(UInt32(0x02014b50))
+            centralDirectory.appendLittleEndian(UInt16(0x0314))   // made by: Unix, ZIP 2.0
+            centralDirectory.appendLittleEndian(UInt16(20))
+            centralDirectory.appendLittleEndian(ZipArchiveStream.flags)
+            centralDirectory.appendLittleEndian(UInt16(0))
+            centralDirectory.appendLittleEndian(entryDate.time)
+            centralDirectory.appendLittleEndian(entryDate.date)
+            centralDirectory.appendLittleEndian(crc)
+            centralDirectory.appendLittleEndian(entrySize)
+            centralDirectory.appendLittleEndian(entrySize)
+            centralDirectory.appendLittleEndian(UInt16(name.count))
+            centralDirectory.appendLittleEndian(UInt16(0))        // extra field length
+            centralDirectory.appendLittleEndian(UInt16(0))        // comment length
+            centralDirectory.appendLittleEndian(UInt16(0))        // disk number
+            centralDirectory.appendLittleEndian(UInt16(0))        // internal attributes
+            centralDirectory.appendLittleEndian(UInt32(0o100644) << 16)
+            centralDirectory.appendLittleEndian(entryOffset)
+            centralDirectory.append(name)
+
+            offset += UInt32(descriptor.count)
+            index += 1
+            return descriptor
+        }
+
+        private func endOfArchive() -> Data {
+            var data = centralDirectory
+            data.appendLittleEndian(UInt32(0x06054b50))
+            data.appendLittleEndian(UInt16(0))                    // disk number
+            data.appendLittleEndian(UInt16(0))                    // central directory disk
+            data.appendLittleEndian(UInt16(entries.count))
+            data.appendLittleEndian(UInt16(entries.count))
+            data.appendLittleEndian(UInt32(centralDirectory.count))
+            data.appendLittleEndian(offset)
+            data.appendLittleEndian(UInt16(0))                    // comment length
+            return data
+        }
+    }
+
+    // MARK: - Encoding
+
+    /// Data descriptor follows each entry (bit 3); names are UTF-8 (bit 11)
+    private static let flags: UInt16 = 0x0808
+
+    private static let crcTable: [UInt32] = (0..<256).map { value in
+        var crc = UInt32(value)
+        for _ in 0..<8 {
+            crc = crc & 1 == 1 ? 0xEDB88320 ^ (crc >> 1) : crc >> 1
+        }
+        return crc
+    }
+
+    /// CRC-32 (IEEE) continued from `seed`, the CRC of the preceding bytes
+    static func crc32(_ data: Data, seed: UInt32 = 0) -> UInt32 {
+        var crc = ~seed
+        for byte in data {
+            crc = crcTable[Int((crc ^ UInt32(byte)) & 0xFF)] ^ (crc >> 8)
+        }
+        return ~crc
+    }
+
+    /// MS-DOS time and date fields in local time, clamped to the format's 1980 epoch
+    static func dosDateTime(_ date: Date) -> (time: UInt16, date: UInt16) {
+        let components = Calendar.current.dateComponents([.year, .month, .day, .hour, .minute, .second], from: date)
+        let year = max((components.year ?? 1980) - 1980, 0)
+        let time = (components.hour ?? 0) << 11 | (components.minute ?? 0) << 5 | (components.second ?? 0) / 2
+        let day = min(year, 127) << 9 | (components.month ?? 1) << 5 | (components.day ?? 1)
+        return (UInt16(time), UInt16(day))
+    }
+}
+
+private extension Data {
+    mutating func appendLittleEndian<T: FixedWidthInteger>(_ value: T) {
+        withUnsafeBytes(of: value.littleEndian) { append(contentsOf: $0) }
+    }
+}
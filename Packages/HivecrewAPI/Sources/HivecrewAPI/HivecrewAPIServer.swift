@@ -160,8 +160,17 @@ public actor HivecrewAPIServer {
         
         ProviderRoutes(serviceProvider: serviceProvider).register(with: apiV1)
         TemplateRoutes(serviceProvider: serviceProvider).register(with: apiV1)
+        BatchRoutes(serviceProvider: serviceProvider).register(with: apiV1)
+        ContextRoutes(serviceProvider: serviceProvider).register(with: apiV1)
+        QueueRoutes(serviceProvider: serviceProvider).register(with: apiV1)
         SkillRoutes(serviceProvider: serviceProvider).register(with: apiV1)
-        ProvisioningRoutes(serviceProvider: serviceProvider).register(with: apiV1)
+        MCPRoutes(serviceProvider: serviceProvider).register(with: apiV1)
+        ProvisioningRoutes(
+            serviceProvider: serviceProvider,
+            maxFileSize: configuration.maxFileSize
+        ).register(with: apiV1)
+        CredentialRoutes(serviceProvider: serviceProvider).register(with: apiV1)
+        AccessGrantRoutes(serviceProvider: serviceProvider).register(with: apiV1)
         SystemRoutes(serviceProvider: serviceProvider).register(with: apiV1)
         EventRoutes(serviceProvider: serviceProvider).register(with: apiV1)
         
@@ -0,0 +1,71 @@
+//
+//  APIAccessGrant.swift
+//  HivecrewAPI
+//
+//  Local access grant models for API requests and responses
+//
+
+import Foundation
+
+/// Whether a task may write back into a granted path
+public enum APIAccessMode: String, Codable, Sendable, CaseIterable {
+    /// Agents can list and import files but not stage writeback
+    case readOnly = "read_only"
+    case readWrite = "read_write"
+}
+
+/// Whether a grant covers a single file or a whole folder
+public enum APIAccessScopeKind: String, Codable, Sendable {
+    case file = "file"
+    case folder = "folder"
+}
+
+/// A local path on the host Mac that tasks can be given access to
+public struct APIAccessGrant: Codable, Sendable {
+    public let id: String
+    public let displayName: String
+    /// Absolute path on the host
+    public let path: String
+    public let scopeKind: APIAccessScopeKind
+    public let accessMode: APIAccessMode
+    /// `false` when the path has been moved or deleted since it was granted
+    public let exists: Bool
+    
+    public init(
+        id: String,
+        displayName: String,
+        path: String,
+        scopeKind: APIAccessScopeKind,
+        accessMode: APIAccessMode,
+        exists: Bool
+    ) {
+        self.id = id
+        self.displayName = displayName
+        self.path = path
+        self.scopeKind = scopeKind
+        self.accessMode = accessMode
+        self.exists = exists
+    }
+}
+
+/// Response for GET /access-grants
+public struct APIAccessGrantListResponse: Codable, Sendable {
+    public let grants: [APIAccessGrant]
+    
+    public init(grants: [APIAccessGrant]) {
+        self.grants = grants
+    }
+}
+
+/// Request for POST /access-grants
+public struct APICreateAccessGrantRequest: Codable, Sendable {
+    /// Absolute host path; a leading `~` is expanded to the home folder
+    public let path: String
+    /// Defaults to read-write
+    public let accessMode: APIAccessMode?
+    
+    public init(path: String, accessMode: APIAccessMode? = nil) {
+        self.path = path
+        self.accessMode = accessMode
+    }
+}
@@ -0,0 +1,134 @@
+//
+//  APIContextSuggestions.swift
+//  HivecrewAPI
+//
+//  Retrieval context suggestions and saved context packs
+//
+
+import Foundation
+
+/// How a selected suggestion is given to the agent
+public enum APIContextMode: String, Codable, Sendable, CaseIterable {
+    /// Attach the source file to the task
+    case fileRef
+    /// Inline the matching snippet in the prompt
+    case inlineSnippet
+    /// Inline a structured summary of the source
+    case structuredSummary
+}
+
+/// Request body for POST /context/suggestions
+public struct APIContextSuggestionsRequest: Codable, Sendable {
+    /// Prompt being typed
+    public let query: String
+    /// Maximum number of suggestions (1-25, default 12)
+    public let limit: Int?
+
+    public init(query: String, limit: Int? = nil) {
+        self.query = query
+        self.limit = limit
+    }
+}
+
+/// A document from the retrieval index that may be relevant to the prompt
+public struct APIContextSuggestion: Codable, Sendable {
+    /// Retrieval item ID, passed back as `contextSuggestionIds` when creating tasks
+    public let id: String
+    /// Source kind reported by the retrieval daemon (e.g. "file", "email")
+    public let sourceType: String
+    public let title: String
+    public let snippet: String
+    /// File path or source handle
+    public let sourcePathOrHandle: String
+    public let relevanceScore: Double
+    public let risk: String
+    public let reasons: [String]
+    /// Mode used when none is chosen (`fileRef` for files, `structuredSummary` otherwise)
+    public let defaultMode: APIContextMode
+
+    public init(
+        id: String,
+        sourceType: String,
+        title: String,
+        snippet: String,
+        sourcePathOrHandle: String,
+        relevanceScore: Double,
+        risk: String,
+        reasons: [String],
+        defaultMode: APIContextMode
+    ) {
+        self.id = id
+        self.sourceType = sourceType
+        self.title = title
+        self.snippet = snippet
+        self.sourcePathOrHandle = sourcePathOrHandle
+        self.relevanceScore = relevanceScore
+        self.risk = risk
+        self.reasons = reasons
+        self.defaultMode = defaultMode
+    }
+}
+
+/// Response for POST /context/suggestions
+public struct APIContextSuggestionsResponse: Codable, Sendable {
+    public let suggestions: [APIContextSuggestion]
+
+    public init(suggestions: [APIContextSuggestion]) {
+        self.suggestions = suggestions
+    }
+}
+
+/// A suggestion saved in a context pack with the mode chosen for it
+public struct APISavedContextPackItem: Codable, Sendable {
+    public let suggestion: APIContextSuggestion
+    public let mode: APIContextMode
+
+    public init(suggestion: APIContextSuggestion, mode: APIContextMode) {
+        self.suggestion = suggestion
+        self.mode = mode
+    }
+}
+
+/// A named set of context suggestions that can be reused across tasks
+public struct APISavedContextPack: Codable, Sendable {
+    public let id: String
+    public let name: String
+    public let items: [APISavedContextPackItem]
+    public let createdAt: Date
+    public let updatedAt: Date
+
+    public init(
+        id: String,
+        name: String,
+        items: [APISavedContextPackItem],
+        createdAt: Date,
+        updatedAt: Date
+    ) {
+        self.id = id
+        self.name = name
+        self.items = items
+        self.createdAt = createdAt
+        self.updatedAt = updatedAt
+    }
+}
+
+/// Request body for POST /context/packs
+public struct APISaveContextPackRequest: Codable, Sendable {
+    /// Saving with the name of an existing pack replaces its items
+    public let name: String
+    public let items: [APISavedContextPackItem]
+
+    public init(name: String, items: [APISavedContextPackItem]) {
+        self.name = name
+        self.items = items
+    }
+}
+
+/// Response for GET /context/packs
+public struct APISavedContextPackListResponse: Codable, Sendable {
+    public let packs: [APISavedContextPack]
+
+    public init(packs: [APISavedContextPack]) {
+        self.packs = packs
+    }
+}
@@ -0,0 +1,61 @@
+//
+//  APICredential.swift
+//  HivecrewAPI
+//
+//  Stored credential models for API requests and responses
+//
+
+import Foundation
+
+/// A stored login credential.
+///
+/// Passwords and the placeholder tokens agents type are never returned.
+public struct APICredential: Codable, Sendable {
+    public let id: String
+    /// Name agents use to find the credential (e.g. "GitHub")
+    public let displayName: String
+    public let username: String?
+    
+    public init(id: String, displayName: String, username: String? = nil) {
+        self.id = id
+        self.displayName = displayName
+        self.username = username
+    }
+}
+
+/// Response for GET /credentials
+public struct APICredentialListResponse: Codable, Sendable {
+    public let credentials: [APICredential]
+    
+    public init(credentials: [APICredential]) {
+        self.credentials = credentials
+    }
+}
+
+/// Request for POST /credentials
+public struct APICreateCredentialRequest: Codable, Sendable {
+    public let displayName: String
+    public let username: String?
+    public let password: String
+    
+    public init(displayName: String, username: String? = nil, password: String) {
+        self.displayName = displayName
+        self.username = username
+        self.password = password
+    }
+}
+
+/// Response for POST /credentials/import
+public struct APICredentialImportResponse: Codable, Sendable {
+    public let imported: Int
+    /// Rows whose name matched an existing credential
+    public let skipped: Int
+    /// Names of rows that could not be saved
+    public let errors: [String]
+    
+    public init(imported: Int, skipped: Int, errors: [String] = []) {
+        self.imported = imported
+        self.skipped = skipped
+        self.errors = errors
+    }
+}
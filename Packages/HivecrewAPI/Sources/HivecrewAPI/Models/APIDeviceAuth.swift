@@ -195,8 +195,10 @@ public struct DeviceResponse: Codable, Sendable {
     public let os: String
     public let authorizedAt: Date
     public let lastSeenAt: Date
+    /// Whether this is the device making the request
+    public let isCurrent: Bool
     
-    public init(from session: APIDeviceSession) {
+    public init(from session: APIDeviceSession, isCurrent: Bool = false) {
         self.id = session.id
         self.name = session.name
         self.deviceType = session.deviceType
@@ -204,6 +206,16 @@ public struct DeviceResponse: Codable, Sendable {
         self.os = session.os
         self.authorizedAt = session.authorizedAt
         self.lastSeenAt = session.lastSeenAt
+        self.isCurrent = isCurrent
+    }
+}
+
+/// Request for PATCH /api/v1/auth/devices/:id
+public struct RenameDeviceRequest: Codable, Sendable {
+    public let name: String
+    
+    public init(name: String) {
+        self.name = name
     }
 }
 
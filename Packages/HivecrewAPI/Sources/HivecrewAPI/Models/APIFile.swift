@@ -23,17 +23,30 @@ public struct APIFile: Codable, Sendable {
 /// Extended file metadata with timestamp
 public struct APIFileDetail: Codable, Sendable {
     public let name: String
+    /// Path relative to the task's inputs or outputs, with `/` between folders (equal to `name` at the top level)
+    public let path: String
     public let size: Int64
     public let mimeType: String
     public let uploadedAt: Date?
     public let createdAt: Date?
+    public let modifiedAt: Date?
     
-    public init(name: String, size: Int64, mimeType: String, uploadedAt: Date? = nil, createdAt: Date? = nil) {
+    public init(
+        name: String,
+        path: String? = nil,
+        size: Int64,
+        mimeType: String,
+        uploadedAt: Date? = nil,
+        createdAt: Date? = nil,
+        modifiedAt: Date? = nil
+    ) {
         self.name = name
+        self.path = path ?? name
         self.size = size
         self.mimeType = mimeType
         self.uploadedAt = uploadedAt
         self.createdAt = createdAt
+        self.modifiedAt = modifiedAt
     }
 }
 
@@ -50,6 +63,62 @@ public struct APITaskFilesResponse: Codable, Sendable {
     }
 }
 
+// MARK: - Archives
+
+/// Which side of a task a file belongs to
+public enum APITaskFileType: String, Codable, Sendable {
+    case input
+    case output
+}
+
+/// A task file or folder picked for a ZIP download
+public struct APITaskFileReference: Codable, Sendable {
+    public let type: APITaskFileType
+    /// File or folder path as listed in `APIFileDetail.path`; omit to include every file of this type
+    public let path: String?
+    
+    public init(type: APITaskFileType, path: String? = nil) {
+        self.type = type
+        self.path = path
+    }
+}
+
+/// Request body for POST /tasks/:id/archive
+public struct APITaskArchiveRequest: Codable, Sendable {
+    public let files: [APITaskFileReference]
+    
+    public init(files: [APITaskFileReference]) {
+        self.files = files
+    }
+}
+
+// MARK: - Inbox Uploads
+
+/// A file delivered into a running task's VM inbox
+public struct APITaskInboxFile: Codable, Sendable {
+    public let name: String
+    /// Where the agent finds the file inside the VM
+    public let vmPath: String
+    public let size: Int64
+
+    public init(name: String, vmPath: String, size: Int64) {
+        self.name = name
+        self.vmPath = vmPath
+        self.size = size
+    }
+}
+
+/// Response for POST /tasks/:id/inbox
+public struct APITaskInboxUploadResponse: Codable, Sendable {
+    public let taskId: String
+    public let files: [APITaskInboxFile]
+
+    public init(taskId: String, files: [APITaskInboxFile]) {
+        self.taskId = taskId
+        self.files = files
+    }
+}
+
 // MARK: - MIME Type Detection
 
 public extension APIFile {
@@ -70,12 +139,14 @@ public extension APIFile {
         // Text
         case "txt": return "text/plain"
         case "csv": return "text/csv"
+        case "tsv": return "text/tab-separated-values"
         case "json": return "application/json"
         case "xml": return "application/xml"
         case "html", "htm": return "text/html"
         case "css": return "text/css"
         case "js": return "application/javascript"
-        case "md": return "text/markdown"
+        case "md", "markdown": return "text/markdown"
+        case "yaml", "yml": return "application/yaml"
         
         // Images
         case "jpg", "jpeg": return "image/jpeg"
@@ -89,9 +160,12 @@ public extension APIFile {
         case "mp3": return "audio/mpeg"
         case "wav": return "audio/wav"
         case "m4a": return "audio/mp4"
+        case "ogg": return "audio/ogg"
+        case "flac": return "audio/flac"
         
         // Video
-        case "mp4": return "video/mp4"
+        case "mp4", "m4v": return "video/mp4"
+        case "webm": return "video/webm"
         case "mov": return "video/quicktime"
         case "avi": return "video/x-msvideo"
         
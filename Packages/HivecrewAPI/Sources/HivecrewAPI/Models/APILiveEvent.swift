@@ -0,0 +1,77 @@
+//
+//  APILiveEvent.swift
+//  HivecrewAPI
+//
+//  Server-Sent Event models for the global live-update stream
+//
+
+import Foundation
+
+// MARK: - Event Type
+
+/// The type of change carried by a live event
+public enum APILiveEventType: String, Codable, Sendable {
+    /// A task was created or one of its summary fields changed
+    case taskUpdated = "task_updated"
+    /// A task was deleted
+    case taskDeleted = "task_deleted"
+    /// A running task is waiting on an answer to a question
+    case question
+    /// A running task is waiting on a permission decision
+    case permission
+    /// A previously announced question or permission is no longer pending
+    case alertResolved = "alert_resolved"
+    /// Agent, VM, or resource counts changed
+    case systemStatus = "system_status"
+}
+
+// MARK: - Live Event
+
+/// A single event on the global `/api/v1/events` stream.
+///
+/// Only the fields relevant to `type` are populated:
+/// - `taskUpdated`: `taskId`, `task`
+/// - `taskDeleted`: `taskId`
+/// - `question` / `permission`: `taskId`, `alertId`, `taskDetail`
+/// - `alertResolved`: `taskId`, `alertId`
+/// - `systemStatus`: `systemStatus`
+public struct APILiveEvent: Codable, Sendable {
+    /// The category of this event
+    public let type: APILiveEventType
+
+    /// When the event was produced
+    public let timestamp: Date
+
+    /// The task this event concerns, if any
+    public let taskId: String?
+
+    /// Updated task summary, for list patching
+    public let task: APITaskSummary?
+
+    /// Full task including its pending question or permission
+    public let taskDetail: APITask?
+
+    /// Question or permission ID
+    public let alertId: String?
+
+    /// Current system status
+    public let systemStatus: APISystemStatus?
+
+    public init(
+        type: APILiveEventType,
+        timestamp: Date = Date(),
+        taskId: String? = nil,
+        task: APITaskSummary? = nil,
+        taskDetail: APITask? = nil,
+        alertId: String? = nil,
+        systemStatus: APISystemStatus? = nil
+    ) {
+        self.type = type
+        self.timestamp = timestamp
+        self.taskId = taskId
+        self.task = task
+        self.taskDetail = taskDetail
+        self.alertId = alertId
+        self.systemStatus = systemStatus
+    }
+}
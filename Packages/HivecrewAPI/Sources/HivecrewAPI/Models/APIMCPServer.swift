@@ -0,0 +1,202 @@
+//
+//  APIMCPServer.swift
+//  HivecrewAPI
+//
+//  MCP server models for API requests and responses
+//
+
+import Foundation
+
+/// How Hivecrew talks to an MCP server
+public enum APIMCPTransportType: String, Codable, Sendable, CaseIterable {
+    /// A local process speaking over standard input and output
+    case stdio = "stdio"
+    /// A remote server reached over HTTP
+    case http = "http"
+}
+
+/// Live connection state of an MCP server
+public enum APIMCPConnectionState: String, Codable, Sendable {
+    case disconnected = "disconnected"
+    case connecting = "connecting"
+    case connected = "connected"
+    case error = "error"
+}
+
+/// MCP server configuration and connection state
+public struct APIMCPServer: Codable, Sendable {
+    public let id: String
+    public let displayName: String
+    public let isEnabled: Bool
+    public let transportType: APIMCPTransportType
+    /// Command to launch (stdio only)
+    public let command: String?
+    public let arguments: [String]
+    public let workingDirectory: String?
+    /// Names of the environment variables set for the process.
+    ///
+    /// Values are omitted because they usually hold tokens and API keys.
+    public let environmentVariableNames: [String]
+    /// Server URL (HTTP only)
+    public let serverURL: String?
+    public let connectionState: APIMCPConnectionState
+    /// Reason for the last failed connection attempt
+    public let connectionError: String?
+    /// Number of tools the server offers while connected
+    public let toolCount: Int
+    public let createdAt: Date
+    public let lastConnectedAt: Date?
+
+    public init(
+        id: String,
+        displayName: String,
+        isEnabled: Bool,
+        transportType: APIMCPTransportType,
+        command: String? = nil,
+        arguments: [String] = [],
+        workingDirectory: String? = nil,
+        environmentVariableNames: [String] = [],
+        serverURL: String? = nil,
+        connectionState: APIMCPConnectionState,
+        connectionError: String? = nil,
+        toolCount: Int = 0,
+        createdAt: Date,
+        lastConnectedAt: Date? = nil
+    ) {
+        self.id = id
+        self.displayName = displayName
+        self.isEnabled = isEnabled
+        self.transportType = transportType
+        self.command = command
+        self.arguments = arguments
+        self.workingDirectory = workingDirectory
+        self.environmentVariableNames = environmentVariableNames
+        self.serverURL = serverURL
+        self.connectionState = connectionState
+        self.connectionError = connectionError
+        self.toolCount = toolCount
+        self.createdAt = createdAt
+        self.lastConnectedAt = lastConnectedAt
+    }
+}
+
+/// Response for GET /mcp/servers
+public struct APIMCPServerListResponse: Codable, Sendable {
+    public let servers: [APIMCPServer]
+
+    public init(servers: [APIMCPServer]) {
+        self.servers = servers
+    }
+}
+
+/// Request for POST /mcp/servers
+public struct APICreateMCPServerRequest: Codable, Sendable {
+    public let displayName: String
+    public let isEnabled: Bool?
+    public let transportType: APIMCPTransportType
+    public let command: String?
+    public let arguments: [String]?
+    public let workingDirectory: String?
+    public let environment: [String: String]?
+    public let serverURL: String?
+
+    public init(
+        displayName: String,
+        isEnabled: Bool? = nil,
+        transportType: APIMCPTransportType,
+        command: String? = nil,
+        arguments: [String]? = nil,
+        workingDirectory: String? = nil,
+        environment: [String: String]? = nil,
+        serverURL: String? = nil
+    ) {
+        self.displayName = displayName
+        self.isEnabled = isEnabled
+        self.transportType = transportType
+        self.command = command
+        self.arguments = arguments
+        self.workingDirectory = workingDirectory
+        self.environment = environment
+        self.serverURL = serverURL
+    }
+}
+
+/// Request for PATCH /mcp/servers/:id; omitted fields are left unchanged
+public struct APIUpdateMCPServerRequest: Codable, Sendable {
+    public let displayName: String?
+    public let isEnabled: Bool?
+    public let transportType: APIMCPTransportType?
+    public let command: String?
+    public let arguments: [String]?
+    public let workingDirectory: String?
+    /// Variables to add or overwrite; variables not listed keep their current values
+    public let environment: [String: String]?
+    /// Names of variables to remove
+    public let removeEnvironment: [String]?
+    public let serverURL: String?
+
+    public init(
+        displayName: String? = nil,
+        isEnabled: Bool? = nil,
+        transportType: APIMCPTransportType? = nil,
+        command: String? = nil,
+        arguments: [String]? = nil,
+        workingDirectory: String? = nil,
+        environment: [String: String]? = nil,
+        removeEnvironment: [String]? = nil,
+        serverURL: String? = nil
+    ) {
+        self.displayName = displayName
+        self.isEnabled = isEnabled
+        self.transportType = transportType
+        self.command = command
+        self.arguments = arguments
+        self.workingDirectory = workingDirectory
+        self.environment = environment
+        self.removeEnvironment = removeEnvironment
+        self.serverURL = serverURL
+    }
+}
+
+/// One input parameter of an MCP tool
+public struct APIMCPToolParameter: Codable, Sendable {
+    public let name: String
+    /// JSON Schema type, when the server declares one
+    public let type: String?
+    public let description: String?
+    public let isRequired: Bool
+
+    public init(name: String, type: String? = nil, description: String? = nil, isRequired: Bool) {
+        self.name = name
+        self.type = type
+        self.description = description
+        self.isRequired = isRequired
+    }
+}
+
+/// A tool offered by an MCP server
+public struct APIMCPTool: Codable, Sendable {
+    public let name: String
+    /// Name the agent calls the tool by (`mcp_<server>_<tool>`)
+    public let agentToolName: String
+    public let description: String?
+    public let parameters: [APIMCPToolParameter]
+
+    public init(name: String, agentToolName: String, description: String? = nil, parameters: [APIMCPToolParameter] = []) {
+        self.name = name
+        self.agentToolName = agentToolName
+        self.description = description
+        self.parameters = parameters
+    }
+}
+
+/// Response for GET /mcp/servers/:id/tools
+public struct APIMCPToolListResponse: Codable, Sendable {
+    public let serverId: String
+    public let tools: [APIMCPTool]
+
+    public init(serverId: String, tools: [APIMCPTool]) {
+        self.serverId = serverId
+        self.tools = tools
+    }
+}
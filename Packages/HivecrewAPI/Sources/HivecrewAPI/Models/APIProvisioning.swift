@@ -2,7 +2,7 @@
 //  APIProvisioning.swift
 //  HivecrewAPI
 //
-//  VM provisioning models for API responses (environment variables and injected files)
+//  VM provisioning models for API requests and responses (environment variables, setup commands and injected files)
 //
 
 import Foundation
@@ -11,35 +11,115 @@ import Foundation
 public struct APIEnvironmentVariable: Codable, Sendable {
     /// The variable name/key
     public let key: String
+    /// Whether the variable has a non-empty value (the value itself is never returned)
+    public let hasValue: Bool
     
-    public init(key: String) {
+    public init(key: String, hasValue: Bool = true) {
         self.key = key
+        self.hasValue = hasValue
     }
 }
 
 /// A file configured for injection into VMs
 public struct APIInjectedFile: Codable, Sendable {
+    public let id: String
     /// The filename as stored in the assets directory
     public let fileName: String
     /// The destination path inside the VM
     public let guestPath: String
+    /// Whether the host file can currently be found; missing files are skipped when a VM starts
+    public let sourceExists: Bool
     
-    public init(fileName: String, guestPath: String) {
+    public init(id: String, fileName: String, guestPath: String, sourceExists: Bool = true) {
+        self.id = id
         self.fileName = fileName
         self.guestPath = guestPath
+        self.sourceExists = sourceExists
     }
 }
 
 /// Response for GET /provisioning
 public struct APIProvisioningResponse: Codable, Sendable {
     public let environmentVariables: [APIEnvironmentVariable]
+    /// Shell commands run in order after the VM starts, before the agent begins
+    public let setupCommands: [String]
     public let injectedFiles: [APIInjectedFile]
     
     public init(
         environmentVariables: [APIEnvironmentVariable],
+        setupCommands: [String] = [],
         injectedFiles: [APIInjectedFile]
     ) {
         self.environmentVariables = environmentVariables
+        self.setupCommands = setupCommands
         self.injectedFiles = injectedFiles
     }
 }
+
+/// Request for PATCH /provisioning; omitted fields are left unchanged
+public struct APIUpdateProvisioningRequest: Codable, Sendable {
+    /// Variables to add or overwrite; variables not listed keep their current values
+    public let environment: [String: String]?
+    /// Names of variables to remove
+    public let removeEnvironment: [String]?
+    /// Replaces the whole list of setup commands
+    public let setupCommands: [String]?
+    
+    public init(
+        environment: [String: String]? = nil,
+        removeEnvironment: [String]? = nil,
+        setupCommands: [String]? = nil
+    ) {
+        self.environment = environment
+        self.removeEnvironment = removeEnvironment
+        self.setupCommands = setupCommands
+    }
+}
+
+/// Request for PATCH /provisioning/files/:id
+public struct APIUpdateInjectedFileRequest: Codable, Sendable {
+    public let guestPath: String
+    
+    public init(guestPath: String) {
+        self.guestPath = guestPath
+    }
+}
+
+// MARK: - Task Overrides
+
+/// Changes to the global provisioning for a single task
+public struct APIProvisioningOverrides: Codable, Sendable {
+    /// Variables added for this task; a key that is already configured gets this value instead
+    public let environment: [String: String]?
+    /// Setup commands run instead of the global ones (`[]` runs none)
+    public let setupCommands: [String]?
+    /// Injected files to copy, by ID (`[]` copies none; omit to copy every file)
+    public let injectedFileIds: [String]?
+    
+    public init(
+        environment: [String: String]? = nil,
+        setupCommands: [String]? = nil,
+        injectedFileIds: [String]? = nil
+    ) {
+        self.environment = environment
+        self.setupCommands = setupCommands
+        self.injectedFileIds = injectedFileIds
+    }
+}
+
+/// A task's provisioning overrides as returned by the API, without environment values
+public struct APITaskProvisioning: Codable, Sendable {
+    public let environmentVariableNames: [String]
+    public let setupCommands: [String]?
+    public let injectedFileIds: [String]?
+    
+    public init(
+        environmentVariableNames: [String] = [],
+        setupCommands: [String]? = nil,
+        injectedFileIds: [String]? = nil
+    ) {
+        self.environmentVariableNames = environmentVariableNames
+        self.setupCommands = setupCommands
+        self.injectedFileIds = injectedFileIds
+    }
+}
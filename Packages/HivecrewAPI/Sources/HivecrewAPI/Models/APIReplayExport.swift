@@ -0,0 +1,81 @@
+//
+//  APIReplayExport.swift
+//  HivecrewAPI
+//
+//  Session replay export job models
+//
+
+import Foundation
+
+/// Output format of a replay export
+public enum APIReplayExportFormat: String, Codable, Sendable {
+    /// H.264 video assembled from the session screenshots
+    case mp4
+    /// Self-contained HTML slideshow with the screenshots embedded
+    case html
+}
+
+/// Lifecycle of a replay export job
+public enum APIReplayExportStatus: String, Codable, Sendable {
+    case running
+    case completed
+    case failed
+}
+
+/// Request body for POST /tasks/:id/replay
+public struct APIStartReplayExportRequest: Codable, Sendable {
+    /// Preferred format (default `mp4`). MP4 exports fall back to `html` if video encoding fails.
+    public let format: APIReplayExportFormat?
+    /// Frames per second for video, or slides per second for the slideshow (1-30, default 6)
+    public let fps: Int?
+
+    public init(format: APIReplayExportFormat? = nil, fps: Int? = nil) {
+        self.format = format
+        self.fps = fps
+    }
+}
+
+/// Status of the latest replay export for a task
+public struct APIReplayExport: Codable, Sendable {
+    public let taskId: String
+    public let status: APIReplayExportStatus
+    /// Format being produced; switches to `html` when the MP4 export falls back
+    public let format: APIReplayExportFormat
+    /// 0.0 to 1.0
+    public let progress: Double
+    public let frameCount: Int
+    /// Download name once completed
+    public let fileName: String?
+    public let fileSize: Int64?
+    /// Why the MP4 export fell back to HTML, if it did
+    public let fallbackReason: String?
+    public let error: String?
+    public let startedAt: Date
+    public let completedAt: Date?
+
+    public init(
+        taskId: String,
+        status: APIReplayExportStatus,
+        format: APIReplayExportFormat,
+        progress: Double,
+        frameCount: Int,
+        fileName: String? = nil,
+        fileSize: Int64? = nil,
+        fallbackReason: String? = nil,
+        error: String? = nil,
+        startedAt: Date,
+        completedAt: Date? = nil
+    ) {
+        self.taskId = taskId
+        self.status = status
+        self.format = format
+        self.progress = progress
+        self.frameCount = frameCount
+        self.fileName = fileName
+        self.fileSize = fileSize
+        self.fallbackReason = fallbackReason
+        self.error = error
+        self.startedAt = startedAt
+        self.completedAt = completedAt
+    }
+}
@@ -72,6 +72,9 @@ public struct APIScheduledTask: Codable, Sendable {
     public let modelId: String
     public let reasoningEnabled: Bool?
     public let reasoningEffort: String?
+    public let templateId: String?
+    /// Stored credentials each run may use (nil on schedules made in the Mac app, which allow every credential)
+    public let credentialIds: [String]?
     public let isEnabled: Bool
     public let scheduleType: String
     public let scheduledAt: Date?
@@ -90,6 +93,8 @@ public struct APIScheduledTask: Codable, Sendable {
         modelId: String,
         reasoningEnabled: Bool? = nil,
         reasoningEffort: String? = nil,
+        templateId: String? = nil,
+        credentialIds: [String]? = nil,
         isEnabled: Bool,
         scheduleType: String,
         scheduledAt: Date?,
@@ -107,6 +112,8 @@ public struct APIScheduledTask: Codable, Sendable {
         self.modelId = modelId
         self.reasoningEnabled = reasoningEnabled
         self.reasoningEffort = reasoningEffort
+        self.templateId = templateId
+        self.credentialIds = credentialIds
         self.isEnabled = isEnabled
         self.scheduleType = scheduleType
         self.scheduledAt = scheduledAt
@@ -0,0 +1,138 @@
+//
+//  APISessionTrace.swift
+//  HivecrewAPI
+//
+//  Session trace models for reviewing finished task runs
+//
+
+import Foundation
+
+/// Stored agent trace for a task, grouped into steps
+public struct APISessionTrace: Codable, Sendable {
+    public let taskId: String
+    public let sessionId: String
+    public let model: String?
+    /// Final session status recorded by the agent (e.g. "completed", "failed")
+    public let status: String?
+    public let summary: String?
+    public let startedAt: Date?
+    public let endedAt: Date?
+    public let promptTokens: Int
+    public let completionTokens: Int
+    public let totalTokens: Int
+    public let steps: [APITraceStep]
+
+    public init(
+        taskId: String,
+        sessionId: String,
+        model: String?,
+        status: String?,
+        summary: String?,
+        startedAt: Date?,
+        endedAt: Date?,
+        promptTokens: Int,
+        completionTokens: Int,
+        totalTokens: Int,
+        steps: [APITraceStep]
+    ) {
+        self.taskId = taskId
+        self.sessionId = sessionId
+        self.model = model
+        self.status = status
+        self.summary = summary
+        self.startedAt = startedAt
+        self.endedAt = endedAt
+        self.promptTokens = promptTokens
+        self.completionTokens = completionTokens
+        self.totalTokens = totalTokens
+        self.steps = steps
+    }
+}
+
+/// One agent step: the observation, the LLM turn and the tools it ran
+public struct APITraceStep: Codable, Sendable {
+    public let step: Int
+    public let timestamp: Date
+    /// Screenshot file name, served from GET /tasks/:id/trace/screenshots/:filename
+    public let screenshot: String?
+    public let responseText: String?
+    public let reasoning: String?
+    public let promptTokens: Int
+    public let completionTokens: Int
+    public let totalTokens: Int
+    public let toolCalls: [APITraceToolCall]
+    public let errors: [APITraceError]
+    /// User interventions (pause, instructions, resume) recorded during the step
+    public let interventions: [String]
+
+    public init(
+        step: Int,
+        timestamp: Date,
+        screenshot: String? = nil,
+        responseText: String? = nil,
+        reasoning: String? = nil,
+        promptTokens: Int = 0,
+        completionTokens: Int = 0,
+        totalTokens: Int = 0,
+        toolCalls: [APITraceToolCall] = [],
+        errors: [APITraceError] = [],
+        interventions: [String] = []
+    ) {
+        self.step = step
+        self.timestamp = timestamp
+        self.screenshot = screenshot
+        self.responseText = responseText
+        self.reasoning = reasoning
+        self.promptTokens = promptTokens
+        self.completionTokens = completionTokens
+        self.totalTokens = totalTokens
+        self.toolCalls = toolCalls
+        self.errors = errors
+        self.interventions = interventions
+    }
+}
+
+/// A tool call paired with its result
+public struct APITraceToolCall: Codable, Sendable {
+    public let id: String
+    public let toolName: String
+    /// Arguments as the JSON string the model produced
+    public let arguments: String
+    /// `nil` when the trace has no result (e.g. the run stopped mid-call)
+    public let success: Bool?
+    /// Result preview (truncated to 1000 characters by the tracer)
+    public let result: String?
+    public let errorMessage: String?
+    public let durationMs: Int?
+
+    public init(
+        id: String,
+        toolName: String,
+        arguments: String,
+        success: Bool? = nil,
+        result: String? = nil,
+        errorMessage: String? = nil,
+        durationMs: Int? = nil
+    ) {
+        self.id = id
+        self.toolName = toolName
+        self.arguments = arguments
+        self.success = success
+        self.result = result
+        self.errorMessage = errorMessage
+        self.durationMs = durationMs
+    }
+}
+
+/// An error recorded in the trace
+public struct APITraceError: Codable, Sendable {
+    public let errorType: String
+    public let message: String
+    public let recoverable: Bool
+
+    public init(errorType: String, message: String, recoverable: Bool) {
+        self.errorType = errorType
+        self.message = message
+        self.recoverable = recoverable
+    }
+}
@@ -12,15 +12,73 @@ public struct APISkill: Codable, Sendable {
     public let name: String
     public let description: String
     public let isEnabled: Bool
+    /// Whether the skill was imported rather than created or extracted locally
+    public let isImported: Bool?
+    /// Task the skill was extracted from, if any
+    public let sourceTaskId: String?
+    public let createdAt: Date?
     
     public init(
         name: String,
         description: String,
-        isEnabled: Bool
+        isEnabled: Bool,
+        isImported: Bool? = nil,
+        sourceTaskId: String? = nil,
+        createdAt: Date? = nil
     ) {
         self.name = name
         self.description = description
         self.isEnabled = isEnabled
+        self.isImported = isImported
+        self.sourceTaskId = sourceTaskId
+        self.createdAt = createdAt
+    }
+}
+
+/// Skill details for GET /skills/:name
+public struct APISkillDetail: Codable, Sendable {
+    public let name: String
+    public let description: String
+    public let license: String?
+    public let compatibility: String?
+    /// Space-delimited list of pre-approved tools
+    public let allowedTools: String?
+    public let metadata: [String: String]?
+    /// Markdown body of SKILL.md (everything after the frontmatter)
+    public let instructions: String
+    public let isEnabled: Bool
+    public let isImported: Bool
+    public let sourceTaskId: String?
+    public let createdAt: Date
+    /// Full SKILL.md content, frontmatter included
+    public let content: String
+    
+    public init(
+        name: String,
+        description: String,
+        license: String? = nil,
+        compatibility: String? = nil,
+        allowedTools: String? = nil,
+        metadata: [String: String]? = nil,
+        instructions: String,
+        isEnabled: Bool,
+        isImported: Bool,
+        sourceTaskId: String? = nil,
+        createdAt: Date,
+        content: String
+    ) {
+        self.name = name
+        self.description = description
+        self.license = license
+        self.compatibility = compatibility
+        self.allowedTools = allowedTools
+        self.metadata = metadata
+        self.instructions = instructions
+        self.isEnabled = isEnabled
+        self.isImported = isImported
+        self.sourceTaskId = sourceTaskId
+        self.createdAt = createdAt
+        self.content = content
     }
 }
 
@@ -32,3 +90,119 @@ public struct APISkillListResponse: Codable, Sendable {
         self.skills = skills
     }
 }
+
+/// Request for POST /skills
+public struct APICreateSkillRequest: Codable, Sendable {
+    /// Skill name (1-64 lowercase alphanumeric characters and hyphens)
+    public let name: String
+    public let description: String
+    public let instructions: String
+    public let license: String?
+    public let compatibility: String?
+    public let allowedTools: String?
+    public let metadata: [String: String]?
+    public let isEnabled: Bool?
+    /// Task the skill was extracted from (see POST /tasks/:id/extract-skill)
+    public let sourceTaskId: String?
+    
+    public init(
+        name: String,
+        description: String,
+        instructions: String,
+        license: String? = nil,
+        compatibility: String? = nil,
+        allowedTools: String? = nil,
+        metadata: [String: String]? = nil,
+        isEnabled: Bool? = nil,
+        sourceTaskId: String? = nil
+    ) {
+        self.name = name
+        self.description = description
+        self.instructions = instructions
+        self.license = license
+        self.compatibility = compatibility
+        self.allowedTools = allowedTools
+        self.metadata = metadata
+        self.isEnabled = isEnabled
+        self.sourceTaskId = sourceTaskId
+    }
+}
+
+/// Proposed skill returned by POST /tasks/:id/extract-skill
+///
+/// Nothing is saved until the client submits it to POST /skills.
+public struct APIExtractedSkill: Codable, Sendable {
+    public let name: String
+    public let description: String
+    public let instructions: String
+    public let allowedTools: String?
+    public let sourceTaskId: String
+    
+    public init(
+        name: String,
+        description: String,
+        instructions: String,
+        allowedTools: String?,
+        sourceTaskId: String
+    ) {
+        self.name = name
+        self.description = description
+        self.instructions = instructions
+        self.allowedTools = allowedTools
+        self.sourceTaskId = sourceTaskId
+    }
+}
+
+/// Request for PATCH /skills/:name
+///
+/// Omitted fields are left unchanged; empty strings clear optional fields.
+/// Sending only `isEnabled` toggles the skill without rewriting SKILL.md.
+public struct APIUpdateSkillRequest: Codable, Sendable {
+    public let description: String?
+    public let instructions: String?
+    public let license: String?
+    public let compatibility: String?
+    public let allowedTools: String?
+    public let metadata: [String: String]?
+    public let isEnabled: Bool?
+    
+    public init(
+        description: String? = nil,
+        instructions: String? = nil,
+        license: String? = nil,
+        compatibility: String? = nil,
+        allowedTools: String? = nil,
+        metadata: [String: String]? = nil,
+        isEnabled: Bool? = nil
+    ) {
+        self.description = description
+        self.instructions = instructions
+        self.license = license
+        self.compatibility = compatibility
+        self.allowedTools = allowedTools
+        self.metadata = metadata
+        self.isEnabled = isEnabled
+    }
+    
+    /// Whether the request changes anything stored in SKILL.md
+    public var changesContent: Bool {
+        description != nil || instructions != nil || license != nil ||
+            compatibility != nil || allowedTools != nil || metadata != nil
+    }
+}
+
+/// Request for POST /skills/import
+///
+/// Provide either `content` (a full SKILL.md) or `githubURL`.
+public struct APIImportSkillRequest: Codable, Sendable {
+    public let content: String?
+    public let githubURL: String?
+    /// Overwrite a skill with the same name instead of failing with 409
+    public let replaceExisting: Bool?
+    
+    public init(content: String? = nil, githubURL: String? = nil, replaceExisting: Bool? = nil) {
+        self.content = content
+        self.githubURL = githubURL
+        self.replaceExisting = replaceExisting
+    }
+}
@@ -96,3 +96,169 @@ public struct APISystemConfig: Codable, Sendable {
         self.apiPort = apiPort
     }
 }
+
+/// One point of host resource and capacity history
+public struct APISystemSample: Codable, Sendable {
+    public let timestamp: Date
+    /// Host CPU usage in percent (0–100) since the previous sample
+    public let cpuUsage: Double?
+    public let memoryUsedGB: Double?
+    public let runningAgents: Int
+    public let queuedTasks: Int
+    public let activeVMs: Int
+    public let pendingVMs: Int
+    
+    public init(
+        timestamp: Date,
+        cpuUsage: Double?,
+        memoryUsedGB: Double?,
+        runningAgents: Int,
+        queuedTasks: Int,
+        activeVMs: Int,
+        pendingVMs: Int
+    ) {
+        self.timestamp = timestamp
+        self.cpuUsage = cpuUsage
+        self.memoryUsedGB = memoryUsedGB
+        self.runningAgents = runningAgents
+        self.queuedTasks = queuedTasks
+        self.activeVMs = activeVMs
+        self.pendingVMs = pendingVMs
+    }
+}
+
+/// Response for GET /system/history
+public struct APISystemHistoryResponse: Codable, Sendable {
+    /// Seconds between samples
+    public let intervalSeconds: Int
+    public let memoryTotalGB: Double?
+    public let maxConcurrent: Int
+    /// Oldest first; only the most recent samples are kept
+    public let samples: [APISystemSample]
+    
+    public init(intervalSeconds: Int, memoryTotalGB: Double?, maxConcurrent: Int, samples: [APISystemSample]) {
+        self.intervalSeconds = intervalSeconds
+        self.memoryTotalGB = memoryTotalGB
+        self.maxConcurrent = maxConcurrent
+        self.samples = samples
+    }
+}
+
+/// Run state of a VM bundle
+public enum APIVMState: String, Codable, Sendable {
+    case stopped = "stopped"
+    case booting = "booting"
+    case ready = "ready"
+    case busy = "busy"
+    case suspending = "suspending"
+    case error = "error"
+}
+
+/// A VM bundle on the host and what it is being used for
+public struct APIVM: Codable, Sendable {
+    public let id: String
+    public let name: String
+    public let state: APIVMState
+    /// Whether the VM is running in the app
+    public let isRunning: Bool
+    /// VMs kept for development in the Mac app's settings
+    public let isDeveloperVM: Bool
+    /// Not a developer VM and not used by an active or paused task, so it can be reclaimed
+    public let isOrphaned: Bool
+    /// Template of the attached task, when known
+    public let templateId: String?
+    public let templateName: String?
+    /// Most recent task that used this VM
+    public let taskId: String?
+    public let taskTitle: String?
+    public let taskStatus: APITaskStatus?
+    public let cpuCount: Int
+    public let memoryGB: Int
+    public let createdAt: Date
+    public let startedAt: Date?
+    /// Seconds since the VM was started, when running
+    public let uptime: Int?
+    
+    public init(
+        id: String,
+        name: String,
+        state: APIVMState,
+        isRunning: Bool,
+        isDeveloperVM: Bool,
+        isOrphaned: Bool,
+        templateId: String? = nil,
+        templateName: String? = nil,
+        taskId: String? = nil,
+        taskTitle: String? = nil,
+        taskStatus: APITaskStatus? = nil,
+        cpuCount: Int,
+        memoryGB: Int,
+        createdAt: Date,
+        startedAt: Date? = nil,
+        uptime: Int? = nil
+    ) {
+        self.id = id
+        self.name = name
+        self.state = state
+        self.isRunning = isRunning
+        self.isDeveloperVM = isDeveloperVM
+        self.isOrphaned = isOrphaned
+        self.templateId = templateId
+        self.templateName = templateName
+        self.taskId = taskId
+        self.taskTitle = taskTitle
+        self.taskStatus = taskStatus
+        self.cpuCount = cpuCount
+        self.memoryGB = memoryGB
+        self.createdAt = createdAt
+        self.startedAt = startedAt
+        self.uptime = uptime
+    }
+}
+
+/// How the VM slots are currently used.
+///
+/// Tasks wait in `waiting_for_vm` or `queued` while `available` is 0.
+public struct APIVMCapacity: Codable, Sendable {
+    public let maxConcurrent: Int
+    /// VMs running agents
+    public let taskVMs: Int
+    /// Developer VMs running from the Mac app, which also take a slot
+    public let developerVMs: Int
+    /// VMs being created for tasks
+    public let pending: Int
+    /// Finished tasks' VMs still being deleted
+    public let tearingDown: Int
+    public let available: Int
+    
+    public init(maxConcurrent: Int, taskVMs: Int, developerVMs: Int, pending: Int, tearingDown: Int, available: Int) {
+        self.maxConcurrent = maxConcurrent
+        self.taskVMs = taskVMs
+        self.developerVMs = developerVMs
+        self.pending = pending
+        self.tearingDown = tearingDown
+        self.available = available
+    }
+}
+
+/// Response for GET /system/vms
+public struct APIVMListResponse: Codable, Sendable {
+    public let vms: [APIVM]
+    public let capacity: APIVMCapacity
+    
+    public init(vms: [APIVM], capacity: APIVMCapacity) {
+        self.vms = vms
+        self.capacity = capacity
+    }
+}
+
+/// Response for POST /system/vms/cleanup
+public struct APIVMCleanupResponse: Codable, Sendable {
+    public let deletedVMIds: [String]
+    public let failedVMIds: [String]
+    
+    public init(deletedVMIds: [String], failedVMIds: [String]) {
+        self.deletedVMIds = deletedVMIds
+        self.failedVMIds = failedVMIds
+    }
+}
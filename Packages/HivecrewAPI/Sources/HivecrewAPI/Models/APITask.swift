@@ -95,8 +95,14 @@ public struct APIWritebackReviewItem: Codable, Sendable {
     public let destinationExists: Bool
     public let hasConflict: Bool
     public let conflictReason: String?
+    /// Unified diff with three lines of context; GET /tasks/:id/writeback/:itemId/diff has the whole file
     public let diffPreview: String?
+    /// Whether `diffPreview` was cut off because the diff is large
+    public let diffIsTruncated: Bool?
+    /// Start of a new file's content, for items without a diff
     public let stagedPreview: String?
+    /// Whether `stagedPreview` is only the first part of the file
+    public let stagedPreviewIsTruncated: Bool?
 
     public init(
         id: String,
@@ -107,7 +113,9 @@ public struct APIWritebackReviewItem: Codable, Sendable {
         hasConflict: Bool,
         conflictReason: String? = nil,
         diffPreview: String? = nil,
-        stagedPreview: String? = nil
+        diffIsTruncated: Bool? = nil,
+        stagedPreview: String? = nil,
+        stagedPreviewIsTruncated: Bool? = nil
     ) {
         self.id = id
         self.operation = operation
@@ -117,7 +125,30 @@ public struct APIWritebackReviewItem: Codable, Sendable {
         self.hasConflict = hasConflict
         self.conflictReason = conflictReason
         self.diffPreview = diffPreview
+        self.diffIsTruncated = diffIsTruncated
         self.stagedPreview = stagedPreview
+        self.stagedPreviewIsTruncated = stagedPreviewIsTruncated
+    }
+}
+
+/// How to apply a writeback item, required for items whose destination changed after staging
+public enum APIWritebackConflictResolution: String, Codable, Sendable {
+    /// Replace the destination with the staged file
+    case overwrite
+    /// Leave the destination as it is and drop the staged file
+    case keepLocal
+    /// Write the staged file next to the destination under a new name
+    case saveAlongside
+}
+
+/// A writeback item to apply with the `approve_writeback` action
+public struct APIWritebackItemSelection: Codable, Sendable {
+    public let id: String
+    public let conflictResolution: APIWritebackConflictResolution?
+
+    public init(id: String, conflictResolution: APIWritebackConflictResolution? = nil) {
+        self.id = id
+        self.conflictResolution = conflictResolution
     }
 }
 
@@ -133,6 +164,18 @@ public struct APIWritebackReview: Codable, Sendable {
     }
 }
 
+/// Response for GET /tasks/:id/writeback/:itemId/diff
+public struct APIWritebackDiff: Codable, Sendable {
+    public let id: String
+    /// Unified diff with the whole file as context
+    public let diff: String
+
+    public init(id: String, diff: String) {
+        self.id = id
+        self.diff = diff
+    }
+}
+
 // MARK: - Supporting Types
 
 /// Token usage information
@@ -160,6 +203,22 @@ public struct APITask: Codable, Sendable {
     public let modelId: String
     public let reasoningEnabled: Bool?
     public let reasoningEffort: String?
+    public let templateId: String?
+    /// MCP servers the task may use (nil when every enabled server is allowed)
+    public let mcpServerIds: [String]?
+    /// Changes to the global VM provisioning for this task (nil when it uses the global settings)
+    public let provisioning: APITaskProvisioning?
+    /// Stored credentials the task may use (nil when every credential is allowed)
+    public let credentialIds: [String]?
+    /// Local folders and files the task can read or write back to
+    public let accessGrants: [APIAccessGrant]?
+    public let priority: APITaskPriority?
+    public let outputDirectory: String?
+    /// Shared by tasks created together from one multi-model / multi-copy prompt
+    public let batchId: String?
+    /// Whether this run was marked as the best result of its batch
+    public let isBatchWinner: Bool?
+    public let isArchived: Bool?
     public let createdAt: Date
     public let startedAt: Date?
     public let completedAt: Date?
@@ -194,6 +253,16 @@ public struct APITask: Codable, Sendable {
         modelId: String,
         reasoningEnabled: Bool? = nil,
         reasoningEffort: String? = nil,
+        templateId: String? = nil,
+        mcpServerIds: [String]? = nil,
+        provisioning: APITaskProvisioning? = nil,
+        credentialIds: [String]? = nil,
+        accessGrants: [APIAccessGrant]? = nil,
+        priority: APITaskPriority? = nil,
+        outputDirectory: String? = nil,
+        batchId: String? = nil,
+        isBatchWinner: Bool? = nil,
+        isArchived: Bool? = nil,
         createdAt: Date,
         startedAt: Date? = nil,
         completedAt: Date? = nil,
@@ -227,6 +296,16 @@ public struct APITask: Codable, Sendable {
         self.modelId = modelId
         self.reasoningEnabled = reasoningEnabled
         self.reasoningEffort = reasoningEffort
+        self.templateId = templateId
+        self.mcpServerIds = mcpServerIds
+        self.provisioning = provisioning
+        self.credentialIds = credentialIds
+        self.accessGrants = accessGrants
+        self.priority = priority
+        self.outputDirectory = outputDirectory
+        self.batchId = batchId
+        self.isBatchWinner = isBatchWinner
+        self.isArchived = isArchived
         self.createdAt = createdAt
         self.startedAt = startedAt
         self.completedAt = completedAt
@@ -255,6 +334,10 @@ public struct APITask: Codable, Sendable {
 }
 
 /// Task summary for list responses
+///
+/// Also sent in `task_updated` live events, which fire only when the app's live-event fingerprint
+/// of the task changes. A new field that can change after creation must be added to that
+/// fingerprint too, or live clients keep showing its old value.
 public struct APITaskSummary: Codable, Sendable {
     public let id: String
     public let title: String
@@ -266,6 +349,12 @@ public struct APITaskSummary: Codable, Sendable {
     public let completedAt: Date?
     public let inputFileCount: Int
     public let outputFileCount: Int
+    public let priority: APITaskPriority?
+    public let batchId: String?
+    public let isBatchWinner: Bool?
+    public let isArchived: Bool?
+    /// Excerpts that matched the `q` search (only present when searching)
+    public let searchMatches: [APITaskSearchMatch]?
     
     public init(
         id: String,
@@ -277,7 +366,12 @@ public struct APITaskSummary: Codable, Sendable {
         startedAt: Date? = nil,
         completedAt: Date? = nil,
         inputFileCount: Int = 0,
-        outputFileCount: Int = 0
+        outputFileCount: Int = 0,
+        priority: APITaskPriority? = nil,
+        batchId: String? = nil,
+        isBatchWinner: Bool? = nil,
+        isArchived: Bool? = nil,
+        searchMatches: [APITaskSearchMatch]? = nil
     ) {
         self.id = id
         self.title = title
@@ -289,6 +383,11 @@ public struct APITaskSummary: Codable, Sendable {
         self.completedAt = completedAt
         self.inputFileCount = inputFileCount
         self.outputFileCount = outputFileCount
+        self.priority = priority
+        self.batchId = batchId
+        self.isBatchWinner = isBatchWinner
+        self.isArchived = isArchived
+        self.searchMatches = searchMatches
     }
 }
 
@@ -300,11 +399,14 @@ public struct APITaskListResponse: Codable, Sendable {
     public let total: Int
     public let limit: Int
     public let offset: Int
+    /// Pass as `cursor` to fetch the next page (nil on the last page)
+    public let nextCursor: String?
     
-    public init(tasks: [APITaskSummary], total: Int, limit: Int, offset: Int) {
+    public init(tasks: [APITaskSummary], total: Int, limit: Int, offset: Int, nextCursor: String? = nil) {
         self.tasks = tasks
         self.total = total
         self.limit = limit
         self.offset = offset
+        self.nextCursor = nextCursor
     }
 }
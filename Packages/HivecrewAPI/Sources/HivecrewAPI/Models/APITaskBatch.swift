@@ -0,0 +1,99 @@
+//
+//  APITaskBatch.swift
+//  HivecrewAPI
+//
+//  Models for comparing the runs of a multi-model / multi-copy batch
+//
+
+import Foundation
+
+/// The runs created together from one batch prompt
+public struct APITaskBatch: Codable, Sendable {
+    public let batchId: String
+    /// Prompt shared by every run in the batch
+    public let description: String
+    public let createdAt: Date
+    public let winnerTaskId: String?
+    public let runs: [APIBatchRun]
+    
+    public init(
+        batchId: String,
+        description: String,
+        createdAt: Date,
+        winnerTaskId: String?,
+        runs: [APIBatchRun]
+    ) {
+        self.batchId = batchId
+        self.description = description
+        self.createdAt = createdAt
+        self.winnerTaskId = winnerTaskId
+        self.runs = runs
+    }
+}
+
+/// One run in a batch, with the figures shown side by side
+public struct APIBatchRun: Codable, Sendable {
+    public let taskId: String
+    public let title: String
+    public let status: APITaskStatus
+    public let providerName: String
+    public let modelId: String
+    public let reasoningEffort: String?
+    public let wasSuccessful: Bool?
+    public let isWinner: Bool
+    public let startedAt: Date?
+    public let completedAt: Date?
+    /// Seconds from start to completion (or until now while running)
+    public let duration: Int?
+    public let stepCount: Int?
+    public let tokenUsage: APITokenUsage?
+    public let resultSummary: String?
+    public let errorMessage: String?
+    public let outputFiles: [APIFile]
+    
+    public init(
+        taskId: String,
+        title: String,
+        status: APITaskStatus,
+        providerName: String,
+        modelId: String,
+        reasoningEffort: String? = nil,
+        wasSuccessful: Bool? = nil,
+        isWinner: Bool = false,
+        startedAt: Date? = nil,
+        completedAt: Date? = nil,
+        duration: Int? = nil,
+        stepCount: Int? = nil,
+        tokenUsage: APITokenUsage? = nil,
+        resultSummary: String? = nil,
+        errorMessage: String? = nil,
+        outputFiles: [APIFile] = []
+    ) {
+        self.taskId = taskId
+        self.title = title
+        self.status = status
+        self.providerName = providerName
+        self.modelId = modelId
+        self.reasoningEffort = reasoningEffort
+        self.wasSuccessful = wasSuccessful
+        self.isWinner = isWinner
+        self.startedAt = startedAt
+        self.completedAt = completedAt
+        self.duration = duration
+        self.stepCount = stepCount
+        self.tokenUsage = tokenUsage
+        self.resultSummary = resultSummary
+        self.errorMessage = errorMessage
+        self.outputFiles = outputFiles
+    }
+}
+
+/// Request body for POST /batches/:id/winner
+public struct APISetBatchWinnerRequest: Codable, Sendable {
+    /// Task to mark as the winner; `null` clears the current winner
+    public let taskId: String?
+    
+    public init(taskId: String?) {
+        self.taskId = taskId
+    }
+}
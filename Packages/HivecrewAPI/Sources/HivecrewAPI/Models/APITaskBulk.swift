@@ -0,0 +1,73 @@
+//
+//  APITaskBulk.swift
+//  HivecrewAPI
+//
+//  Bulk task actions
+//
+
+import Foundation
+
+/// Actions that can be applied to many tasks at once
+public enum APIBulkTaskAction: String, Codable, Sendable {
+    case cancel = "cancel"
+    case pause = "pause"
+    case resume = "resume"
+    case rerun = "rerun"
+    case delete = "delete"
+    case archive = "archive"
+    case unarchive = "unarchive"
+}
+
+/// Request body for POST /tasks/bulk
+public struct APIBulkTaskRequest: Codable, Sendable {
+    public let action: APIBulkTaskAction
+    /// Tasks to act on (duplicates are ignored)
+    public let taskIds: [String]
+
+    public init(action: APIBulkTaskAction, taskIds: [String]) {
+        self.action = action
+        self.taskIds = taskIds
+    }
+}
+
+/// Outcome of a bulk action for one task
+public struct APIBulkTaskResult: Codable, Sendable {
+    public let taskId: String
+    public let success: Bool
+    /// Task status after the action (nil for deleted tasks and failures)
+    public let status: APITaskStatus?
+    /// ID of the new task created by `rerun`
+    public let newTaskId: String?
+    /// Why the action failed for this task
+    public let error: APIErrorDetail?
+
+    public init(
+        taskId: String,
+        success: Bool,
+        status: APITaskStatus? = nil,
+        newTaskId: String? = nil,
+        error: APIErrorDetail? = nil
+    ) {
+        self.taskId = taskId
+        self.success = success
+        self.status = status
+        self.newTaskId = newTaskId
+        self.error = error
+    }
+}
+
+/// Response for POST /tasks/bulk
+public struct APIBulkTaskResponse: Codable, Sendable {
+    public let action: APIBulkTaskAction
+    public let succeeded: Int
+    public let failed: Int
+    /// One result per task, in request order
+    public let results: [APIBulkTaskResult]
+
+    public init(action: APIBulkTaskAction, results: [APIBulkTaskResult]) {
+        self.action = action
+        self.succeeded = results.filter(\.success).count
+        self.failed = results.filter { !$0.success }.count
+        self.results = results
+    }
+}
@@ -0,0 +1,73 @@
+//
+//  APITaskQueue.swift
+//  HivecrewAPI
+//
+//  Task queue with estimated start times
+//
+
+import Foundation
+
+/// A queued task and when it is expected to start
+public struct APIQueueEntry: Codable, Sendable {
+    /// 1-based position in start order
+    public let position: Int
+    public let task: APITaskSummary
+    public let priority: APITaskPriority
+    /// Estimated start time (nil when there is no completed task to base an estimate on)
+    public let estimatedStartAt: Date?
+
+    public init(
+        position: Int,
+        task: APITaskSummary,
+        priority: APITaskPriority,
+        estimatedStartAt: Date?
+    ) {
+        self.position = position
+        self.task = task
+        self.priority = priority
+        self.estimatedStartAt = estimatedStartAt
+    }
+}
+
+/// Response for the /queue endpoints
+public struct APITaskQueue: Codable, Sendable {
+    /// Maximum number of tasks that run at once
+    public let maxConcurrent: Int
+    /// Tasks currently running or paused
+    public let activeCount: Int
+    /// Average run time of recent completed tasks, in seconds
+    public let averageTaskDuration: Int?
+    /// Queued and waiting-for-VM tasks in start order
+    public let entries: [APIQueueEntry]
+
+    public init(
+        maxConcurrent: Int,
+        activeCount: Int,
+        averageTaskDuration: Int?,
+        entries: [APIQueueEntry]
+    ) {
+        self.maxConcurrent = maxConcurrent
+        self.activeCount = activeCount
+        self.averageTaskDuration = averageTaskDuration
+        self.entries = entries
+    }
+}
+
+/// Request body for POST /queue/order
+public struct APIReorderQueueRequest: Codable, Sendable {
+    /// Queued task IDs in the desired order
+    public let taskIds: [String]
+
+    public init(taskIds: [String]) {
+        self.taskIds = taskIds
+    }
+}
+
+/// Request body for POST /queue/:id/priority
+public struct APISetQueuePriorityRequest: Codable, Sendable {
+    public let priority: APITaskPriority
+
+    public init(priority: APITaskPriority) {
+        self.priority = priority
+    }
+}
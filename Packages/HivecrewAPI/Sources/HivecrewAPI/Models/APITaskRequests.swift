@@ -44,6 +44,7 @@ public struct CreateTaskRequest: Codable, Sendable {
     /// Direct task references selected for continuation context.
     public let referencedTaskIds: [String]?
     /// Primary source task when the task was initiated as a continuation.
+    /// Ignored unless it is also in `referencedTaskIds`.
     public let continuationSourceTaskId: String?
     /// Optional retrieval context pack id approved by the user.
     public let contextPackId: String?
@@ -55,6 +56,16 @@ public struct CreateTaskRequest: Codable, Sendable {
     public let contextInlineBlocks: [String]?
     /// Optional attachment paths from retrieval context pack materialization.
     public let contextAttachmentPaths: [String]?
+    /// VM template to run the task on (defaults to the configured default template)
+    public let templateId: String?
+    /// MCP servers whose tools the task may use (omit to allow every enabled server, `[]` for none)
+    public let mcpServerIds: [String]?
+    /// Changes to the global VM provisioning for this task
+    public let provisioning: APIProvisioningOverrides?
+    /// Stored credentials the task may use (omit or `[]` for none)
+    public let credentialIds: [String]?
+    /// Local access grants (see GET /access-grants) the task may use (omit for none)
+    public let accessGrantIds: [String]?
     
     public init(
         description: String,
@@ -72,7 +83,12 @@ public struct CreateTaskRequest: Codable, Sendable {
         contextSuggestionIds: [String]? = nil,
         contextModeOverrides: [String: String]? = nil,
         contextInlineBlocks: [String]? = nil,
-        contextAttachmentPaths: [String]? = nil
+        contextAttachmentPaths: [String]? = nil,
+        templateId: String? = nil,
+        mcpServerIds: [String]? = nil,
+        provisioning: APIProvisioningOverrides? = nil,
+        credentialIds: [String]? = nil,
+        accessGrantIds: [String]? = nil
     ) {
         self.description = description
         self.providerName = providerName
@@ -90,6 +106,11 @@ public struct CreateTaskRequest: Codable, Sendable {
         self.contextModeOverrides = contextModeOverrides
         self.contextInlineBlocks = contextInlineBlocks
         self.contextAttachmentPaths = contextAttachmentPaths
+        self.templateId = templateId
+        self.mcpServerIds = mcpServerIds
+        self.provisioning = provisioning
+        self.credentialIds = credentialIds
+        self.accessGrantIds = accessGrantIds
     }
 }
 
@@ -119,19 +140,63 @@ public struct CreateTaskBatchTarget: Codable, Sendable, Equatable {
 /// Request for POST /tasks/batch (JSON body or multipart targets field)
 public struct CreateTaskBatchRequest: Codable, Sendable {
     public let description: String
+    /// Queue priority shared by every task in the batch (default `normal`)
+    public let priority: APITaskPriority?
+    /// Custom output directory shared by every task in the batch
+    public let outputDirectory: String?
     public let planFirst: Bool?
     public let mentionedSkillNames: [String]?
+    /// Direct task references shared by every task in the batch
+    public let referencedTaskIds: [String]?
+    /// Primary source task when the batch continues a previous task (ignored unless it is in `referencedTaskIds`)
+    public let continuationSourceTaskId: String?
+    /// Retrieval suggestion IDs to build a context pack from (see POST /context/suggestions)
+    public let contextSuggestionIds: [String]?
+    /// Mode overrides by suggestion ID (`fileRef`, `inlineSnippet`, `structuredSummary`)
+    public let contextModeOverrides: [String: String]?
+    /// VM template shared by every task in the batch
+    public let templateId: String?
+    /// MCP servers shared by every task in the batch (omit to allow every enabled server)
+    public let mcpServerIds: [String]?
+    /// Changes to the global VM provisioning shared by every task in the batch
+    public let provisioning: APIProvisioningOverrides?
+    /// Stored credentials shared by every task in the batch (omit for none)
+    public let credentialIds: [String]?
+    /// Local access grants shared by every task in the batch (omit for none)
+    public let accessGrantIds: [String]?
     public let targets: [CreateTaskBatchTarget]
 
     public init(
         description: String,
+        priority: APITaskPriority? = nil,
+        outputDirectory: String? = nil,
         planFirst: Bool? = nil,
         mentionedSkillNames: [String]? = nil,
+        referencedTaskIds: [String]? = nil,
+        continuationSourceTaskId: String? = nil,
+        contextSuggestionIds: [String]? = nil,
+        contextModeOverrides: [String: String]? = nil,
+        templateId: String? = nil,
+        mcpServerIds: [String]? = nil,
+        provisioning: APIProvisioningOverrides? = nil,
+        credentialIds: [String]? = nil,
+        accessGrantIds: [String]? = nil,
         targets: [CreateTaskBatchTarget]
     ) {
         self.description = description
+        self.priority = priority
+        self.outputDirectory = outputDirectory
         self.planFirst = planFirst
         self.mentionedSkillNames = mentionedSkillNames
+        self.referencedTaskIds = referencedTaskIds
+        self.continuationSourceTaskId = continuationSourceTaskId
+        self.contextSuggestionIds = contextSuggestionIds
+        self.contextModeOverrides = contextModeOverrides
+        self.templateId = templateId
+        self.mcpServerIds = mcpServerIds
+        self.provisioning = provisioning
+        self.credentialIds = credentialIds
+        self.accessGrantIds = accessGrantIds
         self.targets = targets
     }
 }
@@ -139,9 +204,12 @@ public struct CreateTaskBatchRequest: Codable, Sendable {
 /// Response for POST /tasks/batch
 public struct CreateTaskBatchResponse: Codable, Sendable {
     public let tasks: [APITask]
+    /// Batch ID shared by the created tasks (nil when only one task was created)
+    public let batchId: String?
 
-    public init(tasks: [APITask]) {
+    public init(tasks: [APITask], batchId: String? = nil) {
         self.tasks = tasks
+        self.batchId = batchId
     }
 }
 
@@ -151,11 +219,31 @@ public struct UpdateTaskRequest: Codable, Sendable {
     public let instructions: String?
     /// Edited plan markdown, used with the `editPlan` action
     public let planMarkdown: String?
+    /// Edited description for the `rerun` action (defaults to the original description)
+    public let description: String?
+    /// Models to rerun on, one task per copy (defaults to the original model and reasoning settings)
+    public let targets: [CreateTaskBatchTarget]?
+    /// Whether the `rerun` action carries over the original input files (default true)
+    public let keepInputFiles: Bool?
+    /// Writeback items to apply with the `approve_writeback` action; unlisted items are discarded (default: apply all)
+    public let writebackItems: [APIWritebackItemSelection]?
     
-    public init(action: APITaskAction, instructions: String? = nil, planMarkdown: String? = nil) {
+    public init(
+        action: APITaskAction,
+        instructions: String? = nil,
+        planMarkdown: String? = nil,
+        description: String? = nil,
+        targets: [CreateTaskBatchTarget]? = nil,
+        keepInputFiles: Bool? = nil,
+        writebackItems: [APIWritebackItemSelection]? = nil
+    ) {
         self.action = action
         self.instructions = instructions
         self.planMarkdown = planMarkdown
+        self.description = description
+        self.targets = targets
+        self.keepInputFiles = keepInputFiles
+        self.writebackItems = writebackItems
     }
 }
 
@@ -196,6 +284,10 @@ public struct CreateScheduleRequest: Codable, Sendable {
     public let reasoningEnabled: Bool?
     public let reasoningEffort: String?
     public let outputDirectory: String?
+    /// VM template to run on (defaults to the configured default template)
+    public let templateId: String?
+    /// Stored credentials each run may use (omit or `[]` for none)
+    public let credentialIds: [String]?
     public let schedule: APISchedule
     
     public init(
@@ -206,6 +298,8 @@ public struct CreateScheduleRequest: Codable, Sendable {
         reasoningEnabled: Bool? = nil,
         reasoningEffort: String? = nil,
         outputDirectory: String? = nil,
+        templateId: String? = nil,
+        credentialIds: [String]? = nil,
         schedule: APISchedule
     ) {
         self.title = title
@@ -215,6 +309,8 @@ public struct CreateScheduleRequest: Codable, Sendable {
         self.reasoningEnabled = reasoningEnabled
         self.reasoningEffort = reasoningEffort
         self.outputDirectory = outputDirectory
+        self.templateId = templateId
+        self.credentialIds = credentialIds
         self.schedule = schedule
     }
 }
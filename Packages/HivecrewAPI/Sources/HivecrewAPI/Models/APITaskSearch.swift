@@ -0,0 +1,108 @@
+//
+//  APITaskSearch.swift
+//  HivecrewAPI
+//
+//  Filters, search matches and cursors for the task list
+//
+
+import Foundation
+
+/// Filters for GET /tasks
+public struct APITaskListFilter: Sendable {
+    public let status: [APITaskStatus]?
+    /// Full-text query; every whitespace-separated term must match
+    public let query: String?
+    public let createdAfter: Date?
+    public let createdBefore: Date?
+    public let modelId: String?
+    public let providerName: String?
+    public let wasSuccessful: Bool?
+    /// List only archived tasks instead of hiding them
+    public let archived: Bool
+
+    public init(
+        status: [APITaskStatus]? = nil,
+        query: String? = nil,
+        createdAfter: Date? = nil,
+        createdBefore: Date? = nil,
+        modelId: String? = nil,
+        providerName: String? = nil,
+        wasSuccessful: Bool? = nil,
+        archived: Bool = false
+    ) {
+        self.status = status
+        self.query = query
+        self.createdAfter = createdAfter
+        self.createdBefore = createdBefore
+        self.modelId = modelId
+        self.providerName = providerName
+        self.wasSuccessful = wasSuccessful
+        self.archived = archived
+    }
+
+    /// Lowercased search terms from `query`
+    public var searchTerms: [String] {
+        (query ?? "")
+            .split(whereSeparator: \.isWhitespace)
+            .map { $0.lowercased() }
+    }
+}
+
+/// Excerpt of a task field that matched the search query
+public struct APITaskSearchMatch: Codable, Sendable {
+    /// Matched field: "description" or "resultSummary"
+    public let field: String
+    public let snippet: String
+
+    public init(field: String, snippet: String) {
+        self.field = field
+        self.snippet = snippet
+    }
+}
+
+/// Position in a sorted task list, passed between pages as an opaque string
+public struct APITaskListCursor: Sendable {
+    /// Sort value of the last task on the previous page (nil for tasks without one, e.g. not yet started)
+    public let sortDate: Date?
+    /// Tie-breaker for tasks with the same sort value
+    public let taskId: String
+
+    public init(sortDate: Date?, taskId: String) {
+        self.sortDate = sortDate
+        self.taskId = taskId
+    }
+
+    /// Decode a cursor returned as `nextCursor`
+    public init?(encoded: String) {
+        var base64 = encoded
+            .replacingOccurrences(of: "-", with: "+")
+            .replacingOccurrences(of: "_", with: "/")
+        base64 += String(repeating: "=", count: (4 - base64.count % 4) % 4)
+        guard let data = Data(base64Encoded: base64),
+              let raw = String(data: data, encoding: .utf8) else {
+            return nil
+        }
+
+        let parts = raw.split(separator: "|", maxSplits: 1).map(String.init)
+        guard parts.count == 2, !parts[1].isEmpty else { return nil }
+        if parts[0] == "-" {
+            self.sortDate = nil
+        } else if let bits = UInt64(parts[0], radix: 16) {
+            self.sortDate = Date(timeIntervalSinceReferenceDate: Double(bitPattern: bits))
+        } else {
+            return nil
+        }
+        self.taskId = parts[1]
+    }
+
+    /// URL-safe encoded form. The sort date is written as the bit pattern of the interval
+    /// `Date` stores, so it decodes to exactly the same date.
+    public var encoded: String {
+        let sortValue = sortDate.map { String($0.timeIntervalSinceReferenceDate.bitPattern, radix: 16) } ?? "-"
+        return Data("\(sortValue)|\(taskId)".utf8)
+            .base64EncodedString()
+            .replacingOccurrences(of: "+", with: "-")
+            .replacingOccurrences(of: "/", with: "_")
+            .replacingOccurrences(of: "=", with: "")
+    }
+}
@@ -0,0 +1,58 @@
+//
+//  AccessGrantRoutes.swift
+//  HivecrewAPI
+//
+//  Routes for /api/v1/access-grants
+//
+
+import Foundation
+import Hummingbird
+import NIOCore
+import HTTPTypes
+
+/// Register local access grant routes
+public struct AccessGrantRoutes: Sendable {
+    let serviceProvider: APIServiceProvider
+    
+    public init(serviceProvider: APIServiceProvider) {
+        self.serviceProvider = serviceProvider
+    }
+    
+    public func register(with router: any RouterMethods<APIRequestContext>) {
+        let grants = router.group("access-grants")
+        
+        // GET /access-grants - List granted folders and files
+        grants.get(use: listGrants)
+        
+        // POST /access-grants - Grant access to a host path
+        grants.post(use: createGrant)
+        
+        // DELETE /access-grants/:id - Revoke a grant
+        grants.delete(":id", use: deleteGrant)
+    }
+    
+    // MARK: - Route Handlers
+    
+    @Sendable
+    func listGrants(request: Request, context: APIRequestContext) async throws -> Response {
+        let response = try await serviceProvider.getAccessGrants()
+        return try createJSONResponse(response)
+    }
+    
+    @Sendable
+    func createGrant(request: Request, context: APIRequestContext) async throws -> Response {
+        let body = try await request.body.collect(upTo: 64 * 1024)
+        let createRequest = try makeISO8601Decoder().decode(APICreateAccessGrantRequest.self, from: body)
+        let grant = try await serviceProvider.createAccessGrant(request: createRequest)
+        return try createJSONResponse(grant, status: .created)
+    }
+    
+    @Sendable
+    func deleteGrant(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let grantId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing access grant ID")
+        }
+        try await serviceProvider.deleteAccessGrant(id: grantId)
+        return Response(status: .noContent)
+    }
+}
@@ -0,0 +1,56 @@
+//
+//  BatchRoutes.swift
+//  HivecrewAPI
+//
+//  Routes for /api/v1/batches
+//
+
+import Foundation
+import Hummingbird
+import NIOCore
+import HTTPTypes
+
+/// Register task batch routes
+public struct BatchRoutes: Sendable {
+    let serviceProvider: APIServiceProvider
+    
+    public init(serviceProvider: APIServiceProvider) {
+        self.serviceProvider = serviceProvider
+    }
+    
+    public func register(with router: any RouterMethods<APIRequestContext>) {
+        let batches = router.group("batches")
+        
+        // GET /batches/:id - Runs of a batch for comparison
+        batches.get(":id", use: getBatch)
+        
+        // POST /batches/:id/winner - Mark (or clear) the winning run
+        batches.post(":id/winner", use: setWinner)
+    }
+    
+    // MARK: - Route Handlers
+    
+    @Sendable
+    func getBatch(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let batchId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing batch ID")
+        }
+        
+        let batch = try await serviceProvider.getTaskBatch(id: batchId)
+        return try createJSONResponse(batch)
+    }
+    
+    @Sendable
+    func setWinner(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let batchId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing batch ID")
+        }
+        
+        let body = try await request.body.collect(upTo: 64 * 1024)
+        let winnerRequest = try makeISO8601Decoder().decode(APISetBatchWinnerRequest.self, from: body)
+        
+        let batch = try await serviceProvider.setTaskBatchWinner(id: batchId, taskId: winnerRequest.taskId)
+        return try createJSONResponse(batch)
+    }
+    
+}
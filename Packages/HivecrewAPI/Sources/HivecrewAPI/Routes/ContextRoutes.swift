@@ -0,0 +1,87 @@
+//
+//  ContextRoutes.swift
+//  HivecrewAPI
+//
+//  Routes for /api/v1/context
+//
+
+import Foundation
+import Hummingbird
+import NIOCore
+import HTTPTypes
+
+/// Register retrieval context routes
+public struct ContextRoutes: Sendable {
+    let serviceProvider: APIServiceProvider
+
+    public init(serviceProvider: APIServiceProvider) {
+        self.serviceProvider = serviceProvider
+    }
+
+    public func register(with router: any RouterMethods<APIRequestContext>) {
+        let context = router.group("context")
+
+        // POST /context/suggestions - Retrieval suggestions for a prompt
+        context.post("suggestions", use: getSuggestions)
+
+        // GET /context/packs - List saved context packs
+        context.get("packs", use: listPacks)
+
+        // POST /context/packs - Save (or replace) a named context pack
+        context.post("packs", use: savePack)
+
+        // DELETE /context/packs/:id - Delete a saved context pack
+        context.delete("packs/:id", use: deletePack)
+    }
+
+    // MARK: - Route Handlers
+
+    @Sendable
+    func getSuggestions(request: Request, context: APIRequestContext) async throws -> Response {
+        let body = try await request.body.collect(upTo: 256 * 1024)
+        let suggestionsRequest = try makeISO8601Decoder().decode(APIContextSuggestionsRequest.self, from: body)
+
+        let query = suggestionsRequest.query.trimmingCharacters(in: .whitespacesAndNewlines)
+        guard !query.isEmpty else {
+            return try createJSONResponse(APIContextSuggestionsResponse(suggestions: []))
+        }
+        let limit = min(max(suggestionsRequest.limit ?? 12, 1), 25)
+
+        let suggestions = try await serviceProvider.getContextSuggestions(query: query, limit: limit)
+        return try createJSONResponse(APIContextSuggestionsResponse(suggestions: suggestions))
+    }
+
+    @Sendable
+    func listPacks(request: Request, context: APIRequestContext) async throws -> Response {
+        let packs = try await serviceProvider.getSavedContextPacks()
+        return try createJSONResponse(APISavedContextPackListResponse(packs: packs))
+    }
+
+    @Sendable
+    func savePack(request: Request, context: APIRequestContext) async throws -> Response {
+        let body = try await request.body.collect(upTo: 1024 * 1024)
+        let saveRequest = try makeISO8601Decoder().decode(APISaveContextPackRequest.self, from: body)
+
+        let name = saveRequest.name.trimmingCharacters(in: .whitespacesAndNewlines)
+        guard !name.isEmpty else {
+            throw APIError.badRequest("Missing required field: name")
+        }
+        guard !saveRequest.items.isEmpty else {
+            throw APIError.badRequest("A context pack needs at least one item")
+        }
+
+        let pack = try await serviceProvider.saveContextPack(name: name, items: saveRequest.items)
+        return try createJSONResponse(pack, status: .created)
+    }
+
+    @Sendable
+    func deletePack(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let packId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing context pack ID")
+        }
+
+        try await serviceProvider.deleteSavedContextPack(id: packId)
+        return Response(status: .noContent)
+    }
+
+}
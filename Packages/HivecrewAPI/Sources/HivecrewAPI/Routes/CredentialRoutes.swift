@@ -0,0 +1,78 @@
+//
+//  CredentialRoutes.swift
+//  HivecrewAPI
+//
+//  Routes for /api/v1/credentials
+//
+
+import Foundation
+import Hummingbird
+import NIOCore
+import HTTPTypes
+
+/// Register credential routes
+public struct CredentialRoutes: Sendable {
+    let serviceProvider: APIServiceProvider
+    
+    public init(serviceProvider: APIServiceProvider) {
+        self.serviceProvider = serviceProvider
+    }
+    
+    public func register(with router: any RouterMethods<APIRequestContext>) {
+        let credentials = router.group("credentials")
+        
+        // GET /credentials - List credential names and usernames
+        credentials.get(use: listCredentials)
+        
+        // POST /credentials - Add credential
+        credentials.post(use: createCredential)
+        
+        // POST /credentials/import - Import credentials from a password manager CSV export
+        credentials.post("import", use: importCredentials)
+        
+        // DELETE /credentials/:id - Delete credential
+        credentials.delete(":id", use: deleteCredential)
+    }
+    
+    // MARK: - Route Handlers
+    
+    @Sendable
+    func listCredentials(request: Request, context: APIRequestContext) async throws -> Response {
+        let response = try await serviceProvider.getCredentials()
+        return try createJSONResponse(response)
+    }
+    
+    @Sendable
+    func createCredential(request: Request, context: APIRequestContext) async throws -> Response {
+        let body = try await request.body.collect(upTo: 64 * 1024)
+        let createRequest = try makeISO8601Decoder().decode(APICreateCredentialRequest.self, from: body)
+        let credential = try await serviceProvider.createCredential(request: createRequest)
+        return try createJSONResponse(credential, status: .created)
+    }
+    
+    @Sendable
+    func importCredentials(request: Request, context: APIRequestContext) async throws -> Response {
+        let bodyData = try await request.body.collect(upTo: 10 * 1024 * 1024)
+        let boundary = try extractMultipartBoundary(from: request)
+        let parts = parseMultipartData(data: Data(buffer: bodyData), boundary: boundary)
+        
+        guard let filePart = parts.first(where: { $0.name == "file" }) else {
+            throw APIError.badRequest("Attach a CSV file in the 'file' field")
+        }
+        guard let csv = String(data: filePart.data, encoding: .utf8) else {
+            throw APIError.badRequest("CSV file must be UTF-8 text")
+        }
+        
+        let response = try await serviceProvider.importCredentials(csv: csv)
+        return try createJSONResponse(response)
+    }
+    
+    @Sendable
+    func deleteCredential(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let credentialId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing credential ID")
+        }
+        try await serviceProvider.deleteCredential(id: credentialId)
+        return Response(status: .noContent)
+    }
+}
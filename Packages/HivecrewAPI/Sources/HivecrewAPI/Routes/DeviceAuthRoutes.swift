@@ -44,6 +44,9 @@ public struct DeviceAuthRoutes: Sendable {
         // GET /auth/devices - List authorized devices
         auth.get("devices", use: listDevices)
         
+        // PATCH /auth/devices/:id - Rename an authorized device
+        auth.patch("devices/{id}", use: renameDevice)
+        
         // DELETE /auth/devices/:id - Revoke an authorized device
         auth.delete("devices/{id}", use: revokeDevice)
     }
@@ -154,12 +157,38 @@ public struct DeviceAuthRoutes: Sendable {
     @Sendable
     func listDevices(request: Request, context: APIRequestContext) async throws -> Response {
         let devices = await deviceSessionManager.listDevices()
+        let currentDeviceId = await currentDeviceId(for: request)
         let response = DeviceListResponse(
-            devices: devices.map { DeviceResponse(from: $0) }
+            devices: devices.map { DeviceResponse(from: $0, isCurrent: $0.id == currentDeviceId) }
         )
         return try createJSONResponse(response)
     }
     
+    @Sendable
+    func renameDevice(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let deviceId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing device ID")
+        }
+        
+        let body = try await request.body.collect(upTo: 64 * 1024)
+        let renameRequest = try JSONDecoder().decode(RenameDeviceRequest.self, from: body)
+        let name = renameRequest.name.trimmingCharacters(in: .whitespacesAndNewlines)
+        guard !name.isEmpty else {
+            throw APIError.badRequest("Device name cannot be empty")
+        }
+        guard name.count <= 100 else {
+            throw APIError.badRequest("Device name must be 100 characters or fewer")
+        }
+        
+        guard await deviceSessionManager.renameDevice(id: deviceId, name: name),
+              let device = await deviceSessionManager.device(id: deviceId) else {
+            throw APIError.notFound("Device not found")
+        }
+        
+        let currentDeviceId = await currentDeviceId(for: request)
+        return try createJSONResponse(DeviceResponse(from: device, isCurrent: device.id == currentDeviceId))
+    }
+    
     @Sendable
     func revokeDevice(request: Request, context: APIRequestContext) async throws -> Response {
         guard let deviceId = context.parameters.get("id") else {
@@ -174,6 +203,15 @@ public struct DeviceAuthRoutes: Sendable {
         return Response(status: .noContent)
     }
     
+    /// ID of the device whose session cookie authenticated this request, if any
+    private func currentDeviceId(for request: Request) async -> String? {
+        guard let cookieHeader = request.headers[.cookie],
+              let token = Self.extractCookieValue(named: "hivecrew_session", from: String(cookieHeader)) else {
+            return nil
+        }
+        return await deviceSessionManager.validateSession(token: token)?.id
+    }
+    
     // MARK: - Cookie Parsing
     
     /// Extract a cookie value by name from a Cookie header string
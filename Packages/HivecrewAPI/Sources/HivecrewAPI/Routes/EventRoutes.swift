@@ -2,7 +2,7 @@
 //  EventRoutes.swift
 //  HivecrewAPI
 //
-//  Routes for /api/v1/tasks/:id/events (Server-Sent Events)
+//  Routes for /api/v1/tasks/:id/events and /api/v1/events (Server-Sent Events)
 //
 
 import Foundation
@@ -11,7 +11,7 @@ import Logging
 import NIOCore
 import HTTPTypes
 
-/// Register SSE routes for real-time task progress streaming
+/// Register SSE routes for real-time task progress and live dashboard updates
 public struct EventRoutes: Sendable {
     let serviceProvider: APIServiceProvider
     private let logger = Logger(label: "com.pattonium.api.events")
@@ -21,9 +21,12 @@ public struct EventRoutes: Sendable {
     }
 
     public func register(with router: any RouterMethods<APIRequestContext>) {
+        // GET /events - Stream task, alert, and system status changes via SSE
+        router.get("events", use: streamLiveEvents)
+
         let tasks = router.group("tasks")
 
-        // GET /tasks/:id/events - Stream task events via SSE
+        // GET /tasks/:id/events - Stream task events via SSE (optional ?since=N skips already-seen activity)
         tasks.get(":id/events", use: streamTaskEvents)
     }
 
@@ -35,7 +38,12 @@ public struct EventRoutes: Sendable {
             throw APIError.badRequest("Missing task ID")
         }
 
-        logger.info("SSE stream requested for task \(taskId)")
+        // Clients reconnecting after a dropped stream pass the number of activity
+        // entries they already hold, so the initial replay does not duplicate them.
+        let queryItems = parseQueryItems(from: request.uri.string)
+        let since = max(queryItems["since"].flatMap(Int.init) ?? 0, 0)
+
+        logger.info("SSE stream requested for task \(taskId) (since \(since))")
 
         // Subscribe to the event stream from the main app's service provider.
         // This may throw if the task does not exist.
@@ -43,6 +51,24 @@ public struct EventRoutes: Sendable {
 
         logger.info("SSE stream created for task \(taskId), starting response")
 
+        return makeSSEResponse(eventStream.dropFirst(since)) { $0.type.rawValue }
+    }
+
+    @Sendable
+    func streamLiveEvents(request: Request, context: APIRequestContext) async throws -> Response {
+        logger.info("Live event stream requested")
+
+        let eventStream = try await serviceProvider.subscribeToLiveEvents()
+        return makeSSEResponse(eventStream) { $0.type.rawValue }
+    }
+
+    // MARK: - Helpers
+
+    /// Build a `text/event-stream` response that encodes each element as `event: <name>\ndata: <json>\n\n`.
+    private func makeSSEResponse<Events: AsyncSequence & Sendable>(
+        _ events: Events,
+        eventName: @escaping @Sendable (Events.Element) -> String
+    ) -> Response where Events.Element: Encodable & Sendable {
         // Prepend a heartbeat comment followed by the real event stream.
         // The heartbeat forces headers + first chunk to flush immediately,
         // so the client's fetch() promise resolves without delay.
@@ -52,14 +78,14 @@ public struct EventRoutes: Sendable {
             continuation.finish()
         }
 
-        // Map each APITaskEvent to an SSE-formatted ByteBuffer
-        let dataStream = eventStream.map { (event: APITaskEvent) -> ByteBuffer in
+        // Map each event to an SSE-formatted ByteBuffer
+        let dataStream = events.map { (event: Events.Element) -> ByteBuffer in
             let encoder = JSONEncoder()
             encoder.dateEncodingStrategy = .iso8601
             let jsonData = (try? encoder.encode(event)) ?? Data()
             let jsonString = String(data: jsonData, encoding: .utf8) ?? "{}"
             // SSE format: event: <type>\ndata: <json>\n\n
-            let sseMessage = "event: \(event.type.rawValue)\ndata: \(jsonString)\n\n"
+            let sseMessage = "event: \(eventName(event))\ndata: \(jsonString)\n\n"
             return ByteBuffer(string: sseMessage)
         }
 
@@ -0,0 +1,96 @@
+//
+//  MCPRoutes.swift
+//  HivecrewAPI
+//
+//  Routes for /api/v1/mcp
+//
+
+import Foundation
+import Hummingbird
+import NIOCore
+import HTTPTypes
+
+/// Register MCP server routes
+public struct MCPRoutes: Sendable {
+    let serviceProvider: APIServiceProvider
+    
+    public init(serviceProvider: APIServiceProvider) {
+        self.serviceProvider = serviceProvider
+    }
+    
+    public func register(with router: any RouterMethods<APIRequestContext>) {
+        let servers = router.group("mcp").group("servers")
+        
+        // GET /mcp/servers - List servers with connection state
+        servers.get(use: listServers)
+        
+        // POST /mcp/servers - Add server
+        servers.post(use: createServer)
+        
+        // PATCH /mcp/servers/:id - Update server
+        servers.patch(":id", use: updateServer)
+        
+        // DELETE /mcp/servers/:id - Delete server
+        servers.delete(":id", use: deleteServer)
+        
+        // POST /mcp/servers/:id/reconnect - Reconnect server
+        servers.post(":id/reconnect", use: reconnectServer)
+        
+        // GET /mcp/servers/:id/tools - List server tools
+        servers.get(":id/tools", use: listTools)
+    }
+    
+    // MARK: - Route Handlers
+    
+    @Sendable
+    func listServers(request: Request, context: APIRequestContext) async throws -> Response {
+        let response = try await serviceProvider.getMCPServers()
+        return try createJSONResponse(response)
+    }
+    
+    @Sendable
+    func createServer(request: Request, context: APIRequestContext) async throws -> Response {
+        let body = try await request.body.collect(upTo: 128 * 1024)
+        let createRequest = try makeISO8601Decoder().decode(APICreateMCPServerRequest.self, from: body)
+        let server = try await serviceProvider.createMCPServer(request: createRequest)
+        return try createJSONResponse(server, status: .created)
+    }
+    
+    @Sendable
+    func updateServer(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let serverId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing MCP server ID")
+        }
+        let body = try await request.body.collect(upTo: 128 * 1024)
+        let updateRequest = try makeISO8601Decoder().decode(APIUpdateMCPServerRequest.self, from: body)
+        let server = try await serviceProvider.updateMCPServer(id: serverId, request: updateRequest)
+        return try createJSONResponse(server)
+    }
+    
+    @Sendable
+    func deleteServer(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let serverId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing MCP server ID")
+        }
+        try await serviceProvider.deleteMCPServer(id: serverId)
+        return Response(status: .noContent)
+    }
+    
+    @Sendable
+    func reconnectServer(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let serverId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing MCP server ID")
+        }
+        let server = try await serviceProvider.reconnectMCPServer(id: serverId)
+        return try createJSONResponse(server)
+    }
+    
+    @Sendable
+    func listTools(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let serverId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing MCP server ID")
+        }
+        let response = try await serviceProvider.getMCPServerTools(id: serverId)
+        return try createJSONResponse(response)
+    }
+}
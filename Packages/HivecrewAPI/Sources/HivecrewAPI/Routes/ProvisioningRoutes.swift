@@ -13,23 +13,97 @@ import HTTPTypes
 /// Register provisioning routes
 public struct ProvisioningRoutes: Sendable {
     let serviceProvider: APIServiceProvider
-    
-    public init(serviceProvider: APIServiceProvider) {
+    let maxFileSize: Int
+
+    public init(serviceProvider: APIServiceProvider, maxFileSize: Int = 100 * 1024 * 1024) {
         self.serviceProvider = serviceProvider
+        self.maxFileSize = maxFileSize
     }
-    
+
     public func register(with router: any RouterMethods<APIRequestContext>) {
         let provisioning = router.group("provisioning")
-        
-        // GET /provisioning - Get VM provisioning config (env vars and injected files)
+
+        // GET /provisioning - Get VM provisioning config (env var names, setup commands and injected files)
         provisioning.get(use: getProvisioning)
+
+        // PATCH /provisioning - Set or remove env vars and replace setup commands
+        provisioning.patch(use: updateProvisioning)
+
+        // POST /provisioning/files - Upload a file to inject into new VMs
+        provisioning.post("files", use: uploadFile)
+
+        // PATCH /provisioning/files/:id - Change an injected file's guest path
+        provisioning.patch("files/:id", use: updateFile)
+
+        // DELETE /provisioning/files/:id - Stop injecting a file
+        provisioning.delete("files/:id", use: deleteFile)
     }
-    
+
     // MARK: - Route Handlers
-    
+
     @Sendable
     func getProvisioning(request: Request, context: APIRequestContext) async throws -> Response {
         let response = try await serviceProvider.getProvisioning()
         return try createJSONResponse(response)
     }
+
+    @Sendable
+    func updateProvisioning(request: Request, context: APIRequestContext) async throws -> Response {
+        let body = try await request.body.collect(upTo: 1024 * 1024)
+        let updateRequest = try makeISO8601Decoder().decode(APIUpdateProvisioningRequest.self, from: body)
+        let response = try await serviceProvider.updateProvisioning(request: updateRequest)
+        return try createJSONResponse(response)
+    }
+
+    @Sendable
+    func uploadFile(request: Request, context: APIRequestContext) async throws -> Response {
+        let bodyData = try await request.body.collect(upTo: maxFileSize + 64 * 1024)
+        let boundary = try extractMultipartBoundary(from: request)
+        let parts = parseMultipartData(data: Data(buffer: bodyData), boundary: boundary)
+
+        var file: (name: String, data: Data)?
+        var guestPath: String?
+        for part in parts {
+            if part.name == "guestPath" {
+                guestPath = nonEmptyQueryValue(String(data: part.data, encoding: .utf8))
+            } else if part.name == "file" {
+                let filename = part.filename ?? "file"
+                if part.data.count > maxFileSize {
+                    throw APIError.payloadTooLarge("File '\(filename)' exceeds maximum size of \(maxFileSize / 1024 / 1024)MB")
+                }
+                file = (filename, part.data)
+            }
+        }
+
+        guard let file else {
+            throw APIError.badRequest("Attach a file in the 'file' field")
+        }
+
+        let injectedFile = try await serviceProvider.addInjectedFile(
+            fileName: file.name,
+            data: file.data,
+            guestPath: guestPath
+        )
+        return try createJSONResponse(injectedFile, status: .created)
+    }
+
+    @Sendable
+    func updateFile(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let fileId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing injected file ID")
+        }
+        let body = try await request.body.collect(upTo: 64 * 1024)
+        let updateRequest = try makeISO8601Decoder().decode(APIUpdateInjectedFileRequest.self, from: body)
+        let injectedFile = try await serviceProvider.updateInjectedFile(id: fileId, request: updateRequest)
+        return try createJSONResponse(injectedFile)
+    }
+
+    @Sendable
+    func deleteFile(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let fileId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing injected file ID")
+        }
+        try await serviceProvider.deleteInjectedFile(id: fileId)
+        return Response(status: .noContent)
+    }
 }
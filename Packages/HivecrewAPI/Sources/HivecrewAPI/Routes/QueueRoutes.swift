@@ -0,0 +1,68 @@
+//
+//  QueueRoutes.swift
+//  HivecrewAPI
+//
+//  Routes for /api/v1/queue
+//
+
+import Foundation
+import Hummingbird
+import NIOCore
+import HTTPTypes
+
+/// Register task queue routes
+public struct QueueRoutes: Sendable {
+    let serviceProvider: APIServiceProvider
+
+    public init(serviceProvider: APIServiceProvider) {
+        self.serviceProvider = serviceProvider
+    }
+
+    public func register(with router: any RouterMethods<APIRequestContext>) {
+        let queue = router.group("queue")
+
+        // GET /queue - Queued tasks in start order with estimated start times
+        queue.get(use: getQueue)
+
+        // POST /queue/order - Reorder queued tasks
+        queue.post("order", use: reorderQueue)
+
+        // POST /queue/:id/priority - Change a queued task's priority
+        queue.post(":id/priority", use: setPriority)
+    }
+
+    // MARK: - Route Handlers
+
+    @Sendable
+    func getQueue(request: Request, context: APIRequestContext) async throws -> Response {
+        let queue = try await serviceProvider.getTaskQueue()
+        return try createJSONResponse(queue)
+    }
+
+    @Sendable
+    func reorderQueue(request: Request, context: APIRequestContext) async throws -> Response {
+        let body = try await request.body.collect(upTo: 256 * 1024)
+        let reorderRequest = try makeISO8601Decoder().decode(APIReorderQueueRequest.self, from: body)
+
+        guard !reorderRequest.taskIds.isEmpty else {
+            throw APIError.badRequest("Missing required field: taskIds")
+        }
+
+        let queue = try await serviceProvider.reorderTaskQueue(taskIds: reorderRequest.taskIds)
+        return try createJSONResponse(queue)
+    }
+
+    @Sendable
+    func setPriority(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let taskId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing task ID")
+        }
+
+        let body = try await request.body.collect(upTo: 64 * 1024)
+        let priorityRequest = try makeISO8601Decoder().decode(APISetQueuePriorityRequest.self, from: body)
+
+        let queue = try await serviceProvider.setQueuedTaskPriority(id: taskId, priority: priorityRequest.priority)
+        return try createJSONResponse(queue)
+    }
+
+}
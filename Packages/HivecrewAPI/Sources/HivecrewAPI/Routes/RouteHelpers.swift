@@ -3,7 +3,7 @@
 //  HivecrewAPI
 //
 //  Shared utilities for route handlers: JSON response building,
-//  query string parsing, and multipart form data parsing.
+//  query string parsing, ranged file responses, and multipart form data parsing.
 //
 
 import Foundation
@@ -58,6 +58,144 @@ func parseQueryItems(from urlString: String) -> [String: String] {
     return items
 }
 
+/// Trimmed query value, or `nil` when missing or blank.
+func nonEmptyQueryValue(_ value: String?) -> String? {
+    let trimmed = value?.trimmingCharacters(in: .whitespacesAndNewlines)
+    return trimmed?.isEmpty == false ? trimmed : nil
+}
+
+/// Parses an ISO 8601 timestamp or a `YYYY-MM-DD` date from a query parameter.
+///
+/// With `endOfDay`, a bare date means the end of that day (UTC) so it can be used as an inclusive upper bound.
+/// Throws `badRequest` for values that are neither.
+func parseDateQueryValue(_ value: String?, name: String, endOfDay: Bool = false) throws -> Date? {
+    guard let value = nonEmptyQueryValue(value) else { return nil }
+
+    let timestampFormatter = ISO8601DateFormatter()
+    if let date = timestampFormatter.date(from: value) {
+        return date
+    }
+    timestampFormatter.formatOptions = [.withInternetDateTime, .withFractionalSeconds]
+    if let date = timestampFormatter.date(from: value) {
+        return date
+    }
+
+    let dateFormatter = ISO8601DateFormatter()
+    dateFormatter.formatOptions = [.withFullDate]
+    if let date = dateFormatter.date(from: value) {
+        return endOfDay ? date.addingTimeInterval(24 * 60 * 60) : date
+    }
+
+    throw APIError.badRequest("Invalid \(name) '\(value)' (expected YYYY-MM-DD or an ISO 8601 timestamp)")
+}
+
+// MARK: - File Responses
+
+/// Largest slice sent for one range request, so media players stream large files instead of pulling them whole
+let maxRangeLength: Int64 = 8 * 1024 * 1024
+
+private let contentSecurityPolicyHeader = HTTPField.Name("Content-Security-Policy")!
+private let contentTypeOptionsHeader = HTTPField.Name("X-Content-Type-Options")!
+
+/// Outcome of parsing a `Range` header against a file of known size
+enum ByteRangeRequest: Equatable {
+    /// No usable single range; the whole file is sent
+    case none
+    case satisfiable(ClosedRange<Int64>)
+    case unsatisfiable
+}
+
+/// Parses a single `bytes=` range (`a-b`, `a-` or `-n`).
+///
+/// Multiple ranges and malformed values are ignored, as RFC 9110 allows.
+/// Open-ended and oversized ranges are clamped to `maxRangeLength`.
+func parseByteRange(_ header: String?, fileSize: Int64) -> ByteRangeRequest {
+    guard let header = header?.trimmingCharacters(in: .whitespaces),
+          header.lowercased().hasPrefix("bytes=") else {
+        return .none
+    }
+    let spec = header.dropFirst("bytes=".count)
+    guard !spec.contains(",") else { return .none }
+
+    let bounds = spec.split(separator: "-", maxSplits: 1, omittingEmptySubsequences: false)
+        .map { $0.trimmingCharacters(in: .whitespaces) }
+    guard bounds.count == 2 else { return .none }
+
+    let start: Int64
+    var end: Int64
+    if bounds[0].isEmpty {
+        guard let suffixLength = Int64(bounds[1]) else { return .none }
+        guard suffixLength > 0, fileSize > 0 else { return .unsatisfiable }
+        start = max(fileSize - suffixLength, 0)
+        end = fileSize - 1
+    } else {
+        guard let first = Int64(bounds[0]) else { return .none }
+        guard first < fileSize else { return .unsatisfiable }
+        start = first
+        if bounds[1].isEmpty {
+            end = fileSize - 1
+        } else {
+            guard let last = Int64(bounds[1]), last >= first else { return .none }
+            end = min(last, fileSize - 1)
+        }
+    }
+
+    end = min(end, start + maxRangeLength - 1)
+    return .satisfiable(start...end)
+}
+
+/// Serves a file from disk, honoring a single-range `Range` header with `206 Partial Content`.
+/// The body is streamed from disk, so large files such as replay videos are never read into memory whole.
+///
+/// Inline responses are sandboxed so a previewed HTML or SVG file cannot run script on the API origin.
+/// PDFs are exempt because browsers refuse to show them in a sandboxed document.
+func createFileResponse(
+    url: URL,
+    fileName: String,
+    mimeType: String,
+    request: Request,
+    inline: Bool = false
+) throws -> Response {
+    let attributes = try FileManager.default.attributesOfItem(atPath: url.path)
+    let fileSize = (attributes[.size] as? NSNumber)?.int64Value ?? 0
+
+    var headers = HTTPFields()
+    headers[.contentType] = mimeType
+    headers[.contentDisposition] = "\(inline ? "inline" : "attachment"); filename=\"\(fileName)\""
+    headers[.acceptRanges] = "bytes"
+    if inline {
+        headers[contentTypeOptionsHeader] = "nosniff"
+        if mimeType != "application/pdf" {
+            headers[contentSecurityPolicyHeader] = "sandbox"
+        }
+    }
+
+    switch parseByteRange(request.headers[.range], fileSize: fileSize) {
+    case .none:
+        headers[.contentLength] = "\(fileSize)"
+        return Response(
+            status: .ok,
+            headers: headers,
+            body: .init(asyncSequence: FileByteStream(url: url, offset: 0, length: fileSize))
+        )
+
+    case .unsatisfiable:
+        headers[.contentRange] = "bytes */\(fileSize)"
+        headers[.contentLength] = "0"
+        return Response(status: .rangeNotSatisfiable, headers: headers)
+
+    case .satisfiable(let range):
+        let length = range.upperBound - range.lowerBound + 1
+        headers[.contentRange] = "bytes \(range.lowerBound)-\(range.upperBound)/\(fileSize)"
+        headers[.contentLength] = "\(length)"
+        return Response(
+            status: .partialContent,
+            headers: headers,
+            body: .init(asyncSequence: FileByteStream(url: url, offset: range.lowerBound, length: length))
+        )
+    }
+}
+
 // MARK: - Multipart Form Data Parsing
 
 /// A single part extracted from a multipart/form-data request body.
@@ -64,6 +64,8 @@ public final class ScheduleRoutes: Sendable {
         var reasoningEnabled: Bool?
         var reasoningEffort: String?
         var outputDirectory: String?
+        var templateId: String?
+        var credentialIds: [String]?
         var schedule: APISchedule?
         var uploadedFilePaths: [String] = []
         
@@ -76,6 +78,8 @@ public final class ScheduleRoutes: Sendable {
             reasoningEnabled = result.reasoningEnabled
             reasoningEffort = result.reasoningEffort
             outputDirectory = result.outputDirectory
+            templateId = result.templateId
+            credentialIds = result.credentialIds
             schedule = result.schedule
             uploadedFilePaths = result.filePaths
         } else {
@@ -89,6 +93,8 @@ public final class ScheduleRoutes: Sendable {
             reasoningEnabled = createRequest.reasoningEnabled
             reasoningEffort = createRequest.reasoningEffort
             outputDirectory = createRequest.outputDirectory
+            templateId = createRequest.templateId
+            credentialIds = createRequest.credentialIds
             schedule = createRequest.schedule
         }
         
@@ -126,6 +132,8 @@ public final class ScheduleRoutes: Sendable {
             reasoningEffort: reasoningEffort,
             attachedFilePaths: uploadedFilePaths,
             outputDirectory: outputDirectory,
+            templateId: templateId,
+            credentialIds: credentialIds,
             schedule: schedule
         )
         
@@ -209,6 +217,8 @@ public final class ScheduleRoutes: Sendable {
         let reasoningEnabled: Bool?
         let reasoningEffort: String?
         let outputDirectory: String?
+        let templateId: String?
+        let credentialIds: [String]?
         let schedule: APISchedule?
         let filePaths: [String]
     }
@@ -221,6 +231,8 @@ public final class ScheduleRoutes: Sendable {
         var reasoningEnabled: Bool?
         var reasoningEffort: String?
         var outputDirectory: String?
+        var templateId: String?
+        var credentialIds: [String]?
         var scheduleJSON: String?
         var filePaths: [String] = []
         
@@ -248,6 +260,14 @@ public final class ScheduleRoutes: Sendable {
                     reasoningEffort = String(data: part.data, encoding: .utf8)?.trimmingCharacters(in: .whitespacesAndNewlines)
                 case "outputDirectory":
                     outputDirectory = String(data: part.data, encoding: .utf8)?.trimmingCharacters(in: .whitespacesAndNewlines)
+                case "templateId":
+                    templateId = String(data: part.data, encoding: .utf8)?.trimmingCharacters(in: .whitespacesAndNewlines)
+                case "credentialIds":
+                    do {
+                        credentialIds = try JSONDecoder().decode([String].self, from: part.data)
+                    } catch {
+                        throw APIError.badRequest("Invalid credentialIds payload")
+                    }
                 case "schedule":
                     scheduleJSON = String(data: part.data, encoding: .utf8)
                 case "files":
@@ -281,6 +301,8 @@ public final class ScheduleRoutes: Sendable {
             reasoningEnabled: reasoningEnabled,
             reasoningEffort: reasoningEffort,
             outputDirectory: outputDirectory,
+            templateId: templateId,
+            credentialIds: credentialIds,
             schedule: schedule,
             filePaths: filePaths
         )
@@ -23,6 +23,24 @@ public struct SkillRoutes: Sendable {
         
         // GET /skills - List skills
         skills.get(use: listSkills)
+        
+        // POST /skills - Create skill
+        skills.post(use: createSkill)
+        
+        // POST /skills/import - Import skill from SKILL.md content or GitHub
+        skills.post("import", use: importSkill)
+        
+        // GET /skills/:name - Get skill
+        skills.get(":name", use: getSkill)
+        
+        // PATCH /skills/:name - Update skill
+        skills.patch(":name", use: updateSkill)
+        
+        // DELETE /skills/:name - Delete skill
+        skills.delete(":name", use: deleteSkill)
+        
+        // GET /skills/:name/export - Download SKILL.md
+        skills.get(":name/export", use: exportSkill)
     }
     
     // MARK: - Route Handlers
@@ -33,4 +51,78 @@ public struct SkillRoutes: Sendable {
         let response = APISkillListResponse(skills: skills)
         return try createJSONResponse(response)
     }
+    
+    @Sendable
+    func getSkill(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let name = context.parameters.get("name") else {
+            throw APIError.badRequest("Missing skill name")
+        }
+        
+        let skill = try await serviceProvider.getSkill(name: name)
+        return try createJSONResponse(skill)
+    }
+    
+    @Sendable
+    func createSkill(request: Request, context: APIRequestContext) async throws -> Response {
+        let body = try await request.body.collect(upTo: 1024 * 1024)
+        let createRequest = try makeISO8601Decoder().decode(APICreateSkillRequest.self, from: body)
+        let skill = try await serviceProvider.createSkill(request: createRequest)
+        return try createJSONResponse(skill, status: .created)
+    }
+    
+    @Sendable
+    func updateSkill(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let name = context.parameters.get("name") else {
+            throw APIError.badRequest("Missing skill name")
+        }
+        let body = try await request.body.collect(upTo: 1024 * 1024)
+        let updateRequest = try makeISO8601Decoder().decode(APIUpdateSkillRequest.self, from: body)
+        let skill = try await serviceProvider.updateSkill(name: name, request: updateRequest)
+        return try createJSONResponse(skill)
+    }
+    
+    @Sendable
+    func deleteSkill(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let name = context.parameters.get("name") else {
+            throw APIError.badRequest("Missing skill name")
+        }
+        try await serviceProvider.deleteSkill(name: name)
+        return Response(status: .noContent)
+    }
+    
+    @Sendable
+    func importSkill(request: Request, context: APIRequestContext) async throws -> Response {
+        let body = try await request.body.collect(upTo: 1024 * 1024)
+        let importRequest = try makeISO8601Decoder().decode(APIImportSkillRequest.self, from: body)
+        
+        let hasContent = !(importRequest.content?.trimmingCharacters(in: .whitespacesAndNewlines).isEmpty ?? true)
+        let hasURL = !(importRequest.githubURL?.trimmingCharacters(in: .whitespacesAndNewlines).isEmpty ?? true)
+        guard hasContent != hasURL else {
+            throw APIError.badRequest("Provide exactly one of content or githubURL")
+        }
+        
+        let skill = try await serviceProvider.importSkill(request: importRequest)
+        return try createJSONResponse(skill, status: .created)
+    }
+    
+    @Sendable
+    func exportSkill(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let name = context.parameters.get("name") else {
+            throw APIError.badRequest("Missing skill name")
+        }
+        
+        let skill = try await serviceProvider.getSkill(name: name)
+        let data = Data(skill.content.utf8)
+        
+        var headers = HTTPFields()
+        headers[.contentType] = "text/markdown; charset=utf-8"
+        headers[.contentDisposition] = "attachment; filename=\"SKILL.md\""
+        headers[.contentLength] = "\(data.count)"
+        
+        return Response(
+            status: .ok,
+            headers: headers,
+            body: .init(byteBuffer: ByteBuffer(data: data))
+        )
+    }
 }
@@ -26,6 +26,21 @@ public struct SystemRoutes: Sendable {
         
         // GET /system/config - Get system configuration
         system.get("config", use: getConfig)
+        
+        // GET /system/history - Get recent resource, agent and VM samples
+        system.get("history", use: getHistory)
+        
+        // GET /system/vms - List VMs and slot usage
+        system.get("vms", use: listVMs)
+        
+        // POST /system/vms/cleanup - Delete every orphaned VM
+        system.post("vms/cleanup", use: cleanupVMs)
+        
+        // POST /system/vms/:id/stop - Stop a VM
+        system.post("vms/:id/stop", use: stopVM)
+        
+        // DELETE /system/vms/:id - Delete an orphaned VM
+        system.delete("vms/:id", use: deleteVM)
     }
     
     // MARK: - Route Handlers
@@ -42,4 +57,40 @@ public struct SystemRoutes: Sendable {
         return try createJSONResponse(config)
     }
     
+    @Sendable
+    func getHistory(request: Request, context: APIRequestContext) async throws -> Response {
+        let history = try await serviceProvider.getSystemHistory()
+        return try createJSONResponse(history)
+    }
+    
+    @Sendable
+    func listVMs(request: Request, context: APIRequestContext) async throws -> Response {
+        let response = try await serviceProvider.getVMs()
+        return try createJSONResponse(response)
+    }
+    
+    @Sendable
+    func cleanupVMs(request: Request, context: APIRequestContext) async throws -> Response {
+        let response = try await serviceProvider.cleanupOrphanedVMs()
+        return try createJSONResponse(response)
+    }
+    
+    @Sendable
+    func stopVM(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let vmId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing VM ID")
+        }
+        try await serviceProvider.stopVM(id: vmId)
+        return Response(status: .noContent)
+    }
+    
+    @Sendable
+    func deleteVM(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let vmId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing VM ID")
+        }
+        try await serviceProvider.deleteVM(id: vmId)
+        return Response(status: .noContent)
+    }
+    
 }
@@ -44,6 +44,12 @@ enum TaskBatchRequestSupport {
         }
     }
 
+    /// The continuation source must be one of the referenced tasks, as in the prompt bar.
+    /// Any other ID is dropped rather than rejected, so the task is still created without it.
+    static func continuationSourceTaskId(_ sourceTaskId: String?, referencedTaskIds: [String]) -> String? {
+        sourceTaskId.flatMap { referencedTaskIds.contains($0) ? $0 : nil }
+    }
+
     static func expandedTargets(_ validatedTargets: [CreateTaskBatchTarget]) -> [CreateTaskBatchTarget] {
         validatedTargets.flatMap { target in
             Array(
@@ -0,0 +1,94 @@
+//
+//  TaskRoutes+Bulk.swift
+//  HivecrewAPI
+//
+//  Bulk action handler for TaskRoutes
+//
+
+import Foundation
+import Hummingbird
+
+extension TaskRoutes {
+
+    /// Maximum number of tasks accepted by one bulk request
+    static let maxBulkTaskCount = 500
+
+    @Sendable
+    func bulkUpdateTasks(request: Request, context: APIRequestContext) async throws -> Response {
+        let body = try await request.body.collect(upTo: 1024 * 1024)
+        let bulkRequest = try makeISO8601Decoder().decode(APIBulkTaskRequest.self, from: body)
+
+        let taskIds = try Self.bulkTaskIds(bulkRequest.taskIds)
+        let results = await Self.bulkResults(for: taskIds) { taskId in
+            try await applyBulkAction(bulkRequest.action, to: taskId)
+        }
+
+        return try createJSONResponse(APIBulkTaskResponse(action: bulkRequest.action, results: results))
+    }
+
+    /// The requested task IDs without duplicates, in request order
+    static func bulkTaskIds(_ requested: [String]) throws -> [String] {
+        var seen = Set<String>()
+        let taskIds = requested.filter { seen.insert($0).inserted }
+        guard !taskIds.isEmpty else {
+            throw APIError.badRequest("Missing required field: taskIds")
+        }
+        guard taskIds.count <= maxBulkTaskCount else {
+            throw APIError.badRequest("Too many tasks (maximum \(maxBulkTaskCount) per request)")
+        }
+        return taskIds
+    }
+
+    /// Run `apply` for each task in turn, recording a failed result instead of stopping when one throws
+    static func bulkResults(
+        for taskIds: [String],
+        apply: (String) async throws -> APIBulkTaskResult
+    ) async -> [APIBulkTaskResult] {
+        var results: [APIBulkTaskResult] = []
+        for taskId in taskIds {
+            do {
+                results.append(try await apply(taskId))
+            } catch let error as APIError {
+                results.append(APIBulkTaskResult(taskId: taskId, success: false, error: error.response.error))
+            } catch {
+                results.append(APIBulkTaskResult(
+                    taskId: taskId,
+                    success: false,
+                    error: APIErrorDetail(code: .internalError, message: error.localizedDescription)
+                ))
+            }
+        }
+        return results
+    }
+
+    private func applyBulkAction(_ action: APIBulkTaskAction, to taskId: String) async throws -> APIBulkTaskResult {
+        switch action {
+        case .delete:
+            try await serviceProvider.deleteTask(id: taskId)
+            try await fileStorage.deleteTaskFiles(taskId: taskId)
+            return APIBulkTaskResult(taskId: taskId, success: true)
+
+        case .archive, .unarchive:
+            let task = try await serviceProvider.setTaskArchived(id: taskId, archived: action == .archive)
+            return APIBulkTaskResult(taskId: taskId, success: true, status: task.status)
+
+        case .rerun:
+            let newTask = try await serviceProvider.performTaskAction(id: taskId, action: .rerun, instructions: nil)
+            return APIBulkTaskResult(taskId: taskId, success: true, status: newTask.status, newTaskId: newTask.id)
+
+        case .cancel:
+            return try await applyTaskAction(.cancel, to: taskId)
+
+        case .pause:
+            return try await applyTaskAction(.pause, to: taskId)
+
+        case .resume:
+            return try await applyTaskAction(.resume, to: taskId)
+        }
+    }
+
+    private func applyTaskAction(_ action: APITaskAction, to taskId: String) async throws -> APIBulkTaskResult {
+        let task = try await serviceProvider.performTaskAction(id: taskId, action: action, instructions: nil)
+        return APIBulkTaskResult(taskId: taskId, success: true, status: task.status)
+    }
+}
@@ -17,6 +17,7 @@ extension TaskRoutes {
         var providerName: String = ""
         var modelId: String = ""
         var uploadedFilePaths: [String] = []
+        var priority = APITaskPriority.normal
         var outputDirectory: String?
         var planFirst: Bool = false
         var reasoningEnabled: Bool?
@@ -29,6 +30,11 @@ extension TaskRoutes {
         var contextModeOverrides: [String: String] = [:]
         var contextInlineBlocks: [String] = []
         var contextAttachmentPaths: [String] = []
+        var templateId: String?
+        var mcpServerIds: [String]?
+        var provisioning: APIProvisioningOverrides?
+        var credentialIds: [String]?
+        var accessGrantIds: [String]?
 
         if contentType.contains("multipart/form-data") {
             let result = try await parseTaskMultipartForm(request: request)
@@ -36,6 +42,7 @@ extension TaskRoutes {
             providerName = result.providerName
             modelId = result.modelId
             uploadedFilePaths = result.filePaths
+            priority = result.priority
             outputDirectory = result.outputDirectory
             planFirst = result.planFirst
             reasoningEnabled = result.reasoningEnabled
@@ -43,6 +50,11 @@ extension TaskRoutes {
             mentionedSkillNames = result.mentionedSkillNames
             referencedTaskIds = result.referencedTaskIds
             continuationSourceTaskId = result.continuationSourceTaskId
+            templateId = result.templateId
+            mcpServerIds = result.mcpServerIds
+            provisioning = result.provisioning
+            credentialIds = result.credentialIds
+            accessGrantIds = result.accessGrantIds
         } else {
             let body = try await request.body.collect(upTo: 1024 * 1024)
             let createRequest = try makeISO8601Decoder().decode(CreateTaskRequest.self, from: body)
@@ -50,6 +62,7 @@ extension TaskRoutes {
             description = createRequest.description
             providerName = createRequest.providerName
             modelId = createRequest.modelId
+            priority = createRequest.priority ?? .normal
             outputDirectory = createRequest.outputDirectory
             planFirst = createRequest.planFirst ?? false
             reasoningEnabled = createRequest.reasoningEnabled
@@ -62,6 +75,11 @@ extension TaskRoutes {
             contextModeOverrides = createRequest.contextModeOverrides ?? [:]
             contextInlineBlocks = createRequest.contextInlineBlocks ?? []
             contextAttachmentPaths = createRequest.contextAttachmentPaths ?? []
+            templateId = createRequest.templateId
+            mcpServerIds = createRequest.mcpServerIds
+            provisioning = createRequest.provisioning
+            credentialIds = createRequest.credentialIds
+            accessGrantIds = createRequest.accessGrantIds
         }
 
         guard !description.isEmpty else {
@@ -81,16 +99,25 @@ extension TaskRoutes {
             reasoningEnabled: reasoningEnabled,
             reasoningEffort: reasoningEffort,
             attachedFilePaths: uploadedFilePaths,
+            priority: priority,
             outputDirectory: outputDirectory,
             planFirst: planFirst,
             mentionedSkillNames: mentionedSkillNames,
             referencedTaskIds: referencedTaskIds,
-            continuationSourceTaskId: continuationSourceTaskId,
+            continuationSourceTaskId: TaskBatchRequestSupport.continuationSourceTaskId(
+                continuationSourceTaskId,
+                referencedTaskIds: referencedTaskIds
+            ),
             contextPackId: contextPackId,
             contextSuggestionIds: contextSuggestionIds,
             contextModeOverrides: contextModeOverrides,
             contextInlineBlocks: contextInlineBlocks,
-            contextAttachmentPaths: contextAttachmentPaths
+            contextAttachmentPaths: contextAttachmentPaths,
+            templateId: templateId,
+            mcpServerIds: mcpServerIds,
+            provisioning: provisioning,
+            credentialIds: credentialIds,
+            accessGrantIds: accessGrantIds
         )
 
         return try createJSONResponse(task, status: .created)
@@ -103,23 +130,56 @@ extension TaskRoutes {
         var description = ""
         var targets: [CreateTaskBatchTarget] = []
         var uploadedFilePaths: [String] = []
+        var priority = APITaskPriority.normal
+        var outputDirectory: String?
         var planFirst = false
         var mentionedSkillNames: [String] = []
+        var referencedTaskIds: [String] = []
+        var continuationSourceTaskId: String?
+        var contextSuggestionIds: [String] = []
+        var contextModeOverrides: [String: String] = [:]
+        var templateId: String?
+        var mcpServerIds: [String]?
+        var provisioning: APIProvisioningOverrides?
+        var credentialIds: [String]?
+        var accessGrantIds: [String]?
 
         if contentType.contains("multipart/form-data") {
             let result = try await parseTaskBatchMultipartForm(request: request)
             description = result.description
             targets = result.targets
             uploadedFilePaths = result.filePaths
+            priority = result.priority
+            outputDirectory = result.outputDirectory
             planFirst = result.planFirst
             mentionedSkillNames = result.mentionedSkillNames
+            referencedTaskIds = result.referencedTaskIds
+            continuationSourceTaskId = result.continuationSourceTaskId
+            contextSuggestionIds = result.contextSuggestionIds
+            contextModeOverrides = result.contextModeOverrides
+            templateId = result.templateId
+            mcpServerIds = result.mcpServerIds
+            provisioning = result.provisioning
+            credentialIds = result.credentialIds
+            accessGrantIds = result.accessGrantIds
         } else {
             let body = try await request.body.collect(upTo: 1024 * 1024)
             let batchRequest = try makeISO8601Decoder().decode(CreateTaskBatchRequest.self, from: body)
             description = batchRequest.description
             targets = batchRequest.targets
+            priority = batchRequest.priority ?? .normal
+            outputDirectory = batchRequest.outputDirectory
             planFirst = batchRequest.planFirst ?? false
             mentionedSkillNames = batchRequest.mentionedSkillNames ?? []
+            referencedTaskIds = batchRequest.referencedTaskIds ?? []
+            continuationSourceTaskId = batchRequest.continuationSourceTaskId
+            contextSuggestionIds = batchRequest.contextSuggestionIds ?? []
+            contextModeOverrides = batchRequest.contextModeOverrides ?? [:]
+            templateId = batchRequest.templateId
+            mcpServerIds = batchRequest.mcpServerIds
+            provisioning = batchRequest.provisioning
+            credentialIds = batchRequest.credentialIds
+            accessGrantIds = batchRequest.accessGrantIds
         }
 
         guard !description.trimmingCharacters(in: .whitespacesAndNewlines).isEmpty else {
@@ -134,12 +194,26 @@ extension TaskRoutes {
             description: description,
             targets: expandedTargets,
             attachedFilePaths: uploadedFilePaths,
+            priority: priority,
+            outputDirectory: outputDirectory,
             planFirst: planFirst,
-            mentionedSkillNames: mentionedSkillNames
+            mentionedSkillNames: mentionedSkillNames,
+            referencedTaskIds: referencedTaskIds,
+            continuationSourceTaskId: TaskBatchRequestSupport.continuationSourceTaskId(
+                continuationSourceTaskId,
+                referencedTaskIds: referencedTaskIds
+            ),
+            contextSuggestionIds: contextSuggestionIds,
+            contextModeOverrides: contextModeOverrides,
+            templateId: templateId,
+            mcpServerIds: mcpServerIds,
+            provisioning: provisioning,
+            credentialIds: credentialIds,
+            accessGrantIds: accessGrantIds
         )
 
         return try createJSONResponse(
-            CreateTaskBatchResponse(tasks: createdTasks),
+            CreateTaskBatchResponse(tasks: createdTasks, batchId: createdTasks.first?.batchId),
             status: .created
         )
     }
@@ -152,15 +226,45 @@ extension TaskRoutes {
             statusString.split(separator: ",").compactMap { APITaskStatus(rawValue: String($0)) }
         }
 
-        let limit = min(queryItems["limit"].flatMap { Int($0) } ?? 50, 200)
-        let offset = queryItems["offset"].flatMap { Int($0) } ?? 0
+        let wasSuccessful: Bool?
+        switch queryItems["success"] {
+        case nil: wasSuccessful = nil
+        case "true": wasSuccessful = true
+        case "false": wasSuccessful = false
+        case let value?: throw APIError.badRequest("Invalid success filter '\(value)' (expected true or false)")
+        }
+
+        let filter = APITaskListFilter(
+            status: statusFilter,
+            query: nonEmptyQueryValue(queryItems["q"]),
+            createdAfter: try parseDateQueryValue(queryItems["createdAfter"], name: "createdAfter"),
+            createdBefore: try parseDateQueryValue(queryItems["createdBefore"], name: "createdBefore", endOfDay: true),
+            modelId: nonEmptyQueryValue(queryItems["modelId"]),
+            providerName: nonEmptyQueryValue(queryItems["provider"]),
+            wasSuccessful: wasSuccessful,
+            archived: queryItems["archived"] == "true"
+        )
+
+        let cursor: APITaskListCursor?
+        if let rawCursor = nonEmptyQueryValue(queryItems["cursor"]) {
+            guard let decoded = APITaskListCursor(encoded: rawCursor) else {
+                throw APIError.badRequest("Invalid cursor")
+            }
+            cursor = decoded
+        } else {
+            cursor = nil
+        }
+
+        let limit = min(max(queryItems["limit"].flatMap { Int($0) } ?? 50, 1), 200)
+        let offset = max(queryItems["offset"].flatMap { Int($0) } ?? 0, 0)
         let sortBy = queryItems["sort"] ?? "createdAt"
         let order = queryItems["order"] ?? "desc"
 
         let response = try await serviceProvider.getTasks(
-            status: statusFilter,
+            filter: filter,
             limit: limit,
             offset: offset,
+            cursor: cursor,
             sortBy: sortBy,
             order: order
         )
@@ -186,6 +290,35 @@ extension TaskRoutes {
 
         let body = try await request.body.collect(upTo: 64 * 1024)
         let updateRequest = try JSONDecoder().decode(UpdateTaskRequest.self, from: body)
+
+        if updateRequest.action == .rerun {
+            // Reruns can fan out to several models; the response stays a single task, and siblings share its batchId
+            var targets: [CreateTaskBatchTarget] = []
+            if let requestedTargets = updateRequest.targets, !requestedTargets.isEmpty {
+                targets = TaskBatchRequestSupport.expandedTargets(
+                    try TaskBatchRequestSupport.validatedTargets(requestedTargets)
+                )
+            }
+            let newTasks = try await serviceProvider.rerunTask(
+                id: taskId,
+                description: updateRequest.description,
+                targets: targets,
+                keepInputFiles: updateRequest.keepInputFiles ?? true
+            )
+            guard let firstTask = newTasks.first else {
+                throw APIError.internalError("Rerun did not create a task")
+            }
+            return try createJSONResponse(firstTask)
+        }
+
+        if updateRequest.action == .approveWriteback, let items = updateRequest.writebackItems {
+            guard !items.isEmpty else {
+                throw APIError.badRequest("writebackItems is empty; use the discard_writeback action to discard every staged change")
+            }
+            let task = try await serviceProvider.approveWriteback(id: taskId, items: items)
+            return try createJSONResponse(task)
+        }
+
         let effectiveInstructions = updateRequest.planMarkdown ?? updateRequest.instructions
 
         let task = try await serviceProvider.performTaskAction(
@@ -118,6 +118,107 @@ extension TaskRoutes {
         return try createJSONResponse(review)
     }
 
+    @Sendable
+    func getTaskWritebackDiff(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let taskId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing task ID")
+        }
+        guard let itemId = context.parameters.get("itemId") else {
+            throw APIError.badRequest("Missing writeback item ID")
+        }
+
+        let diff = try await serviceProvider.getTaskWritebackDiff(id: taskId, itemId: itemId)
+        return try createJSONResponse(diff)
+    }
+
+    @Sendable
+    func getTaskTrace(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let taskId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing task ID")
+        }
+
+        let trace = try await serviceProvider.getTaskTrace(id: taskId)
+        return try createJSONResponse(trace)
+    }
+
+    @Sendable
+    func getTaskTraceScreenshot(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let taskId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing task ID")
+        }
+        guard let filename = context.parameters.get("filename") else {
+            throw APIError.badRequest("Missing filename")
+        }
+
+        guard let (data, mimeType) = try await serviceProvider.getTaskTraceScreenshot(id: taskId, filename: filename) else {
+            throw APIError.notFound("Screenshot '\(filename)' not found")
+        }
+
+        // Session screenshots never change once written
+        var headers = HTTPFields()
+        headers[.contentType] = mimeType
+        headers[.contentLength] = "\(data.count)"
+        headers[.cacheControl] = "private, max-age=86400"
+
+        return Response(
+            status: .ok,
+            headers: headers,
+            body: .init(byteBuffer: ByteBuffer(data: data))
+        )
+    }
+
+    @Sendable
+    func startReplayExport(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let taskId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing task ID")
+        }
+
+        // An empty body means "export with defaults"
+        let body = try await request.body.collect(upTo: 64 * 1024)
+        let startRequest = body.readableBytes > 0
+            ? try makeISO8601Decoder().decode(APIStartReplayExportRequest.self, from: body)
+            : APIStartReplayExportRequest()
+
+        if let fps = startRequest.fps, !(1...30).contains(fps) {
+            throw APIError.badRequest("fps must be between 1 and 30")
+        }
+
+        let export = try await serviceProvider.startReplayExport(taskId: taskId, request: startRequest)
+        return try createJSONResponse(export, status: .accepted)
+    }
+
+    @Sendable
+    func getReplayExport(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let taskId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing task ID")
+        }
+
+        guard let export = try await serviceProvider.getReplayExport(taskId: taskId) else {
+            throw APIError.notFound("No replay export for task '\(taskId)'")
+        }
+        return try createJSONResponse(export)
+    }
+
+    @Sendable
+    func downloadReplayExport(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let taskId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing task ID")
+        }
+
+        let (url, fileName, mimeType) = try await serviceProvider.getReplayExportFile(taskId: taskId)
+        return try createFileResponse(url: url, fileName: fileName, mimeType: mimeType, request: request)
+    }
+
+    @Sendable
+    func extractSkill(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let taskId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing task ID")
+        }
+
+        let extracted = try await serviceProvider.extractSkill(taskId: taskId)
+        return try createJSONResponse(extracted)
+    }
+
     @Sendable
     func listTaskFiles(request: Request, context: APIRequestContext) async throws -> Response {
         guard let taskId = context.parameters.get("id") else {
@@ -139,22 +240,128 @@ extension TaskRoutes {
 
         let queryItems = parseQueryItems(from: request.uri.string)
         let isInput = queryItems["type"] == "input"
+        let inline = queryItems["disposition"] == "inline"
 
-        let (data, mimeType) = try await serviceProvider.getTaskFileData(
+        // Files inside output folders are addressed by `path`; the URL still ends in the file name
+        let path = nonEmptyQueryValue(queryItems["path"]) ?? filename
+        guard (path as NSString).lastPathComponent == filename else {
+            throw APIError.badRequest("File path '\(path)' does not end in '\(filename)'")
+        }
+
+        let (url, mimeType) = try await serviceProvider.getTaskFileURL(
             taskId: taskId,
-            filename: filename,
+            path: path,
             isInput: isInput
         )
 
+        return try createFileResponse(
+            url: url,
+            fileName: filename,
+            mimeType: mimeType,
+            request: request,
+            inline: inline
+        )
+    }
+
+    @Sendable
+    func downloadTaskArchive(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let taskId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing task ID")
+        }
+
+        let queryItems = parseQueryItems(from: request.uri.string)
+        var files: [APITaskFileReference]?
+        if let type = nonEmptyQueryValue(queryItems["type"]) {
+            guard let fileType = APITaskFileType(rawValue: type) else {
+                throw APIError.badRequest("Invalid type '\(type)' (expected input or output)")
+            }
+            files = [APITaskFileReference(type: fileType)]
+        }
+
+        return try await makeArchiveResponse(taskId: taskId, files: files)
+    }
+
+    @Sendable
+    func downloadSelectedTaskArchive(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let taskId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing task ID")
+        }
+
+        let body = try await request.body.collect(upTo: 1024 * 1024)
+        let archiveRequest = try makeISO8601Decoder().decode(APITaskArchiveRequest.self, from: body)
+        guard !archiveRequest.files.isEmpty else {
+            throw APIError.badRequest("Select at least one file")
+        }
+
+        return try await makeArchiveResponse(taskId: taskId, files: archiveRequest.files)
+    }
+
+    @Sendable
+    func uploadInboxFiles(request: Request, context: APIRequestContext) async throws -> Response {
+        guard let taskId = context.parameters.get("id") else {
+            throw APIError.badRequest("Missing task ID")
+        }
+
+        let bodyData = try await request.body.collect(upTo: maxTotalUploadSize)
+        let boundary = try extractMultipartBoundary(from: request)
+        let parts = parseMultipartData(data: Data(buffer: bodyData), boundary: boundary)
+
+        // Each upload gets its own folder so a repeated file name never replaces an earlier input
+        let uploadId = UUID().uuidString
+        var filePaths: [String] = []
+        var message: String?
+
+        do {
+            for part in parts {
+                if part.name == "message" {
+                    message = nonEmptyQueryValue(String(data: part.data, encoding: .utf8))
+                } else if part.name == "files" {
+                    let filename = part.filename ?? "file_\(filePaths.count)"
+                    if part.data.count > maxFileSize {
+                        throw APIError.payloadTooLarge("File '\(filename)' exceeds maximum size of \(maxFileSize / 1024 / 1024)MB")
+                    }
+                    // Two parts with the same name are saved side by side rather than replacing each other
+                    let savedURL = try await fileStorage.saveUploadedFile(
+                        data: part.data,
+                        filename: filename,
+                        taskId: uploadId,
+                        replaceExisting: false
+                    )
+                    filePaths.append(savedURL.path)
+                }
+            }
+
+            guard !filePaths.isEmpty else {
+                throw APIError.badRequest("Attach at least one file in the 'files' field")
+            }
+
+            let response = try await serviceProvider.uploadFilesToTaskInbox(
+                taskId: taskId,
+                filePaths: filePaths,
+                message: message
+            )
+            return try createJSONResponse(response, status: .created)
+        } catch {
+            // Nothing was delivered, so don't leave the saved parts behind
+            try? await fileStorage.deleteTaskFiles(taskId: uploadId)
+            throw error
+        }
+    }
+
+    private func makeArchiveResponse(taskId: String, files: [APITaskFileReference]?) async throws -> Response {
+        let (fileName, entries) = try await serviceProvider.getTaskArchiveEntries(taskId: taskId, files: files)
+        let archiveEntries = entries.map { ZipArchiveStream.Entry(path: $0.path, url: $0.url) }
+        try ZipArchiveStream.validate(archiveEntries)
+
         var headers = HTTPFields()
-        headers[.contentType] = mimeType
-        headers[.contentDisposition] = "attachment; filename=\"\(filename)\""
-        headers[.contentLength] = "\(data.count)"
+        headers[.contentType] = "application/zip"
+        headers[.contentDisposition] = "attachment; filename=\"\(fileName)\""
+        headers[.cacheControl] = "no-cache"
 
         return Response(
             status: .ok,
             headers: headers,
-            body: .init(byteBuffer: ByteBuffer(data: data))
+            body: .init(asyncSequence: ZipArchiveStream(entries: archiveEntries))
         )
     }
 }
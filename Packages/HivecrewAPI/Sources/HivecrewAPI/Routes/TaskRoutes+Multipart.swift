@@ -19,14 +19,30 @@ struct TaskMultipartFormResult {
     let mentionedSkillNames: [String]
     let referencedTaskIds: [String]
     let continuationSourceTaskId: String?
+    let templateId: String?
+    let mcpServerIds: [String]?
+    let provisioning: APIProvisioningOverrides?
+    let credentialIds: [String]?
+    let accessGrantIds: [String]?
 }
 
 struct TaskBatchMultipartFormResult {
     let description: String
     let targets: [CreateTaskBatchTarget]
     let filePaths: [String]
+    let priority: APITaskPriority
+    let outputDirectory: String?
     let planFirst: Bool
     let mentionedSkillNames: [String]
+    let referencedTaskIds: [String]
+    let continuationSourceTaskId: String?
+    let contextSuggestionIds: [String]
+    let contextModeOverrides: [String: String]
+    let templateId: String?
+    let mcpServerIds: [String]?
+    let provisioning: APIProvisioningOverrides?
+    let credentialIds: [String]?
+    let accessGrantIds: [String]?
 }
 
 extension TaskRoutes {
@@ -43,6 +59,11 @@ extension TaskRoutes {
         var mentionedSkillNames: [String] = []
         var referencedTaskIds: [String] = []
         var continuationSourceTaskId: String?
+        var templateId: String?
+        var mcpServerIds: [String]?
+        var provisioning: APIProvisioningOverrides?
+        var credentialIds: [String]?
+        var accessGrantIds: [String]?
 
         let taskId = UUID().uuidString
         let bodyData = try await request.body.collect(upTo: maxTotalUploadSize)
@@ -85,6 +106,17 @@ extension TaskRoutes {
                 } else if name == "continuationSourceTaskId" {
                     continuationSourceTaskId = String(data: part.data, encoding: .utf8)?
                         .trimmingCharacters(in: .whitespacesAndNewlines)
+                } else if name == "templateId" {
+                    templateId = String(data: part.data, encoding: .utf8)?
+                        .trimmingCharacters(in: .whitespacesAndNewlines)
+                } else if name == "mcpServerIds" {
+                    mcpServerIds = try parseMCPServerIds(part.data)
+                } else if name == "provisioning" {
+                    provisioning = try parseProvisioningOverrides(part.data)
+                } else if name == "credentialIds" {
+                    credentialIds = try parseCredentialIds(part.data)
+                } else if name == "accessGrantIds" {
+                    accessGrantIds = try parseAccessGrantIds(part.data)
                 } else if name == "files" {
                     let filename = part.filename ?? "file_\(filePaths.count)"
                     if part.data.count > maxFileSize {
@@ -112,7 +144,12 @@ extension TaskRoutes {
             reasoningEffort: reasoningEffort,
             mentionedSkillNames: mentionedSkillNames,
             referencedTaskIds: referencedTaskIds,
-            continuationSourceTaskId: continuationSourceTaskId
+            continuationSourceTaskId: continuationSourceTaskId,
+            templateId: templateId,
+            mcpServerIds: mcpServerIds,
+            provisioning: provisioning,
+            credentialIds: credentialIds,
+            accessGrantIds: accessGrantIds
         )
     }
 
@@ -120,8 +157,19 @@ extension TaskRoutes {
         var description = ""
         var targets: [CreateTaskBatchTarget] = []
         var filePaths: [String] = []
+        var priority = APITaskPriority.normal
+        var outputDirectory: String?
         var planFirst = false
         var mentionedSkillNames: [String] = []
+        var referencedTaskIds: [String] = []
+        var continuationSourceTaskId: String?
+        var contextSuggestionIds: [String] = []
+        var contextModeOverrides: [String: String] = [:]
+        var templateId: String?
+        var mcpServerIds: [String]?
+        var provisioning: APIProvisioningOverrides?
+        var credentialIds: [String]?
+        var accessGrantIds: [String]?
 
         let uploadId = UUID().uuidString
         let bodyData = try await request.body.collect(upTo: maxTotalUploadSize)
@@ -135,6 +183,15 @@ extension TaskRoutes {
                 description = String(data: part.data, encoding: .utf8) ?? ""
             } else if name == "targets" {
                 targets = try parseTaskBatchTargets(part.data)
+            } else if name == "priority" {
+                if let priorityString = String(data: part.data, encoding: .utf8),
+                   let parsedPriority = APITaskPriority(rawValue: priorityString) {
+                    priority = parsedPriority
+                }
+            } else if name == "outputDirectory" {
+                let value = String(data: part.data, encoding: .utf8)?
+                    .trimmingCharacters(in: .whitespacesAndNewlines)
+                outputDirectory = value?.isEmpty == false ? value : nil
             } else if name == "planFirst" {
                 if let value = String(data: part.data, encoding: .utf8)?
                     .trimmingCharacters(in: .whitespacesAndNewlines) {
@@ -146,6 +203,34 @@ extension TaskRoutes {
                     !value.isEmpty {
                     mentionedSkillNames.append(value)
                 }
+            } else if name == "referencedTaskIds" || name == "referencedTaskIds[]" {
+                if let value = String(data: part.data, encoding: .utf8)?
+                    .trimmingCharacters(in: .whitespacesAndNewlines),
+                    !value.isEmpty {
+                    referencedTaskIds.append(value)
+                }
+            } else if name == "continuationSourceTaskId" {
+                continuationSourceTaskId = String(data: part.data, encoding: .utf8)?
+                    .trimmingCharacters(in: .whitespacesAndNewlines)
+            } else if name == "contextSuggestionIds" || name == "contextSuggestionIds[]" {
+                if let value = String(data: part.data, encoding: .utf8)?
+                    .trimmingCharacters(in: .whitespacesAndNewlines),
+                    !value.isEmpty {
+                    contextSuggestionIds.append(value)
+                }
+            } else if name == "contextModeOverrides" {
+                contextModeOverrides = try parseContextModeOverrides(part.data)
+            } else if name == "templateId" {
+                templateId = String(data: part.data, encoding: .utf8)?
+                    .trimmingCharacters(in: .whitespacesAndNewlines)
+            } else if name == "mcpServerIds" {
+                mcpServerIds = try parseMCPServerIds(part.data)
+            } else if name == "provisioning" {
+                provisioning = try parseProvisioningOverrides(part.data)
+            } else if name == "credentialIds" {
+                credentialIds = try parseCredentialIds(part.data)
+            } else if name == "accessGrantIds" {
+                accessGrantIds = try parseAccessGrantIds(part.data)
             } else if name == "files" {
                 let filename = part.filename ?? "file_\(filePaths.count)"
                 if part.data.count > maxFileSize {
@@ -166,8 +251,19 @@ extension TaskRoutes {
             description: description,
             targets: targets,
             filePaths: filePaths,
+            priority: priority,
+            outputDirectory: outputDirectory,
             planFirst: planFirst,
-            mentionedSkillNames: mentionedSkillNames
+            mentionedSkillNames: mentionedSkillNames,
+            referencedTaskIds: referencedTaskIds,
+            continuationSourceTaskId: continuationSourceTaskId,
+            contextSuggestionIds: contextSuggestionIds,
+            contextModeOverrides: contextModeOverrides,
+            templateId: templateId,
+            mcpServerIds: mcpServerIds,
+            provisioning: provisioning,
+            credentialIds: credentialIds,
+            accessGrantIds: accessGrantIds
         )
     }
 
@@ -178,4 +274,48 @@ extension TaskRoutes {
             throw APIError.badRequest("Invalid targets payload")
         }
     }
+
+    func parseContextModeOverrides(_ data: Data) throws -> [String: String] {
+        do {
+            return try JSONDecoder().decode([String: String].self, from: data)
+        } catch {
+            throw APIError.badRequest("Invalid contextModeOverrides payload")
+        }
+    }
+
+    /// Parses the `mcpServerIds` field: a JSON array, where `[]` allows no MCP servers
+    func parseMCPServerIds(_ data: Data) throws -> [String] {
+        do {
+            return try JSONDecoder().decode([String].self, from: data)
+        } catch {
+            throw APIError.badRequest("Invalid mcpServerIds payload")
+        }
+    }
+
+    /// Parses the `provisioning` field: a JSON object of per-task provisioning overrides
+    func parseProvisioningOverrides(_ data: Data) throws -> APIProvisioningOverrides {
+        do {
+            return try JSONDecoder().decode(APIProvisioningOverrides.self, from: data)
+        } catch {
+            throw APIError.badRequest("Invalid provisioning payload")
+        }
+    }
+
+    /// Parses the `credentialIds` field: a JSON array, where `[]` gives the task no credentials
+    func parseCredentialIds(_ data: Data) throws -> [String] {
+        do {
+            return try JSONDecoder().decode([String].self, from: data)
+        } catch {
+            throw APIError.badRequest("Invalid credentialIds payload")
+        }
+    }
+
+    /// Parses the `accessGrantIds` field: a JSON array of local access grant IDs
+    func parseAccessGrantIds(_ data: Data) throws -> [String] {
+        do {
+            return try JSONDecoder().decode([String].self, from: data)
+        } catch {
+            throw APIError.badRequest("Invalid accessGrantIds payload")
+        }
+    }
 }
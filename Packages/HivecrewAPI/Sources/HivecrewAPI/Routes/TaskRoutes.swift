@@ -36,6 +36,9 @@ public final class TaskRoutes: Sendable {
         // POST /tasks/batch - Create multiple prompt-bar tasks from one submission
         tasks.post("batch", use: createTaskBatch)
         
+        // POST /tasks/bulk - Apply one action to many tasks
+        tasks.post("bulk", use: bulkUpdateTasks)
+        
         // GET /tasks - List tasks
         tasks.get(use: listTasks)
         
@@ -68,11 +71,41 @@ public final class TaskRoutes: Sendable {
 
         // GET /tasks/:id/writeback - Pending staged local change review
         tasks.get(":id/writeback", use: getTaskWritebackReview)
+
+        // GET /tasks/:id/writeback/:itemId/diff - Full diff of one staged change
+        tasks.get(":id/writeback/:itemId/diff", use: getTaskWritebackDiff)
+
+        // GET /tasks/:id/trace - Stored session trace grouped into steps
+        tasks.get(":id/trace", use: getTaskTrace)
+
+        // GET /tasks/:id/trace/screenshots/:filename - Screenshot from the session trace
+        tasks.get(":id/trace/screenshots/:filename", use: getTaskTraceScreenshot)
+
+        // POST /tasks/:id/replay - Start a replay export
+        tasks.post(":id/replay", use: startReplayExport)
+
+        // GET /tasks/:id/replay - Replay export status
+        tasks.get(":id/replay", use: getReplayExport)
+
+        // GET /tasks/:id/replay/download - Download the finished replay
+        tasks.get(":id/replay/download", use: downloadReplayExport)
+
+        // POST /tasks/:id/extract-skill - Propose a skill from a completed task
+        tasks.post(":id/extract-skill", use: extractSkill)
         
         // GET /tasks/:id/files - List task files
         tasks.get(":id/files", use: listTaskFiles)
         
         // GET /tasks/:id/files/:filename - Download file
         tasks.get(":id/files/:filename", use: downloadFile)
+        
+        // GET /tasks/:id/archive - Download all files as a ZIP
+        tasks.get(":id/archive", use: downloadTaskArchive)
+        
+        // POST /tasks/:id/archive - Download selected files as a ZIP
+        tasks.post(":id/archive", use: downloadSelectedTaskArchive)
+
+        // POST /tasks/:id/inbox - Upload files into a running task's VM inbox
+        tasks.post(":id/inbox", use: uploadInboxFiles)
     }
 }
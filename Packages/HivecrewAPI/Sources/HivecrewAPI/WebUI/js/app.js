@@ -38,6 +38,30 @@ document.addEventListener('alpine:init', () => {
         loading: false,
         statusFilter: '',
         searchQuery: '',
+        taskFilters: {
+            createdAfter: '',
+            createdBefore: '',
+            modelId: '',
+            provider: '',
+            success: '',
+            archived: ''
+        },
+        taskFiltersOpen: false,
+        savedTaskFilters: JSON.parse(localStorage.getItem('hivecrew_saved_task_filters') || '[]'),
+        savedTaskFilterName: '',
+        taskPageSize: 50,
+        tasksTotal: 0,
+        tasksNextCursor: null,
+        tasksLoadingMore: false,
+        tasksRequestId: 0,
+        taskListObserver: null,
+        
+        // Bulk selection
+        selectedTaskIds: [],
+        lastSelectedTaskId: null,
+        selectingAllTasks: false,
+        bulkActionLoading: false,
+        bulkResult: null,
         
         // Quick Create
         quickTaskDescription: '',
@@ -56,6 +80,11 @@ document.addEventListener('alpine:init', () => {
         quickReasoningEnabled: null,
         quickReasoningEffort: null,
         quickReasoningEffortTouched: false,
+        quickTemplateId: localStorage.getItem('hivecrew_template_id') || '',
+        quickPriority: 'normal',
+        quickOutputDirectory: '',
+        quickOutputDirectoryOpen: false,
+        priorityOptions: ['high', 'normal', 'low'],
         isDraggingFiles: false,
         
         // Create Task
@@ -70,6 +99,15 @@ document.addEventListener('alpine:init', () => {
             modelId: '',
             reasoningEnabled: null,
             reasoningEffort: null,
+            templateId: '',
+            mcpServerIds: null, // null allows every enabled MCP server
+            provisioningEnvironment: [], // { key, value } rows, values masked in the form
+            provisioningSetupCommandsText: null, // null runs the global setup commands
+            provisioningFileIds: null, // null injects every configured file
+            credentialIds: [], // stored credentials the task may use
+            accessGrantIds: [], // granted host folders/files the task may use
+            priority: 'normal',
+            outputDirectory: '',
             planFirst: false,
             isRecurring: false,
             scheduleDate: '',
@@ -84,6 +122,55 @@ document.addEventListener('alpine:init', () => {
         editedPlanMarkdown: '',
         planEditing: false,
         writebackReview: null,
+        writebackDecisions: {}, // item ID -> apply | skip | overwrite | keepLocal | saveAlongside
+        writebackDiffLines: {}, // item ID -> parsed diff lines
+        writebackExpandedRegions: {},
+        writebackFullDiffIds: [], // items whose diff was replaced by the full-context one
+        writebackDiffMode: localStorage.getItem('hivecrew_writeback_diff_mode') || 'unified',
+        
+        // Session trace viewer (finished tasks)
+        showTraceModal: false,
+        trace: null,
+        traceLoading: false,
+        traceError: '',
+        traceStepIndex: 0,
+        traceScreenshotUrls: {}, // screenshot filename -> blob URL
+        
+        // Session replay export (finished tasks)
+        replayExport: null,
+        replayPollTimer: null,
+        
+        // Task file browser (finished tasks)
+        taskFiles: null, // GET /tasks/:id/files response
+        taskFilesLoading: false,
+        taskFileFilter: '',
+        taskFileSort: localStorage.getItem('hivecrew_task_file_sort') || 'name', // name | size | modified
+        taskFileSelection: {}, // 'input:path' / 'output:path' -> true
+        taskFileCollapsed: {}, // 'input:folder' / 'output:folder' -> true
+        archiveDownloading: false,
+        
+        // File preview (task input/output files)
+        filePreview: null,
+        filePreviewSeq: 0,
+        filePreviewDecoder: null,
+        filePreviewObjectUrl: null,
+        filePreviewChunkSize: 256 * 1024, // bytes fetched per text chunk
+        
+        // Task queue (queued / waiting for VM)
+        queue: null,
+        queueLoading: false,
+        queueDragTaskId: null,
+        queueDropTaskId: null,
+        
+        // Rerun dialog (finished tasks)
+        rerunDialog: null,
+        rerunSubmitting: false,
+        
+        // Batch comparison (multi-model / multi-copy runs)
+        showBatchModal: false,
+        batchComparison: null,
+        batchLoading: false,
+        batchError: '',
         
         // Selected schedule (for detail view)
         selectedSchedule: null,
@@ -105,48 +192,200 @@ document.addEventListener('alpine:init', () => {
         modelDropdownOpen: false,
         modelSearchQuery: '',
         
+        // Paired Devices
+        devices: [],
+        devicesLoading: false,
+        renamingDeviceId: null,
+        deviceNameDraft: '',
+        
+        // VM Templates
+        templates: [],
+        defaultTemplateId: null,
+        templatesLoading: false,
+        
         // System Status
         systemStatus: null,
         
+        // System dashboard (resource history & VM inventory)
+        systemHistory: null,
+        systemVMs: [],
+        systemCapacity: null,
+        systemLoading: false,
+        systemPollTimer: null,
+        
         // Screenshot
         screenshotUrl: '',
         screenshotTimer: null,
         
-        // Event Stream (polling)
+        // Event Stream (SSE, with polling fallback)
         taskEvents: [],
         eventSince: 0,
         eventTimer: null,
+        eventStreamTaskId: null,
+        eventStreamController: null,
+        eventReconnectTimer: null,
+        eventReconnectAttempts: 0,
+        eventStreamFailures: 0,
+        eventStreamMaxFailures: 4, // consecutive SSE failures before falling back to polling
+        eventStreamHealthyMs: 10000, // a stream open this long counts as healthy even without events
         
         // Task Actions
         actionLoading: false,
         instructionsText: '',
         answerText: '',
+        inboxDragging: false, // files dragged over a running task's detail view
+        inboxUploading: false,
         
         // Pending Alerts (questions/permissions from running tasks, shown as popups)
         pendingAlerts: [],
         pendingAlertAnswer: '',
         pendingAlertDismissed: new Set(),
         
+        // Providers
+        providerBackendModes: [
+            { value: 'chat_completions', label: 'OpenAI-compatible (Chat Completions)' },
+            { value: 'responses', label: 'OpenAI Responses' },
+            { value: 'codex_oauth', label: 'ChatGPT (Codex OAuth)' }
+        ],
+        showProviderModal: false,
+        providerForm: {
+            id: null,
+            displayName: '',
+            backendMode: 'responses',
+            originalBackendMode: null,
+            baseURL: '',
+            organizationId: '',
+            apiKey: '',
+            clearAPIKey: false,
+            hasAPIKey: false,
+            timeoutInterval: 120,
+            isDefault: false
+        },
+        providerSaving: false,
+        providerError: '',
+        providerAuth: {}, // providerId -> latest auth start/status response
+        providerAuthPollTimer: null,
+        providerAuthPollId: null,
+
+        // MCP servers
+        mcpServers: [],
+        showMCPServerModal: false,
+        mcpServerForm: {
+            id: null,
+            displayName: '',
+            transportType: 'stdio',
+            isEnabled: true,
+            command: '',
+            argumentsText: '',
+            workingDirectory: '',
+            environmentNames: [], // names of stored variables (values are never returned)
+            removedEnvironment: [],
+            environmentText: '', // KEY=VALUE lines to add or overwrite
+            serverURL: ''
+        },
+        mcpServerSaving: false,
+        mcpServerError: '',
+        mcpReconnectingId: null,
+        mcpToolsServer: null, // server whose tools are being browsed
+        mcpTools: [],
+        mcpToolsLoading: false,
+        mcpToolsError: '',
+        mcpDropdownOpen: false,
+        quickMCPServerIds: null, // MCP servers for the next prompt-bar task (null allows every enabled server)
+        
         // Toasts
         toasts: [],
         toastId: 0,
         
         // Skills & @ Mentions
-        skills: [],
+        skills: [], // enabled skills only (mention suggestions)
+        skillLibrary: [], // every installed skill (Skills view)
+        skillSearchQuery: '',
+        showSkillModal: false,
+        skillModalMode: 'view', // 'view' | 'edit' | 'create'
+        skillDetail: null,
+        skillForm: {
+            name: '',
+            description: '',
+            license: '',
+            compatibility: '',
+            allowedTools: '',
+            instructions: '',
+            isEnabled: true,
+            sourceTaskId: null
+        },
+        skillSaving: false,
+        skillExtracting: false,
+        skillError: '',
+        showSkillImportModal: false,
+        skillImport: {
+            source: 'file', // 'file' | 'paste' | 'github'
+            content: '',
+            fileName: '',
+            githubURL: '',
+            replaceExisting: false
+        },
         mentionedSkills: [],
+        referencedTaskIds: [], // task IDs from @task chips in the prompt
+        mentionedCredentialIds: [], // credential IDs from @credential chips; the only ones the task receives
+        continuationSourceTaskId: null, // set by "Continue"; dropped if its chip is removed
+
+        // Context suggestions drawer (retrieval index)
+        contextDrawerOpen: false,
+        contextSuggestions: [],
+        contextSelected: [], // [{ suggestion, mode }]
+        contextRejectedIds: [],
+        contextLoading: false,
+        contextError: null,
+        contextSuggestTimer: null,
+        contextRequestId: 0,
+        contextPacks: [],
+        contextPacksLoaded: false,
+        contextPackName: '',
+        contextModes: ['fileRef', 'inlineSnippet', 'structuredSummary'],
         mentionQuery: null,
         mentionSuggestions: [],
         mentionSelectedIndex: 0,
         showMentionDropdown: false,
+        mentionTaskResults: [], // finished tasks matching mentionTaskQuery, from /api/v1/tasks?q=
+        mentionTaskQuery: null,
+        mentionTaskTimer: null,
+        mentionTaskRequestId: 0,
         
-        // VM Provisioning (env vars & injected files for @ mentions)
+        // VM Provisioning (env vars & injected files, also used for @ mentions)
         provisioningEnvVars: [],
         provisioningFiles: [],
+        provisioningSetupCommands: [],
+        provisioningCommandsDraft: [],
+        provisioningEnvForm: { key: '', value: '' },
+        provisioningSaving: false,
+        provisioningUploadFile: null,
+        provisioningUploadPath: '',
+        provisioningUploading: false,
+        provisioningEditingFileId: null,
+        provisioningGuestPathDraft: '',
+        
+        // Credentials (names and usernames only, also used for @ mentions)
+        credentials: [],
+        credentialForm: { displayName: '', username: '', password: '' },
+        credentialSaving: false,
+        credentialImporting: false,
+        
+        // Local access grants (host folders/files tasks can be given)
+        accessGrants: [],
+        accessGrantForm: { path: '', accessMode: 'read_write' },
+        accessGrantSaving: false,
         
         // Auto-refresh & elapsed time
         refreshTimer: null,
         tickInterval: null,
         now: Date.now(),
+        
+        // Live updates (global SSE stream; full polling only while disconnected)
+        liveEventsController: null,
+        liveEventsConnected: false,
+        liveReconnectTimer: null,
+        liveReconnectAttempts: 0,
 
         // -------------------------------------------------------------------
         // --- Initialization & Persistence ----------------------------------
@@ -161,7 +400,7 @@ document.addEventListener('alpine:init', () => {
                 mermaid.initialize({
                     startOnLoad: false,
                     theme: window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'default',
-                    securityLevel: 'loose'
+                    securityLevel: 'strict'
                 });
             }
             
@@ -587,7 +826,10 @@ document.addEventListener('alpine:init', () => {
             localStorage.removeItem('hivecrew_api_key');
             this.stopAutoRefresh();
             this.stopPairingPoll();
+            this.stopProviderAuthPoll();
             this.tasks = [];
+            this.tasksNextCursor = null;
+            this.clearTaskSelection();
             this.scheduledTasks = [];
             this.providers = [];
             this.pairingCode = null;
@@ -656,23 +898,42 @@ document.addEventListener('alpine:init', () => {
                 this.loadProviders(),
                 this.loadSystemStatus(),
                 this.loadSkills(),
-                this.loadProvisioning()
+                this.loadProvisioning(),
+                this.loadTemplates(),
+                this.loadMCPServers(),
+                this.loadCredentials(),
+                this.loadAccessGrants()
             ]);
         },
         
+        /// Reload the list from the top, paging through the cursor until as many tasks are
+        /// loaded as are already shown, so refreshes don't undo scrolling
         async loadTasks() {
+            const requestId = ++this.tasksRequestId;
+            const wanted = Math.max(this.taskPageSize, this.tasks.length);
             this.loading = true;
             try {
-                let url = '/api/v1/tasks?limit=100&sort=createdAt&order=desc';
-                if (this.statusFilter) {
-                    url += `&status=${this.statusFilter}`;
-                }
+                const tasks = [];
+                const knownIds = new Set();
+                let cursor = null;
+                let data = null;
+                do {
+                    const limit = Math.min(200, wanted - tasks.length);
+                    const response = await this.apiFetch(`/api/v1/tasks?${this.taskListQuery(limit, cursor)}`);
+                    if (!response.ok || requestId !== this.tasksRequestId) return;
+                    data = await response.json();
+                    for (const task of data.tasks || []) {
+                        if (knownIds.has(task.id)) continue;
+                        knownIds.add(task.id);
+                        tasks.push(task);
+                    }
+                    cursor = data.nextCursor || null;
+                } while (cursor && tasks.length < wanted);
                 
-                const response = await this.apiFetch(url);
-                if (response.ok) {
-                    const data = await response.json();
-                    this.tasks = data.tasks || [];
-                }
+                if (requestId !== this.tasksRequestId) return;
+                this.tasks = tasks;
+                this.tasksTotal = data.total || 0;
+                this.tasksNextCursor = cursor;
             } catch (error) {
                 console.error('Failed to load tasks:', error);
             } finally {
@@ -680,6 +941,126 @@ document.addEventListener('alpine:init', () => {
             }
         },
         
+        /// Start over from the first page after the filters change
+        async reloadTasks() {
+            this.tasks = [];
+            this.tasksNextCursor = null;
+            this.clearTaskSelection();
+            await this.loadTasks();
+        },
+        
+        async loadMoreTasks() {
+            if (!this.tasksNextCursor || this.tasksLoadingMore || this.loading) return;
+            const requestId = this.tasksRequestId;
+            this.tasksLoadingMore = true;
+            try {
+                const response = await this.apiFetch(`/api/v1/tasks?${this.taskListQuery(this.taskPageSize, this.tasksNextCursor)}`);
+                if (response.ok && requestId === this.tasksRequestId) {
+                    const data = await response.json();
+                    const knownIds = new Set(this.tasks.map(t => t.id));
+                    this.tasks = [...this.tasks, ...(data.tasks || []).filter(t => !knownIds.has(t.id))];
+                    this.tasksTotal = data.total || 0;
+                    this.tasksNextCursor = data.nextCursor || null;
+                }
+            } catch (error) {
+                console.error('Failed to load more tasks:', error);
+            } finally {
+                this.tasksLoadingMore = false;
+            }
+        },
+        
+        /** @private Query string for /api/v1/tasks with the current search and filters */
+        taskListQuery(limit, cursor = null) {
+            const params = [`limit=${limit}`, 'sort=createdAt', 'order=desc'];
+            const add = (name, value) => {
+                if (value) params.push(`${name}=${encodeURIComponent(value)}`);
+            };
+            add('status', this.statusFilter);
+            add('q', this.searchQuery.trim());
+            add('createdAfter', this.taskFilters.createdAfter);
+            add('createdBefore', this.taskFilters.createdBefore);
+            add('modelId', this.taskFilters.modelId.trim());
+            add('provider', this.taskFilters.provider);
+            add('success', this.taskFilters.success);
+            add('archived', this.taskFilters.archived);
+            add('cursor', cursor);
+            return params.join('&');
+        },
+        
+        /// Load the next page when the sentinel below the task list scrolls into view
+        observeTaskListEnd(el) {
+            this.taskListObserver?.disconnect();
+            this.taskListObserver = new IntersectionObserver(entries => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.loadMoreTasks();
+                }
+            }, { rootMargin: '400px' });
+            this.taskListObserver.observe(el);
+        },
+        
+        get hasTaskSearchFilters() {
+            return Boolean(this.searchQuery.trim()) || Object.values(this.taskFilters).some(Boolean);
+        },
+        
+        get activeTaskFilterCount() {
+            return Object.values(this.taskFilters).filter(Boolean).length;
+        },
+        
+        defaultTaskFilters() {
+            return { createdAfter: '', createdBefore: '', modelId: '', provider: '', success: '', archived: '' };
+        },
+        
+        clearTaskFilters() {
+            this.searchQuery = '';
+            this.statusFilter = '';
+            this.taskFilters = this.defaultTaskFilters();
+            this.reloadTasks();
+        },
+        
+        saveTaskFilter() {
+            const name = this.savedTaskFilterName.trim();
+            if (!name) return;
+            const filter = {
+                name,
+                searchQuery: this.searchQuery,
+                statusFilter: this.statusFilter,
+                taskFilters: { ...this.taskFilters }
+            };
+            this.savedTaskFilters = [
+                ...this.savedTaskFilters.filter(f => f.name.toLowerCase() !== name.toLowerCase()),
+                filter
+            ];
+            localStorage.setItem('hivecrew_saved_task_filters', JSON.stringify(this.savedTaskFilters));
+            this.savedTaskFilterName = '';
+            this.showToast(`Saved filter "${name}"`, 'success');
+        },
+        
+        applyTaskFilter(name) {
+            const filter = this.savedTaskFilters.find(f => f.name === name);
+            if (!filter) return;
+            this.searchQuery = filter.searchQuery || '';
+            this.statusFilter = filter.statusFilter || '';
+            this.taskFilters = { ...this.defaultTaskFilters(), ...filter.taskFilters };
+            this.reloadTasks();
+        },
+        
+        deleteTaskFilter(name) {
+            this.savedTaskFilters = this.savedTaskFilters.filter(f => f.name !== name);
+            localStorage.setItem('hivecrew_saved_task_filters', JSON.stringify(this.savedTaskFilters));
+        },
+        
+        /// Split a search snippet into plain and matched segments for highlighting
+        highlightSegments(text) {
+            const terms = this.searchQuery.trim().split(/\s+/).filter(Boolean)
+                .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            if (!text || terms.length === 0) return [{ text: text || '', match: false }];
+            const pattern = new RegExp(`(${terms.join('|')})`, 'gi');
+            // Splitting on a capturing group alternates unmatched and matched parts
+            return text.split(pattern)
+                .map((part, index) => ({ text: part, match: index % 2 === 1 }))
+                .filter(segment => segment.text);
+        },
+        
         async checkPendingAlerts() {
             const runningTasks = this.tasks.filter(t => 
                 ['running', 'queued', 'waiting_for_vm'].includes(t.status)
@@ -788,20 +1169,43 @@ document.addEventListener('alpine:init', () => {
             this.pendingAlerts = this.pendingAlerts.filter(a => a.id !== alert.id);
         },
         
-        get filteredTasks() {
-            if (!this.searchQuery.trim()) return this.tasks;
-            const q = this.searchQuery.toLowerCase();
-            return this.tasks.filter(t =>
-                (t.title && t.title.toLowerCase().includes(q)) ||
-                (t.modelId && t.modelId.toLowerCase().includes(q))
-            );
+        /// Loaded tasks with runs of the same batch gathered under their first (newest) position
+        get taskListItems() {
+            const items = [];
+            const batches = new Map();
+            for (const task of this.tasks) {
+                if (!task.batchId) {
+                    items.push({ key: task.id, batchId: null, tasks: [task] });
+                } else if (batches.has(task.batchId)) {
+                    batches.get(task.batchId).tasks.push(task);
+                } else {
+                    const item = { key: `batch-${task.batchId}`, batchId: task.batchId, tasks: [task] };
+                    batches.set(task.batchId, item);
+                    items.push(item);
+                }
+            }
+            return items;
         },
         
+        batchGroupLabel(tasks) {
+            const modelCount = new Set(tasks.map(t => t.modelId)).size;
+            return `${tasks.length} run${tasks.length === 1 ? '' : 's'} · ${modelCount} model${modelCount === 1 ? '' : 's'}`;
+        },
+        
+        get contextPackMatchingName() {
+            const name = this.contextPackName.trim().toLowerCase();
+            if (!name) return null;
+            return this.contextPacks.find(pack => pack.name.toLowerCase() === name) || null;
+        },
+
         get filteredModels() {
-            const orderedOptions = this.orderedQuickModelOptions();
-            if (!this.modelSearchQuery.trim()) return orderedOptions;
-            const q = this.modelSearchQuery.toLowerCase();
-            return orderedOptions.filter(m =>
+            return this.filterModelOptions(this.orderedQuickModelOptions(), this.modelSearchQuery);
+        },
+
+        filterModelOptions(options, query) {
+            if (!query.trim()) return options;
+            const q = query.toLowerCase();
+            return options.filter(m =>
                 m.id.toLowerCase().includes(q)
                 || m.name.toLowerCase().includes(q)
                 || m.providerDisplayName.toLowerCase().includes(q)
@@ -1248,7 +1652,8 @@ document.addEventListener('alpine:init', () => {
                 const response = await this.apiFetch('/api/v1/skills');
                 if (response.ok) {
                     const data = await response.json();
-                    this.skills = (data.skills || []).filter(s => s.isEnabled);
+                    this.skillLibrary = data.skills || [];
+                    this.skills = this.skillLibrary.filter(s => s.isEnabled);
                 }
             } catch (error) {
                 console.error('Failed to load skills:', error);
@@ -1262,6 +1667,8 @@ document.addEventListener('alpine:init', () => {
                     const data = await response.json();
                     this.provisioningEnvVars = data.environmentVariables || [];
                     this.provisioningFiles = data.injectedFiles || [];
+                    this.provisioningSetupCommands = data.setupCommands || [];
+                    this.provisioningCommandsDraft = [...this.provisioningSetupCommands];
                 }
             } catch (error) {
                 console.error('Failed to load provisioning:', error);
@@ -1297,6 +1704,12 @@ document.addEventListener('alpine:init', () => {
                             } else {
                                 text += mentionName;
                             }
+                        } else if (mentionType === 'task') {
+                            // Same wording the macOS prompt bar uses for task references
+                            text += 'Continue from previous task "' + mentionName + '"';
+                        } else if (mentionType === 'credential') {
+                            // The agent looks credentials up by name with get_login_credentials
+                            text += 'the "' + mentionName + '" login credentials';
                         } else {
                             text += '@' + mentionName;
                         }
@@ -1324,6 +1737,18 @@ document.addEventListener('alpine:init', () => {
             const current = new Set();
             chips.forEach(c => current.add(c.getAttribute('data-mention')));
             this.mentionedSkills = [...current];
+
+            // Same for task references
+            const taskIds = new Set();
+            el.querySelectorAll('[data-mention-type="task"]').forEach(c => taskIds.add(c.getAttribute('data-task-id')));
+            this.referencedTaskIds = [...taskIds];
+            if (this.continuationSourceTaskId && !taskIds.has(this.continuationSourceTaskId)) {
+                this.continuationSourceTaskId = null;
+            }
+
+            const credentialIds = new Set();
+            el.querySelectorAll('[data-mention-type="credential"]').forEach(c => credentialIds.add(c.getAttribute('data-credential-id')));
+            this.mentionedCredentialIds = [...credentialIds];
         },
 
         /**
@@ -1332,6 +1757,7 @@ document.addEventListener('alpine:init', () => {
          */
         handlePromptInput(event) {
             this.syncPromptText();
+            this.scheduleContextSuggestions();
 
             const sel = window.getSelection();
             if (!sel.rangeCount) { this.showMentionDropdown = false; return; }
@@ -1369,6 +1795,7 @@ document.addEventListener('alpine:init', () => {
                 this.computeMentionSuggestions(query);
                 this.showMentionDropdown = this.mentionSuggestions.length > 0;
                 this.mentionSelectedIndex = 0;
+                this.scheduleMentionTaskSearch(query);
             } else {
                 this.showMentionDropdown = false;
                 this.mentionQuery = null;
@@ -1404,6 +1831,16 @@ document.addEventListener('alpine:init', () => {
                 }
             }
 
+            // Add previous tasks (finished only, most recent first) once the search for this query returns
+            const taskSuggestions = [];
+            const matchingTasks = this.mentionTaskQuery === query ? this.mentionTaskResults : [];
+            for (const task of matchingTasks) {
+                if (this.isActiveStatus(task.status) || this.isPlanReviewStatus(task.status)) continue;
+                if (this.referencedTaskIds.includes(task.id)) continue;
+                taskSuggestions.push(this.taskMentionItem(task));
+            }
+            suggestions.push(...taskSuggestions.slice(0, 5));
+
             // Add environment variables
             for (const envVar of this.provisioningEnvVars) {
                 if (!query || envVar.key.toLowerCase().includes(query)) {
@@ -1431,9 +1868,64 @@ document.addEventListener('alpine:init', () => {
                 }
             }
 
+            // Add stored credentials (by name and username; secrets are never loaded)
+            for (const credential of this.credentials) {
+                if (this.mentionedCredentialIds.includes(credential.id)) continue;
+                const name = credential.displayName.toLowerCase();
+                const username = (credential.username || '').toLowerCase();
+                if (!query || name.includes(query) || username.includes(query)) {
+                    suggestions.push({
+                        type: 'credential',
+                        name: credential.displayName,
+                        description: credential.username || 'No username',
+                        display: credential.displayName,
+                        credentialId: credential.id
+                    });
+                }
+            }
+
             this.mentionSuggestions = suggestions.slice(0, 10);
         },
 
+        scheduleMentionTaskSearch(query) {
+            clearTimeout(this.mentionTaskTimer);
+            this.mentionTaskTimer = setTimeout(() => this.fetchMentionTasks(query), 250);
+        },
+
+        /// Search all tasks, not just the loaded page, for @ mention suggestions
+        async fetchMentionTasks(query) {
+            const requestId = ++this.mentionTaskRequestId;
+            const params = ['limit=20', 'sort=createdAt', 'order=desc'];
+            if (query) params.push(`q=${encodeURIComponent(query)}`);
+            try {
+                const response = await this.apiFetch(`/api/v1/tasks?${params.join('&')}`);
+                if (!response.ok) return;
+                const data = await response.json();
+                // A newer search superseded this one while it was in flight
+                if (requestId !== this.mentionTaskRequestId) return;
+                this.mentionTaskResults = data.tasks || [];
+                this.mentionTaskQuery = query;
+                if (this.mentionQuery === query) {
+                    this.computeMentionSuggestions(query);
+                    this.showMentionDropdown = this.mentionSuggestions.length > 0;
+                    this.mentionSelectedIndex = Math.min(this.mentionSelectedIndex, Math.max(this.mentionSuggestions.length - 1, 0));
+                }
+            } catch (error) {
+                console.error('Failed to search tasks for mentions:', error);
+            }
+        },
+
+        /// Mention suggestion for a previous task
+        taskMentionItem(task) {
+            return {
+                type: 'task',
+                name: task.title,
+                description: `${this.formatStatus(task.status)} · ${this.formatDate(task.completedAt || task.createdAt)}`,
+                display: task.title,
+                taskId: task.id
+            };
+        },
+
         handlePromptKeydown(event) {
             if (!this.showMentionDropdown) return;
 
@@ -1472,6 +1964,8 @@ document.addEventListener('alpine:init', () => {
             // Store extra data for resolution
             if (extraData) {
                 if (extraData.guestPath) chip.setAttribute('data-guest-path', extraData.guestPath);
+                if (extraData.taskId) chip.setAttribute('data-task-id', extraData.taskId);
+                if (extraData.credentialId) chip.setAttribute('data-credential-id', extraData.credentialId);
             }
 
             if (type === 'skill') {
@@ -1487,6 +1981,27 @@ document.addEventListener('alpine:init', () => {
                     '<line x1="12" y1="19" x2="20" y2="19"></line>' +
                     '</svg>' +
                     '<span>$' + name + '</span>';
+            } else if (type === 'task') {
+                // Task titles are user content, so the label is set as text
+                chip.innerHTML =
+                    '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="11" height="11">' +
+                    '<polyline points="15 10 20 15 15 20"></polyline>' +
+                    '<path d="M4 4v7a4 4 0 0 0 4 4h12"></path>' +
+                    '</svg>';
+                const label = document.createElement('span');
+                label.textContent = name;
+                chip.appendChild(label);
+            } else if (type === 'credential') {
+                // Credential names are user content too
+                chip.innerHTML =
+                    '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="11" height="11">' +
+                    '<circle cx="7.5" cy="15.5" r="5.5"></circle>' +
+                    '<path d="M21 2l-9.6 9.6"></path>' +
+                    '<path d="M15.5 7.5l3 3L22 7l-3-3"></path>' +
+                    '</svg>';
+                const label = document.createElement('span');
+                label.textContent = name;
+                chip.appendChild(label);
             } else if (type === 'injectedfile') {
                 chip.innerHTML =
                     '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="11" height="11">' +
@@ -1526,6 +2041,8 @@ document.addEventListener('alpine:init', () => {
             // Create mention chip with extra data
             const extraData = {};
             if (item.guestPath) extraData.guestPath = item.guestPath;
+            if (item.taskId) extraData.taskId = item.taskId;
+            if (item.credentialId) extraData.credentialId = item.credentialId;
             const chip = this._createMentionChip(item.type, item.name, extraData);
 
             // Replace textNode content: set to "before", insert chip + space after
@@ -1539,6 +2056,12 @@ document.addEventListener('alpine:init', () => {
             if (item.type === 'skill' && !this.mentionedSkills.includes(item.name)) {
                 this.mentionedSkills.push(item.name);
             }
+            if (item.type === 'task' && !this.referencedTaskIds.includes(item.taskId)) {
+                this.referencedTaskIds.push(item.taskId);
+            }
+            if (item.type === 'credential' && !this.mentionedCredentialIds.includes(item.credentialId)) {
+                this.mentionedCredentialIds.push(item.credentialId);
+            }
 
             // Close dropdown
             this.showMentionDropdown = false;
@@ -1566,6 +2089,47 @@ document.addEventListener('alpine:init', () => {
             if (el) el.innerHTML = '';
             this.quickTaskDescription = '';
             this.mentionedSkills = [];
+            this.referencedTaskIds = [];
+            this.mentionedCredentialIds = [];
+            this.continuationSourceTaskId = null;
+            this.clearContext();
+        },
+
+        /**
+         * Start a follow-up: add the task as a reference chip at the end of
+         * the prompt and mark it as the continuation source.
+         */
+        continueFromTask(task) {
+            if (!task) return;
+            this.closeTaskDetail();
+            this.view = 'tasks';
+
+            this.$nextTick(() => {
+                const el = this.$refs.promptTextarea;
+                if (!el) return;
+
+                if (!this.referencedTaskIds.includes(task.id)) {
+                    const item = this.taskMentionItem(task);
+                    const chip = this._createMentionChip('task', item.name, { taskId: task.id });
+                    const text = el.textContent;
+                    if (text && !/\s$/.test(text)) {
+                        el.appendChild(document.createTextNode(' '));
+                    }
+                    el.appendChild(chip);
+                    el.appendChild(document.createTextNode('\u00A0'));
+                }
+                this.syncPromptText();
+                this.continuationSourceTaskId = task.id;
+
+                // Cursor at the end, ready to type the follow-up
+                el.focus();
+                const range = document.createRange();
+                range.selectNodeContents(el);
+                range.collapse(false);
+                const sel = window.getSelection();
+                sel.removeAllRanges();
+                sel.addRange(range);
+            });
         },
 
         async loadScheduledTasks() {
@@ -1683,28 +2247,44 @@ document.addEventListener('alpine:init', () => {
                 this.now = Date.now();
             }, 1000);
             
+            // Task list, alerts and system status arrive over the live stream
+            this.startLiveEvents();
+            
             // Recursive setTimeout for adaptive API refresh
             this.scheduleRefresh();
         },
         
         scheduleRefresh() {
-            const delay = this.hasActiveTasks() ? 3000 : 15000;
+            const live = this.liveEventsConnected;
+            let delay = live
+                ? (this.isActiveStatus(this.selectedTask?.status) ? 3000 : 30000)
+                : (this.hasActiveTasks() ? 3000 : 15000);
             this.refreshTimer = setTimeout(async () => {
-                await this.loadSystemStatus();
+                // While the live stream is up, only the open task detail still needs polling
+                const live = this.liveEventsConnected;
+                if (!live) {
+                    await this.loadSystemStatus();
+                }
                 if (this.view === 'tasks') {
-                    await this.loadTasks();
+                    if (!live) {
+                        await this.loadTasks();
+                    }
                     if (this.selectedTask) {
                         await this.refreshSelectedTask();
                     }
                     // Check for pending questions/permissions on running tasks
-                    if (!this.selectedTask && this.hasActiveTasks()) {
+                    if (!live && !this.selectedTask && this.hasActiveTasks()) {
                         await this.checkPendingAlerts();
                     }
+                } else if (this.view === 'queue') {
+                    await this.loadQueue();
                 } else if (this.view === 'scheduled') {
                     await this.loadScheduledTasks();
                     if (this.selectedSchedule) {
                         await this.refreshSelectedSchedule();
                     }
+                } else if (this.view === 'mcp') {
+                    await this.loadMCPServers();
                 }
                 // Schedule next refresh (re-evaluates delay based on current state)
                 this.scheduleRefresh();
@@ -1718,9 +2298,14 @@ document.addEventListener('alpine:init', () => {
                 if (response.ok) {
                     const wasActive = this.isActiveStatus(this.selectedTask?.status);
                     const oldPlan = this.selectedTask?.planMarkdown;
+                    const oldFileCount = this.taskFileCount(this.selectedTask);
                     this.selectedTask = await response.json();
                     const isActive = this.isActiveStatus(this.selectedTask?.status);
                     
+                    if (this.taskFileCount(this.selectedTask) !== oldFileCount) {
+                        await this.loadTaskFiles(this.selectedTask.id);
+                    }
+                    
                     // Sync plan markdown if not actively editing
                     if (!this.planEditing) {
                         this.editedPlanMarkdown = this.selectedTask?.planMarkdown || '';
@@ -1729,11 +2314,14 @@ document.addEventListener('alpine:init', () => {
                     // Start/stop screenshot polling and event stream on status change
                     if (!wasActive && isActive) {
                         this.startScreenshotPolling();
-                        this.startEventStream(this.selectedTask.id);
                     } else if (wasActive && !isActive) {
                         this.stopScreenshotPolling();
                         this.stopEventStream();
                     }
+                    // Queued tasks have nothing to stream; open the stream once the task runs
+                    if (this.selectedTask?.status === 'running' && this.eventStreamTaskId !== this.selectedTask.id) {
+                        this.startEventStream(this.selectedTask.id);
+                    }
                     
                     // Re-render Mermaid if plan changed
                     if (this.selectedTask?.planMarkdown && this.selectedTask.planMarkdown !== oldPlan) {
@@ -1769,6 +2357,135 @@ document.addEventListener('alpine:init', () => {
                 clearInterval(this.tickInterval);
                 this.tickInterval = null;
             }
+            this.stopLiveEvents();
+        },
+        
+        // -------------------------------------------------------------------
+        // --- Live Updates (SSE) --------------------------------------------
+        // -------------------------------------------------------------------
+        
+        startLiveEvents() {
+            this.stopLiveEvents();
+            this.connectLiveEvents();
+        },
+        
+        /// Open /api/v1/events and apply each event as a patch; reconnects with backoff
+        async connectLiveEvents() {
+            const controller = new AbortController();
+            this.liveEventsController = controller;
+            let openedAt = 0;
+            let receivedEvent = false;
+            
+            try {
+                const response = await this.apiFetch('/api/v1/events', {
+                    headers: { 'Accept': 'text/event-stream' },
+                    signal: controller.signal
+                });
+                if (!response.ok || !response.body) {
+                    throw new Error(`Live event stream returned ${response.status}`);
+                }
+                this.liveEventsConnected = true;
+                openedAt = Date.now();
+                
+                // The stream only carries changes from now on, so resync what may have
+                // been missed. Pending alerts are re-announced by the server on connect.
+                this.pendingAlerts = [];
+                this.loadTasks();
+                this.loadSystemStatus();
+                
+                await this.readSSEStream(response.body, event => {
+                    receivedEvent = true;
+                    this.applyLiveEvent(event);
+                    return false;
+                });
+            } catch (error) {
+                if (controller.signal.aborted || error.message === 'Unauthorized') return;
+                console.log('[Hivecrew] Live event stream error:', error.message);
+            }
+            
+            if (controller.signal.aborted) return;
+            this.liveEventsController = null;
+            this.liveEventsConnected = false;
+            
+            // A server that accepts and then closes at once keeps backing off
+            if (this.eventStreamWasHealthy(openedAt, receivedEvent)) {
+                this.liveReconnectAttempts = 0;
+            }
+            const delay = Math.min(1000 * 2 ** this.liveReconnectAttempts, 30000);
+            this.liveReconnectAttempts++;
+            this.liveReconnectTimer = setTimeout(() => {
+                this.liveReconnectTimer = null;
+                this.connectLiveEvents();
+            }, delay);
+        },
+        
+        stopLiveEvents() {
+            if (this.liveEventsController) {
+                this.liveEventsController.abort();
+                this.liveEventsController = null;
+            }
+            if (this.liveReconnectTimer) {
+                clearTimeout(this.liveReconnectTimer);
+                this.liveReconnectTimer = null;
+            }
+            this.liveEventsConnected = false;
+            this.liveReconnectAttempts = 0;
+        },
+        
+        /** @private Patch tasks, pendingAlerts or systemStatus from one live event */
+        applyLiveEvent(event) {
+            const isSelected = this.selectedTask && this.selectedTask.id === event.taskId;
+            
+            switch (event.type) {
+                case 'task_updated':
+                    if (event.task) this.patchTask(event.task);
+                    if (isSelected) this.refreshSelectedTask();
+                    break;
+                    
+                case 'task_deleted':
+                    this.tasks = this.tasks.filter(t => t.id !== event.taskId);
+                    this.pendingAlerts = this.pendingAlerts.filter(a => a.task.id !== event.taskId);
+                    break;
+                    
+                case 'question':
+                case 'permission':
+                    if (event.taskDetail
+                        && !this.pendingAlertDismissed.has(event.alertId)
+                        && !this.pendingAlerts.some(a => a.id === event.alertId)) {
+                        this.pendingAlerts.push({
+                            type: event.type,
+                            task: event.taskDetail,
+                            id: event.alertId
+                        });
+                    }
+                    if (isSelected) this.refreshSelectedTask();
+                    break;
+                    
+                case 'alert_resolved':
+                    this.pendingAlerts = this.pendingAlerts.filter(a => a.id !== event.alertId);
+                    if (isSelected) this.refreshSelectedTask();
+                    break;
+                    
+                case 'system_status':
+                    if (event.systemStatus) this.systemStatus = event.systemStatus;
+                    break;
+            }
+        },
+        
+        /** @private Insert, update or drop a task summary according to the current status filter */
+        patchTask(summary) {
+            const index = this.tasks.findIndex(t => t.id === summary.id);
+            const matchesFilter = (!this.statusFilter || this.statusFilter.split(',').includes(summary.status))
+                && Boolean(summary.isArchived) === (this.taskFilters.archived === 'true');
+            
+            if (index === -1) {
+                // Only the server can tell whether a new task matches a search, so leave it to the next refresh
+                if (matchesFilter && !this.hasTaskSearchFilters) this.tasks.unshift(summary);
+            } else if (!matchesFilter) {
+                this.tasks.splice(index, 1);
+            } else {
+                this.tasks.splice(index, 1, { ...this.tasks[index], ...summary });
+            }
         },
         
         hasActiveTasks() {
@@ -1859,7 +2576,7 @@ document.addEventListener('alpine:init', () => {
             }
 
             if (!this.providers.length) {
-                this.showToast('No providers configured. Add one in the Hivecrew app.', 'error');
+                this.showToast('No providers configured. Add one under Providers.', 'error');
                 return;
             }
 
@@ -1867,8 +2584,10 @@ document.addEventListener('alpine:init', () => {
             
             try {
                 let response;
+                const outputDirectory = this.quickOutputDirectory.trim();
                 const payload = {
                     description,
+                    priority: this.quickPriority,
                     planFirst: this.quickPlanFirst,
                     targets: executionTargets.map(target => ({
                         providerId: target.providerId,
@@ -1881,17 +2600,64 @@ document.addEventListener('alpine:init', () => {
                 if (this.mentionedSkills.length > 0) {
                     payload.mentionedSkillNames = this.mentionedSkills;
                 }
+                if (this.referencedTaskIds.length > 0) {
+                    payload.referencedTaskIds = this.referencedTaskIds;
+                }
+                if (this.continuationSourceTaskId) {
+                    payload.continuationSourceTaskId = this.continuationSourceTaskId;
+                }
+                if (this.contextSelected.length > 0) {
+                    payload.contextSuggestionIds = this.contextSelected.map(item => item.suggestion.id);
+                    payload.contextModeOverrides = Object.fromEntries(
+                        this.contextSelected.map(item => [item.suggestion.id, item.mode])
+                    );
+                }
+                const templateId = this.resolvedTemplateId(this.quickTemplateId);
+                if (templateId) {
+                    payload.templateId = templateId;
+                }
+                if (this.quickMCPServerIds) {
+                    payload.mcpServerIds = this.quickMCPServerIds;
+                }
+                // Prompt-bar tasks only get the credentials mentioned with @
+                payload.credentialIds = this.mentionedCredentialIds;
+                if (outputDirectory) {
+                    payload.outputDirectory = outputDirectory;
+                }
 
                 if (this.quickFiles.length > 0) {
                     const formData = new FormData();
                     formData.append('description', description);
                     formData.append('targets', JSON.stringify(payload.targets));
+                    formData.append('priority', this.quickPriority);
+                    if (outputDirectory) {
+                        formData.append('outputDirectory', outputDirectory);
+                    }
                     if (this.quickPlanFirst) {
                         formData.append('planFirst', 'true');
                     }
                     for (const skillName of this.mentionedSkills) {
                         formData.append('mentionedSkillNames', skillName);
                     }
+                    for (const taskId of this.referencedTaskIds) {
+                        formData.append('referencedTaskIds', taskId);
+                    }
+                    if (this.continuationSourceTaskId) {
+                        formData.append('continuationSourceTaskId', this.continuationSourceTaskId);
+                    }
+                    if (payload.contextSuggestionIds) {
+                        for (const suggestionId of payload.contextSuggestionIds) {
+                            formData.append('contextSuggestionIds', suggestionId);
+                        }
+                        formData.append('contextModeOverrides', JSON.stringify(payload.contextModeOverrides));
+                    }
+                    if (templateId) {
+                        formData.append('templateId', templateId);
+                    }
+                    if (payload.mcpServerIds) {
+                        formData.append('mcpServerIds', JSON.stringify(payload.mcpServerIds));
+                    }
+                    formData.append('credentialIds', JSON.stringify(payload.credentialIds));
                     for (const file of this.quickFiles) {
                         formData.append('files', file);
                     }
@@ -1916,6 +2682,10 @@ document.addEventListener('alpine:init', () => {
                 const modelCount = executionTargets.length;
                 this.clearPrompt();
                 this.quickFiles = [];
+                this.quickPriority = 'normal';
+                this.quickMCPServerIds = null;
+                this.quickOutputDirectory = '';
+                this.quickOutputDirectoryOpen = false;
                 if (!this.quickUseMultipleModels) {
                     this.quickCopyCount = 1;
                     this.saveQuickCopyCount();
@@ -1936,77 +2706,253 @@ document.addEventListener('alpine:init', () => {
         },
 
         // -------------------------------------------------------------------
-        // --- Task Create Modal ---------------------------------------------
+        // --- Context Suggestions -------------------------------------------
         // -------------------------------------------------------------------
 
-        openCreateModal() {
-            this.showCreateModal = true;
-            this.isScheduling = false;
-            this.createError = '';
-            this.creating = false;
-            this.resetNewTask();
-        },
-        
-        openScheduleModal() {
-            this.showCreateModal = true;
-            this.isScheduling = true;
-            this.createError = '';
-            this.creating = false;
-            this.resetNewTask();
-        },
-        
-        closeCreateModal() {
-            this.showCreateModal = false;
-            this.isScheduling = false;
-            this.createError = '';
-            this.creating = false;
-        },
-        
-        async handleFileSelect(event) {
-            const allFiles = Array.from(event.target.files);
-            const files = await this.filterOutFolders(allFiles);
-            if (files.length < allFiles.length) {
-                this.showToast('Folders cannot be uploaded — please select individual files', 'error');
+        toggleContextDrawer() {
+            this.contextDrawerOpen = !this.contextDrawerOpen;
+            if (!this.contextDrawerOpen) return;
+            if (!this.contextPacksLoaded) {
+                this.loadContextPacks();
             }
-            this.newTask.files = files;
+            this.fetchContextSuggestions();
         },
-        
-        removeFile(index) {
-            this.newTask.files.splice(index, 1);
-            // Update file input to reflect changes
-            const fileInput = document.getElementById('task-files-input');
-            if (fileInput) fileInput.value = '';
+
+        /// Debounced refresh while typing (only when the drawer is open)
+        scheduleContextSuggestions() {
+            if (!this.contextDrawerOpen) return;
+            clearTimeout(this.contextSuggestTimer);
+            this.contextSuggestTimer = setTimeout(() => this.fetchContextSuggestions(), 500);
         },
-        
-        async filterOutFolders(files) {
-            const validFiles = [];
-            for (const file of files) {
-                // Folders typically have size 0 and no type; verify by attempting to read
-                if (file.size === 0 && !file.type) {
-                    continue; // Almost certainly a folder entry
+
+        async fetchContextSuggestions() {
+            clearTimeout(this.contextSuggestTimer);
+            const requestId = ++this.contextRequestId;
+            const query = this.getPromptText().trim();
+            if (!query) {
+                this.contextSuggestions = [];
+                this.contextError = null;
+                this.contextLoading = false;
+                return;
+            }
+
+            this.contextLoading = true;
+            try {
+                const response = await this.apiFetch('/api/v1/context/suggestions', {
+                    method: 'POST',
+                    body: JSON.stringify({ query })
+                });
+                const data = await response.json();
+                // A newer request superseded this one while it was in flight
+                if (requestId !== this.contextRequestId) return;
+                if (!response.ok) {
+                    throw new Error(data.error?.message || 'Failed to load suggestions');
                 }
-                try {
-                    // Attempt to read the first byte — this fails for directory entries
-                    await file.slice(0, 1).arrayBuffer();
-                    validFiles.push(file);
-                } catch {
-                    // Reading failed — this is a folder, skip it
+
+                const hidden = new Set([
+                    ...this.contextRejectedIds,
+                    ...this.contextSelected.map(item => item.suggestion.id)
+                ]);
+                this.contextSuggestions = (data.suggestions || []).filter(s => !hidden.has(s.id));
+                this.contextError = null;
+            } catch (error) {
+                if (requestId !== this.contextRequestId) return;
+                this.contextSuggestions = [];
+                this.contextError = error.message;
+            } finally {
+                if (requestId === this.contextRequestId) {
+                    this.contextLoading = false;
                 }
             }
-            return validFiles;
         },
-        
-        resetNewTask() {
-            const tomorrow = new Date();
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            
-            // Restore persisted selections or use defaults
-            const savedProviderId = localStorage.getItem('hivecrew_provider_id');
-            const savedModelId = localStorage.getItem('hivecrew_model_id');
-            
-            const defaultProviderId = (savedProviderId && this.providers.some(p => p.id === savedProviderId))
-                ? savedProviderId
-                : (this.providers.find(p => p.isDefault)?.id || '');
+
+        acceptContextSuggestion(suggestion) {
+            if (this.contextSelected.some(item => item.suggestion.id === suggestion.id)) return;
+            this.contextSelected.push({ suggestion, mode: suggestion.defaultMode || 'structuredSummary' });
+            this.contextSuggestions = this.contextSuggestions.filter(s => s.id !== suggestion.id);
+        },
+
+        /// Hide a suggestion for the rest of this prompt
+        rejectContextSuggestion(suggestion) {
+            this.contextRejectedIds.push(suggestion.id);
+            this.contextSuggestions = this.contextSuggestions.filter(s => s.id !== suggestion.id);
+        },
+
+        removeContextItem(suggestionId) {
+            const item = this.contextSelected.find(i => i.suggestion.id === suggestionId);
+            if (!item) return;
+            this.contextSelected = this.contextSelected.filter(i => i.suggestion.id !== suggestionId);
+            if (this.quickTaskDescription.trim()) {
+                this.contextSuggestions = [item.suggestion, ...this.contextSuggestions];
+            }
+        },
+
+        setContextMode(suggestionId, mode) {
+            const item = this.contextSelected.find(i => i.suggestion.id === suggestionId);
+            if (item) item.mode = mode;
+        },
+
+        contextModeLabel(mode) {
+            return {
+                fileRef: 'Attach File',
+                inlineSnippet: 'Inline Snippet',
+                structuredSummary: 'Structured Summary'
+            }[mode] || mode;
+        },
+
+        /// Reset after a task is created
+        clearContext() {
+            clearTimeout(this.contextSuggestTimer);
+            this.contextRequestId++;
+            this.contextSuggestions = [];
+            this.contextSelected = [];
+            this.contextRejectedIds = [];
+            this.contextError = null;
+            this.contextLoading = false;
+            this.contextPackName = '';
+        },
+
+        async loadContextPacks() {
+            try {
+                const response = await this.apiFetch('/api/v1/context/packs');
+                if (response.ok) {
+                    const data = await response.json();
+                    this.contextPacks = data.packs || [];
+                    this.contextPacksLoaded = true;
+                }
+            } catch (error) {
+                console.error('Failed to load context packs:', error);
+            }
+        },
+
+        async saveContextPack() {
+            const name = this.contextPackName.trim();
+            if (!name || this.contextSelected.length === 0) return;
+
+            try {
+                const response = await this.apiFetch('/api/v1/context/packs', {
+                    method: 'POST',
+                    body: JSON.stringify({
+                        name,
+                        items: this.contextSelected.map(item => ({ suggestion: item.suggestion, mode: item.mode }))
+                    })
+                });
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error?.message || 'Failed to save context pack');
+                }
+
+                this.contextPacks = [data, ...this.contextPacks.filter(pack => pack.id !== data.id)];
+                this.contextPackName = '';
+                this.showToast(`Saved context pack "${data.name}"`, 'success');
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            }
+        },
+
+        /// Add a saved pack's items to the prompt, keeping modes already chosen for the same items
+        applyContextPack(packId) {
+            const pack = this.contextPacks.find(p => p.id === packId);
+            if (!pack) return;
+
+            for (const item of pack.items) {
+                if (this.contextSelected.some(i => i.suggestion.id === item.suggestion.id)) continue;
+                this.contextSelected.push({ suggestion: item.suggestion, mode: item.mode });
+            }
+            const selectedIds = new Set(this.contextSelected.map(i => i.suggestion.id));
+            this.contextSuggestions = this.contextSuggestions.filter(s => !selectedIds.has(s.id));
+            this.contextPackName = pack.name;
+        },
+
+        async deleteContextPack(pack) {
+            if (!confirm(`Delete context pack "${pack.name}"?`)) return;
+
+            try {
+                const response = await this.apiFetch(`/api/v1/context/packs/${pack.id}`, { method: 'DELETE' });
+                if (!response.ok) {
+                    const data = await response.json();
+                    throw new Error(data.error?.message || 'Failed to delete context pack');
+                }
+
+                this.contextPacks = this.contextPacks.filter(p => p.id !== pack.id);
+                this.showToast('Context pack deleted', 'success');
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            }
+        },
+
+        // -------------------------------------------------------------------
+        // --- Task Create Modal ---------------------------------------------
+        // -------------------------------------------------------------------
+
+        openCreateModal() {
+            this.showCreateModal = true;
+            this.isScheduling = false;
+            this.createError = '';
+            this.creating = false;
+            this.resetNewTask();
+        },
+        
+        openScheduleModal() {
+            this.showCreateModal = true;
+            this.isScheduling = true;
+            this.createError = '';
+            this.creating = false;
+            this.resetNewTask();
+        },
+        
+        closeCreateModal() {
+            this.showCreateModal = false;
+            this.isScheduling = false;
+            this.createError = '';
+            this.creating = false;
+        },
+        
+        async handleFileSelect(event) {
+            const allFiles = Array.from(event.target.files);
+            const files = await this.filterOutFolders(allFiles);
+            if (files.length < allFiles.length) {
+                this.showToast('Folders cannot be uploaded — please select individual files', 'error');
+            }
+            this.newTask.files = files;
+        },
+        
+        removeFile(index) {
+            this.newTask.files.splice(index, 1);
+            // Update file input to reflect changes
+            const fileInput = document.getElementById('task-files-input');
+            if (fileInput) fileInput.value = '';
+        },
+        
+        async filterOutFolders(files) {
+            const validFiles = [];
+            for (const file of files) {
+                // Folders typically have size 0 and no type; verify by attempting to read
+                if (file.size === 0 && !file.type) {
+                    continue; // Almost certainly a folder entry
+                }
+                try {
+                    // Attempt to read the first byte — this fails for directory entries
+                    await file.slice(0, 1).arrayBuffer();
+                    validFiles.push(file);
+                } catch {
+                    // Reading failed — this is a folder, skip it
+                }
+            }
+            return validFiles;
+        },
+        
+        resetNewTask() {
+            const tomorrow = new Date();
+            tomorrow.setDate(tomorrow.getDate() + 1);
+            
+            // Restore persisted selections or use defaults
+            const savedProviderId = localStorage.getItem('hivecrew_provider_id');
+            const savedModelId = localStorage.getItem('hivecrew_model_id');
+            
+            const defaultProviderId = (savedProviderId && this.providers.some(p => p.id === savedProviderId))
+                ? savedProviderId
+                : (this.providers.find(p => p.isDefault)?.id || '');
             
             this.newTask = {
                 title: '',
@@ -2015,6 +2961,15 @@ document.addEventListener('alpine:init', () => {
                 modelId: savedModelId || '',
                 reasoningEnabled: null,
                 reasoningEffort: null,
+                templateId: this.resolvedTemplateId(this.quickTemplateId) || '',
+                mcpServerIds: null,
+                provisioningEnvironment: [],
+                provisioningSetupCommandsText: null,
+                provisioningFileIds: null,
+                credentialIds: [],
+                accessGrantIds: [],
+                priority: 'normal',
+                outputDirectory: '',
                 planFirst: false,
                 isRecurring: false,
                 scheduleDate: tomorrow.toISOString().split('T')[0],
@@ -2105,6 +3060,7 @@ document.addEventListener('alpine:init', () => {
                 schedule.scheduledAt = scheduledAt.toISOString();
             }
             
+            const templateId = this.resolvedTemplateId(this.newTask.templateId);
             let response;
             
             if (this.newTask.files.length > 0) {
@@ -2119,6 +3075,10 @@ document.addEventListener('alpine:init', () => {
                 if (this.newTask.reasoningEffort) {
                     formData.append('reasoningEffort', this.newTask.reasoningEffort);
                 }
+                if (templateId) {
+                    formData.append('templateId', templateId);
+                }
+                formData.append('credentialIds', JSON.stringify(this.newTask.credentialIds));
                 formData.append('schedule', JSON.stringify(schedule));
                 
                 for (const file of this.newTask.files) {
@@ -2137,6 +3097,8 @@ document.addEventListener('alpine:init', () => {
                     modelId: this.newTask.modelId,
                     reasoningEnabled: this.newTask.reasoningEnabled,
                     reasoningEffort: this.newTask.reasoningEffort,
+                    templateId: templateId,
+                    credentialIds: this.newTask.credentialIds,
                     schedule: schedule
                 };
                 
@@ -2167,6 +3129,13 @@ document.addEventListener('alpine:init', () => {
                 modelId: this.newTask.modelId,
                 reasoningEnabled: this.newTask.reasoningEnabled,
                 reasoningEffort: this.newTask.reasoningEffort,
+                templateId: this.resolvedTemplateId(this.newTask.templateId),
+                mcpServerIds: this.newTask.mcpServerIds,
+                provisioning: this.taskProvisioningOverrides(this.newTask),
+                credentialIds: this.newTask.credentialIds,
+                accessGrantIds: this.newTask.accessGrantIds,
+                priority: this.newTask.priority || 'normal',
+                outputDirectory: this.newTask.outputDirectory.trim() || null,
                 planFirst: this.newTask.planFirst || false
             };
             
@@ -2187,6 +3156,21 @@ document.addEventListener('alpine:init', () => {
                 if (body.planFirst) {
                     formData.append('planFirst', 'true');
                 }
+                if (body.templateId) {
+                    formData.append('templateId', body.templateId);
+                }
+                if (body.mcpServerIds) {
+                    formData.append('mcpServerIds', JSON.stringify(body.mcpServerIds));
+                }
+                if (body.provisioning) {
+                    formData.append('provisioning', JSON.stringify(body.provisioning));
+                }
+                formData.append('credentialIds', JSON.stringify(body.credentialIds));
+                formData.append('accessGrantIds', JSON.stringify(body.accessGrantIds));
+                formData.append('priority', body.priority);
+                if (body.outputDirectory) {
+                    formData.append('outputDirectory', body.outputDirectory);
+                }
                 
                 for (const file of this.newTask.files) {
                     formData.append('files', file);
@@ -2219,6 +3203,138 @@ document.addEventListener('alpine:init', () => {
             await this.loadTasks();
         },
 
+        // -------------------------------------------------------------------
+        // --- Bulk Actions --------------------------------------------------
+        // -------------------------------------------------------------------
+
+        isTaskSelected(taskId) {
+            return this.selectedTaskIds.includes(taskId);
+        },
+
+        /// Toggle one task, or with Shift the whole range since the last toggled task
+        toggleTaskSelection(task, event) {
+            const select = !this.isTaskSelected(task.id);
+            let ids = [task.id];
+            if (event.shiftKey && this.lastSelectedTaskId) {
+                const order = this.taskListItems.flatMap(item => item.tasks.map(t => t.id));
+                const from = order.indexOf(this.lastSelectedTaskId);
+                const to = order.indexOf(task.id);
+                if (from !== -1 && to !== -1) {
+                    ids = order.slice(Math.min(from, to), Math.max(from, to) + 1);
+                }
+            }
+            const selected = new Set(this.selectedTaskIds);
+            for (const id of ids) {
+                if (select) {
+                    selected.add(id);
+                } else {
+                    selected.delete(id);
+                }
+            }
+            this.selectedTaskIds = [...selected];
+            this.lastSelectedTaskId = task.id;
+        },
+
+        clearTaskSelection() {
+            this.selectedTaskIds = [];
+            this.lastSelectedTaskId = null;
+        },
+
+        get allMatchingTasksSelected() {
+            return this.tasks.length > 0
+                && !this.tasksNextCursor
+                && this.tasks.every(t => this.selectedTaskIds.includes(t.id));
+        },
+
+        /// Select every task matching the current search and filters, including pages not loaded yet
+        async selectAllFilteredTasks() {
+            if (this.allMatchingTasksSelected) {
+                this.clearTaskSelection();
+                return;
+            }
+
+            const maxTasks = 500;
+            const ids = this.tasks.map(t => t.id);
+            let cursor = this.tasksNextCursor;
+            this.selectingAllTasks = true;
+            try {
+                while (cursor && ids.length < maxTasks) {
+                    const response = await this.apiFetch(`/api/v1/tasks?${this.taskListQuery(200, cursor)}`);
+                    if (!response.ok) break;
+                    const data = await response.json();
+                    ids.push(...(data.tasks || []).map(t => t.id));
+                    cursor = data.nextCursor || null;
+                }
+            } catch (error) {
+                console.error('Failed to load matching tasks:', error);
+            } finally {
+                this.selectingAllTasks = false;
+            }
+
+            this.selectedTaskIds = [...new Set(ids)].slice(0, maxTasks);
+            if (cursor || ids.length > maxTasks) {
+                this.showToast(`Selected the first ${maxTasks} matching tasks`, 'info');
+            }
+        },
+
+        async bulkTaskAction(action) {
+            const count = this.selectedTaskIds.length;
+            if (count === 0 || this.bulkActionLoading) return;
+
+            const noun = `${count} task${count === 1 ? '' : 's'}`;
+            if (action === 'delete' && !confirm(`Delete ${noun}? This cannot be undone.`)) return;
+            if (action === 'cancel' && !confirm(`Cancel ${noun}?`)) return;
+
+            this.bulkActionLoading = true;
+            try {
+                const response = await this.apiFetch('/api/v1/tasks/bulk', {
+                    method: 'POST',
+                    body: JSON.stringify({ action, taskIds: this.selectedTaskIds })
+                });
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error?.message || `Failed to ${this.bulkActionLabel(action).toLowerCase()} tasks`);
+                }
+
+                // Keep failed tasks selected so they can be retried
+                const failedIds = data.results.filter(r => !r.success).map(r => r.taskId);
+                this.selectedTaskIds = this.selectedTaskIds.filter(id => failedIds.includes(id));
+                if (action === 'delete' && this.selectedTask
+                    && data.results.some(r => r.success && r.taskId === this.selectedTask.id)) {
+                    this.closeTaskDetail();
+                }
+
+                if (data.failed === 0) {
+                    this.showToast(`${this.bulkActionLabel(action)}: ${data.succeeded} task${data.succeeded === 1 ? '' : 's'}`, 'success');
+                } else {
+                    this.bulkResult = data;
+                }
+                await this.loadTasks();
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.bulkActionLoading = false;
+            }
+        },
+
+        bulkActionLabel(action) {
+            const labels = {
+                'cancel': 'Cancel',
+                'pause': 'Pause',
+                'resume': 'Resume',
+                'rerun': 'Rerun',
+                'delete': 'Delete',
+                'archive': 'Archive',
+                'unarchive': 'Unarchive'
+            };
+            return labels[action] || action;
+        },
+
+        /// Title of a task in the bulk result summary, falling back to its ID once it is no longer listed
+        bulkResultTaskTitle(taskId) {
+            return this.tasks.find(t => t.id === taskId)?.title || taskId;
+        },
+
         // -------------------------------------------------------------------
         // --- Task Detail ---------------------------------------------------
         // -------------------------------------------------------------------
@@ -2243,12 +3359,28 @@ document.addEventListener('alpine:init', () => {
             // Start screenshot polling and event stream for active tasks
             if (this.isActiveStatus(this.selectedTask?.status)) {
                 this.startScreenshotPolling();
+            }
+            if (this.selectedTask?.status === 'running') {
                 this.startEventStream(this.selectedTask.id);
+            } else {
+                this.stopEventStream();
             }
 
             if (this.selectedTask?.status === 'writeback_review') {
                 await this.loadWritebackReview(this.selectedTask.id);
             }
+
+            if (this.selectedTask?.startedAt && !this.isActiveStatus(this.selectedTask.status)) {
+                await this.loadReplayExport(this.selectedTask.id);
+            }
+
+            this.taskFiles = null;
+            this.taskFileFilter = '';
+            this.taskFileSelection = {};
+            this.taskFileCollapsed = {};
+            if (this.taskFileCount(this.selectedTask) > 0) {
+                await this.loadTaskFiles(this.selectedTask.id);
+            }
             
             // Render Mermaid diagrams after DOM update
             if (this.selectedTask?.planMarkdown) {
@@ -2260,7 +3392,13 @@ document.addEventListener('alpine:init', () => {
         },
         
         closeTaskDetail() {
+            this.closeFilePreview();
+            this.closeTaskTrace();
+            this.stopReplayPoll();
+            this.replayExport = null;
             this.selectedTask = null;
+            this.taskFiles = null;
+            this.inboxDragging = false;
             this.writebackReview = null;
             this.stopScreenshotPolling();
             this.stopEventStream();
@@ -2283,6 +3421,7 @@ document.addEventListener('alpine:init', () => {
                 }
                 if (response.ok) {
                     this.writebackReview = await response.json();
+                    this.initWritebackReviewState();
                 }
             } catch (error) {
                 // Silently ignore review loading errors
@@ -2326,15 +3465,154 @@ document.addEventListener('alpine:init', () => {
         },
         
         // -------------------------------------------------------------------
-        // --- Event Stream (polling) ----------------------------------------
+        // --- Event Stream (SSE) --------------------------------------------
         // -------------------------------------------------------------------
         
         startEventStream(taskId) {
             this.stopEventStream();
-            this.taskEvents = [];
-            this.eventSince = 0;
+            this.eventStreamTaskId = taskId;
+            this.connectEventStream(taskId);
+        },
+        
+        /**
+         * Open the SSE stream for a task. EventSource cannot send an Authorization
+         * header, so the stream is read through fetch() and parsed by hand.
+         * `since` asks the server to skip activity entries already in `taskEvents`.
+         */
+        async connectEventStream(taskId) {
+            const controller = new AbortController();
+            this.eventStreamController = controller;
+            let finished = false;
+            let openedAt = 0;
+            let receivedEvent = false;
+            
+            try {
+                const response = await this.apiFetch(
+                    `/api/v1/tasks/${taskId}/events?since=${this.eventSince}`,
+                    { headers: { 'Accept': 'text/event-stream' }, signal: controller.signal }
+                );
+                if (!response.ok || !response.body) {
+                    throw new Error(`Event stream returned ${response.status}`);
+                }
+                openedAt = Date.now();
+                finished = await this.readSSEStream(response.body, event => {
+                    receivedEvent = true;
+                    return this.eventStreamTaskId === taskId && this.handleTaskStreamEvent(event);
+                });
+            } catch (error) {
+                if (controller.signal.aborted || error.message === 'Unauthorized') return;
+                console.log('[Hivecrew] Event stream error:', error.message);
+            }
+            
+            if (controller.signal.aborted || this.eventStreamTaskId !== taskId) return;
+            this.eventStreamController = null;
+            
+            if (finished) {
+                // Task reached a terminal state; pick up the final status right away
+                this.refreshSelectedTask();
+                return;
+            }
+            
+            // The server closes the stream at once for tasks that are not running yet.
+            // Stop here; refreshSelectedTask reopens it when the task starts running.
+            if (this.selectedTask?.id === taskId && this.selectedTask.status !== 'running') {
+                this.eventStreamTaskId = null;
+                this.eventReconnectAttempts = 0;
+                return;
+            }
+            
+            // Only a stream that delivered events or stayed open a while resets the backoff;
+            // errors and streams the server closed right away count toward the polling fallback.
+            if (this.eventStreamWasHealthy(openedAt, receivedEvent)) {
+                this.eventStreamFailures = 0;
+                this.eventReconnectAttempts = 0;
+            } else {
+                this.eventStreamFailures++;
+            }
+            
+            if (this.eventStreamFailures >= this.eventStreamMaxFailures) {
+                console.log('[Hivecrew] Event stream unavailable, falling back to polling');
+                this.startActivityPolling(taskId);
+                return;
+            }
+            
+            this.scheduleEventReconnect(taskId);
+        },
+        
+        /**
+         * @private Read an SSE body until it closes, passing each frame's parsed JSON
+         * data to `onEvent`. Stops early and returns true when `onEvent` returns true.
+         */
+        async readSSEStream(body, onEvent) {
+            const reader = body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) return false;
+                
+                buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+                let boundary;
+                while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                    const frame = buffer.slice(0, boundary);
+                    buffer = buffer.slice(boundary + 2);
+                    
+                    // Lines starting with ':' are comments (the server's connect heartbeat)
+                    const data = frame.split('\n')
+                        .filter(line => line.startsWith('data:'))
+                        .map(line => line.slice(5).replace(/^ /, ''))
+                        .join('\n');
+                    if (!data) continue;
+                    
+                    let payload;
+                    try {
+                        payload = JSON.parse(data);
+                    } catch (e) {
+                        continue;
+                    }
+                    if (onEvent(payload)) {
+                        reader.cancel().catch(() => {});
+                        return true;
+                    }
+                }
+            }
+        },
+        
+        /** @private Apply one task event. Returns true when it is the stream's terminal status event. */
+        handleTaskStreamEvent(event) {
+            // Activity entries carry an activityType; the closing status_change does not
+            if (!event.data?.activityType) {
+                return event.type === 'status_change';
+            }
+            
+            this.taskEvents.push(event);
+            this.eventSince++;
+            this.scrollEventLog();
+            return false;
+        },
+        
+        /** @private Whether a closed SSE stream delivered events or stayed open long enough to trust */
+        eventStreamWasHealthy(openedAt, receivedEvent) {
+            return receivedEvent || (openedAt > 0 && Date.now() - openedAt >= this.eventStreamHealthyMs);
+        },
+        
+        /** @private Reconnect with exponential backoff, gap-filling from /activity first */
+        scheduleEventReconnect(taskId) {
+            const delay = Math.min(1000 * 2 ** this.eventReconnectAttempts, 30000);
+            this.eventReconnectAttempts++;
             
-            // Poll immediately, then every second
+            this.eventReconnectTimer = setTimeout(async () => {
+                this.eventReconnectTimer = null;
+                if (this.eventStreamTaskId !== taskId) return;
+                await this.pollActivity(taskId);
+                if (this.eventStreamTaskId !== taskId) return;
+                this.connectEventStream(taskId);
+            }, delay);
+        },
+        
+        /** @private Poll /activity every second when SSE is unavailable */
+        startActivityPolling(taskId) {
             this.pollActivity(taskId);
             this.eventTimer = setInterval(() => {
                 this.pollActivity(taskId);
@@ -2346,16 +3624,12 @@ document.addEventListener('alpine:init', () => {
                 const response = await this.apiFetch(
                     `/api/v1/tasks/${taskId}/activity?since=${this.eventSince}`
                 );
-                if (response.ok) {
+                if (response.ok && this.eventStreamTaskId === taskId) {
                     const data = await response.json();
                     if (data.events && data.events.length > 0) {
                         this.taskEvents.push(...data.events);
                         this.eventSince = data.total;
-                        // Auto-scroll the event log
-                        this.$nextTick(() => {
-                            const log = document.querySelector('.event-log');
-                            if (log) log.scrollTop = log.scrollHeight;
-                        });
+                        this.scrollEventLog();
                     } else if (data.total !== undefined) {
                         this.eventSince = data.total;
                     }
@@ -2365,11 +3639,30 @@ document.addEventListener('alpine:init', () => {
             }
         },
         
+        /** @private Keep the event log pinned to the newest entry */
+        scrollEventLog() {
+            this.$nextTick(() => {
+                const log = document.querySelector('.event-log');
+                if (log) log.scrollTop = log.scrollHeight;
+            });
+        },
+        
         stopEventStream() {
+            if (this.eventStreamController) {
+                this.eventStreamController.abort();
+                this.eventStreamController = null;
+            }
+            if (this.eventReconnectTimer) {
+                clearTimeout(this.eventReconnectTimer);
+                this.eventReconnectTimer = null;
+            }
             if (this.eventTimer) {
                 clearInterval(this.eventTimer);
                 this.eventTimer = null;
             }
+            this.eventStreamTaskId = null;
+            this.eventReconnectAttempts = 0;
+            this.eventStreamFailures = 0;
             this.taskEvents = [];
             this.eventSince = 0;
         },
@@ -2384,15 +3677,32 @@ document.addEventListener('alpine:init', () => {
         // --- Markdown Rendering --------------------------------------------
         // -------------------------------------------------------------------
         
+        /**
+         * Render markdown for x-html. Plans, trace responses and output files are written
+         * by agents, so the HTML is sanitized before it reaches the page.
+         */
         renderMarkdown(md) {
-            if (!md || typeof marked === 'undefined') return md || '';
+            if (!md) return '';
+            if (typeof marked === 'undefined' || typeof DOMPurify === 'undefined') {
+                return this.escapeHTML(md);
+            }
             try {
-                return marked.parse(md);
+                return DOMPurify.sanitize(marked.parse(md));
             } catch (e) {
-                return md;
+                return this.escapeHTML(md);
             }
         },
         
+        /** @private Escape text for use as HTML */
+        escapeHTML(text) {
+            return String(text)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        },
+        
         async renderMermaidDiagrams(containerEl) {
             if (typeof mermaid === 'undefined' || !containerEl) return;
             const codeBlocks = containerEl.querySelectorAll('pre code.language-mermaid');
@@ -2437,13 +3747,13 @@ document.addEventListener('alpine:init', () => {
         // --- Task Actions --------------------------------------------------
         // -------------------------------------------------------------------
 
-        async performAction(action, instructions = null) {
+        async performAction(action, instructions = null, extraBody = {}) {
             if (!this.selectedTask) return;
             
             this.actionLoading = true;
             
             try {
-                const body = { action };
+                const body = { action, ...extraBody };
                 if (instructions) {
                     body.instructions = instructions;
                 }
@@ -2483,6 +3793,75 @@ document.addEventListener('alpine:init', () => {
             this.instructionsText = '';
             await this.performAction('instruct', text);
         },
+
+        canUploadToInbox() {
+            return ['running', 'paused'].includes(this.selectedTask?.status);
+        },
+
+        handleInboxDragOver(event) {
+            if (!this.canUploadToInbox() || !event.dataTransfer?.types?.includes('Files')) return;
+            event.preventDefault();
+            this.inboxDragging = true;
+        },
+
+        async handleInboxDrop(event) {
+            this.inboxDragging = false;
+            const dt = event.dataTransfer;
+            if (!this.canUploadToInbox() || !dt || !dt.files || dt.files.length === 0) return;
+
+            const files = await this.filterOutFolders(Array.from(dt.files));
+            if (files.length < dt.files.length) {
+                this.showToast('Folders cannot be uploaded — please select individual files', 'error');
+            }
+            if (files.length > 0) {
+                await this.uploadToTaskInbox(files);
+            }
+        },
+
+        async handleInboxFileSelect(event) {
+            const files = await this.filterOutFolders(Array.from(event.target.files));
+            event.target.value = '';
+            if (files.length > 0) {
+                await this.uploadToTaskInbox(files);
+            }
+        },
+
+        async uploadToTaskInbox(files) {
+            const task = this.selectedTask;
+            if (!task || this.inboxUploading) return;
+
+            this.inboxUploading = true;
+            try {
+                const formData = new FormData();
+                for (const file of files) {
+                    formData.append('files', file);
+                }
+                // Anything typed in the instructions field goes along as a note with the files
+                const message = this.instructionsText.trim();
+                if (message) {
+                    formData.append('message', message);
+                }
+
+                const response = await this.apiFetch(`/api/v1/tasks/${task.id}/inbox`, {
+                    method: 'POST',
+                    body: formData
+                });
+                if (!response.ok) {
+                    const error = await response.json().catch(() => ({}));
+                    throw new Error(error.error?.message || 'Failed to upload files');
+                }
+
+                const result = await response.json();
+                if (message) {
+                    this.instructionsText = '';
+                }
+                this.showToast(`Sent ${result.files.length} file(s) to the agent's inbox`, 'success');
+            } catch (error) {
+                this.showToast(`Upload failed: ${error.message}`, 'error');
+            } finally {
+                this.inboxUploading = false;
+            }
+        },
         
         async cancelTask() {
             if (!confirm('Are you sure you want to cancel this task?')) return;
@@ -2539,7 +3918,13 @@ document.addEventListener('alpine:init', () => {
         },
 
         async approveWriteback() {
-            await this.performAction('approve_writeback');
+            const items = (this.writebackReview?.items || [])
+                .filter(item => this.writebackItemApplies(item))
+                .map(item => ({
+                    id: item.id,
+                    conflictResolution: this.writebackDecisions[item.id] === 'saveAlongside' ? 'saveAlongside' : 'overwrite'
+                }));
+            await this.performAction('approve_writeback', null, { writebackItems: items });
         },
 
         async discardWriteback() {
@@ -2624,15 +4009,156 @@ document.addEventListener('alpine:init', () => {
             await this.respondToPermission(false);
         },
         
-        async rerunTask() {
-            if (!this.selectedTask) return;
-            
-            this.actionLoading = true;
-            
+        openRerunDialog() {
+            const task = this.selectedTask;
+            if (!task) return;
+
+            const provider = this.providers.find(candidate =>
+                candidate.id === task.providerName || candidate.displayName === task.providerName
+            );
+            const selections = [];
+            if (provider) {
+                const model = this.getQuickModelMetadata(provider.id, task.modelId);
+                // Custom model IDs have no metadata, so their reasoning settings are kept as they were
+                const reasoning = model
+                    ? this.resolveReasoningSelection(
+                        model.reasoningCapability || this.emptyReasoningCapability(),
+                        task.reasoningEnabled ?? null,
+                        task.reasoningEffort ?? null,
+                        true
+                    )
+                    : { reasoningEnabled: task.reasoningEnabled ?? null, reasoningEffort: task.reasoningEffort ?? null };
+                selections.push({ providerId: provider.id, modelId: task.modelId, copyCount: 1, ...reasoning });
+            }
+
+            this.rerunDialog = {
+                taskId: task.id,
+                originalDescription: task.description,
+                description: task.description,
+                inputFileCount: task.inputFiles?.length || 0,
+                keepInputFiles: true,
+                modelSearch: '',
+                selections
+            };
+        },
+
+        closeRerunDialog() {
+            if (this.rerunSubmitting) return;
+            this.rerunDialog = null;
+        },
+
+        get rerunModelOptions() {
+            if (!this.rerunDialog) return [];
+            const selections = this.rerunDialog.selections;
+            const selectedKeys = new Set(selections.map(selection =>
+                this.modelSelectionKey(selection.providerId, selection.modelId)
+            ));
+            // Selected models come first; a custom model ID that is not in the catalog still gets a row
+            const selectedOptions = selections.map(selection =>
+                this.getQuickModelOption(selection.providerId, selection.modelId) || {
+                    id: selection.modelId,
+                    name: selection.modelId,
+                    providerId: selection.providerId,
+                    providerDisplayName: this.providers.find(p => p.id === selection.providerId)?.displayName || selection.providerId,
+                    optionKey: this.modelSelectionKey(selection.providerId, selection.modelId),
+                    reasoningCapability: this.emptyReasoningCapability()
+                }
+            );
+            const unselectedOptions = this.quickModelOptions.filter(model =>
+                !selectedKeys.has(this.modelSelectionKey(model.providerId, model.id))
+            );
+            return this.filterModelOptions([...selectedOptions, ...unselectedOptions], this.rerunDialog.modelSearch);
+        },
+
+        get rerunTaskCount() {
+            return (this.rerunDialog?.selections || []).reduce((total, selection) =>
+                total + this.normalizeCopyCount(selection.copyCount), 0
+            );
+        },
+
+        get rerunDescriptionEdited() {
+            if (!this.rerunDialog) return false;
+            return this.rerunDialog.description.trim() !== this.rerunDialog.originalDescription.trim();
+        },
+
+        rerunSelection(model) {
+            return this.rerunDialog?.selections.find(selection =>
+                selection.providerId === model.providerId && selection.modelId === model.id
+            ) || null;
+        },
+
+        toggleRerunModel(model) {
+            const selections = this.rerunDialog.selections;
+            const index = selections.findIndex(selection =>
+                selection.providerId === model.providerId && selection.modelId === model.id
+            );
+            if (index >= 0) {
+                selections.splice(index, 1);
+                return;
+            }
+
+            const resolved = this.resolveReasoningSelection(
+                model.reasoningCapability || this.emptyReasoningCapability(),
+                null,
+                null
+            );
+            selections.push({
+                providerId: model.providerId,
+                modelId: model.id,
+                copyCount: 1,
+                reasoningEnabled: resolved.reasoningEnabled,
+                reasoningEffort: resolved.reasoningEffort
+            });
+        },
+
+        updateRerunCopyCount(model, value) {
+            const selection = this.rerunSelection(model);
+            if (!selection) return;
+            selection.copyCount = this.normalizeCopyCount(value);
+        },
+
+        updateRerunReasoning(model, updates) {
+            const selection = this.rerunSelection(model);
+            if (!selection) return;
+            const resolved = this.resolveReasoningSelection(
+                model.reasoningCapability || this.emptyReasoningCapability(),
+                updates.reasoningEnabled,
+                updates.reasoningEffort,
+                true
+            );
+            selection.reasoningEnabled = resolved.reasoningEnabled;
+            selection.reasoningEffort = resolved.reasoningEffort;
+        },
+
+        async submitRerun() {
+            const dialog = this.rerunDialog;
+            if (!dialog || this.rerunSubmitting) return;
+
+            const description = dialog.description.trim();
+            if (!description || dialog.selections.length === 0) return;
+
+            this.rerunSubmitting = true;
+            const taskCount = this.rerunTaskCount;
+
             try {
-                const response = await this.apiFetch(`/api/v1/tasks/${this.selectedTask.id}`, {
+                const body = {
+                    action: 'rerun',
+                    targets: dialog.selections.map(selection => ({
+                        providerId: selection.providerId,
+                        modelId: selection.modelId,
+                        copyCount: this.normalizeCopyCount(selection.copyCount),
+                        reasoningEnabled: selection.reasoningEnabled,
+                        reasoningEffort: selection.reasoningEffort
+                    })),
+                    keepInputFiles: dialog.keepInputFiles
+                };
+                if (this.rerunDescriptionEdited) {
+                    body.description = description;
+                }
+
+                const response = await this.apiFetch(`/api/v1/tasks/${dialog.taskId}`, {
                     method: 'PATCH',
-                    body: JSON.stringify({ action: 'rerun' })
+                    body: JSON.stringify(body)
                 });
                 
                 if (!response.ok) {
@@ -2640,14 +4166,15 @@ document.addEventListener('alpine:init', () => {
                     throw new Error(error.error?.message || 'Failed to rerun task');
                 }
                 
-                this.showToast('Task restarted', 'success');
+                this.showToast(taskCount > 1 ? `Started ${taskCount} reruns` : 'Task restarted', 'success');
+                this.rerunDialog = null;
                 this.closeTaskDetail();
                 await this.loadTasks();
                 
             } catch (error) {
                 this.showToast(error.message, 'error');
             } finally {
-                this.actionLoading = false;
+                this.rerunSubmitting = false;
             }
         },
         
@@ -2681,6 +4208,255 @@ document.addEventListener('alpine:init', () => {
             }
         },
 
+        // -------------------------------------------------------------------
+        // --- Writeback Review ----------------------------------------------
+        // -------------------------------------------------------------------
+
+        initWritebackReviewState() {
+            const decisions = {};
+            const diffLines = {};
+            for (const item of this.writebackReview?.items || []) {
+                // Conflicting items default to leaving the local file alone
+                decisions[item.id] = item.hasConflict ? 'keepLocal' : 'apply';
+                if (item.diffPreview) {
+                    diffLines[item.id] = this.parseUnifiedDiff(item.diffPreview);
+                } else if (item.stagedPreview) {
+                    // New files have no diff; show the staged content as added lines
+                    diffLines[item.id] = item.stagedPreview.split('\n').map((text, index) => ({
+                        type: 'add',
+                        oldNo: null,
+                        newNo: index + 1,
+                        text
+                    }));
+                } else {
+                    diffLines[item.id] = [];
+                }
+            }
+            this.writebackDecisions = decisions;
+            this.writebackDiffLines = diffLines;
+            this.writebackExpandedRegions = {};
+            this.writebackFullDiffIds = [];
+        },
+
+        setWritebackDecision(itemId, decision) {
+            this.writebackDecisions = { ...this.writebackDecisions, [itemId]: decision };
+        },
+
+        writebackItemApplies(item) {
+            return ['apply', 'overwrite', 'saveAlongside'].includes(this.writebackDecisions[item.id]);
+        },
+
+        get writebackApplyCount() {
+            return (this.writebackReview?.items || []).filter(item => this.writebackItemApplies(item)).length;
+        },
+
+        setWritebackDiffMode(mode) {
+            this.writebackDiffMode = mode;
+            localStorage.setItem('hivecrew_writeback_diff_mode', mode);
+        },
+
+        expandWritebackRegion(regionKey) {
+            this.writebackExpandedRegions = { ...this.writebackExpandedRegions, [regionKey]: true };
+        },
+
+        /**
+         * Load an item's diff with the whole file as context. `oldLine` is the first
+         * line of the gap that was clicked; the unchanged region holding it is opened.
+         */
+        async loadWritebackFullDiff(item, oldLine = null) {
+            try {
+                const response = await this.apiFetch(
+                    `/api/v1/tasks/${this.selectedTask.id}/writeback/${item.id}/diff`
+                );
+                if (!response.ok) {
+                    const error = await response.json().catch(() => ({}));
+                    throw new Error(error.error?.message || 'Failed to load the full diff');
+                }
+                const data = await response.json();
+                const lines = this.parseUnifiedDiff(data.diff);
+
+                // Region keys are line indexes, so the ones for the preview no longer apply
+                const expanded = Object.fromEntries(
+                    Object.entries(this.writebackExpandedRegions).filter(([key]) => !key.startsWith(`${item.id}:`))
+                );
+                const target = lines.findIndex(line => line.type === 'context' && line.oldNo === oldLine);
+                if (target >= 0) {
+                    let start = target;
+                    while (start > 0 && lines[start - 1].type === 'context') start--;
+                    expanded[`${item.id}:${start}`] = true;
+                }
+
+                this.writebackDiffLines = { ...this.writebackDiffLines, [item.id]: lines };
+                this.writebackExpandedRegions = expanded;
+                this.writebackFullDiffIds = [...this.writebackFullDiffIds, item.id];
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            }
+        },
+
+        parseUnifiedDiff(diffText) {
+            const lines = [];
+            let inHunk = false;
+            let oldNo = 0;
+            let newNo = 0;
+
+            for (const raw of diffText.split('\n')) {
+                const hunk = raw.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+                if (hunk) {
+                    // Unchanged lines the preview left out between hunks
+                    const nextOld = inHunk ? oldNo : 1;
+                    if (Number(hunk[1]) > nextOld) {
+                        lines.push({ type: 'gap', oldNo: nextOld, newNo: null, count: Number(hunk[1]) - nextOld, text: '' });
+                    }
+                    inHunk = true;
+                    oldNo = Number(hunk[1]);
+                    newNo = Number(hunk[2]);
+                    continue;
+                }
+                // Skip the file headers and "\ No newline at end of file" markers
+                if (!inHunk || raw.startsWith('\\')) continue;
+
+                const text = raw.slice(1);
+                if (raw.startsWith('+')) {
+                    lines.push({ type: 'add', oldNo: null, newNo: newNo++, text });
+                } else if (raw.startsWith('-')) {
+                    lines.push({ type: 'del', oldNo: oldNo++, newNo: null, text });
+                } else if (raw.startsWith(' ')) {
+                    lines.push({ type: 'context', oldNo: oldNo++, newNo: newNo++, text });
+                }
+            }
+            return lines;
+        },
+
+        writebackDiffBlocks(item) {
+            const lines = this.writebackDiffLines[item.id] || [];
+            const contextSize = 3;
+            const blocks = [];
+            const pushLine = index => blocks.push({ kind: 'line', key: `line-${index}`, line: lines[index] });
+
+            let index = 0;
+            while (index < lines.length) {
+                if (lines[index].type === 'gap') {
+                    blocks.push({ kind: 'collapsed', key: `gap-${index}`, gapStart: lines[index].oldNo, count: lines[index].count });
+                    index++;
+                    continue;
+                }
+                if (lines[index].type !== 'context') {
+                    pushLine(index++);
+                    continue;
+                }
+
+                let end = index;
+                while (end < lines.length && lines[end].type === 'context') end++;
+
+                // Keep a few lines of context next to each change and fold the rest
+                const keepBefore = index === 0 ? 0 : contextSize;
+                const keepAfter = end === lines.length ? 0 : contextSize;
+                const hiddenCount = end - index - keepBefore - keepAfter;
+                const regionKey = `${item.id}:${index}`;
+
+                if (hiddenCount > 1 && !this.writebackExpandedRegions[regionKey]) {
+                    for (let i = index; i < index + keepBefore; i++) pushLine(i);
+                    blocks.push({ kind: 'collapsed', key: `collapsed-${index}`, regionKey, count: hiddenCount });
+                    for (let i = end - keepAfter; i < end; i++) pushLine(i);
+                } else {
+                    for (let i = index; i < end; i++) pushLine(i);
+                }
+                index = end;
+            }
+            return blocks;
+        },
+
+        writebackSplitRows(item) {
+            const blocks = this.writebackDiffBlocks(item);
+            const rows = [];
+
+            let index = 0;
+            while (index < blocks.length) {
+                const block = blocks[index];
+                if (block.kind === 'collapsed') {
+                    rows.push(block);
+                    index++;
+                    continue;
+                }
+                if (block.line.type === 'context') {
+                    rows.push({ kind: 'pair', key: block.key, left: block.line, right: block.line });
+                    index++;
+                    continue;
+                }
+
+                // Pair a run of deletions with the additions that follow it
+                const deletions = [];
+                const additions = [];
+                while (index < blocks.length && blocks[index].kind === 'line' && blocks[index].line.type === 'del') {
+                    deletions.push(blocks[index++]);
+                }
+                while (index < blocks.length && blocks[index].kind === 'line' && blocks[index].line.type === 'add') {
+                    additions.push(blocks[index++]);
+                }
+                for (let i = 0; i < Math.max(deletions.length, additions.length); i++) {
+                    rows.push({
+                        kind: 'pair',
+                        key: (deletions[i] || additions[i]).key,
+                        left: deletions[i]?.line || null,
+                        right: additions[i]?.line || null
+                    });
+                }
+            }
+            return rows;
+        },
+
+        writebackLanguage(item) {
+            return this.codeLanguage(item.destinationPath.split('/').pop());
+        },
+
+        // Highlighting family for a file name: c, hash, sql, data, or null for plain text
+        codeLanguage(fileName) {
+            const extension = (fileName.split('.').pop() || '').toLowerCase();
+            const languages = {
+                js: 'c', jsx: 'c', ts: 'c', tsx: 'c', swift: 'c', go: 'c', rs: 'c', java: 'c', kt: 'c', css: 'c',
+                c: 'c', h: 'c', cpp: 'c', hpp: 'c', cs: 'c', php: 'c',
+                py: 'hash', rb: 'hash', sh: 'hash', zsh: 'hash', bash: 'hash', yaml: 'hash', yml: 'hash', toml: 'hash',
+                sql: 'sql',
+                json: 'data'
+            };
+            return languages[extension] || null;
+        },
+
+        highlightCode(text, language) {
+            const escape = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            if (!language) return escape(text);
+
+            const comments = { c: '\\/\\/.*$', hash: '#.*$', sql: '--.*$', data: '(?!)' };
+            const keywords = new Set((
+                language === 'sql'
+                    ? 'select from where and or not insert into values update set delete create table drop alter join left right inner outer on group by order having limit as null is in like distinct union'
+                    : 'as async await break case catch class const continue def default defer do elif else enum export extends false fi fn for from func function guard if impl import in interface let match mut nil none null private protected pub public return self static struct super switch then this throw throws true try type use val var void while with yield'
+            ).split(' '));
+            const pattern = new RegExp(
+                `(?<comment>${comments[language]})`
+                + '|(?<string>"(?:[^"\\\\]|\\\\.)*"?|\'(?:[^\'\\\\]|\\\\.)*\'?|`[^`]*`?)'
+                + '|(?<number>\\b\\d+(?:\\.\\d+)?\\b)'
+                + '|(?<word>\\b[A-Za-z_$][\\w$]*\\b)',
+                'g'
+            );
+
+            let html = '';
+            let lastIndex = 0;
+            for (const match of text.matchAll(pattern)) {
+                const token = match[0];
+                const kind = match.groups.comment !== undefined ? 'comment'
+                    : match.groups.string !== undefined ? 'string'
+                    : match.groups.number !== undefined ? 'number'
+                    : keywords.has(language === 'sql' ? token.toLowerCase() : token) ? 'keyword'
+                    : null;
+                html += escape(text.slice(lastIndex, match.index));
+                html += kind ? `<span class="syntax-${kind}">${escape(token)}</span>` : escape(token);
+                lastIndex = match.index + token.length;
+            }
+            return html + escape(text.slice(lastIndex));
+        },
+
         // -------------------------------------------------------------------
         // --- Schedule Actions ----------------------------------------------
         // -------------------------------------------------------------------
@@ -2776,52 +4552,2608 @@ document.addEventListener('alpine:init', () => {
         },
 
         // -------------------------------------------------------------------
-        // --- File Downloads ------------------------------------------------
+        // --- Providers -----------------------------------------------------
         // -------------------------------------------------------------------
-
-        async downloadFile(taskId, filename, isInput = false) {
+        
+        formatBackendMode(mode) {
+            const option = this.providerBackendModes.find(m => m.value === mode);
+            return option ? option.label : mode;
+        },
+        
+        /// Short auth summary for a provider card
+        providerAuthLabel(provider) {
+            if (provider.backendMode === 'codex_oauth') {
+                // While a sign-in is being polled, its status is fresher than the list
+                const polled = this.providerAuthPollId === provider.id ? this.providerAuth[provider.id]?.status : null;
+                const state = polled || provider.authState || 'unauthenticated';
+                return {
+                    unauthenticated: 'Not signed in',
+                    pending: 'Waiting for sign-in…',
+                    authenticated: 'Signed in with ChatGPT',
+                    failed: 'Sign-in failed'
+                }[state] || state;
+            }
+            return provider.hasAPIKey ? 'API key set' : 'No API key';
+        },
+        
+        async openProviderModal(provider = null) {
+            this.providerError = '';
+            this.providerSaving = false;
+            this.providerForm = {
+                id: null,
+                displayName: '',
+                backendMode: 'responses',
+                originalBackendMode: null,
+                baseURL: '',
+                organizationId: '',
+                apiKey: '',
+                clearAPIKey: false,
+                hasAPIKey: false,
+                timeoutInterval: 120,
+                isDefault: this.providers.length === 0
+            };
+            
+            if (provider) {
+                // The list only carries summaries; fetch org ID and timeout for editing
+                try {
+                    const response = await this.apiFetch(`/api/v1/providers/${provider.id}`);
+                    if (!response.ok) {
+                        const error = await response.json();
+                        throw new Error(error.error?.message || 'Failed to load provider');
+                    }
+                    const detail = await response.json();
+                    this.providerForm = {
+                        ...this.providerForm,
+                        id: detail.id,
+                        displayName: detail.displayName,
+                        backendMode: detail.backendMode,
+                        originalBackendMode: detail.backendMode,
+                        baseURL: detail.backendMode === 'codex_oauth' ? '' : (detail.baseURL || ''),
+                        organizationId: detail.organizationId || '',
+                        hasAPIKey: detail.hasAPIKey,
+                        timeoutInterval: detail.timeoutInterval,
+                        isDefault: detail.isDefault
+                    };
+                } catch (error) {
+                    this.showToast(error.message, 'error');
+                    return;
+                }
+            }
+            
+            this.showProviderModal = true;
+        },
+        
+        closeProviderModal() {
+            this.showProviderModal = false;
+            this.providerError = '';
+            this.providerSaving = false;
+        },
+        
+        async saveProvider() {
+            const form = this.providerForm;
+            const displayName = form.displayName.trim();
+            if (!displayName) {
+                this.providerError = 'Please enter a name for this provider';
+                return;
+            }
+            
+            const isCodex = form.backendMode === 'codex_oauth';
+            const timeout = Number.parseFloat(form.timeoutInterval);
+            const body = { displayName };
+            if (Number.isFinite(timeout) && timeout > 0) {
+                body.timeoutInterval = timeout;
+            }
+            
+            if (!form.id) {
+                body.backendMode = form.backendMode;
+                body.isDefault = form.isDefault;
+                if (!isCodex) {
+                    body.authMode = 'api_key';
+                    if (form.baseURL.trim()) body.baseURL = form.baseURL.trim();
+                    if (form.organizationId.trim()) body.organizationId = form.organizationId.trim();
+                    if (form.apiKey.trim()) body.apiKey = form.apiKey.trim();
+                }
+            } else {
+                // Sending backendMode always resets OAuth state on the server, so only send it on change
+                if (form.backendMode !== form.originalBackendMode) {
+                    body.backendMode = form.backendMode;
+                    if (!isCodex) body.authMode = 'api_key';
+                }
+                if (form.isDefault) body.isDefault = true;
+                if (!isCodex) {
+                    if (form.baseURL.trim()) {
+                        body.baseURL = form.baseURL.trim();
+                    } else {
+                        body.clearBaseURL = true;
+                    }
+                    if (form.organizationId.trim()) {
+                        body.organizationId = form.organizationId.trim();
+                    } else {
+                        body.clearOrganizationId = true;
+                    }
+                    if (form.apiKey.trim()) {
+                        body.apiKey = form.apiKey.trim();
+                    } else if (form.clearAPIKey) {
+                        body.clearAPIKey = true;
+                    }
+                }
+            }
+            
+            this.providerSaving = true;
+            this.providerError = '';
+            
             try {
-                const typeParam = isInput ? '?type=input' : '';
                 const response = await this.apiFetch(
-                    `/api/v1/tasks/${taskId}/files/${encodeURIComponent(filename)}${typeParam}`
+                    form.id ? `/api/v1/providers/${form.id}` : '/api/v1/providers',
+                    {
+                        method: form.id ? 'PATCH' : 'POST',
+                        body: JSON.stringify(body)
+                    }
                 );
                 
                 if (!response.ok) {
-                    throw new Error('Failed to download file');
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to save provider');
                 }
                 
-                // Get the blob from the response
-                const blob = await response.blob();
-                
-                // Create a download link and trigger it
-                const url = window.URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = filename;
-                document.body.appendChild(a);
-                a.click();
+                const saved = await response.json();
+                this.closeProviderModal();
                 
-                // Cleanup
-                window.URL.revokeObjectURL(url);
-                document.body.removeChild(a);
+                if (saved.backendMode === 'codex_oauth' && saved.authState !== 'authenticated') {
+                    this.showToast('Provider saved — sign in with ChatGPT to use it', 'success');
+                } else {
+                    this.showToast(form.id ? 'Provider updated' : 'Provider added', 'success');
+                }
+                await this.loadProviders();
                 
             } catch (error) {
-                this.showToast(`Download failed: ${error.message}`, 'error');
+                this.providerError = error.message;
+            } finally {
+                this.providerSaving = false;
             }
         },
-
-        // -------------------------------------------------------------------
-        // --- Toast Notifications -------------------------------------------
-        // -------------------------------------------------------------------
-
-        showToast(message, type = 'info') {
-            const id = ++this.toastId;
-            this.toasts.push({ id, message, type, visible: true });
+        
+        async setDefaultProvider(provider) {
+            this.actionLoading = true;
             
-            // Auto-remove after 4 seconds
-            setTimeout(() => {
-                this.removeToast(id);
-            }, 4000);
+            try {
+                const response = await this.apiFetch(`/api/v1/providers/${provider.id}`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({ isDefault: true })
+                });
+                
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to set default provider');
+                }
+                
+                this.showToast(`${provider.displayName} is now the default provider`, 'success');
+                await this.loadProviders();
+                
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.actionLoading = false;
+            }
+        },
+        
+        async deleteProvider(provider) {
+            if (!confirm(`Delete provider "${provider.displayName}"? Its stored API key or ChatGPT sign-in will be removed.`)) {
+                return;
+            }
+            
+            this.actionLoading = true;
+            
+            try {
+                const response = await this.apiFetch(`/api/v1/providers/${provider.id}`, {
+                    method: 'DELETE'
+                });
+                
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to delete provider');
+                }
+                
+                if (this.providerAuthPollId === provider.id) {
+                    this.stopProviderAuthPoll();
+                }
+                delete this.providerAuth[provider.id];
+                this.showToast('Provider deleted', 'success');
+                await this.loadProviders();
+                
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.actionLoading = false;
+            }
+        },
+        
+        /// Start the ChatGPT sign-in flow and poll until it settles
+        async startProviderAuth(provider) {
+            this.actionLoading = true;
+            
+            try {
+                const response = await this.apiFetch(`/api/v1/providers/${provider.id}/auth/start`, {
+                    method: 'POST'
+                });
+                
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to start sign-in');
+                }
+                
+                const data = await response.json();
+                this.providerAuth = { ...this.providerAuth, [provider.id]: data };
+                if (data.authURL) {
+                    window.open(data.authURL, '_blank', 'noopener');
+                }
+                this.pollProviderAuth(provider.id);
+                
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.actionLoading = false;
+            }
+        },
+        
+        pollProviderAuth(providerId) {
+            this.stopProviderAuthPoll();
+            this.providerAuthPollId = providerId;
+            
+            this.providerAuthPollTimer = setInterval(async () => {
+                try {
+                    const response = await this.apiFetch(`/api/v1/providers/${providerId}/auth/status`);
+                    if (!response.ok) return;
+                    
+                    const data = await response.json();
+                    this.providerAuth = { ...this.providerAuth, [providerId]: data };
+                    
+                    if (data.status !== 'pending') {
+                        this.stopProviderAuthPoll();
+                        if (data.status === 'authenticated') {
+                            this.showToast('Signed in with ChatGPT', 'success');
+                        } else {
+                            this.showToast(data.message || 'ChatGPT sign-in did not complete', 'error');
+                        }
+                        await this.loadProviders();
+                    }
+                } catch (error) {
+                    console.error('[Hivecrew] Provider auth poll error:', error);
+                }
+            }, 2000);
+        },
+        
+        stopProviderAuthPoll() {
+            if (this.providerAuthPollTimer) {
+                clearInterval(this.providerAuthPollTimer);
+                this.providerAuthPollTimer = null;
+            }
+            this.providerAuthPollId = null;
+        },
+        
+        async logoutProviderAuth(provider) {
+            if (!confirm(`Sign out of ChatGPT for "${provider.displayName}"?`)) {
+                return;
+            }
+            
+            this.actionLoading = true;
+            
+            try {
+                const response = await this.apiFetch(`/api/v1/providers/${provider.id}/auth/logout`, {
+                    method: 'POST'
+                });
+                
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to sign out');
+                }
+                
+                if (this.providerAuthPollId === provider.id) {
+                    this.stopProviderAuthPoll();
+                }
+                this.showToast('Signed out', 'success');
+                await this.loadProviders();
+                
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.actionLoading = false;
+            }
+        },
+
+        // -------------------------------------------------------------------
+        // --- Session Trace -------------------------------------------------
+        // -------------------------------------------------------------------
+
+        get currentTraceStep() {
+            return this.trace?.steps?.[this.traceStepIndex] || null;
+        },
+        
+        async openTaskTrace() {
+            const task = this.selectedTask;
+            if (!task) return;
+            
+            this.showTraceModal = true;
+            this.trace = null;
+            this.traceError = '';
+            this.traceStepIndex = 0;
+            this.traceLoading = true;
+            
+            try {
+                const response = await this.apiFetch(`/api/v1/tasks/${task.id}/trace`);
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to load trace');
+                }
+                const trace = await response.json();
+                // The modal may have been closed while the trace loaded
+                if (!this.showTraceModal || this.selectedTask?.id !== task.id) return;
+                this.trace = trace;
+                this.selectTraceStep(0);
+            } catch (error) {
+                this.traceError = error.message;
+            } finally {
+                this.traceLoading = false;
+            }
+        },
+        
+        closeTaskTrace() {
+            this.showTraceModal = false;
+            this.trace = null;
+            this.traceError = '';
+            Object.values(this.traceScreenshotUrls).forEach(url => URL.revokeObjectURL(url));
+            this.traceScreenshotUrls = {};
+        },
+        
+        selectTraceStep(index) {
+            const steps = this.trace?.steps || [];
+            if (index < 0 || index >= steps.length) return;
+            this.traceStepIndex = index;
+            this.loadTraceScreenshot(steps[index]);
+            // Prefetch the next screenshot so stepping forward feels instant
+            if (steps[index + 1]) this.loadTraceScreenshot(steps[index + 1]);
+        },
+        
+        /// Fetch a step screenshot as a blob URL (img tags can't send the auth header)
+        async loadTraceScreenshot(step) {
+            const filename = step?.screenshot;
+            if (!filename || this.traceScreenshotUrls[filename] || !this.trace) return;
+            const taskId = this.trace.taskId;
+            
+            try {
+                const response = await this.apiFetch(
+                    `/api/v1/tasks/${taskId}/trace/screenshots/${encodeURIComponent(filename)}`
+                );
+                if (!response.ok) return;
+                const blob = await response.blob();
+                if (this.trace?.taskId !== taskId) return;
+                this.traceScreenshotUrls = { ...this.traceScreenshotUrls, [filename]: URL.createObjectURL(blob) };
+            } catch (error) {
+                // Missing screenshots just show the placeholder
+            }
+        },
+        
+        traceStepSummary(step) {
+            if (step.errors.length > 0) return step.errors[0].message;
+            if (step.toolCalls.length > 0) return step.toolCalls.map(call => call.toolName).join(', ');
+            if (step.responseText) return step.responseText;
+            if (step.interventions.length > 0) return step.interventions[0];
+            return step.screenshot ? 'Observation' : 'Step';
+        },
+        
+        traceStepHasFailure(step) {
+            return step.errors.length > 0 || step.toolCalls.some(call => call.success === false);
+        },
+        
+        /// Pretty-print tool call arguments when they are valid JSON
+        formatTraceArguments(argumentsJSON) {
+            try {
+                return JSON.stringify(JSON.parse(argumentsJSON), null, 2);
+            } catch (error) {
+                return argumentsJSON;
+            }
+        },
+        
+        formatTokenCount(count) {
+            return (count || 0).toLocaleString();
+        },
+
+        // -------------------------------------------------------------------
+        // --- Replay Export -------------------------------------------------
+        // -------------------------------------------------------------------
+
+        /// Load the latest replay export for a task (none yet is not an error)
+        async loadReplayExport(taskId) {
+            this.stopReplayPoll();
+            this.replayExport = null;
+            try {
+                const response = await this.apiFetch(`/api/v1/tasks/${taskId}/replay`);
+                if (!response.ok) return;
+                const replay = await response.json();
+                if (this.selectedTask?.id !== taskId) return;
+                this.replayExport = replay;
+                if (replay.status === 'running') {
+                    this.pollReplayExport(taskId);
+                }
+            } catch (error) {
+                console.error('[Hivecrew] Replay export status error:', error);
+            }
+        },
+        
+        async startReplayExport(format = 'mp4') {
+            const task = this.selectedTask;
+            if (!task) return;
+            
+            this.actionLoading = true;
+            try {
+                const response = await this.apiFetch(`/api/v1/tasks/${task.id}/replay`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ format })
+                });
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to start replay export');
+                }
+                this.replayExport = await response.json();
+                this.pollReplayExport(task.id);
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.actionLoading = false;
+            }
+        },
+        
+        pollReplayExport(taskId) {
+            this.stopReplayPoll();
+            
+            this.replayPollTimer = setInterval(async () => {
+                try {
+                    const response = await this.apiFetch(`/api/v1/tasks/${taskId}/replay`);
+                    if (!response.ok) return;
+                    
+                    const replay = await response.json();
+                    if (this.selectedTask?.id !== taskId) {
+                        this.stopReplayPoll();
+                        return;
+                    }
+                    this.replayExport = replay;
+                    
+                    if (replay.status !== 'running') {
+                        this.stopReplayPoll();
+                        if (replay.status === 'completed') {
+                            this.showToast('Replay ready to download', 'success');
+                        } else {
+                            this.showToast(replay.error || 'Replay export failed', 'error');
+                        }
+                    }
+                } catch (error) {
+                    console.error('[Hivecrew] Replay export poll error:', error);
+                }
+            }, 1000);
+        },
+        
+        stopReplayPoll() {
+            if (this.replayPollTimer) {
+                clearInterval(this.replayPollTimer);
+                this.replayPollTimer = null;
+            }
+        },
+        
+        async downloadReplayExport() {
+            const replay = this.replayExport;
+            if (!replay || replay.status !== 'completed') return;
+            
+            try {
+                const response = await this.apiFetch(`/api/v1/tasks/${replay.taskId}/replay/download`);
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to download replay');
+                }
+                
+                const blob = await response.blob();
+                const url = window.URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = replay.fileName || `replay.${replay.format}`;
+                document.body.appendChild(a);
+                a.click();
+                
+                window.URL.revokeObjectURL(url);
+                document.body.removeChild(a);
+            } catch (error) {
+                this.showToast(`Download failed: ${error.message}`, 'error');
+            }
+        },
+
+        // -------------------------------------------------------------------
+        // --- Batch Comparison ----------------------------------------------
+        // -------------------------------------------------------------------
+
+        async openBatchComparison(batchId) {
+            this.showBatchModal = true;
+            this.batchComparison = null;
+            this.batchError = '';
+            this.batchLoading = true;
+            
+            try {
+                const response = await this.apiFetch(`/api/v1/batches/${batchId}`);
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to load batch');
+                }
+                const batch = await response.json();
+                if (!this.showBatchModal) return;
+                this.batchComparison = batch;
+            } catch (error) {
+                this.batchError = error.message;
+            } finally {
+                this.batchLoading = false;
+            }
+        },
+        
+        closeBatchComparison() {
+            this.showBatchModal = false;
+            this.batchComparison = null;
+            this.batchError = '';
+        },
+        
+        /// Mark a run as the winner, or clear it if it already is
+        async toggleBatchWinner(run) {
+            const batch = this.batchComparison;
+            if (!batch) return;
+            
+            this.actionLoading = true;
+            try {
+                const response = await this.apiFetch(`/api/v1/batches/${batch.batchId}/winner`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ taskId: run.isWinner ? null : run.taskId })
+                });
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to update winner');
+                }
+                this.batchComparison = await response.json();
+                for (const r of this.batchComparison.runs) {
+                    const index = this.tasks.findIndex(t => t.id === r.taskId);
+                    if (index !== -1) {
+                        this.tasks.splice(index, 1, { ...this.tasks[index], isBatchWinner: r.isWinner || null });
+                    }
+                }
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.actionLoading = false;
+            }
+        },
+        
+        openBatchRun(run) {
+            this.closeBatchComparison();
+            this.openTaskDetail({ id: run.taskId });
+        },
+        
+        /// Lowest non-zero value of a numeric run field, used to highlight the cheapest / fastest run
+        batchBest(field) {
+            const values = (this.batchComparison?.runs || [])
+                .map(run => field === 'tokens' ? run.tokenUsage?.total : run[field])
+                .filter(value => value > 0);
+            return values.length > 1 ? Math.min(...values) : null;
+        },
+
+        // -------------------------------------------------------------------
+        // --- Queue ---------------------------------------------------------
+        // -------------------------------------------------------------------
+
+        async loadQueue() {
+            this.queueLoading = true;
+            try {
+                const response = await this.apiFetch('/api/v1/queue');
+                if (response.ok) {
+                    this.queue = await response.json();
+                }
+            } catch (error) {
+                console.error('Failed to load queue:', error);
+            } finally {
+                this.queueLoading = false;
+            }
+        },
+
+        get queueSummary() {
+            if (!this.queue) return '';
+            const parts = [`${this.queue.activeCount} of ${this.queue.maxConcurrent} running`];
+            if (this.queue.averageTaskDuration) {
+                parts.push(`~${this.formatDuration(this.queue.averageTaskDuration)} per task`);
+            }
+            return parts.join(' · ');
+        },
+
+        startQueueDrag(entry, event) {
+            if (entry.task.status !== 'queued') {
+                event.preventDefault();
+                return;
+            }
+            this.queueDragTaskId = entry.task.id;
+            event.dataTransfer.effectAllowed = 'move';
+        },
+
+        /// Move the dragged task to the drop target's position and save the new order.
+        /// Manual order only applies within a priority level, so a task dropped among tasks
+        /// of another priority takes on their priority first.
+        async dropQueueEntry(target) {
+            const draggedId = this.queueDragTaskId;
+            this.queueDragTaskId = null;
+            this.queueDropTaskId = null;
+            if (!draggedId || draggedId === target.task.id || !this.queue) return;
+
+            const dragged = this.queue.entries.find(entry => entry.task.id === draggedId);
+            const ids = this.queue.entries
+                .filter(entry => entry.task.status === 'queued')
+                .map(entry => entry.task.id);
+            const fromIndex = ids.indexOf(draggedId);
+            const toIndex = ids.indexOf(target.task.id);
+            if (!dragged || fromIndex === -1 || toIndex === -1) return;
+            ids.splice(toIndex, 0, ...ids.splice(fromIndex, 1));
+
+            try {
+                if (dragged.priority !== target.priority) {
+                    const response = await this.apiFetch(`/api/v1/queue/${draggedId}/priority`, {
+                        method: 'POST',
+                        body: JSON.stringify({ priority: target.priority })
+                    });
+                    const data = await response.json();
+                    if (!response.ok) {
+                        throw new Error(data.error?.message || 'Failed to change priority');
+                    }
+                    this.queue = data;
+                }
+
+                const response = await this.apiFetch('/api/v1/queue/order', {
+                    method: 'POST',
+                    body: JSON.stringify({ taskIds: ids })
+                });
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error?.message || 'Failed to reorder queue');
+                }
+                this.queue = data;
+            } catch (error) {
+                this.showToast(error.message, 'error');
+                await this.loadQueue();
+            }
+        },
+
+        async setQueuePriority(entry, priority) {
+            if (entry.priority === priority) return;
+            try {
+                const response = await this.apiFetch(`/api/v1/queue/${entry.task.id}/priority`, {
+                    method: 'POST',
+                    body: JSON.stringify({ priority })
+                });
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error?.message || 'Failed to change priority');
+                }
+                this.queue = data;
+            } catch (error) {
+                this.showToast(error.message, 'error');
+                await this.loadQueue();
+            }
+        },
+
+        bumpQueuePriority(entry) {
+            const index = this.priorityOptions.indexOf(entry.priority);
+            if (index > 0) {
+                this.setQueuePriority(entry, this.priorityOptions[index - 1]);
+            }
+        },
+
+        formatQueueEstimate(entry) {
+            if (entry.task.status === 'waiting_for_vm') return 'Starting now';
+            if (!entry.estimatedStartAt) return 'Start time unknown';
+            const seconds = Math.round((new Date(entry.estimatedStartAt).getTime() - this.now) / 1000);
+            if (seconds < 60) return 'Next up';
+            return `Starts in ~${this.formatDuration(seconds)}`;
+        },
+
+        // -------------------------------------------------------------------
+        // --- Skills Library ------------------------------------------------
+        // -------------------------------------------------------------------
+
+        get filteredSkillLibrary() {
+            const query = this.skillSearchQuery.trim().toLowerCase();
+            if (!query) return this.skillLibrary;
+            return this.skillLibrary.filter(skill =>
+                skill.name.toLowerCase().includes(query) ||
+                (skill.description || '').toLowerCase().includes(query)
+            );
+        },
+        
+        skillOriginLabel(skill) {
+            if (skill.sourceTaskId) return 'Extracted';
+            return skill.isImported ? 'Imported' : 'Custom';
+        },
+        
+        async openSkillDetail(skill) {
+            try {
+                const response = await this.apiFetch(`/api/v1/skills/${encodeURIComponent(skill.name)}`);
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to load skill');
+                }
+                this.skillDetail = await response.json();
+                this.skillModalMode = 'view';
+                this.skillError = '';
+                this.showSkillModal = true;
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            }
+        },
+        
+        openSkillCreate() {
+            this.skillDetail = null;
+            this.skillForm = {
+                name: '',
+                description: '',
+                license: '',
+                compatibility: '',
+                allowedTools: '',
+                instructions: '',
+                isEnabled: true,
+                sourceTaskId: null
+            };
+            this.skillModalMode = 'create';
+            this.skillError = '';
+            this.showSkillModal = true;
+        },
+        
+        /// Propose a skill from the selected task's trace and open it for review
+        async extractSkillFromTask() {
+            const task = this.selectedTask;
+            if (!task) return;
+            
+            this.closeTaskDetail();
+            this.openSkillCreate();
+            this.skillForm.sourceTaskId = task.id;
+            this.skillExtracting = true;
+            
+            try {
+                const response = await this.apiFetch(`/api/v1/tasks/${task.id}/extract-skill`, {
+                    method: 'POST'
+                });
+                
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to extract skill');
+                }
+                
+                const proposal = await response.json();
+                // Ignore a late response if the modal was closed or reused meanwhile
+                if (!this.showSkillModal || this.skillForm.sourceTaskId !== task.id) return;
+                Object.assign(this.skillForm, {
+                    name: proposal.name,
+                    description: proposal.description,
+                    allowedTools: proposal.allowedTools || '',
+                    instructions: proposal.instructions
+                });
+                
+            } catch (error) {
+                this.skillError = error.message;
+            } finally {
+                this.skillExtracting = false;
+            }
+        },
+        
+        editSkillDetail() {
+            const skill = this.skillDetail;
+            if (!skill) return;
+            this.skillForm = {
+                name: skill.name,
+                description: skill.description,
+                license: skill.license || '',
+                compatibility: skill.compatibility || '',
+                allowedTools: skill.allowedTools || '',
+                instructions: skill.instructions || '',
+                isEnabled: skill.isEnabled,
+                sourceTaskId: skill.sourceTaskId || null
+            };
+            this.skillModalMode = 'edit';
+            this.skillError = '';
+        },
+        
+        closeSkillModal() {
+            this.showSkillModal = false;
+            this.skillDetail = null;
+            this.skillError = '';
+            this.skillSaving = false;
+            this.skillExtracting = false;
+        },
+        
+        async saveSkill() {
+            if (this.skillSaving || this.skillExtracting) return;
+            const form = this.skillForm;
+            if (!form.name.trim() || !form.description.trim()) {
+                this.skillError = 'Name and description are required.';
+                return;
+            }
+            
+            this.skillSaving = true;
+            this.skillError = '';
+            
+            try {
+                const isCreate = this.skillModalMode === 'create';
+                // Empty strings clear optional fields on update
+                const body = {
+                    description: form.description.trim(),
+                    instructions: form.instructions,
+                    license: form.license.trim(),
+                    compatibility: form.compatibility.trim(),
+                    allowedTools: form.allowedTools.trim()
+                };
+                if (isCreate) {
+                    body.name = form.name.trim();
+                    body.isEnabled = form.isEnabled;
+                    if (form.sourceTaskId) body.sourceTaskId = form.sourceTaskId;
+                }
+                
+                const response = await this.apiFetch(
+                    isCreate ? '/api/v1/skills' : `/api/v1/skills/${encodeURIComponent(form.name)}`,
+                    {
+                        method: isCreate ? 'POST' : 'PATCH',
+                        body: JSON.stringify(body)
+                    }
+                );
+                
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to save skill');
+                }
+                
+                this.skillDetail = await response.json();
+                this.skillModalMode = 'view';
+                this.showToast(isCreate ? 'Skill created' : 'Skill saved', 'success');
+                await this.loadSkills();
+                
+            } catch (error) {
+                this.skillError = error.message;
+            } finally {
+                this.skillSaving = false;
+            }
+        },
+        
+        async toggleSkill(skill, isEnabled) {
+            try {
+                const response = await this.apiFetch(`/api/v1/skills/${encodeURIComponent(skill.name)}`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({ isEnabled })
+                });
+                
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to update skill');
+                }
+                
+                if (this.skillDetail?.name === skill.name) {
+                    this.skillDetail.isEnabled = isEnabled;
+                }
+                await this.loadSkills();
+                
+            } catch (error) {
+                this.showToast(error.message, 'error');
+                await this.loadSkills();
+            }
+        },
+        
+        async deleteSkill(skill) {
+            if (!confirm(`Delete the skill "${skill.name}"? Its files are removed from the host.`)) return;
+            
+            this.actionLoading = true;
+            try {
+                const response = await this.apiFetch(`/api/v1/skills/${encodeURIComponent(skill.name)}`, {
+                    method: 'DELETE'
+                });
+                
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to delete skill');
+                }
+                
+                if (this.skillDetail?.name === skill.name) {
+                    this.closeSkillModal();
+                }
+                this.mentionedSkills = this.mentionedSkills.filter(name => name !== skill.name);
+                this.showToast('Skill deleted', 'success');
+                await this.loadSkills();
+                
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.actionLoading = false;
+            }
+        },
+        
+        async exportSkill(skill) {
+            try {
+                const response = await this.apiFetch(`/api/v1/skills/${encodeURIComponent(skill.name)}/export`);
+                if (!response.ok) {
+                    throw new Error('Failed to export skill');
+                }
+                
+                const blob = await response.blob();
+                const url = window.URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = 'SKILL.md';
+                document.body.appendChild(a);
+                a.click();
+                window.URL.revokeObjectURL(url);
+                document.body.removeChild(a);
+                
+            } catch (error) {
+                this.showToast(`Export failed: ${error.message}`, 'error');
+            }
+        },
+        
+        openSkillImport() {
+            this.skillImport = {
+                source: 'file',
+                content: '',
+                fileName: '',
+                githubURL: '',
+                replaceExisting: false
+            };
+            this.skillError = '';
+            this.showSkillImportModal = true;
+        },
+        
+        closeSkillImport() {
+            this.showSkillImportModal = false;
+            this.skillError = '';
+            this.skillSaving = false;
+        },
+        
+        async handleSkillFileSelect(event) {
+            const file = event.target.files?.[0];
+            if (!file) return;
+            this.skillImport.fileName = file.name;
+            this.skillImport.content = await file.text();
+        },
+        
+        async importSkill() {
+            if (this.skillSaving) return;
+            const source = this.skillImport.source;
+            const body = { replaceExisting: this.skillImport.replaceExisting };
+            if (source === 'github') {
+                body.githubURL = this.skillImport.githubURL.trim();
+            } else {
+                body.content = this.skillImport.content;
+            }
+            if (!(body.githubURL || body.content?.trim())) {
+                this.skillError = source === 'github' ? 'Enter a GitHub URL.' : 'Choose or paste a SKILL.md first.';
+                return;
+            }
+            
+            this.skillSaving = true;
+            this.skillError = '';
+            
+            try {
+                const response = await this.apiFetch('/api/v1/skills/import', {
+                    method: 'POST',
+                    body: JSON.stringify(body)
+                });
+                
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to import skill');
+                }
+                
+                const skill = await response.json();
+                this.closeSkillImport();
+                this.showToast(`Imported ${skill.name}`, 'success');
+                await this.loadSkills();
+                
+            } catch (error) {
+                this.skillError = error.message;
+            } finally {
+                this.skillSaving = false;
+            }
+        },
+
+        // -------------------------------------------------------------------
+        // --- MCP Servers ---------------------------------------------------
+        // -------------------------------------------------------------------
+
+        async loadMCPServers() {
+            try {
+                const response = await this.apiFetch('/api/v1/mcp/servers');
+                if (response.ok) {
+                    const data = await response.json();
+                    this.mcpServers = data.servers || [];
+                    // Forget picks of servers that were deleted meanwhile
+                    const knownIds = new Set(this.mcpServers.map(s => s.id));
+                    if (this.quickMCPServerIds) {
+                        this.quickMCPServerIds = this.quickMCPServerIds.filter(id => knownIds.has(id));
+                    }
+                }
+            } catch (error) {
+                console.error('Failed to load MCP servers:', error);
+            }
+        },
+
+        get enabledMCPServers() {
+            return this.mcpServers.filter(s => s.isEnabled);
+        },
+
+        mcpStateLabel(server) {
+            if (!server.isEnabled) return 'Disabled';
+            switch (server.connectionState) {
+                case 'connected': return `Connected · ${server.toolCount} tool${server.toolCount === 1 ? '' : 's'}`;
+                case 'connecting': return 'Connecting…';
+                case 'error': return 'Connection failed';
+                default: return 'Disconnected';
+            }
+        },
+
+        mcpServerTarget(server) {
+            if (server.transportType === 'http') return server.serverURL || '';
+            return [server.command, ...(server.arguments || [])].filter(Boolean).join(' ');
+        },
+
+        /// Whether a task MCP selection (null = every enabled server) includes the server
+        isMCPServerSelected(selection, serverId) {
+            return selection === null || selection === undefined || selection.includes(serverId);
+        },
+
+        /// Toggle one server in a selection, turning "every enabled server" into an explicit list
+        toggleMCPServerSelection(selection, serverId) {
+            const current = selection ?? this.enabledMCPServers.map(s => s.id);
+            return current.includes(serverId)
+                ? current.filter(id => id !== serverId)
+                : [...current, serverId];
+        },
+
+        mcpSelectionLabel(selection) {
+            if (selection === null || selection === undefined) return 'All MCP servers';
+            if (selection.length === 0) return 'No MCP servers';
+            return selection
+                .map(id => this.mcpServers.find(s => s.id === id)?.displayName || id)
+                .join(', ');
+        },
+
+        mcpSelectionShortLabel(selection) {
+            if (selection === null || selection === undefined) return 'All MCP';
+            return selection.length === 0 ? 'No MCP' : `${selection.length} MCP`;
+        },
+
+        openMCPServerModal(server = null) {
+            this.mcpServerError = '';
+            this.mcpServerSaving = false;
+            this.mcpServerForm = {
+                id: server?.id || null,
+                displayName: server?.displayName || '',
+                transportType: server?.transportType || 'stdio',
+                isEnabled: server ? server.isEnabled : true,
+                command: server?.command || '',
+                argumentsText: (server?.arguments || []).join(' '),
+                workingDirectory: server?.workingDirectory || '',
+                environmentNames: [...(server?.environmentVariableNames || [])],
+                removedEnvironment: [],
+                environmentText: '',
+                serverURL: server?.serverURL || ''
+            };
+            this.showMCPServerModal = true;
+        },
+
+        closeMCPServerModal() {
+            this.showMCPServerModal = false;
+            this.mcpServerError = '';
+            this.mcpServerSaving = false;
+        },
+
+        /// Stored variable values are never sent to the browser, so existing ones can only be removed or overwritten
+        removeMCPServerEnvironment(name) {
+            const form = this.mcpServerForm;
+            form.environmentNames = form.environmentNames.filter(n => n !== name);
+            form.removedEnvironment.push(name);
+        },
+
+        /// Parse KEY=VALUE lines, as in the app's MCP server settings
+        parseEnvironmentText(text) {
+            const environment = {};
+            for (const line of text.split('\n')) {
+                const index = line.indexOf('=');
+                if (index <= 0) continue;
+                const key = line.slice(0, index).trim();
+                if (key) environment[key] = line.slice(index + 1).trim();
+            }
+            return environment;
+        },
+
+        async saveMCPServer() {
+            const form = this.mcpServerForm;
+            const displayName = form.displayName.trim();
+            if (!displayName) {
+                this.mcpServerError = 'Please enter a name for this server';
+                return;
+            }
+            const isStdio = form.transportType === 'stdio';
+            if (isStdio ? !form.command.trim() : !form.serverURL.trim()) {
+                this.mcpServerError = isStdio ? 'Please enter the command that starts the server' : 'Please enter the server URL';
+                return;
+            }
+
+            const body = {
+                displayName,
+                transportType: form.transportType,
+                isEnabled: form.isEnabled
+            };
+            if (isStdio) {
+                body.command = form.command.trim();
+                body.arguments = form.argumentsText.split(/\s+/).filter(Boolean);
+                body.workingDirectory = form.workingDirectory.trim();
+                const environment = this.parseEnvironmentText(form.environmentText);
+                if (Object.keys(environment).length > 0) body.environment = environment;
+                if (form.id && form.removedEnvironment.length > 0) {
+                    body.removeEnvironment = form.removedEnvironment.filter(name => !(name in environment));
+                }
+            } else {
+                body.serverURL = form.serverURL.trim();
+            }
+
+            this.mcpServerSaving = true;
+            this.mcpServerError = '';
+
+            try {
+                const response = await this.apiFetch(
+                    form.id ? `/api/v1/mcp/servers/${form.id}` : '/api/v1/mcp/servers',
+                    {
+                        method: form.id ? 'PATCH' : 'POST',
+                        body: JSON.stringify(body)
+                    }
+                );
+
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to save MCP server');
+                }
+
+                const saved = await response.json();
+                this.closeMCPServerModal();
+                if (saved.connectionState === 'error') {
+                    this.showToast(`${saved.displayName} saved, but could not connect: ${saved.connectionError || 'unknown error'}`, 'error');
+                } else {
+                    this.showToast(form.id ? 'MCP server updated' : 'MCP server added', 'success');
+                }
+                await this.loadMCPServers();
+
+            } catch (error) {
+                this.mcpServerError = error.message;
+            } finally {
+                this.mcpServerSaving = false;
+            }
+        },
+
+        async toggleMCPServer(server, isEnabled) {
+            this.mcpReconnectingId = server.id;
+            try {
+                const response = await this.apiFetch(`/api/v1/mcp/servers/${server.id}`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({ isEnabled })
+                });
+
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to update MCP server');
+                }
+
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.mcpReconnectingId = null;
+                await this.loadMCPServers();
+            }
+        },
+
+        async reconnectMCPServer(server) {
+            this.mcpReconnectingId = server.id;
+            try {
+                const response = await this.apiFetch(`/api/v1/mcp/servers/${server.id}/reconnect`, {
+                    method: 'POST'
+                });
+
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to reconnect MCP server');
+                }
+
+                const updated = await response.json();
+                if (updated.connectionState === 'connected') {
+                    this.showToast(`Connected to ${updated.displayName}`, 'success');
+                } else {
+                    this.showToast(`Could not connect to ${updated.displayName}: ${updated.connectionError || 'unknown error'}`, 'error');
+                }
+
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.mcpReconnectingId = null;
+                await this.loadMCPServers();
+            }
+        },
+
+        async deleteMCPServer(server) {
+            if (!confirm(`Delete the MCP server "${server.displayName}"? Tasks will no longer be able to use its tools.`)) return;
+
+            this.actionLoading = true;
+            try {
+                const response = await this.apiFetch(`/api/v1/mcp/servers/${server.id}`, {
+                    method: 'DELETE'
+                });
+
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to delete MCP server');
+                }
+
+                if (this.mcpToolsServer?.id === server.id) {
+                    this.closeMCPTools();
+                }
+                this.showToast('MCP server deleted', 'success');
+                await this.loadMCPServers();
+
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.actionLoading = false;
+            }
+        },
+
+        async openMCPTools(server) {
+            this.mcpToolsServer = server;
+            this.mcpTools = [];
+            this.mcpToolsError = '';
+            this.mcpToolsLoading = true;
+
+            try {
+                const response = await this.apiFetch(`/api/v1/mcp/servers/${server.id}/tools`);
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to load tools');
+                }
+                const data = await response.json();
+                // Ignore a late response if another server's tools were opened meanwhile
+                if (this.mcpToolsServer?.id !== server.id) return;
+                this.mcpTools = data.tools || [];
+            } catch (error) {
+                this.mcpToolsError = error.message;
+            } finally {
+                this.mcpToolsLoading = false;
+            }
+        },
+
+        closeMCPTools() {
+            this.mcpToolsServer = null;
+            this.mcpTools = [];
+            this.mcpToolsError = '';
+        },
+
+        // -------------------------------------------------------------------
+        // --- Provisioning --------------------------------------------------
+        // -------------------------------------------------------------------
+
+        get provisioningCommandsChanged() {
+            const draft = this.provisioningCommandsDraft.filter(c => c.trim());
+            const saved = this.provisioningSetupCommands;
+            return draft.length !== saved.length || draft.some((command, i) => command !== saved[i]);
+        },
+
+        /** @private PATCH /api/v1/provisioning and keep the local copy in sync */
+        async _updateProvisioning(body, successMessage) {
+            this.provisioningSaving = true;
+            try {
+                const response = await this.apiFetch('/api/v1/provisioning', {
+                    method: 'PATCH',
+                    body: JSON.stringify(body)
+                });
+
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to update provisioning');
+                }
+
+                const data = await response.json();
+                this.provisioningEnvVars = data.environmentVariables || [];
+                this.provisioningFiles = data.injectedFiles || [];
+                this.provisioningSetupCommands = data.setupCommands || [];
+                this.provisioningCommandsDraft = [...this.provisioningSetupCommands];
+                this.showToast(successMessage, 'success');
+                return true;
+
+            } catch (error) {
+                this.showToast(error.message, 'error');
+                return false;
+            } finally {
+                this.provisioningSaving = false;
+            }
+        },
+
+        /// Values are write-only: saving an existing name replaces its value without ever showing it
+        async saveProvisioningEnvVar() {
+            const key = this.provisioningEnvForm.key.trim();
+            if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+                this.showToast('Variable names may only use letters, digits and underscores, and cannot start with a digit', 'error');
+                return;
+            }
+            const exists = this.provisioningEnvVars.some(v => v.key === key);
+            const saved = await this._updateProvisioning(
+                { environment: { [key]: this.provisioningEnvForm.value } },
+                exists ? `${key} updated` : `${key} added`
+            );
+            if (saved) {
+                this.provisioningEnvForm = { key: '', value: '' };
+            }
+        },
+
+        editProvisioningEnvVar(envVar) {
+            this.provisioningEnvForm = { key: envVar.key, value: '' };
+            this.$nextTick(() => this.$refs.provisioningEnvValue?.focus());
+        },
+
+        async removeProvisioningEnvVar(envVar) {
+            if (!confirm(`Remove ${envVar.key}? New VMs will no longer have this variable.`)) return;
+            await this._updateProvisioning({ removeEnvironment: [envVar.key] }, `${envVar.key} removed`);
+        },
+
+        moveProvisioningCommand(index, offset) {
+            const target = index + offset;
+            const commands = this.provisioningCommandsDraft;
+            if (target < 0 || target >= commands.length) return;
+            [commands[index], commands[target]] = [commands[target], commands[index]];
+        },
+
+        async saveProvisioningCommands() {
+            await this._updateProvisioning(
+                { setupCommands: this.provisioningCommandsDraft.filter(c => c.trim()) },
+                'Setup commands saved'
+            );
+        },
+
+        async uploadProvisioningFile() {
+            const file = this.provisioningUploadFile;
+            if (!file) return;
+
+            const formData = new FormData();
+            formData.append('file', file);
+            const guestPath = this.provisioningUploadPath.trim();
+            if (guestPath) {
+                formData.append('guestPath', guestPath);
+            }
+
+            this.provisioningUploading = true;
+            try {
+                const response = await this.apiFetch('/api/v1/provisioning/files', {
+                    method: 'POST',
+                    body: formData
+                });
+
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to upload file');
+                }
+
+                const injected = await response.json();
+                this.provisioningUploadFile = null;
+                this.provisioningUploadPath = '';
+                if (this.$refs.provisioningFileInput) {
+                    this.$refs.provisioningFileInput.value = '';
+                }
+                this.showToast(`${injected.fileName} will be copied to ${injected.guestPath}`, 'success');
+                await this.loadProvisioning();
+
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.provisioningUploading = false;
+            }
+        },
+
+        startEditProvisioningFile(file) {
+            this.provisioningEditingFileId = file.id;
+            this.provisioningGuestPathDraft = file.guestPath;
+        },
+
+        cancelEditProvisioningFile() {
+            this.provisioningEditingFileId = null;
+            this.provisioningGuestPathDraft = '';
+        },
+
+        async saveProvisioningFilePath(file) {
+            const guestPath = this.provisioningGuestPathDraft.trim();
+            if (!guestPath || guestPath === file.guestPath) {
+                this.cancelEditProvisioningFile();
+                return;
+            }
+
+            this.provisioningSaving = true;
+            try {
+                const response = await this.apiFetch(`/api/v1/provisioning/files/${encodeURIComponent(file.id)}`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({ guestPath })
+                });
+
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to update file');
+                }
+
+                this.cancelEditProvisioningFile();
+                await this.loadProvisioning();
+
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.provisioningSaving = false;
+            }
+        },
+
+        async deleteProvisioningFile(file) {
+            if (!confirm(`Stop copying ${file.fileName} into new VMs?`)) return;
+
+            this.actionLoading = true;
+            try {
+                const response = await this.apiFetch(`/api/v1/provisioning/files/${encodeURIComponent(file.id)}`, {
+                    method: 'DELETE'
+                });
+
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to remove file');
+                }
+
+                if (this.newTask.provisioningFileIds) {
+                    this.newTask.provisioningFileIds = this.newTask.provisioningFileIds.filter(id => id !== file.id);
+                }
+                this.showToast(`${file.fileName} removed`, 'success');
+                await this.loadProvisioning();
+
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.actionLoading = false;
+            }
+        },
+
+        /// Toggle one injected file in a task selection, turning "every file" into an explicit list
+        toggleProvisioningFileSelection(selection, fileId) {
+            const current = selection ?? this.provisioningFiles.map(f => f.id);
+            return current.includes(fileId)
+                ? current.filter(id => id !== fileId)
+                : [...current, fileId];
+        },
+
+        /// Per-task provisioning overrides from the create form, or null to use the global settings
+        taskProvisioningOverrides(task) {
+            const overrides = {};
+            const environment = {};
+            for (const entry of task.provisioningEnvironment || []) {
+                const key = entry.key.trim();
+                if (key) environment[key] = entry.value;
+            }
+            if (Object.keys(environment).length > 0) {
+                overrides.environment = environment;
+            }
+            if (task.provisioningSetupCommandsText !== null && task.provisioningSetupCommandsText !== undefined) {
+                overrides.setupCommands = task.provisioningSetupCommandsText.split('\n').filter(c => c.trim());
+            }
+            if (task.provisioningFileIds) {
+                overrides.injectedFileIds = task.provisioningFileIds;
+            }
+            return Object.keys(overrides).length > 0 ? overrides : null;
+        },
+
+        /// Short description of a task's provisioning overrides for the detail view
+        taskProvisioningLabel(provisioning) {
+            const parts = [];
+            const names = provisioning.environmentVariableNames || [];
+            if (names.length > 0) {
+                parts.push(names.join(', '));
+            }
+            if (provisioning.setupCommands) {
+                const count = provisioning.setupCommands.length;
+                parts.push(count === 0 ? 'no setup commands' : `${count} custom setup command${count === 1 ? '' : 's'}`);
+            }
+            if (provisioning.injectedFileIds) {
+                const count = provisioning.injectedFileIds.length;
+                parts.push(count === 0 ? 'no injected files' : `${count} injected file${count === 1 ? '' : 's'}`);
+            }
+            return parts.join(' · ');
+        },
+
+        // -------------------------------------------------------------------
+        // --- Credentials ---------------------------------------------------
+        // -------------------------------------------------------------------
+
+        async loadCredentials() {
+            try {
+                const response = await this.apiFetch('/api/v1/credentials');
+                if (response.ok) {
+                    const data = await response.json();
+                    this.credentials = data.credentials || [];
+                }
+            } catch (error) {
+                console.error('Failed to load credentials:', error);
+            }
+        },
+
+        async createCredential() {
+            const displayName = this.credentialForm.displayName.trim();
+            if (!displayName || !this.credentialForm.password) return;
+
+            this.credentialSaving = true;
+            try {
+                const response = await this.apiFetch('/api/v1/credentials', {
+                    method: 'POST',
+                    body: JSON.stringify({
+                        displayName,
+                        username: this.credentialForm.username.trim() || null,
+                        password: this.credentialForm.password
+                    })
+                });
+
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to add credential');
+                }
+
+                this.credentialForm = { displayName: '', username: '', password: '' };
+                this.showToast(`${displayName} saved to the Keychain`, 'success');
+                await this.loadCredentials();
+
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.credentialSaving = false;
+            }
+        },
+
+        /// Upload a password manager CSV export chosen in the file input
+        async importCredentials(event) {
+            const file = event.target.files[0];
+            event.target.value = '';
+            if (!file) return;
+
+            const formData = new FormData();
+            formData.append('file', file);
+
+            this.credentialImporting = true;
+            try {
+                const response = await this.apiFetch('/api/v1/credentials/import', {
+                    method: 'POST',
+                    body: formData
+                });
+
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to import credentials');
+                }
+
+                const result = await response.json();
+                let message = `Imported ${result.imported} credential${result.imported === 1 ? '' : 's'}`;
+                if (result.skipped > 0) {
+                    message += `, skipped ${result.skipped} already stored`;
+                }
+                if (result.errors.length > 0) {
+                    message += `; failed: ${result.errors.join(', ')}`;
+                }
+                this.showToast(message, result.errors.length > 0 ? 'error' : 'success');
+                await this.loadCredentials();
+
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.credentialImporting = false;
+            }
+        },
+
+        async deleteCredential(credential) {
+            if (!confirm(`Delete ${credential.displayName}? Its username and password are removed from the Keychain.`)) return;
+
+            this.actionLoading = true;
+            try {
+                const response = await this.apiFetch(`/api/v1/credentials/${encodeURIComponent(credential.id)}`, {
+                    method: 'DELETE'
+                });
+
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to delete credential');
+                }
+
+                this.newTask.credentialIds = this.newTask.credentialIds.filter(id => id !== credential.id);
+                this.showToast(`${credential.displayName} deleted`, 'success');
+                await this.loadCredentials();
+
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.actionLoading = false;
+            }
+        },
+
+        toggleCredentialSelection(selection, credentialId) {
+            return selection.includes(credentialId)
+                ? selection.filter(id => id !== credentialId)
+                : [...selection, credentialId];
+        },
+
+        /// Credentials a task was given, for the detail view (null = every credential, as for tasks created in the app)
+        credentialSelectionLabel(selection) {
+            if (selection === null || selection === undefined) return 'All stored credentials';
+            if (selection.length === 0) return 'None';
+            return selection
+                .map(id => this.credentials.find(c => c.id === id)?.displayName || 'Deleted credential')
+                .join(', ');
+        },
+
+        // -------------------------------------------------------------------
+        // --- Access Grants -------------------------------------------------
+        // -------------------------------------------------------------------
+
+        async loadAccessGrants() {
+            try {
+                const response = await this.apiFetch('/api/v1/access-grants');
+                if (response.ok) {
+                    const data = await response.json();
+                    this.accessGrants = data.grants || [];
+                }
+            } catch (error) {
+                console.error('Failed to load access grants:', error);
+            }
+        },
+
+        async createAccessGrant() {
+            const path = this.accessGrantForm.path.trim();
+            if (!path) return;
+
+            this.accessGrantSaving = true;
+            try {
+                const response = await this.apiFetch('/api/v1/access-grants', {
+                    method: 'POST',
+                    body: JSON.stringify({ path, accessMode: this.accessGrantForm.accessMode })
+                });
+
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to grant access');
+                }
+
+                const grant = await response.json();
+                this.accessGrantForm = { path: '', accessMode: 'read_write' };
+                this.showToast(`${grant.displayName} granted ${this.accessModeLabel(grant.accessMode)}`, 'success');
+                await this.loadAccessGrants();
+
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.accessGrantSaving = false;
+            }
+        },
+
+        async revokeAccessGrant(grant) {
+            if (!confirm(`Revoke access to ${grant.path}? Tasks that are still running lose access too.`)) return;
+
+            this.actionLoading = true;
+            try {
+                const response = await this.apiFetch(`/api/v1/access-grants/${encodeURIComponent(grant.id)}`, {
+                    method: 'DELETE'
+                });
+
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to revoke access');
+                }
+
+                this.newTask.accessGrantIds = this.newTask.accessGrantIds.filter(id => id !== grant.id);
+                this.showToast(`Access to ${grant.displayName} revoked`, 'success');
+                await this.loadAccessGrants();
+
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.actionLoading = false;
+            }
+        },
+
+        toggleAccessGrantSelection(selection, grantId) {
+            return selection.includes(grantId)
+                ? selection.filter(id => id !== grantId)
+                : [...selection, grantId];
+        },
+
+        accessModeLabel(accessMode) {
+            return accessMode === 'read_only' ? 'read-only' : 'read-write';
+        },
+
+        /// Host paths a task can reach, for the detail view
+        taskAccessGrantsLabel(grants) {
+            if (!grants || grants.length === 0) return 'None';
+            return grants
+                .map(grant => `${grant.path} (${this.accessModeLabel(grant.accessMode)})`)
+                .join(', ');
+        },
+
+        // -------------------------------------------------------------------
+        // --- System --------------------------------------------------------
+        // -------------------------------------------------------------------
+
+        /// Load the System view, then reload it every sample interval until the user leaves it
+        async startSystemPolling() {
+            this.stopSystemPolling();
+            await this.loadSystemView();
+            // A second call may have scheduled its own reload while this one was loading
+            this.stopSystemPolling();
+            if (this.view !== 'system') return;
+            const delay = (this.systemHistory?.intervalSeconds || 10) * 1000;
+            this.systemPollTimer = setTimeout(() => {
+                this.systemPollTimer = null;
+                if (this.view === 'system') {
+                    this.startSystemPolling();
+                }
+            }, delay);
+        },
+        
+        stopSystemPolling() {
+            if (this.systemPollTimer) {
+                clearTimeout(this.systemPollTimer);
+                this.systemPollTimer = null;
+            }
+        },
+
+        async loadSystemView() {
+            this.systemLoading = true;
+            try {
+                await Promise.all([this.loadSystemHistory(), this.loadSystemVMs()]);
+            } finally {
+                this.systemLoading = false;
+            }
+        },
+
+        async loadSystemHistory() {
+            try {
+                const response = await this.apiFetch('/api/v1/system/history');
+                if (response.ok) {
+                    this.systemHistory = await response.json();
+                }
+            } catch (error) {
+                console.error('Failed to load system history:', error);
+            }
+        },
+
+        async loadSystemVMs() {
+            try {
+                const response = await this.apiFetch('/api/v1/system/vms');
+                if (response.ok) {
+                    const data = await response.json();
+                    this.systemVMs = data.vms || [];
+                    this.systemCapacity = data.capacity || null;
+                }
+            } catch (error) {
+                console.error('Failed to load VMs:', error);
+            }
+        },
+
+        async stopVM(vm) {
+            if (!confirm(`Stop ${vm.name}?`)) return;
+
+            this.actionLoading = true;
+            try {
+                const response = await this.apiFetch(`/api/v1/system/vms/${encodeURIComponent(vm.id)}/stop`, {
+                    method: 'POST'
+                });
+
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to stop VM');
+                }
+
+                this.showToast(`${vm.name} stopped`, 'success');
+                await this.loadSystemVMs();
+
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.actionLoading = false;
+            }
+        },
+
+        async reclaimVM(vm) {
+            if (!confirm(`Delete ${vm.name}? It is not attached to any running task.`)) return;
+
+            this.actionLoading = true;
+            try {
+                const response = await this.apiFetch(`/api/v1/system/vms/${encodeURIComponent(vm.id)}`, {
+                    method: 'DELETE'
+                });
+
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to delete VM');
+                }
+
+                this.showToast(`${vm.name} reclaimed`, 'success');
+                await this.loadSystemVMs();
+
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.actionLoading = false;
+            }
+        },
+
+        async reclaimOrphanedVMs() {
+            const count = this.orphanedVMCount;
+            if (!confirm(`Delete ${count} orphaned VM${count === 1 ? '' : 's'}?`)) return;
+
+            this.actionLoading = true;
+            try {
+                const response = await this.apiFetch('/api/v1/system/vms/cleanup', { method: 'POST' });
+
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to reclaim VMs');
+                }
+
+                const result = await response.json();
+                const deleted = result.deletedVMIds.length;
+                if (result.failedVMIds.length > 0) {
+                    this.showToast(`Reclaimed ${deleted}, failed to delete ${result.failedVMIds.length}`, 'error');
+                } else {
+                    this.showToast(`Reclaimed ${deleted} VM${deleted === 1 ? '' : 's'}`, 'success');
+                }
+                await this.loadSystemVMs();
+
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.actionLoading = false;
+            }
+        },
+
+        get orphanedVMCount() {
+            return this.systemVMs.filter(vm => vm.isOrphaned).length;
+        },
+
+        get latestSystemSample() {
+            const samples = this.systemHistory?.samples || [];
+            return samples[samples.length - 1] || null;
+        },
+
+        /// Where the VM slots are going, so a waiting_for_vm task can be explained at a glance
+        get systemCapacitySummary() {
+            const capacity = this.systemCapacity;
+            if (!capacity) return '';
+            const used = capacity.taskVMs + capacity.developerVMs + capacity.pending + capacity.tearingDown;
+            const parts = [`${Math.min(used, capacity.maxConcurrent)} of ${capacity.maxConcurrent} VM slots in use`];
+            if (capacity.taskVMs > 0) parts.push(`${capacity.taskVMs} running task${capacity.taskVMs === 1 ? '' : 's'}`);
+            if (capacity.developerVMs > 0) parts.push(`${capacity.developerVMs} developer VM${capacity.developerVMs === 1 ? '' : 's'}`);
+            if (capacity.pending > 0) parts.push(`${capacity.pending} starting`);
+            if (capacity.tearingDown > 0) parts.push(`${capacity.tearingDown} shutting down`);
+            return parts.join(' · ');
+        },
+
+        get systemWaitingReason() {
+            const capacity = this.systemCapacity;
+            const queued = this.latestSystemSample?.queuedTasks || 0;
+            if (!capacity || queued === 0) return '';
+            if (capacity.available > 0) {
+                return `${queued} queued task${queued === 1 ? '' : 's'} will start as soon as a VM boots.`;
+            }
+            const holders = [];
+            if (capacity.developerVMs > 0) holders.push(`${capacity.developerVMs} developer VM${capacity.developerVMs === 1 ? '' : 's'}`);
+            if (capacity.tearingDown > 0) holders.push(`${capacity.tearingDown} VM${capacity.tearingDown === 1 ? '' : 's'} still shutting down`);
+            const reason = holders.length > 0 ? ` Slots also held by ${holders.join(' and ')}.` : '';
+            return `${queued} task${queued === 1 ? ' is' : 's are'} waiting because every VM slot is taken.${reason}`;
+        },
+
+        /// SVG polyline points for one sample field, scaled to a 100×40 chart
+        systemChartPoints(field, max) {
+            const samples = this.systemHistory?.samples || [];
+            if (samples.length < 2 || !max) return '';
+            const step = 100 / (samples.length - 1);
+            return samples
+                .map((sample, index) => {
+                    const value = sample[field];
+                    if (value === null || value === undefined) return null;
+                    const y = 40 - Math.min(value / max, 1) * 40;
+                    return `${(index * step).toFixed(2)},${y.toFixed(2)}`;
+                })
+                .filter(Boolean)
+                .join(' ');
+        },
+
+        /// Y position of a fixed value (e.g. the VM limit) on a 100×40 chart
+        systemChartLevel(value, max) {
+            return max ? (40 - Math.min(value / max, 1) * 40).toFixed(2) : 40;
+        },
+
+        /// Scale for the agent/VM chart: the VM limit, or the highest count if the queue is longer
+        get systemCountMax() {
+            const samples = this.systemHistory?.samples || [];
+            return Math.max(
+                this.systemHistory?.maxConcurrent || 0,
+                ...samples.map(sample => Math.max(sample.activeVMs + sample.pendingVMs, sample.queuedTasks)),
+                1
+            );
+        },
+
+        get systemHistoryWindow() {
+            const samples = this.systemHistory?.samples || [];
+            if (samples.length < 2) return 'Collecting samples…';
+            return `Last ${this.formatDuration(samples.length * this.systemHistory.intervalSeconds)}`;
+        },
+
+        vmStateLabel(vm) {
+            if (!vm.isRunning) return vm.state === 'error' ? 'Error' : 'Stopped';
+            return vm.taskId && this.isVMTaskActive(vm) ? 'Busy' : 'Running';
+        },
+
+        vmSpecs(vm) {
+            return `${vm.cpuCount} CPU · ${vm.memoryGB} GB`;
+        },
+
+        isVMTaskActive(vm) {
+            return ['queued', 'waiting_for_vm', 'running', 'paused', 'planning', 'plan_review'].includes(vm.taskStatus);
+        },
+
+        // -------------------------------------------------------------------
+        // --- Devices -------------------------------------------------------
+        // -------------------------------------------------------------------
+
+        async loadDevices() {
+            this.devicesLoading = true;
+            try {
+                const response = await this.apiFetch('/api/v1/auth/devices');
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to load devices');
+                }
+                const data = await response.json();
+                // Current device first, then most recently active
+                this.devices = (data.devices || []).sort((a, b) =>
+                    (b.isCurrent - a.isCurrent) || (new Date(b.lastSeenAt) - new Date(a.lastSeenAt))
+                );
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.devicesLoading = false;
+            }
+        },
+        
+        deviceDetails(device) {
+            return [device.browser, device.os].filter(Boolean).join(' on ');
+        },
+        
+        startRenameDevice(device) {
+            this.renamingDeviceId = device.id;
+            this.deviceNameDraft = device.name;
+        },
+        
+        cancelRenameDevice() {
+            this.renamingDeviceId = null;
+            this.deviceNameDraft = '';
+        },
+        
+        async saveDeviceName(device) {
+            const name = this.deviceNameDraft.trim();
+            if (!name || name === device.name) {
+                this.cancelRenameDevice();
+                return;
+            }
+            
+            this.actionLoading = true;
+            try {
+                const response = await this.apiFetch(`/api/v1/auth/devices/${encodeURIComponent(device.id)}`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({ name })
+                });
+                
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to rename device');
+                }
+                
+                const updated = await response.json();
+                this.devices = this.devices.map(d => d.id === updated.id ? updated : d);
+                this.cancelRenameDevice();
+                
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.actionLoading = false;
+            }
+        },
+        
+        async revokeDevice(device) {
+            if (!confirm(`Revoke access for "${device.name}"? It will need to pair again to reconnect.`)) return;
+            
+            this.actionLoading = true;
+            try {
+                const response = await this.apiFetch(`/api/v1/auth/devices/${encodeURIComponent(device.id)}`, {
+                    method: 'DELETE'
+                });
+                
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error?.message || 'Failed to revoke device');
+                }
+                
+                this.devices = this.devices.filter(d => d.id !== device.id);
+                this.showToast('Device revoked', 'success');
+                
+            } catch (error) {
+                this.showToast(error.message, 'error');
+            } finally {
+                this.actionLoading = false;
+            }
+        },
+
+        // -------------------------------------------------------------------
+        // --- VM Templates --------------------------------------------------
+        // -------------------------------------------------------------------
+
+        /// Load templates with their full details (macOS version is only on the detail route)
+        async loadTemplates() {
+            this.templatesLoading = true;
+            try {
+                const response = await this.apiFetch('/api/v1/templates');
+                if (!response.ok) return;
+                const data = await response.json();
+                const summaries = data.templates || [];
+                const details = await Promise.all(summaries.map(async (summary) => {
+                    try {
+                        const detailResponse = await this.apiFetch(`/api/v1/templates/${encodeURIComponent(summary.id)}`);
+                        return detailResponse.ok ? await detailResponse.json() : summary;
+                    } catch {
+                        return summary;
+                    }
+                }));
+                this.templates = details;
+                this.defaultTemplateId = data.defaultTemplateId || null;
+                
+                // Drop a saved selection whose template no longer exists
+                if (this.quickTemplateId && !this.templates.some(t => t.id === this.quickTemplateId)) {
+                    this.saveQuickTemplate('');
+                }
+            } catch (error) {
+                console.error('Failed to load templates:', error);
+            } finally {
+                this.templatesLoading = false;
+            }
+        },
+        
+        saveQuickTemplate(templateId) {
+            this.quickTemplateId = templateId || '';
+            if (this.quickTemplateId) {
+                localStorage.setItem('hivecrew_template_id', this.quickTemplateId);
+            } else {
+                localStorage.removeItem('hivecrew_template_id');
+            }
+        },
+        
+        /// Template ID to send with a request, or null to use the server default
+        resolvedTemplateId(templateId) {
+            if (!templateId || templateId === this.defaultTemplateId) return null;
+            return this.templates.some(t => t.id === templateId) ? templateId : null;
+        },
+        
+        templateLabel(templateId) {
+            const id = templateId || this.defaultTemplateId;
+            const template = this.templates.find(t => t.id === id);
+            if (!template) return id ? id : 'Default template';
+            return template.id === this.defaultTemplateId ? `${template.name} (default)` : template.name;
+        },
+        
+        templateSpecs(template) {
+            const specs = [];
+            if (template.cpuCount) specs.push(`${template.cpuCount} CPU`);
+            if (template.memoryGB) specs.push(`${template.memoryGB} GB RAM`);
+            if (template.diskSizeGB) specs.push(`${template.diskSizeGB} GB disk`);
+            return specs.join(' · ');
+        },
+        
+        /// Prefill the prompt bar's template picker from a template card
+        useTemplate(template) {
+            this.saveQuickTemplate(template.id);
+            this.view = 'tasks';
+            this.showToast(`New tasks will run on ${template.name}`, 'success');
+        },
+
+        // -------------------------------------------------------------------
+        // --- Task File Browser ---------------------------------------------
+        // -------------------------------------------------------------------
+
+        taskFileCount(task) {
+            return (task?.inputFiles?.length || 0) + (task?.outputFiles?.length || 0);
+        },
+
+        async loadTaskFiles(taskId) {
+            this.taskFilesLoading = true;
+            try {
+                const response = await this.apiFetch(`/api/v1/tasks/${taskId}/files`);
+                if (response.ok && this.selectedTask?.id === taskId) {
+                    this.taskFiles = await response.json();
+                }
+            } catch (error) {
+                console.error('Failed to load task files:', error);
+            } finally {
+                this.taskFilesLoading = false;
+            }
+        },
+
+        setTaskFileSort(sort) {
+            this.taskFileSort = sort;
+            localStorage.setItem('hivecrew_task_file_sort', sort);
+        },
+
+        compareTaskFileEntries(a, b) {
+            if (this.taskFileSort === 'size') return b.size - a.size;
+            if (this.taskFileSort === 'modified') {
+                return new Date(b.modifiedAt || 0) - new Date(a.modifiedAt || 0);
+            }
+            return a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+        },
+
+        taskFilesOfType(type) {
+            const files = (type === 'input' ? this.taskFiles?.inputFiles : this.taskFiles?.outputFiles) || [];
+            const query = this.taskFileFilter.trim().toLowerCase();
+            return query ? files.filter(file => file.path.toLowerCase().includes(query)) : files;
+        },
+
+        // Flattened folder tree: folder rows carry the total size and newest timestamp of their files
+        taskFileRows(type) {
+            const root = { folders: {}, files: [] };
+            for (const file of this.taskFilesOfType(type)) {
+                const parts = file.path.split('/');
+                let node = root;
+                parts.slice(0, -1).forEach((part, index) => {
+                    if (!node.folders[part]) {
+                        node.folders[part] = {
+                            name: part,
+                            path: parts.slice(0, index + 1).join('/'),
+                            folders: {},
+                            files: [],
+                            size: 0,
+                            fileCount: 0,
+                            modifiedAt: null
+                        };
+                    }
+                    node = node.folders[part];
+                    node.size += file.size;
+                    node.fileCount++;
+                    if (file.modifiedAt && (!node.modifiedAt || file.modifiedAt > node.modifiedAt)) {
+                        node.modifiedAt = file.modifiedAt;
+                    }
+                });
+                node.files.push(file);
+            }
+
+            // Filtering shows every match, so folders are only collapsible without a filter
+            const filtering = this.taskFileFilter.trim() !== '';
+            const rows = [];
+            const visit = (node, depth) => {
+                for (const folder of Object.values(node.folders).sort((a, b) => this.compareTaskFileEntries(a, b))) {
+                    const key = `${type}:${folder.path}`;
+                    const collapsed = !filtering && !!this.taskFileCollapsed[key];
+                    rows.push({ kind: 'folder', key, depth, collapsed, folder });
+                    if (!collapsed) visit(folder, depth + 1);
+                }
+                for (const file of [...node.files].sort((a, b) => this.compareTaskFileEntries(a, b))) {
+                    rows.push({ kind: 'file', key: `${type}:${file.path}`, depth, file });
+                }
+            };
+            visit(root, 0);
+            return rows;
+        },
+
+        toggleTaskFileFolder(row) {
+            this.taskFileCollapsed = { ...this.taskFileCollapsed, [row.key]: !row.collapsed };
+        },
+
+        // Files a row stands for: the file itself, or every (filtered) file inside the folder
+        taskFileRowKeys(type, row) {
+            if (row.kind === 'file') return [row.key];
+            return this.taskFilesOfType(type)
+                .filter(file => file.path.startsWith(`${row.folder.path}/`))
+                .map(file => `${type}:${file.path}`);
+        },
+
+        isTaskFileRowSelected(type, row) {
+            const keys = this.taskFileRowKeys(type, row);
+            return keys.length > 0 && keys.every(key => this.taskFileSelection[key]);
+        },
+
+        toggleTaskFileRow(type, row) {
+            const selected = !this.isTaskFileRowSelected(type, row);
+            const selection = { ...this.taskFileSelection };
+            for (const key of this.taskFileRowKeys(type, row)) {
+                if (selected) {
+                    selection[key] = true;
+                } else {
+                    delete selection[key];
+                }
+            }
+            this.taskFileSelection = selection;
+        },
+
+        get taskFileSelectionCount() {
+            return Object.keys(this.taskFileSelection).length;
+        },
+
+        async downloadTaskArchive(selectedOnly = false) {
+            const task = this.selectedTask;
+            if (!task || this.archiveDownloading) return;
+
+            if (!selectedOnly && this.authMethod === 'cookie') {
+                // A plain link lets the browser stream the ZIP straight to disk
+                const a = document.createElement('a');
+                a.href = `/api/v1/tasks/${task.id}/archive`;
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+                return;
+            }
+
+            this.archiveDownloading = true;
+            try {
+                const files = Object.keys(this.taskFileSelection).map(key => {
+                    const separator = key.indexOf(':');
+                    return { type: key.slice(0, separator), path: key.slice(separator + 1) };
+                });
+                const response = selectedOnly
+                    ? await this.apiFetch(`/api/v1/tasks/${task.id}/archive`, {
+                        method: 'POST',
+                        body: JSON.stringify({ files })
+                    })
+                    : await this.apiFetch(`/api/v1/tasks/${task.id}/archive`);
+
+                if (!response.ok) {
+                    const error = await response.json().catch(() => ({}));
+                    throw new Error(error.error?.message || 'Failed to download archive');
+                }
+
+                const disposition = response.headers.get('Content-Disposition') || '';
+                const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || 'task-files.zip';
+                this.saveBlob(await response.blob(), fileName);
+            } catch (error) {
+                this.showToast(`Download failed: ${error.message}`, 'error');
+            } finally {
+                this.archiveDownloading = false;
+            }
+        },
+
+        // -------------------------------------------------------------------
+        // --- File Previews -------------------------------------------------
+        // -------------------------------------------------------------------
+
+        filePreviewKind(file) {
+            const mimeType = file.mimeType || '';
+            const extension = (file.name.split('.').pop() || '').toLowerCase();
+            if (mimeType.startsWith('image/')) return 'image';
+            if (mimeType === 'application/pdf') return 'pdf';
+            if (mimeType.startsWith('audio/')) return 'audio';
+            if (mimeType.startsWith('video/')) return 'video';
+            if (mimeType === 'text/markdown' || ['md', 'markdown'].includes(extension)) return 'markdown';
+            if (['text/csv', 'text/tab-separated-values'].includes(mimeType) || ['csv', 'tsv'].includes(extension)) return 'csv';
+            if (mimeType === 'application/json' || extension === 'json') return 'json';
+            if (mimeType.startsWith('text/')
+                || ['application/javascript', 'application/xml', 'application/yaml'].includes(mimeType)
+                || this.codeLanguage(file.name)) return 'text';
+            return null;
+        },
+
+        // Files inside output folders are addressed by `path`; the URL still ends in the file name
+        taskFileUrl(taskId, filePath, isInput = false, inline = false) {
+            const filename = filePath.split('/').pop();
+            // encodeURIComponent rather than URLSearchParams: the server does not decode '+' as a space
+            const params = [];
+            if (isInput) params.push('type=input');
+            if (filePath !== filename) params.push(`path=${encodeURIComponent(filePath)}`);
+            if (inline) params.push('disposition=inline');
+            const query = params.join('&');
+            return `/api/v1/tasks/${taskId}/files/${encodeURIComponent(filename)}${query ? `?${query}` : ''}`;
+        },
+
+        async openFilePreview(taskId, file, isInput = false) {
+            const kind = this.filePreviewKind(file);
+            if (!kind) {
+                await this.downloadFile(taskId, file.path || file.name, isInput);
+                return;
+            }
+
+            this.closeFilePreview();
+            const seq = this.filePreviewSeq;
+            this.filePreview = {
+                taskId,
+                name: file.name,
+                path: file.path || file.name,
+                isInput,
+                kind,
+                language: this.codeLanguage(file.name),
+                loading: true,
+                error: '',
+                src: null,
+                text: '',
+                loadedBytes: 0,
+                totalBytes: file.size || 0,
+                truncated: false,
+                json: undefined,
+                jsonError: '',
+                jsonToggled: {}, // node path -> collapsed
+                csv: null,
+                csvSortColumn: null,
+                csvSortAscending: true
+            };
+
+            if (!['image', 'pdf', 'audio', 'video'].includes(kind)) {
+                this.filePreviewDecoder = new TextDecoder();
+                await this.loadFilePreviewChunk();
+                return;
+            }
+
+            const url = this.taskFileUrl(taskId, file.path || file.name, isInput, true);
+            if (this.authMethod === 'cookie') {
+                // The session cookie rides along, so the browser streams the file with its own range requests
+                this.filePreview.src = url;
+                this.filePreview.loading = false;
+                return;
+            }
+
+            // Media elements cannot send an API key header, so bearer sessions fall back to a blob
+            try {
+                const response = await this.apiFetch(url);
+                if (!response.ok) {
+                    const error = await response.json().catch(() => ({}));
+                    throw new Error(error.error?.message || 'Failed to load file');
+                }
+                const blob = await response.blob();
+                if (seq !== this.filePreviewSeq) return;
+                this.filePreviewObjectUrl = URL.createObjectURL(blob);
+                this.filePreview.src = this.filePreviewObjectUrl;
+            } catch (error) {
+                if (seq === this.filePreviewSeq) this.filePreview.error = error.message;
+            } finally {
+                if (seq === this.filePreviewSeq) this.filePreview.loading = false;
+            }
+        },
+
+        async loadFilePreviewChunk() {
+            const preview = this.filePreview;
+            if (!preview) return;
+            const seq = this.filePreviewSeq;
+            const start = preview.loadedBytes;
+            preview.loading = true;
+
+            try {
+                const response = await this.apiFetch(
+                    this.taskFileUrl(preview.taskId, preview.path, preview.isInput, true),
+                    { headers: { 'Range': `bytes=${start}-${start + this.filePreviewChunkSize - 1}` } }
+                );
+                // 416 means there is nothing past `start`, e.g. an empty file
+                if (!response.ok && response.status !== 416) {
+                    const error = await response.json().catch(() => ({}));
+                    throw new Error(error.error?.message || 'Failed to load file');
+                }
+                const bytes = response.status === 416 ? new Uint8Array() : new Uint8Array(await response.arrayBuffer());
+                if (seq !== this.filePreviewSeq) return;
+
+                // A 200 carries the whole file; 206 and 416 report the full size after the slash
+                const total = response.status === 200
+                    ? bytes.length
+                    : Number((response.headers.get('Content-Range') || '').split('/')[1]) || start + bytes.length;
+                preview.loadedBytes = start + bytes.length;
+                preview.totalBytes = total;
+                preview.truncated = preview.loadedBytes < total;
+                preview.text += this.filePreviewDecoder.decode(bytes, { stream: preview.truncated });
+                this.parseFilePreview();
+            } catch (error) {
+                if (seq === this.filePreviewSeq) preview.error = error.message;
+            } finally {
+                if (seq === this.filePreviewSeq) preview.loading = false;
+            }
+        },
+
+        parseFilePreview() {
+            const preview = this.filePreview;
+            if (preview.kind === 'json') {
+                // A partial document cannot be parsed, so it shows as text until fully loaded
+                if (preview.truncated) return;
+                try {
+                    preview.json = JSON.parse(preview.text);
+                    preview.jsonError = '';
+                } catch (error) {
+                    preview.json = undefined;
+                    preview.jsonError = error.message;
+                }
+            } else if (preview.kind === 'csv') {
+                const delimiter = preview.name.toLowerCase().endsWith('.tsv') ? '\t' : ',';
+                const rows = this.parseDelimited(preview.text, delimiter);
+                // The last row of a partial file may be cut off mid-line
+                if (preview.truncated && !/[\r\n]$/.test(preview.text)) rows.pop();
+                preview.csv = {
+                    header: rows[0] || [],
+                    rows: rows.slice(1).map((cells, index) => ({ index, cells }))
+                };
+            } else if (preview.kind === 'markdown') {
+                this.$nextTick(() => {
+                    this.renderMermaidDiagrams(document.querySelector('.file-preview-markdown'));
+                });
+            }
+        },
+
+        parseDelimited(text, delimiter) {
+            const rows = [];
+            let row = [];
+            let field = '';
+            let quoted = false;
+
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+                if (quoted) {
+                    if (char === '"' && text[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else if (char === '"') {
+                        quoted = false;
+                    } else {
+                        field += char;
+                    }
+                } else if (char === '"' && field === '') {
+                    quoted = true;
+                } else if (char === delimiter) {
+                    row.push(field);
+                    field = '';
+                } else if (char === '\n' || char === '\r') {
+                    if (char === '\r' && text[i + 1] === '\n') i++;
+                    row.push(field);
+                    rows.push(row);
+                    row = [];
+                    field = '';
+                } else {
+                    field += char;
+                }
+            }
+            if (field !== '' || row.length > 0) {
+                row.push(field);
+                rows.push(row);
+            }
+            return rows;
+        },
+
+        get filePreviewLines() {
+            return this.filePreview ? this.filePreview.text.split('\n') : [];
+        },
+
+        get filePreviewCsvRows() {
+            const preview = this.filePreview;
+            if (!preview?.csv) return [];
+            const column = preview.csvSortColumn;
+            if (column === null) return preview.csv.rows;
+
+            const direction = preview.csvSortAscending ? 1 : -1;
+            return [...preview.csv.rows].sort((a, b) => {
+                const left = a.cells[column] ?? '';
+                const right = b.cells[column] ?? '';
+                const leftNumber = Number(left);
+                const rightNumber = Number(right);
+                if (left.trim() !== '' && right.trim() !== '' && !isNaN(leftNumber) && !isNaN(rightNumber)) {
+                    return (leftNumber - rightNumber) * direction;
+                }
+                return left.localeCompare(right, undefined, { numeric: true }) * direction;
+            });
+        },
+
+        sortFilePreviewCsv(column) {
+            const preview = this.filePreview;
+            if (preview.csvSortColumn === column) {
+                preview.csvSortAscending = !preview.csvSortAscending;
+            } else {
+                preview.csvSortColumn = column;
+                preview.csvSortAscending = true;
+            }
+        },
+
+        get filePreviewJsonRows() {
+            const preview = this.filePreview;
+            if (!preview || preview.json === undefined) return [];
+
+            const maxRows = 5000;
+            const rows = [];
+            const visit = (value, key, path, depth) => {
+                if (rows.length >= maxRows) return;
+                const isContainer = value !== null && typeof value === 'object';
+                const toggled = preview.jsonToggled[path];
+                const collapsed = isContainer && (toggled !== undefined ? toggled : depth >= 2);
+                const entries = !isContainer ? []
+                    : Array.isArray(value) ? value.map((item, index) => [index, item])
+                    : Object.entries(value);
+                rows.push({
+                    path,
+                    key,
+                    depth,
+                    isContainer,
+                    collapsed,
+                    type: value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value,
+                    display: isContainer
+                        ? (Array.isArray(value) ? `[${entries.length}]` : `{${entries.length}}`)
+                        : JSON.stringify(value)
+                });
+                if (collapsed) return;
+                for (const [childKey, child] of entries) {
+                    visit(child, childKey, `${path}\u0000${childKey}`, depth + 1);
+                }
+            };
+            visit(preview.json, null, '$', 0);
+            return rows;
+        },
+
+        toggleFilePreviewJsonNode(row) {
+            this.filePreview.jsonToggled = { ...this.filePreview.jsonToggled, [row.path]: !row.collapsed };
+        },
+
+        closeFilePreview() {
+            this.filePreviewSeq++;
+            if (this.filePreviewObjectUrl) {
+                URL.revokeObjectURL(this.filePreviewObjectUrl);
+                this.filePreviewObjectUrl = null;
+            }
+            this.filePreviewDecoder = null;
+            this.filePreview = null;
+        },
+
+        // -------------------------------------------------------------------
+        // --- File Downloads ------------------------------------------------
+        // -------------------------------------------------------------------
+
+        async downloadFile(taskId, filePath, isInput = false) {
+            try {
+                const response = await this.apiFetch(this.taskFileUrl(taskId, filePath, isInput));
+                
+                if (!response.ok) {
+                    throw new Error('Failed to download file');
+                }
+                
+                this.saveBlob(await response.blob(), filePath.split('/').pop());
+            } catch (error) {
+                this.showToast(`Download failed: ${error.message}`, 'error');
+            }
+        },
+
+        saveBlob(blob, filename) {
+            // Create a download link and trigger it
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            
+            // Cleanup
+            window.URL.revokeObjectURL(url);
+            document.body.removeChild(a);
+        },
+
+        // -------------------------------------------------------------------
+        // --- Toast Notifications -------------------------------------------
+        // -------------------------------------------------------------------
+
+        showToast(message, type = 'info') {
+            const id = ++this.toastId;
+            this.toasts.push({ id, message, type, visible: true });
+            
+            // Auto-remove after 4 seconds
+            setTimeout(() => {
+                this.removeToast(id);
+            }, 4000);
         },
         
         removeToast(id) {
@@ -2877,6 +7209,15 @@ document.addEventListener('alpine:init', () => {
             return messages[action] || 'Task updated';
         },
 
+        priorityLabel(priority) {
+            const labels = {
+                'high': 'High',
+                'normal': 'Normal',
+                'low': 'Low'
+            };
+            return labels[priority] || 'Normal';
+        },
+
         formatWritebackOperation(operation) {
             const labels = {
                 'copy': 'Copy',
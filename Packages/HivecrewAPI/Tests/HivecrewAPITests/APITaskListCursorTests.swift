@@ -0,0 +1,48 @@
+import Foundation
+import Testing
+@testable import HivecrewAPI
+
+struct APITaskListCursorTests {
+
+    @Test
+    func encodedCursorRoundTripsSortDateExactly() throws {
+        let dates = [
+            Date(),
+            Date(timeIntervalSince1970: 1_737_000_000.123_456_7),
+            Date(timeIntervalSinceReferenceDate: 0.1),
+            Date(timeIntervalSinceReferenceDate: -12_345.678_9)
+        ]
+
+        for date in dates {
+            let cursor = APITaskListCursor(sortDate: date, taskId: "task-1")
+            let decoded = try #require(APITaskListCursor(encoded: cursor.encoded))
+            #expect(decoded.sortDate == date)
+            #expect(decoded.taskId == "task-1")
+        }
+    }
+
+    @Test
+    func encodedCursorRoundTripsMissingSortDate() throws {
+        let cursor = APITaskListCursor(sortDate: nil, taskId: "task|with|bars")
+        let decoded = try #require(APITaskListCursor(encoded: cursor.encoded))
+        #expect(decoded.sortDate == nil)
+        #expect(decoded.taskId == "task|with|bars")
+    }
+
+    @Test
+    func encodedCursorIsURLSafe() {
+        let cursor = APITaskListCursor(sortDate: Date(), taskId: "A1B2C3D4-E5F6-7890-ABCD-EF1234567890")
+        let encoded = cursor.encoded
+        #expect(!encoded.contains("+"))
+        #expect(!encoded.contains("/"))
+        #expect(!encoded.contains("="))
+    }
+
+    @Test
+    func malformedCursorsAreRejected() {
+        #expect(APITaskListCursor(encoded: "not a cursor!") == nil)
+        #expect(APITaskListCursor(encoded: Data("1234".utf8).base64EncodedString()) == nil)
+        #expect(APITaskListCursor(encoded: Data("zz|task-1".utf8).base64EncodedString()) == nil)
+        #expect(APITaskListCursor(encoded: Data("-|".utf8).base64EncodedString()) == nil)
+    }
+}
@@ -0,0 +1,61 @@
+import Testing
+@testable import HivecrewAPI
+
+struct ByteRangeParsingTests {
+
+    @Test
+    func missingOrForeignHeadersSendTheWholeFile() {
+        #expect(parseByteRange(nil, fileSize: 100) == .none)
+        #expect(parseByteRange("", fileSize: 100) == .none)
+        #expect(parseByteRange("items=0-10", fileSize: 100) == .none)
+    }
+
+    @Test
+    func closedRangeIsParsedAndClampedToTheFile() {
+        #expect(parseByteRange("bytes=0-9", fileSize: 100) == .satisfiable(0...9))
+        #expect(parseByteRange("Bytes= 10 - 19 ", fileSize: 100) == .satisfiable(10...19))
+        #expect(parseByteRange("bytes=90-500", fileSize: 100) == .satisfiable(90...99))
+    }
+
+    @Test
+    func openEndedRangeRunsToTheEndOfTheFile() {
+        #expect(parseByteRange("bytes=40-", fileSize: 100) == .satisfiable(40...99))
+        #expect(parseByteRange("bytes=0-", fileSize: 1) == .satisfiable(0...0))
+    }
+
+    @Test
+    func suffixRangeSelectsTheLastBytes() {
+        #expect(parseByteRange("bytes=-10", fileSize: 100) == .satisfiable(90...99))
+        #expect(parseByteRange("bytes=-500", fileSize: 100) == .satisfiable(0...99))
+    }
+
+    @Test
+    func multipleAndMalformedRangesAreIgnored() {
+        #expect(parseByteRange("bytes=0-9,20-29", fileSize: 100) == .none)
+        #expect(parseByteRange("bytes=abc-9", fileSize: 100) == .none)
+        #expect(parseByteRange("bytes=0-xyz", fileSize: 100) == .none)
+        #expect(parseByteRange("bytes=20-10", fileSize: 100) == .none)
+        #expect(parseByteRange("bytes=10", fileSize: 100) == .none)
+        #expect(parseByteRange("bytes=-", fileSize: 100) == .none)
+    }
+
+    @Test
+    func rangesOutsideTheFileAreUnsatisfiable() {
+        #expect(parseByteRange("bytes=100-", fileSize: 100) == .unsatisfiable)
+        #expect(parseByteRange("bytes=150-200", fileSize: 100) == .unsatisfiable)
+        #expect(parseByteRange("bytes=-0", fileSize: 100) == .unsatisfiable)
+        #expect(parseByteRange("bytes=0-", fileSize: 0) == .unsatisfiable)
+        #expect(parseByteRange("bytes=-10", fileSize: 0) == .unsatisfiable)
+    }
+
+    @Test
+    func longRangesAreClampedToTheMaximumSlice() {
+        let fileSize = maxRangeLength * 4
+
+        #expect(parseByteRange("bytes=0-", fileSize: fileSize) == .satisfiable(0...(maxRangeLength - 1)))
+        #expect(parseByteRange("bytes=100-\(fileSize - 1)", fileSize: fileSize)
+            == .satisfiable(100...(100 + maxRangeLength - 1)))
+        #expect(parseByteRange("bytes=-\(maxRangeLength * 2)", fileSize: fileSize)
+            == .satisfiable((maxRangeLength * 2)...(maxRangeLength * 3 - 1)))
+    }
+}
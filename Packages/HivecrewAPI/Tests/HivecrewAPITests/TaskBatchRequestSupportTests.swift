@@ -69,4 +69,30 @@ struct TaskBatchRequestSupportTests {
             reasoningEffort: "high"
         ))
     }
+
+    @Test
+    func continuationSourceIsKeptWhenReferenced() {
+        let sourceId = TaskBatchRequestSupport.continuationSourceTaskId(
+            "task-2",
+            referencedTaskIds: ["task-1", "task-2"]
+        )
+
+        #expect(sourceId == "task-2")
+    }
+
+    @Test
+    func continuationSourceIsDroppedWhenNotReferenced() {
+        #expect(TaskBatchRequestSupport.continuationSourceTaskId(
+            "task-3",
+            referencedTaskIds: ["task-1", "task-2"]
+        ) == nil)
+        #expect(TaskBatchRequestSupport.continuationSourceTaskId(
+            "task-1",
+            referencedTaskIds: []
+        ) == nil)
+        #expect(TaskBatchRequestSupport.continuationSourceTaskId(
+            nil,
+            referencedTaskIds: ["task-1"]
+        ) == nil)
+    }
 }
@@ -0,0 +1,73 @@
+import Foundation
+import Testing
+@testable import HivecrewAPI
+
+struct TaskBulkActionTests {
+
+    private struct UnexpectedError: LocalizedError {
+        var errorDescription: String? { "Disk is full" }
+    }
+
+    @Test
+    func bulkTaskIdsDropDuplicatesAndKeepOrder() throws {
+        let taskIds = try TaskRoutes.bulkTaskIds(["b", "a", "b", "c", "a"])
+        #expect(taskIds == ["b", "a", "c"])
+    }
+
+    @Test
+    func bulkTaskIdsRejectEmptyInput() {
+        #expect(throws: APIError.self) {
+            try TaskRoutes.bulkTaskIds([])
+        }
+    }
+
+    @Test
+    func bulkTaskIdsRejectTooManyTasks() throws {
+        let maximum = (0..<TaskRoutes.maxBulkTaskCount).map { "task-\($0)" }
+        #expect(try TaskRoutes.bulkTaskIds(maximum).count == TaskRoutes.maxBulkTaskCount)
+
+        #expect(throws: APIError.self) {
+            try TaskRoutes.bulkTaskIds(maximum + ["one-too-many"])
+        }
+        // Duplicates don't count towards the limit
+        #expect(try TaskRoutes.bulkTaskIds(maximum + ["task-0"]).count == TaskRoutes.maxBulkTaskCount)
+    }
+
+    @Test
+    func bulkResultsKeepGoingAfterAFailure() async {
+        var attempted: [String] = []
+        let results = await TaskRoutes.bulkResults(for: ["ok-1", "missing", "broken", "ok-2"]) { taskId in
+            attempted.append(taskId)
+            switch taskId {
+            case "missing":
+                throw APIError.notFound("Task not found: \(taskId)")
+            case "broken":
+                throw UnexpectedError()
+            default:
+                return APIBulkTaskResult(taskId: taskId, success: true, status: .cancelled)
+            }
+        }
+
+        #expect(attempted == ["ok-1", "missing", "broken", "ok-2"])
+        #expect(results.map(\.taskId) == ["ok-1", "missing", "broken", "ok-2"])
+        #expect(results.map(\.success) == [true, false, false, true])
+        #expect(results[0].status == .cancelled)
+        #expect(results[0].error == nil)
+    }
+
+    @Test
+    func bulkResultsReportTheErrorForEachFailedTask() async {
+        let results = await TaskRoutes.bulkResults(for: ["missing", "broken"]) { taskId in
+            if taskId == "missing" {
+                throw APIError.notFound("Task not found: missing")
+            }
+            throw UnexpectedError()
+        }
+
+        #expect(results[0].error?.code == APIErrorCode.notFound.rawValue)
+        #expect(results[0].error?.message == "Task not found: missing")
+        #expect(results[0].status == nil)
+        #expect(results[1].error?.code == APIErrorCode.internalError.rawValue)
+        #expect(results[1].error?.message == "Disk is full")
+    }
+}
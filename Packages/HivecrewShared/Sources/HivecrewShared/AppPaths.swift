@@ -245,6 +245,13 @@ public enum AppPaths {
         appSupportDirectory.appendingPathComponent("vm_provisioning.json")
     }()
     
+    // MARK: - Local Access
+    
+    /// Path to the folder and file grants that tasks can be given from the API
+    public static let localAccessGrantsPath: URL = {
+        appSupportDirectory.appendingPathComponent("local_access_grants.json")
+    }()
+    
     // MARK: - Logs
     
     /// Directory for application logs
@@ -291,6 +298,11 @@ public enum AppPaths {
         return url
     }()
 
+    /// Named context packs saved from the Web UI's context drawer.
+    public static let savedContextPacksPath: URL = {
+        retrievalDirectory.appendingPathComponent("saved_context_packs.json")
+    }()
+
     /// Retrieval logs directory.
     public static let retrievalLogsDirectory: URL = {
         let url = retrievalDirectory.appendingPathComponent("logs", isDirectory: true)